@@ -0,0 +1,577 @@
+// Server-side proxy for the OpenAI and Perplexity APIs, used when Settings > API Keys is set to server-managed
+// keys. The provider keys live in this function's environment and never reach the browser: callers sign requests
+// with their Supabase access token instead and name the workspace they act for. That workspace must be enabled
+// for server-managed keys, and the caller's role in it must allow generating content (generation routes) or
+// managing knowledge libraries (file and vector store routes).
+// Requests that create, change or generate count against a monthly per-user quota kept in the ai_proxy_usage
+// table, and the files and vector stores created in the shared OpenAI account are recorded against their
+// workspace in ai_proxy_objects (see supabase/migrations).
+// Unlike flowmattic-proxy.js this uses the Netlify Functions v2 API (Request in, Response out), so streamed
+// chat completions are passed through event by event.
+//
+// Routes: /api/ai/<workspace id>/<upstream>/<path>, e.g. POST /api/ai/ws-1/openai/chat/completions
+//
+// Environment:
+//   OPENAI_API_KEY, PERPLEXITY_API_KEY                 provider keys; an upstream without a key is disabled
+//   SUPABASE_URL, SUPABASE_ANON_KEY                    verify access tokens and roles (falls back to the VITE_ variables)
+//   SUPABASE_SERVICE_ROLE_KEY                          record usage and library ownership
+//   AI_PROXY_WORKSPACES                                comma-separated IDs of the workspaces that may use the keys
+//   AI_PROXY_MONTHLY_REQUESTS, AI_PROXY_MONTHLY_TOKENS per-user limits per calendar month (unset or 0 = none)
+
+import { assertRoleCan } from '../src/services/workspaces.js';
+
+const UPSTREAMS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    keyVariable: 'OPENAI_API_KEY',
+    paths: [
+      /^chat\/completions$/,
+      /^responses$/,
+      /^embeddings$/,
+      /^files(\/[\w-]+)?$/,
+      /^vector_stores(\/[\w-]+(\/files(\/[\w-]+)?|\/file_batches)?)?$/
+    ]
+  },
+  perplexity: {
+    baseUrl: 'https://api.perplexity.ai',
+    keyVariable: 'PERPLEXITY_API_KEY',
+    paths: [/^chat\/completions$/]
+  }
+};
+
+// Requests that generate tokens; the other routes manage knowledge libraries
+const METERED_PATH = /^(chat\/completions|responses|embeddings)$/;
+
+// Files and vector stores, by the first segment of their routes
+const LIBRARY_KINDS = { files: 'file', vector_stores: 'vector_store' };
+
+// Body fields that refer to files and vector stores (file_search tools, input files, files added to a store)
+const REFERENCE_FIELDS = ['file_id', 'file_ids', 'vector_store_ids'];
+
+const OBJECT_ID = /^[\w-]+$/;
+
+const ROUTE_PREFIX = /^\/api\/ai\//;
+
+// Tokens held for the output of a generation request that doesn't set a limit
+const DEFAULT_OUTPUT_RESERVATION = 4096;
+
+// Verified tokens and workspace roles are reused for a minute so every streamed section doesn't wait on
+// Supabase; a changed role therefore reaches the proxy within a minute. Expired entries are dropped whenever a
+// new one is cached, and the oldest go first once the cache is full.
+const ACCESS_CACHE_MS = 60000;
+const MAX_CACHED_ACCESS = 1000;
+const accessCache = new Map();
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, OpenAI-Beta',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+const getSupabaseConfig = () => ({
+  url: (process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || '').replace(/\/+$/, ''),
+  anonKey: process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY || '',
+  serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+});
+
+const getLimits = () => ({
+  requests: Number(process.env.AI_PROXY_MONTHLY_REQUESTS) || 0,
+  tokens: Number(process.env.AI_PROXY_MONTHLY_TOKENS) || 0
+});
+
+const getEnabledWorkspaces = () => (process.env.AI_PROXY_WORKSPACES || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Errors use the OpenAI error shape, which the client services already read
+const errorResponse = (status, message, code) => new Response(
+  JSON.stringify({ error: { message, code } }),
+  { status, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } }
+);
+
+const jsonResponse = (data) => new Response(
+  JSON.stringify(data),
+  { status: 200, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } }
+);
+
+const getPeriod = () => new Date().toISOString().slice(0, 7);
+
+const readCache = (key) => {
+  const entry = accessCache.get(key);
+  if (entry && entry.expiresAt <= Date.now()) {
+    accessCache.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const writeCache = (key, value) => {
+  const now = Date.now();
+  accessCache.forEach((entry, cachedKey) => {
+    if (entry.expiresAt <= now) accessCache.delete(cachedKey);
+  });
+  // Maps iterate in insertion order, so the first key is the oldest
+  while (accessCache.size >= MAX_CACHED_ACCESS) {
+    accessCache.delete(accessCache.keys().next().value);
+  }
+  accessCache.set(key, { value, expiresAt: now + ACCESS_CACHE_MS });
+};
+
+const verifyUser = async (token, supabase) => {
+  const cached = readCache(`user:${token}`);
+  if (cached) return cached.value;
+
+  const response = await fetch(`${supabase.url}/auth/v1/user`, {
+    headers: { apikey: supabase.anonKey, Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) return null;
+
+  const user = await response.json();
+  writeCache(`user:${token}`, user);
+  return user;
+};
+
+// The caller's role in the workspace, or null for non-members; asked as the caller so workspace_role sees them
+const getWorkspaceRole = async (token, supabase, workspaceId) => {
+  const cached = readCache(`role:${token}:${workspaceId}`);
+  if (cached) return cached.value;
+
+  const response = await fetch(`${supabase.url}/rest/v1/rpc/workspace_role`, {
+    method: 'POST',
+    headers: { apikey: supabase.anonKey, Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ p_workspace_id: workspaceId })
+  });
+  if (!response.ok) {
+    throw new Error(`Could not read the workspace role: ${response.status} ${await response.text()}`);
+  }
+
+  const role = await response.json();
+  writeCache(`role:${token}:${workspaceId}`, role);
+  return role;
+};
+
+const supabaseRest = (supabase, path, options = {}) => fetch(`${supabase.url}/rest/v1/${path}`, {
+  ...options,
+  headers: {
+    apikey: supabase.serviceRoleKey,
+    Authorization: `Bearer ${supabase.serviceRoleKey}`,
+    'Content-Type': 'application/json',
+    ...options.headers
+  }
+});
+
+// Counts the request and holds its estimated tokens before it is forwarded (see reserve_ai_proxy_usage).
+// Resolves to the reservation, or null when the quota is used up.
+const reserveUsage = async (supabase, userId, tokens) => {
+  const limits = getLimits();
+  const period = getPeriod();
+  const response = await supabaseRest(supabase, 'rpc/reserve_ai_proxy_usage', {
+    method: 'POST',
+    body: JSON.stringify({
+      p_user_id: userId,
+      p_period: period,
+      p_tokens: tokens,
+      p_max_requests: limits.requests,
+      p_max_tokens: limits.tokens
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Could not reserve usage: ${response.status} ${await response.text()}`);
+  }
+
+  const [usage] = await response.json();
+  return usage ? { userId, period, tokens, usage } : null;
+};
+
+// Chat completions report prompt/completion tokens, the Responses API input/output tokens
+const readUsage = (usage) => (usage ? {
+  inputTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+  outputTokens: usage.completion_tokens ?? usage.output_tokens ?? 0
+} : null);
+
+// Swaps the reservation for the tokens the provider reported. A refund gives back the request as well, for
+// requests the provider rejected. Without reported usage (a cancelled stream) the estimate is charged.
+const settleUsage = async (supabase, reservation, { usage = null, refund = false } = {}) => {
+  // Requests that generate nothing were fully counted by their reservation
+  if (!refund && !reservation.tokens) return;
+
+  const { inputTokens, outputTokens } = refund
+    ? { inputTokens: 0, outputTokens: 0 }
+    : readUsage(usage) || { inputTokens: reservation.tokens, outputTokens: 0 };
+
+  try {
+    const response = await supabaseRest(supabase, 'rpc/settle_ai_proxy_usage', {
+      method: 'POST',
+      body: JSON.stringify({
+        p_user_id: reservation.userId,
+        p_period: reservation.period,
+        p_reserved_tokens: reservation.tokens,
+        p_input_tokens: inputTokens,
+        p_output_tokens: outputTokens,
+        p_refund: refund
+      })
+    });
+    if (!response.ok) {
+      console.error(`Failed to settle usage for ${reservation.userId}: ${response.status} ${await response.text()}`);
+    }
+  } catch (error) {
+    console.error(`Failed to settle usage for ${reservation.userId}:`, error.message);
+  }
+};
+
+// Rough token count for the reservation: the request body at ~4 characters per token plus its output limit
+const estimateTokens = (path, body, byteLength) => {
+  const output = path === 'embeddings'
+    ? 0
+    : body?.max_output_tokens ?? body?.max_completion_tokens ?? body?.max_tokens ?? DEFAULT_OUTPUT_RESERVATION;
+  return Math.ceil(byteLength / 4) + (Number(output) || 0);
+};
+
+const getQuotaHeaders = ({ usage }) => {
+  const limits = getLimits();
+  const headers = {};
+  if (limits.requests) {
+    headers['X-Quota-Requests-Remaining'] = String(Math.max(limits.requests - usage.requests, 0));
+  }
+  if (limits.tokens) {
+    const used = usage.input_tokens + usage.output_tokens + usage.reserved_tokens;
+    headers['X-Quota-Tokens-Remaining'] = String(Math.max(limits.tokens - used, 0));
+  }
+  return headers;
+};
+
+// { kind, objectId, subresource } for file and vector store routes, e.g. vector_stores/vs_1/files
+const parseLibraryRoute = (path) => {
+  const [collection, objectId = null, subresource = null] = path.split('/');
+  return LIBRARY_KINDS[collection] ? { kind: LIBRARY_KINDS[collection], objectId, subresource } : null;
+};
+
+// IDs of the files and vector stores a request body refers to, wherever they are nested
+const collectReferences = (value, ids = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, ids));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (REFERENCE_FIELDS.includes(key)) {
+        ids.push(...[item].flat());
+      } else {
+        collectReferences(item, ids);
+      }
+    });
+  }
+  return ids;
+};
+
+// IDs recorded for the workspace, newest first; optionally only of one kind or among the given IDs
+const getOwnedIds = async (supabase, workspaceId, { kind = null, ids = null } = {}) => {
+  const filters = [`workspace_id=eq.${encodeURIComponent(workspaceId)}`, 'select=object_id', 'order=created_at.desc'];
+  if (kind) filters.push(`kind=eq.${kind}`);
+  if (ids) filters.push(`object_id=in.(${ids.join(',')})`);
+
+  const response = await supabaseRest(supabase, `ai_proxy_objects?${filters.join('&')}`);
+  if (!response.ok) {
+    throw new Error(`Could not read library ownership: ${response.status} ${await response.text()}`);
+  }
+  return (await response.json()).map(row => row.object_id);
+};
+
+const recordObject = async (supabase, { objectId, kind, workspaceId, userId }) => {
+  const response = await supabaseRest(supabase, 'ai_proxy_objects', {
+    method: 'POST',
+    headers: { Prefer: 'resolution=merge-duplicates' },
+    body: JSON.stringify({ object_id: objectId, kind, workspace_id: workspaceId, user_id: userId })
+  });
+  if (!response.ok) {
+    console.error(`Failed to record ${kind} ${objectId} for ${workspaceId}: ${response.status} ${await response.text()}`);
+  }
+};
+
+const forgetObject = async (supabase, objectId) => {
+  const response = await supabaseRest(supabase, `ai_proxy_objects?object_id=eq.${encodeURIComponent(objectId)}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok) {
+    console.error(`Failed to forget ${objectId}: ${response.status} ${await response.text()}`);
+  }
+};
+
+// The workspace's files or vector stores, in the list shape of the OpenAI API. Built from the ownership records
+// rather than the shared account's lists, so other workspaces' objects never pass through. Files come from one
+// list request (OpenAI returns up to 10,000 per page); vector stores are fetched one by one, skipping those that
+// expired.
+const listOwnedObjects = async (supabase, workspaceId, kind, { upstream, forwardHeaders, search }) => {
+  const ownedIds = await getOwnedIds(supabase, workspaceId, { kind });
+  let data = [];
+
+  if (kind === 'file' && ownedIds.length > 0) {
+    const params = new URLSearchParams({ limit: '10000' });
+    const purpose = new URLSearchParams(search).get('purpose');
+    if (purpose) params.set('purpose', purpose);
+
+    const response = await fetch(`${upstream.baseUrl}/files?${params}`, { headers: forwardHeaders });
+    if (!response.ok) {
+      throw new Error(`Could not list files: ${response.status} ${await response.text()}`);
+    }
+    const owned = new Set(ownedIds);
+    data = ((await response.json()).data || []).filter(file => owned.has(file.id));
+  } else if (kind === 'vector_store') {
+    const stores = await Promise.all(ownedIds.map(async (id) => {
+      const response = await fetch(`${upstream.baseUrl}/vector_stores/${id}`, { headers: forwardHeaders });
+      return response.ok ? response.json() : null;
+    }));
+    data = stores.filter(Boolean);
+  }
+
+  return {
+    object: 'list',
+    data,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null,
+    has_more: false
+  };
+};
+
+// Passes server-sent events through unchanged while picking up the usage the final events carry. onDone runs
+// once, when the stream ends, fails or is cancelled by the caller.
+const meterEventStream = (body, onDone) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  let finished = false;
+
+  const scan = (event) => {
+    const payload = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (!payload || payload === '[DONE]') return;
+    try {
+      const chunk = JSON.parse(payload);
+      const chunkUsage = chunk.usage || chunk.response?.usage;
+      if (chunkUsage) usage = chunkUsage;
+    } catch {
+      // Not JSON; nothing to meter
+    }
+  };
+
+  const finish = async () => {
+    if (finished) return;
+    finished = true;
+    if (buffer.trim()) scan(buffer);
+    await onDone(usage);
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          await finish();
+          controller.close();
+          return;
+        }
+        controller.enqueue(value);
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(scan);
+      } catch (error) {
+        await finish();
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await finish();
+      await reader.cancel(reason);
+    }
+  });
+};
+
+export default async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
+  }
+
+  const url = new URL(request.url);
+  const [workspaceId, upstreamName, ...rest] = url.pathname.replace(ROUTE_PREFIX, '').split('/');
+  const path = rest.join('/');
+  const upstream = UPSTREAMS[upstreamName];
+
+  if (!OBJECT_ID.test(workspaceId || '') || !upstream || !upstream.paths.some(pattern => pattern.test(path))) {
+    return errorResponse(404, `Unsupported proxy route: ${url.pathname}`, 'unsupported_route');
+  }
+
+  const apiKey = process.env[upstream.keyVariable];
+  if (!apiKey) {
+    return errorResponse(503, `The server has no ${upstreamName} API key configured`, 'upstream_not_configured');
+  }
+
+  const supabase = getSupabaseConfig();
+  if (!supabase.url || !supabase.anonKey) {
+    return errorResponse(503, 'The AI proxy cannot verify users: Supabase is not configured on the server', 'auth_not_configured');
+  }
+  if (!supabase.serviceRoleKey) {
+    return errorResponse(503, 'The AI proxy needs SUPABASE_SERVICE_ROLE_KEY to record usage', 'proxy_not_configured');
+  }
+
+  const token = (request.headers.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const user = token
+    ? await verifyUser(token, supabase).catch(error => {
+      console.error('Access token verification failed:', error.message);
+      return null;
+    })
+    : null;
+  if (!user?.id) {
+    return errorResponse(401, 'Sign in again to use server-managed API keys', 'invalid_token');
+  }
+
+  if (!getEnabledWorkspaces().includes(workspaceId)) {
+    return errorResponse(403, 'Server-managed API keys are not enabled for this workspace', 'workspace_not_enabled');
+  }
+
+  const metered = METERED_PATH.test(path);
+  try {
+    const role = await getWorkspaceRole(token, supabase, workspaceId);
+    assertRoleCan(role, metered ? 'generateContent' : 'manageLibraries');
+  } catch (error) {
+    if (error.code === 'forbidden') {
+      return errorResponse(403, error.message, error.code);
+    }
+    console.error(error.message);
+    return errorResponse(503, 'Your workspace role could not be checked', 'role_unavailable');
+  }
+
+  const forwardHeaders = { Authorization: `Bearer ${apiKey}` };
+  ['content-type', 'openai-beta'].forEach(name => {
+    const value = request.headers.get(name);
+    if (value) forwardHeaders[name] = value;
+  });
+
+  const library = upstreamName === 'openai' ? parseLibraryRoute(path) : null;
+
+  if (library && !library.objectId && request.method === 'GET') {
+    try {
+      return jsonResponse(await listOwnedObjects(supabase, workspaceId, library.kind, {
+        upstream,
+        forwardHeaders,
+        search: url.search
+      }));
+    } catch (error) {
+      console.error(error.message);
+      return errorResponse(502, `Could not list the workspace's ${library.kind.replace('_', ' ')}s`, 'upstream_unreachable');
+    }
+  }
+
+  const isRead = ['GET', 'HEAD'].includes(request.method);
+  const body = isRead ? undefined : await request.arrayBuffer();
+  let json = null;
+  if (body && (request.headers.get('content-type') || '').includes('application/json')) {
+    try {
+      json = JSON.parse(new TextDecoder().decode(body));
+    } catch {
+      return errorResponse(400, 'The request body is not valid JSON', 'invalid_request');
+    }
+  }
+
+  // Every file and vector store the request names, in its route or its body, must belong to the workspace.
+  // Others answer as missing, so IDs from other workspaces can't be probed.
+  const references = [library?.objectId, ...collectReferences(json)].filter(Boolean);
+  if (references.length > 0) {
+    const validIds = references.filter(id => typeof id === 'string' && OBJECT_ID.test(id));
+    try {
+      const owned = validIds.length === references.length
+        ? new Set(await getOwnedIds(supabase, workspaceId, { ids: [...new Set(validIds)] }))
+        : new Set();
+      const missing = references.find(id => !owned.has(id));
+      if (missing) {
+        return errorResponse(404, `No file or vector store ${missing} in this workspace`, 'not_found');
+      }
+    } catch (error) {
+      console.error(error.message);
+      return errorResponse(503, 'Library ownership could not be checked', 'ownership_unavailable');
+    }
+  }
+
+  // Reads are free; everything else counts as a request, and generation also holds its estimated tokens
+  let reservation = null;
+  if (!isRead) {
+    try {
+      reservation = await reserveUsage(supabase, user.id, metered ? estimateTokens(path, json, body.byteLength) : 0);
+    } catch (error) {
+      console.error(error.message);
+      return errorResponse(503, 'Usage quota could not be checked', 'quota_unavailable');
+    }
+    if (!reservation) {
+      const limits = getLimits();
+      // 403 rather than 429, so the client's rate limiter doesn't keep retrying until the month ends
+      return errorResponse(
+        403,
+        `Monthly quota reached (${[limits.requests && `${limits.requests} requests`, limits.tokens && `${limits.tokens} tokens`].filter(Boolean).join(', ')})`,
+        'quota_exceeded'
+      );
+    }
+  }
+
+  let upstreamResponse;
+  try {
+    upstreamResponse = await fetch(`${upstream.baseUrl}/${path}${url.search}`, {
+      method: request.method,
+      headers: forwardHeaders,
+      body,
+      signal: request.signal
+    });
+  } catch (error) {
+    console.error(`AI proxy request to ${upstreamName}/${path} failed:`, error.message);
+    if (reservation) await settleUsage(supabase, reservation, { refund: true });
+    return errorResponse(502, `Could not reach ${upstreamName}: ${error.message}`, 'upstream_unreachable');
+  }
+
+  const responseHeaders = { ...CORS_HEADERS, ...(reservation ? getQuotaHeaders(reservation) : {}) };
+  ['content-type', 'retry-after'].forEach(name => {
+    const value = upstreamResponse.headers.get(name);
+    if (value) responseHeaders[name] = value;
+  });
+
+  if (!upstreamResponse.ok) {
+    if (reservation) await settleUsage(supabase, reservation, { refund: true });
+    return new Response(upstreamResponse.body, { status: upstreamResponse.status, headers: responseHeaders });
+  }
+
+  if (metered && reservation && (upstreamResponse.headers.get('content-type') || '').includes('text/event-stream')) {
+    return new Response(
+      meterEventStream(upstreamResponse.body, usage => settleUsage(supabase, reservation, { usage })),
+      { status: upstreamResponse.status, headers: responseHeaders }
+    );
+  }
+
+  const createsObject = library && !library.objectId && request.method === 'POST';
+  const deletesObject = library && library.objectId && !library.subresource && request.method === 'DELETE';
+
+  if ((metered && reservation) || createsObject || deletesObject) {
+    const text = await upstreamResponse.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Settled at the estimate; nothing to record
+    }
+
+    if (metered) {
+      await settleUsage(supabase, reservation, { usage: data?.usage });
+    } else if (createsObject && data?.id) {
+      await recordObject(supabase, { objectId: data.id, kind: library.kind, workspaceId, userId: user.id });
+    } else if (deletesObject) {
+      await forgetObject(supabase, library.objectId);
+    }
+    return new Response(text, { status: upstreamResponse.status, headers: responseHeaders });
+  }
+
+  return new Response(upstreamResponse.body, { status: upstreamResponse.status, headers: responseHeaders });
+};
+
+export const config = {
+  path: '/api/ai/*'
+};
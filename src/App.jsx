@@ -4,6 +4,7 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './contexts/AuthContext';
 import { EbookProvider } from './contexts/EbookContext';
 import { SettingsProvider } from './contexts/SettingsContext';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
@@ -12,6 +13,7 @@ import CreateEbook from './pages/CreateEbook';
 import ReviewOutline from './pages/ReviewOutline';
 import ProjectDetails from './pages/ProjectDetails';
 import PDFGeneratorPage from './pages/PDFGeneratorPage';
+import Team from './pages/Team';
 import ProtectedRoute from './components/ProtectedRoute';
 import MinimizedProgressIndicator from './components/MinimizedProgressIndicator';
 import './App.css';
@@ -19,47 +21,51 @@ import './App.css';
 function App() {
   return (
     <AuthProvider>
-      <SettingsProvider>
-        <EbookProvider>
-          <Router>
-            <div className="min-h-screen bg-gray-50">
-              <Toaster
-                position="top-right"
-                toastOptions={{
-                  duration: 4000,
-                  style: {
-                    background: '#363636',
-                    color: '#fff',
-                  },
-                }}
-              />
+      <WorkspaceProvider>
+        <SettingsProvider>
+          <EbookProvider>
+            <Router>
+              <div className="min-h-screen bg-gray-50">
+                <Toaster
+                  position="top-right"
+                  toastOptions={{
+                    duration: 4000,
+                    style: {
+                      background: '#363636',
+                      color: '#fff',
+                    },
+                  }}
+                />
 
-              {/* Global minimized progress indicator that shows when publishing in background */}
-              <MinimizedProgressIndicator />
+                {/* Global minimized progress indicator that shows when publishing in background */}
+                <MinimizedProgressIndicator />
 
-              <Routes>
-                <Route path="/login" element={<Login />} />
-                <Route
-                  path="/"
-                  element={
-                    <ProtectedRoute>
-                      <Layout />
-                    </ProtectedRoute>
-                  }
-                >
-                  <Route index element={<Navigate to="/dashboard" replace />} />
-                  <Route path="dashboard" element={<Dashboard />} />
-                  <Route path="settings" element={<Settings />} />
-                  <Route path="create" element={<CreateEbook />} />
-                  <Route path="pdf-generator" element={<PDFGeneratorPage />} />
-                  <Route path="review/:projectId" element={<ReviewOutline />} />
-                  <Route path="project/:projectId" element={<ProjectDetails />} />
-                </Route>
-              </Routes>
-            </div>
-          </Router>
-        </EbookProvider>
-      </SettingsProvider>
+                <Routes>
+                  <Route path="/login" element={<Login />} />
+                  <Route
+                    path="/"
+                    element={
+                      <ProtectedRoute>
+                        <Layout />
+                      </ProtectedRoute>
+                    }
+                  >
+                    <Route index element={<Navigate to="/dashboard" replace />} />
+                    <Route path="dashboard" element={<Dashboard />} />
+                    <Route path="settings" element={<Settings />} />
+                    <Route path="create" element={<CreateEbook />} />
+                    <Route path="pdf-generator" element={<PDFGeneratorPage />} />
+                    <Route path="review/:projectId" element={<ReviewOutline />} />
+                    <Route path="project/:projectId" element={<ProjectDetails />} />
+                    <Route path="team" element={<Team />} />
+                    <Route path="invite/:workspaceId/:token" element={<Team />} />
+                  </Route>
+                </Routes>
+              </div>
+            </Router>
+          </EbookProvider>
+        </SettingsProvider>
+      </WorkspaceProvider>
     </AuthProvider>
   );
 }
@@ -2,18 +2,22 @@ import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { useSettings } from '../contexts/SettingsContext';
+import { getConfiguredProviders, isProviderConfigured, LLM_STAGES, OPENAI_MODELS, BUILT_IN_PROVIDER_ID } from '../services/providers';
 
-const { FiChevronDown, FiChevronRight, FiSettings, FiInfo, FiAlertCircle } = FiIcons;
+const { FiChevronDown, FiChevronRight, FiSettings, FiInfo, FiAlertCircle, FiCpu } = FiIcons;
 
 const AdvancedOptions = ({ 
   sonarOptions, 
   setSonarOptions, 
   gptOptions, 
   setGptOptions,
-  showAdvanced = false // Only show when using Perplexity workflows
+  showAdvanced = false // Only show for Perplexity workflows or when extra LLM providers exist
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [dateRangeEnabled, setDateRangeEnabled] = useState(sonarOptions.search_recency_filter === 'daterange');
+  const { settings } = useSettings();
+  const providers = getConfiguredProviders(settings);
 
   // VibeCoding: Don't render if advanced options shouldn't be shown (non-Perplexity workflows)
   if (!showAdvanced) {
@@ -52,6 +56,13 @@ const AdvancedOptions = ({
     setGptOptions({ ...gptOptions, [field]: processedValue });
   };
 
+  const handleRouteChange = (stage, field, value) => {
+    // VibeCoding: Switching provider clears the model so the provider's default applies
+    const current = gptOptions.routing?.[stage] || {};
+    const route = field === 'providerId' ? { providerId: value, model: '' } : { ...current, [field]: value };
+    setGptOptions({ ...gptOptions, routing: { ...(gptOptions.routing || {}), [stage]: route } });
+  };
+
   const validateDomainFilter = (domains) => {
     // VibeCoding: Validate comma-separated domain list format
     if (!domains.trim()) return true;
@@ -361,10 +372,9 @@ const AdvancedOptions = ({
                       onChange={(e) => handleGptOptionChange('model', e.target.value)}
                       className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     >
-                      <option value="gpt-4.1-mini-2025-04-14">GPT-4.1 Mini (Recommended)</option>
-                      <option value="gpt-4.1-2025-04-14">GPT-4.1 (High Quality)</option>
-                      <option value="gpt-4o">GPT-4o (Optimized)</option>
-                      <option value="gpt-4o-mini">GPT-4o Mini (Fast)</option>
+                      {OPENAI_MODELS.map(model => (
+                        <option key={model.value} value={model.value}>{model.label}</option>
+                      ))}
                     </select>
                     <p className="text-xs text-gray-500 mt-1">
                       GPT-4.1 Mini offers the best balance of quality and speed for most content
@@ -450,6 +460,66 @@ const AdvancedOptions = ({
                 </div>
               </div>
 
+              {/* VibeCoding: Model Routing - pick a provider and model per generation stage */}
+              <div className="space-y-4">
+                <div className="border-b border-gray-200 pb-2">
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiCpu} className="text-purple-600" />
+                    <h3 className="text-lg font-medium text-gray-900">Model Routing</h3>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    Choose which LLM provider and model handles each stage. Add providers under Settings → LLM Providers.
+                  </p>
+                </div>
+
+                <div className="space-y-3">
+                  {LLM_STAGES.map(stage => {
+                    const route = gptOptions.routing?.[stage.key] || {};
+                    const providerId = route.providerId || BUILT_IN_PROVIDER_ID;
+                    const provider = providers.find(item => item.id === providerId) || providers[0];
+                    const configured = isProviderConfigured(settings, provider.id);
+
+                    return (
+                      <div key={stage.key} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-start p-3 bg-gray-50 rounded-md">
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">{stage.label}</p>
+                          <p className="text-xs text-gray-500">{stage.description}</p>
+                        </div>
+                        <div>
+                          <select
+                            value={provider.id}
+                            onChange={(e) => handleRouteChange(stage.key, 'providerId', e.target.value)}
+                            className="block w-full py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                          >
+                            {providers.map(item => (
+                              <option key={item.id} value={item.id}>{item.name}</option>
+                            ))}
+                          </select>
+                          {!configured && (
+                            <div className="flex items-center space-x-1 mt-1">
+                              <SafeIcon icon={FiAlertCircle} className="text-red-500 text-xs" />
+                              <p className="text-xs text-red-600">Provider is not fully configured</p>
+                            </div>
+                          )}
+                        </div>
+                        <select
+                          value={route.model || ''}
+                          onChange={(e) => handleRouteChange(stage.key, 'model', e.target.value)}
+                          className="block w-full py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        >
+                          <option value="">
+                            {provider.builtIn ? 'Use content generation model' : `Default (${provider.models[0] || 'none'})`}
+                          </option>
+                          {provider.models.map(model => (
+                            <option key={model} value={model}>{model}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
               {/* VibeCoding: Reset to Defaults Button */}
               <div className="flex justify-center pt-6 border-t border-gray-200">
                 <button
@@ -0,0 +1,382 @@
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useSettings } from '../contexts/SettingsContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { MIN_PASSPHRASE_LENGTH, exportSettingsBundle, importSettingsBundle } from '../services/credentialVault';
+import { downloadBlob } from '../services/export';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiLock, FiUnlock, FiShield, FiAlertTriangle, FiDownload, FiUpload, FiKey, FiLoader } = FiIcons;
+
+const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 240, 0];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+// Passphrase plus confirmation; calls onSubmit(passphrase) once both match and are long enough
+const PassphraseForm = ({ submitLabel, busy, onSubmit, onCancel = null }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const tooShort = passphrase.length > 0 && passphrase.length < MIN_PASSPHRASE_LENGTH;
+  const mismatch = confirmation.length > 0 && confirmation !== passphrase;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSubmit(passphrase)) {
+      setPassphrase('');
+      setConfirmation('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+          autoComplete="new-password"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder="Repeat passphrase"
+          autoComplete="new-password"
+          className={inputClass}
+        />
+      </div>
+      {tooShort && <p className="text-sm text-red-600">Use at least {MIN_PASSPHRASE_LENGTH} characters</p>}
+      {mismatch && <p className="text-sm text-red-600">The passphrases don't match</p>}
+      <div className="flex items-center space-x-2">
+        <button
+          type="submit"
+          disabled={busy || passphrase.length < MIN_PASSPHRASE_LENGTH || confirmation !== passphrase}
+          className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          <SafeIcon icon={busy ? FiLoader : FiKey} className={busy ? 'animate-spin' : ''} />
+          <span>{submitLabel}</span>
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Credential vault controls on the Settings page: create the vault, unlock/lock it, change its passphrase,
+// and export/import an encrypted settings bundle. Only rendered for the workspace owner.
+const CredentialVaultPanel = () => {
+  const {
+    settings,
+    updateSettings,
+    vaultStatus,
+    hasUnencryptedCredentials,
+    unlockVault,
+    lockVault,
+    setVaultPassphrase,
+    resetVault
+  } = useSettings();
+  const { currentWorkspace } = useWorkspace();
+  const [busyAction, setBusyAction] = useState(null);
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+  const [showChangePassphrase, setShowChangePassphrase] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const fileInputRef = useRef(null);
+
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    try {
+      return await action();
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSetPassphrase = (passphrase) => runAction('passphrase', async () => {
+    const result = await setVaultPassphrase(passphrase);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    toast.success(vaultStatus === 'unprotected' ? 'Credential vault created' : 'Vault passphrase changed');
+    setShowChangePassphrase(false);
+    return true;
+  });
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    runAction('unlock', async () => {
+      const result = await unlockVault(unlockPassphrase);
+      setUnlockPassphrase('');
+      if (!result.success) {
+        toast.error(result.error);
+      }
+    });
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset the credential vault? All saved API keys and passwords in this workspace are deleted and have to be entered again. Other settings are kept.')) {
+      return;
+    }
+    runAction('reset', async () => {
+      const result = await resetVault();
+      if (result.success) {
+        toast.success('Credential vault reset');
+      } else {
+        toast.error(result.error);
+      }
+    });
+  };
+
+  const handleAutoLockChange = async (minutes) => {
+    const result = await updateSettings({ vaultAutoLockMinutes: minutes });
+    if (!result.success) {
+      toast.error(result.error);
+    }
+  };
+
+  const handleExport = (passphrase) => runAction('export', async () => {
+    try {
+      const json = await exportSettingsBundle(settings, passphrase, { workspaceName: currentWorkspace?.name || '' });
+      downloadBlob(new Blob([json], { type: 'application/json' }), `ebook-settings-${new Date().toISOString().slice(0, 10)}.json`);
+      toast.success('Encrypted settings bundle exported');
+      setShowExport(false);
+      return true;
+    } catch (error) {
+      console.error('Settings export error:', error);
+      toast.error(error.message);
+      return false;
+    }
+  });
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    runAction('import', async () => {
+      try {
+        const imported = await importSettingsBundle(await importFile.text(), importPassphrase);
+        if (!window.confirm(`Replace the settings of ${currentWorkspace?.name || 'this workspace'} with the imported ones, including API keys and passwords?`)) {
+          return;
+        }
+        const result = await updateSettings(imported);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        toast.success('Settings imported');
+        setImportFile(null);
+        setImportPassphrase('');
+      } catch (error) {
+        console.error('Settings import error:', error);
+        toast.error(error.message);
+      }
+    });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <SafeIcon icon={FiShield} className="text-2xl text-primary-600" />
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Credential Vault</h2>
+            <p className="text-sm text-gray-500">API keys and passwords are encrypted with a passphrase before they are stored</p>
+          </div>
+        </div>
+        {vaultStatus === 'unlocked' && (
+          <button
+            type="button"
+            onClick={lockVault}
+            className="flex items-center space-x-2 px-3 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            <SafeIcon icon={FiLock} />
+            <span>Lock now</span>
+          </button>
+        )}
+      </div>
+
+      {vaultStatus === 'unprotected' && (
+        <div className="space-y-4">
+          {hasUnencryptedCredentials ? (
+            <div className="flex items-start space-x-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <SafeIcon icon={FiAlertTriangle} className="text-yellow-600 mt-0.5" />
+              <p className="text-sm text-yellow-800">
+                This workspace's API keys and passwords are only kept, unencrypted, in this browser. Choose a
+                passphrase to encrypt them and store them with the workspace.
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Choose a passphrase before entering API keys. You'll be asked for it once per session; team members
+              who generate or publish need it too. It can't be recovered if it is lost.
+            </p>
+          )}
+          <PassphraseForm submitLabel="Create vault" busy={busyAction === 'passphrase'} onSubmit={handleSetPassphrase} />
+        </div>
+      )}
+
+      {vaultStatus === 'locked' && (
+        <div className="space-y-3">
+          <form onSubmit={handleUnlock} className="flex items-center space-x-2">
+            <input
+              type="password"
+              value={unlockPassphrase}
+              onChange={(e) => setUnlockPassphrase(e.target.value)}
+              placeholder="Vault passphrase"
+              autoComplete="current-password"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={!unlockPassphrase || !!busyAction}
+              className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <SafeIcon icon={busyAction === 'unlock' ? FiLoader : FiUnlock} className={busyAction === 'unlock' ? 'animate-spin' : ''} />
+              <span>Unlock</span>
+            </button>
+          </form>
+          <button
+            type="button"
+            onClick={handleReset}
+            disabled={!!busyAction}
+            className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            Forgot the passphrase? Reset the vault
+          </button>
+        </div>
+      )}
+
+      {vaultStatus === 'unlocked' && (
+        <div className="space-y-4">
+          <div className="flex items-center space-x-3">
+            <label className="text-sm font-medium text-gray-700">Lock after inactivity</label>
+            <select
+              value={Number(settings.vaultAutoLockMinutes) || 0}
+              onChange={(e) => handleAutoLockChange(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {AUTO_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes === 0 ? 'Never' : minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setShowChangePassphrase(!showChangePassphrase)}
+              className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+            >
+              <SafeIcon icon={FiKey} />
+              <span>Change passphrase</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowExport(!showExport)}
+              className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+            >
+              <SafeIcon icon={FiDownload} />
+              <span>Export encrypted bundle</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+            >
+              <SafeIcon icon={FiUpload} />
+              <span>Import bundle</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => {
+                setImportFile(e.target.files[0] || null);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </div>
+
+          {showChangePassphrase && (
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600 mb-3">Team members will need the new passphrase to unlock the vault.</p>
+              <PassphraseForm
+                submitLabel="Change passphrase"
+                busy={busyAction === 'passphrase'}
+                onSubmit={handleSetPassphrase}
+                onCancel={() => setShowChangePassphrase(false)}
+              />
+            </div>
+          )}
+
+          {showExport && (
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600 mb-3">
+                The bundle contains all settings of this workspace, credentials included, encrypted with the
+                passphrase you choose here. Import it on another machine or into another workspace.
+              </p>
+              <PassphraseForm
+                submitLabel="Export"
+                busy={busyAction === 'export'}
+                onSubmit={handleExport}
+                onCancel={() => setShowExport(false)}
+              />
+            </div>
+          )}
+
+          {importFile && (
+            <form onSubmit={handleImport} className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <p className="text-sm text-gray-600">
+                Enter the passphrase <span className="font-medium">{importFile.name}</span> was exported with.
+              </p>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="password"
+                  value={importPassphrase}
+                  onChange={(e) => setImportPassphrase(e.target.value)}
+                  placeholder="Bundle passphrase"
+                  autoComplete="off"
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={!importPassphrase || !!busyAction}
+                  className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <SafeIcon icon={busyAction === 'import' ? FiLoader : FiUpload} className={busyAction === 'import' ? 'animate-spin' : ''} />
+                  <span>Import</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setImportFile(null);
+                    setImportPassphrase('');
+                  }}
+                  className="px-4 py-2 text-gray-600 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default CredentialVaultPanel;
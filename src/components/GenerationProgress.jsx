@@ -3,9 +3,22 @@ import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiSearch, FiBookOpen, FiLayers, FiEdit, FiCheck } = FiIcons;
+const { FiSearch, FiBookOpen, FiLayers, FiEdit, FiCheck, FiAlertTriangle, FiAlertCircle } = FiIcons;
 
-const GenerationProgress = ({ progress, isVisible }) => {
+const MAX_LISTED_ERRORS = 6;
+
+const ErrorList = ({ errors }) => (
+  <ul className="mt-1 space-y-0.5 font-mono">
+    {errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+      <li key={index} className="break-words">• {error}</li>
+    ))}
+    {errors.length > MAX_LISTED_ERRORS && (
+      <li>…and {errors.length - MAX_LISTED_ERRORS} more</li>
+    )}
+  </ul>
+);
+
+const GenerationProgress = ({ progress, isVisible, issues = [], error = null, onDismiss }) => {
   const getStepIcon = (step) => {
     switch (step) {
       case 'research': return FiSearch;
@@ -37,7 +50,41 @@ const GenerationProgress = ({ progress, isVisible }) => {
     { key: 'complete', title: 'Complete', description: 'Ebook outline ready for review' }
   ];
 
-  if (!isVisible) return null;
+  if (!isVisible && !error) return null;
+
+  if (!isVisible && error) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      >
+        <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 p-6">
+          <div className="text-center mb-4">
+            <div className="mx-auto h-16 w-16 bg-red-100 rounded-full flex items-center justify-center mb-4">
+              <SafeIcon icon={FiAlertCircle} className="text-2xl text-red-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Outline Generation Failed</h3>
+            <p className="text-sm text-gray-600 mt-1">{error.message}</p>
+          </div>
+
+          {error.validationErrors?.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-800 max-h-60 overflow-y-auto">
+              <p className="font-medium">The model's last response did not match the expected structure:</p>
+              <ErrorList errors={error.validationErrors} />
+            </div>
+          )}
+
+          <button
+            onClick={onDismiss}
+            className="mt-6 w-full px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </motion.div>
+    );
+  }
 
   return (
     <motion.div
@@ -114,6 +161,25 @@ const GenerationProgress = ({ progress, isVisible }) => {
           })}
         </div>
 
+        {/* Schema validation retries */}
+        {issues.length > 0 && (
+          <div className="mt-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-xs text-yellow-800 max-h-40 overflow-y-auto">
+            <div className="flex items-center space-x-2 font-medium">
+              <SafeIcon icon={FiAlertTriangle} className="text-yellow-600" />
+              <span>Validation issues ({issues.length})</span>
+            </div>
+            {issues.slice(-3).map((issue, index) => (
+              <div key={index} className="mt-2">
+                <p className="font-medium">
+                  {issue.label} — attempt {issue.attempt}/{issue.maxAttempts}
+                  {issue.attempt < issue.maxAttempts ? ', retrying' : ', giving up'}
+                </p>
+                <ErrorList errors={issue.errors} />
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="mt-6 text-center">
           <p className="text-xs text-gray-500">
             This process typically takes 2-3 minutes
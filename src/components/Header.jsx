@@ -1,12 +1,18 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useSettings } from '../contexts/SettingsContext';
+import { WORKSPACE_ROLES } from '../services/workspaces';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiUser, FiLogOut } = FiIcons;
+const { FiUser, FiLogOut, FiUsers, FiMail, FiLock, FiUnlock } = FiIcons;
 
 const Header = () => {
   const { user, logout } = useAuth();
+  const { workspaces, currentWorkspace, currentRole, pendingInvitations, switchWorkspace } = useWorkspace();
+  const { vaultStatus, lockVault, openUnlockPrompt } = useSettings();
 
   return (
     <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
@@ -21,6 +27,47 @@ const Header = () => {
         </div>
         
         <div className="flex items-center space-x-4">
+          {currentWorkspace && (
+            <div className="flex items-center space-x-2 text-sm text-gray-600">
+              <SafeIcon icon={FiUsers} />
+              <select
+                value={currentWorkspace.id}
+                onChange={(e) => switchWorkspace(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                title="Switch workspace"
+              >
+                {workspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500">{WORKSPACE_ROLES[currentRole]?.label}</span>
+            </div>
+          )}
+
+          {pendingInvitations.length > 0 && (
+            <Link
+              to="/team"
+              className="flex items-center space-x-1 px-2 py-1 text-sm text-primary-700 bg-primary-50 rounded-lg hover:bg-primary-100"
+              title="Workspace invitations"
+            >
+              <SafeIcon icon={FiMail} />
+              <span>{pendingInvitations.length}</span>
+            </Link>
+          )}
+
+          {vaultStatus !== 'unprotected' && (
+            <button
+              onClick={vaultStatus === 'unlocked' ? lockVault : openUnlockPrompt}
+              className={`flex items-center space-x-1 px-2 py-1 text-sm rounded-lg ${
+                vaultStatus === 'unlocked' ? 'text-green-700 hover:bg-green-50' : 'text-yellow-700 bg-yellow-50 hover:bg-yellow-100'
+              }`}
+              title={vaultStatus === 'unlocked' ? 'Credentials unlocked - click to lock' : 'Credentials locked - click to unlock'}
+            >
+              <SafeIcon icon={vaultStatus === 'unlocked' ? FiUnlock : FiLock} />
+              <span>{vaultStatus === 'unlocked' ? 'Lock' : 'Unlock'}</span>
+            </button>
+          )}
+
           <div className="flex items-center space-x-2 text-sm text-gray-600">
             <SafeIcon icon={FiUser} />
             <span>{user?.email}</span>
@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiEdit2, FiFile, FiLoader, FiTrash2, FiUpload, FiRefreshCw, FiAlertCircle, FiCheck, FiX, FiClock } = FiIcons;
+
+const POLL_INTERVAL_MS = 3000;
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' }
+];
+
+// The Files API accepts at most 30 days
+const FILE_EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' }
+];
+
+const FILE_STATUS_STYLES = {
+  completed: { label: 'Ready', className: 'bg-green-100 text-green-800', icon: FiCheck },
+  in_progress: { label: 'Processing', className: 'bg-yellow-100 text-yellow-800', icon: FiLoader },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800', icon: FiAlertCircle },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800', icon: FiX }
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Curate an existing vector store: rename, expiry, add / detach / delete files and watch processing status
+const KnowledgeLibraryManager = ({ store, vectorStoreService, onUpdated, onDeleted }) => {
+  const [files, setFiles] = useState([]);
+  const [isLoadingFiles, setIsLoadingFiles] = useState(true);
+  const [name, setName] = useState(store.name || '');
+  const [libraryExpiryDays, setLibraryExpiryDays] = useState(store.expires_after?.days ? String(store.expires_after.days) : '');
+  const [newFiles, setNewFiles] = useState([]);
+  const [fileExpiryDays, setFileExpiryDays] = useState('');
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [deleteUploadedFiles, setDeleteUploadedFiles] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [updatedStore, storeFiles] = await Promise.all([
+        vectorStoreService.getVectorStore(store.id),
+        vectorStoreService.listVectorStoreFiles(store.id)
+      ]);
+      setFiles(storeFiles);
+      onUpdated(updatedStore);
+      setError(null);
+    } catch (loadError) {
+      console.error('Error refreshing library:', loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoadingFiles(false);
+    }
+  }, [store.id, vectorStoreService, onUpdated]);
+
+  useEffect(() => {
+    setIsLoadingFiles(true);
+    setName(store.name || '');
+    refresh();
+    // Reload only when a different library is opened
+  }, [store.id]);
+
+  // Poll while files are still being chunked and embedded
+  const isProcessing = files.some(file => file.status === 'in_progress') || store.status === 'in_progress';
+  useEffect(() => {
+    if (!isProcessing) return undefined;
+    const timer = setTimeout(refresh, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isProcessing, files, refresh]);
+
+  const runAction = async (action, task) => {
+    setBusyAction(action);
+    setError(null);
+    try {
+      await task();
+    } catch (actionError) {
+      console.error(`Library ${action} failed:`, actionError);
+      setError(actionError.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const saveDetails = () => runAction('save', async () => {
+    const updatedStore = await vectorStoreService.updateVectorStore(store.id, {
+      name: name.trim(),
+      expiresAfterDays: libraryExpiryDays ? parseInt(libraryExpiryDays) : null
+    });
+    onUpdated(updatedStore);
+  });
+
+  const addFiles = () => runAction('upload', async () => {
+    const uploaded = await vectorStoreService.uploadFiles(newFiles, {
+      expiresAfterDays: fileExpiryDays ? parseInt(fileExpiryDays) : null
+    });
+    await vectorStoreService.addFilesToVectorStore(store.id, uploaded.map(file => file.id));
+    setNewFiles([]);
+    await refresh();
+  });
+
+  const detachFile = (file) => runAction(`detach-${file.id}`, async () => {
+    await vectorStoreService.detachFile(store.id, file.id);
+    await refresh();
+  });
+
+  const deleteFile = (file) => {
+    if (!window.confirm(`Delete "${file.filename}" from OpenAI storage? It will also be removed from any other library that uses it.`)) {
+      return;
+    }
+    runAction(`delete-${file.id}`, async () => {
+      await vectorStoreService.deleteFile(file.id);
+      await refresh();
+    });
+  };
+
+  const deleteLibrary = () => {
+    if (!window.confirm(`Delete the library "${store.name}"? Lessons and chapters that use it will be generated without RAG.`)) {
+      return;
+    }
+    runAction('deleteLibrary', async () => {
+      await vectorStoreService.deleteVectorStore(store.id, { deleteFiles: deleteUploadedFiles });
+      onDeleted(store.id);
+    });
+  };
+
+  return (
+    <div className="p-4 border border-primary-200 bg-primary-50 bg-opacity-30 rounded-lg space-y-5">
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-md">
+          <SafeIcon icon={FiAlertCircle} className="text-red-600 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Name and library expiry */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+        <div className="sm:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Library Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expire When Unused For</label>
+          <select
+            value={libraryExpiryDays}
+            onChange={(e) => setLibraryExpiryDays(e.target.value)}
+            className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value} disabled={!option.value && !!store.expires_after}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="flex justify-end">
+        <button
+          onClick={saveDetails}
+          disabled={!name.trim() || !!busyAction}
+          className="flex items-center space-x-2 text-sm bg-primary-600 text-white px-3 py-1.5 rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          <SafeIcon icon={busyAction === 'save' ? FiLoader : FiEdit2} className={busyAction === 'save' ? 'animate-spin' : ''} />
+          <span>Save Changes</span>
+        </button>
+      </div>
+
+      {/* Files */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h5 className="text-sm font-medium text-gray-900">
+            Files ({files.length})
+            {isProcessing && <span className="ml-2 text-xs text-yellow-700">Processing, checking every few seconds...</span>}
+          </h5>
+          <button
+            onClick={refresh}
+            className="text-gray-500 hover:text-gray-700"
+            title="Refresh status"
+          >
+            <SafeIcon icon={FiRefreshCw} className="text-sm" />
+          </button>
+        </div>
+
+        {isLoadingFiles ? (
+          <div className="flex items-center py-4 text-sm text-gray-600">
+            <SafeIcon icon={FiLoader} className="animate-spin mr-2" />
+            <span>Loading files...</span>
+          </div>
+        ) : files.length === 0 ? (
+          <p className="text-sm text-gray-500 py-2">This library has no files.</p>
+        ) : (
+          <div className="space-y-2 max-h-48 overflow-y-auto">
+            {files.map(file => {
+              const status = FILE_STATUS_STYLES[file.status] || FILE_STATUS_STYLES.in_progress;
+              return (
+                <div key={file.id} className="flex items-center justify-between p-2 bg-white border border-gray-200 rounded">
+                  <div className="flex items-center space-x-2 min-w-0">
+                    <SafeIcon icon={FiFile} className="text-gray-500 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{file.filename}</p>
+                      <p className="text-xs text-gray-500">
+                        {formatFileSize(file.bytes)}
+                        {file.expiresAt && (
+                          <span className="ml-2 inline-flex items-center">
+                            <SafeIcon icon={FiClock} className="mr-1" />
+                            Expires {new Date(file.expiresAt).toLocaleDateString()}
+                          </span>
+                        )}
+                      </p>
+                      {file.lastError && (
+                        <p className="text-xs text-red-600">{file.lastError.message || file.lastError.code}</p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                      <SafeIcon icon={status.icon} className={`mr-1 ${file.status === 'in_progress' ? 'animate-spin' : ''}`} />
+                      {status.label}
+                    </span>
+                    <button
+                      onClick={() => detachFile(file)}
+                      disabled={!!busyAction}
+                      className="text-xs text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                      title="Remove from this library but keep the uploaded file"
+                    >
+                      {busyAction === `detach-${file.id}` ? 'Removing...' : 'Remove'}
+                    </button>
+                    <button
+                      onClick={() => deleteFile(file)}
+                      disabled={!!busyAction}
+                      className="text-red-600 hover:text-red-700 p-1 disabled:opacity-50"
+                      title="Delete the uploaded file"
+                    >
+                      <SafeIcon icon={busyAction === `delete-${file.id}` ? FiLoader : FiTrash2} className={`text-sm ${busyAction === `delete-${file.id}` ? 'animate-spin' : ''}`} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Add files */}
+      <div className="space-y-2">
+        <h5 className="text-sm font-medium text-gray-900">Add Files</h5>
+        <input
+          type="file"
+          multiple
+          accept=".pdf,.txt,.md,.doc,.docx"
+          onChange={(e) => setNewFiles(Array.from(e.target.files))}
+          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+        />
+        <div className="flex items-center justify-between">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Delete uploaded files after</span>
+            <select
+              value={fileExpiryDays}
+              onChange={(e) => setFileExpiryDays(e.target.value)}
+              className="py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {FILE_EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={addFiles}
+            disabled={newFiles.length === 0 || !!busyAction}
+            className="flex items-center space-x-2 text-sm bg-primary-600 text-white px-3 py-1.5 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            <SafeIcon icon={busyAction === 'upload' ? FiLoader : FiUpload} className={busyAction === 'upload' ? 'animate-spin' : ''} />
+            <span>{busyAction === 'upload' ? 'Uploading...' : `Add ${newFiles.length || ''} File${newFiles.length === 1 ? '' : 's'}`}</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Delete library */}
+      <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={deleteUploadedFiles}
+            onChange={(e) => setDeleteUploadedFiles(e.target.checked)}
+            className="text-red-600 focus:ring-red-500"
+          />
+          <span>Also delete its uploaded files</span>
+        </label>
+        <button
+          onClick={deleteLibrary}
+          disabled={!!busyAction}
+          className="flex items-center space-x-2 text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+        >
+          <SafeIcon icon={busyAction === 'deleteLibrary' ? FiLoader : FiTrash2} className={busyAction === 'deleteLibrary' ? 'animate-spin' : ''} />
+          <span>Delete Library</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KnowledgeLibraryManager;
@@ -1,15 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useSettings } from '../contexts/SettingsContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import VectorStoreService from '../services/vectorStoreService';
+import LocalRagService, { isLocalLibraryId } from '../services/localRagService';
+import { getConfiguredProviders, getUpstreamAccess, isProviderConfigured } from '../services/providers';
+import KnowledgeLibraryManager from './KnowledgeLibraryManager';
+import LocalKnowledgeLibraryManager, { LOCAL_LIBRARY_ACCEPT } from './LocalKnowledgeLibraryManager';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiX, FiDatabase, FiUpload, FiPlus, FiLoader, FiCheck, FiFile, FiTrash2, FiInfo } = FiIcons;
+const { FiX, FiDatabase, FiUpload, FiPlus, FiLoader, FiCheck, FiFile, FiTrash2, FiInfo, FiSettings, FiAlertCircle, FiClock, FiHardDrive } = FiIcons;
+
+const DEFAULT_OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
 
 const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = null, level, title }) => {
   const { settings } = useSettings();
+  const { user } = useAuth();
+  const { currentWorkspace, can } = useWorkspace();
+  // Reviewers may pick a library for the outline but not create or change libraries
+  const canManageLibraries = can('manageLibraries');
   const [vectorStores, setVectorStores] = useState([]);
+  const [localLibraries, setLocalLibraries] = useState([]);
   const [selectedLibraryId, setSelectedLibraryId] = useState(currentLibraryId);
   const [isLoadingLibraries, setIsLoadingLibraries] = useState(false);
   const [showCreateNew, setShowCreateNew] = useState(false);
@@ -17,32 +30,81 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isCreatingLibrary, setIsCreatingLibrary] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({ current: 0, total: 0, fileName: '' });
+  const [newLibraryExpiryDays, setNewLibraryExpiryDays] = useState('');
+  const [newFileExpiryDays, setNewFileExpiryDays] = useState('');
+  const [managedLibraryId, setManagedLibraryId] = useState(null);
+  const [error, setError] = useState(null);
+  // 'openai' stores files in an OpenAI vector store; 'local' parses and indexes them in this browser
+  const openaiAccess = getUpstreamAccess(settings, 'openai');
+  const [newLibraryBackend, setNewLibraryBackend] = useState(openaiAccess ? 'openai' : 'local');
+  const [embeddingProviderId, setEmbeddingProviderId] = useState('');
+  const [embeddingModel, setEmbeddingModel] = useState('');
+
+  const vectorStoreService = useMemo(
+    () => new VectorStoreService(openaiAccess?.apiKey, { baseUrl: openaiAccess?.baseUrl }),
+    [openaiAccess?.apiKey, openaiAccess?.baseUrl]
+  );
+  const localRagService = useMemo(() => new LocalRagService(settings).setWorkspace(currentWorkspace?.id || null, {
+    userId: user?.id || null,
+    adoptLegacy: !!currentWorkspace?.personal && currentWorkspace.ownerId === user?.id
+  }), [settings, user?.id, currentWorkspace?.id]);
+
+  // Anthropic has no embeddings endpoint
+  const embeddingProviders = useMemo(
+    () => getConfiguredProviders(settings).filter(provider => provider.type !== 'anthropic' && isProviderConfigured(settings, provider.id)),
+    [settings]
+  );
 
   useEffect(() => {
-    if (isOpen && settings.openaiPrimary) {
-      loadVectorStores();
+    if (isOpen) {
+      loadLibraries();
     }
-  }, [isOpen, settings.openaiPrimary]);
+  }, [isOpen, openaiAccess?.apiKey, openaiAccess?.baseUrl]);
 
-  const loadVectorStores = async () => {
+  const loadLibraries = async () => {
     setIsLoadingLibraries(true);
+    setError(null);
     try {
-      const vectorStoreService = new VectorStoreService(settings.openaiPrimary);
-      const stores = await vectorStoreService.listVectorStores();
+      const [stores, libraries] = await Promise.all([
+        openaiAccess ? vectorStoreService.listVectorStores() : [],
+        localRagService.listLibraries()
+      ]);
       setVectorStores(stores);
-    } catch (error) {
-      console.error('Error loading vector stores:', error);
-      // Don't show error toast, just log it
+      setLocalLibraries(libraries);
+    } catch (loadError) {
+      console.error('Error loading knowledge libraries:', loadError);
+      setError(loadError.message);
     } finally {
       setIsLoadingLibraries(false);
     }
   };
 
+  const handleEmbeddingProviderChange = (providerId) => {
+    setEmbeddingProviderId(providerId);
+    const provider = embeddingProviders.find(item => item.id === providerId);
+    setEmbeddingModel(provider?.builtIn ? DEFAULT_OPENAI_EMBEDDING_MODEL : '');
+  };
+
   const handleFileSelect = (event) => {
     const files = Array.from(event.target.files);
     setSelectedFiles(files);
   };
 
+  const handleLibraryUpdated = useCallback((updatedStore) => {
+    setVectorStores(prev => prev.map(store => store.id === updatedStore.id ? updatedStore : store));
+  }, []);
+
+  const handleLocalLibraryUpdated = useCallback((updatedLibrary) => {
+    setLocalLibraries(prev => prev.map(library => library.id === updatedLibrary.id ? updatedLibrary : library));
+  }, []);
+
+  const handleLibraryDeleted = useCallback((libraryId) => {
+    setVectorStores(prev => prev.filter(store => store.id !== libraryId));
+    setLocalLibraries(prev => prev.filter(library => library.id !== libraryId));
+    setSelectedLibraryId(prev => prev === libraryId ? null : prev);
+    setManagedLibraryId(null);
+  }, []);
+
   const removeFile = (index) => {
     setSelectedFiles(prev => prev.filter((_, i) => i !== index));
   };
@@ -52,10 +114,14 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
       return;
     }
 
+    if (newLibraryBackend === 'local') {
+      await createLocalLibrary();
+      return;
+    }
+
     setIsCreatingLibrary(true);
+    setError(null);
     try {
-      const vectorStoreService = new VectorStoreService(settings.openaiPrimary);
-      
       // Step 1: Upload files
       setUploadProgress({ current: 0, total: selectedFiles.length, fileName: '' });
       
@@ -64,7 +130,9 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
         const file = selectedFiles[i];
         setUploadProgress({ current: i + 1, total: selectedFiles.length, fileName: file.name });
         
-        const uploadedFile = await vectorStoreService.uploadFile(file);
+        const uploadedFile = await vectorStoreService.uploadFile(file, {
+          expiresAfterDays: newFileExpiryDays ? parseInt(newFileExpiryDays) : null
+        });
         uploadedFiles.push(uploadedFile);
       }
 
@@ -72,7 +140,9 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
       setUploadProgress({ current: selectedFiles.length, total: selectedFiles.length, fileName: 'Creating library...' });
       
       const fileIds = uploadedFiles.map(file => file.id);
-      const vectorStore = await vectorStoreService.createVectorStore(newLibraryName.trim(), fileIds);
+      const vectorStore = await vectorStoreService.createVectorStore(newLibraryName.trim(), fileIds, {
+        expiresAfterDays: newLibraryExpiryDays ? parseInt(newLibraryExpiryDays) : null
+      });
       
       // Add to local list and select it
       setVectorStores(prev => [vectorStore, ...prev]);
@@ -80,10 +150,41 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
       setShowCreateNew(false);
       setNewLibraryName('');
       setSelectedFiles([]);
+      // Files are still being processed; open the manager so their status can be followed
+      setManagedLibraryId(vectorStore.id);
       
-    } catch (error) {
-      console.error('Error creating library:', error);
-      // Show error in UI instead of toast
+    } catch (createError) {
+      console.error('Error creating library:', createError);
+      setError(createError.message);
+    } finally {
+      setIsCreatingLibrary(false);
+      setUploadProgress({ current: 0, total: 0, fileName: '' });
+    }
+  };
+
+  const createLocalLibrary = async () => {
+    setIsCreatingLibrary(true);
+    setError(null);
+    try {
+      const { library, failed } = await localRagService.createLibrary(newLibraryName.trim(), selectedFiles, {
+        embedding: embeddingProviderId ? { providerId: embeddingProviderId, model: embeddingModel.trim() } : null,
+        onProgress: ({ current, total, fileName }) => setUploadProgress({ current, total, fileName, action: 'Indexing' })
+      });
+
+      setLocalLibraries(prev => [library, ...prev]);
+      setShowCreateNew(false);
+      setNewLibraryName('');
+      setSelectedFiles([]);
+      setManagedLibraryId(library.id);
+      if (library.documents.length > 0) {
+        setSelectedLibraryId(library.id);
+      }
+      if (failed.length > 0) {
+        setError(`Some files could not be indexed:\n${failed.map(item => `${item.fileName}: ${item.error}`).join('\n')}`);
+      }
+    } catch (createError) {
+      console.error('Error creating local library:', createError);
+      setError(createError.message);
     } finally {
       setIsCreatingLibrary(false);
       setUploadProgress({ current: 0, total: 0, fileName: '' });
@@ -103,6 +204,12 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  const managedLibrary = isLocalLibraryId(managedLibraryId)
+    ? localLibraries.find(library => library.id === managedLibraryId)
+    : vectorStores.find(store => store.id === managedLibraryId);
+  const canCreateLibrary = newLibraryName.trim() && selectedFiles.length > 0 && !isCreatingLibrary &&
+    (newLibraryBackend === 'local' ? !embeddingProviderId || embeddingModel.trim() : !!openaiAccess);
+
   if (!isOpen) return null;
 
   return (
@@ -152,6 +259,7 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                 <p>
                   Select a knowledge library to enhance content generation with relevant context from your documents.
                   Files are processed with 650-token chunks and 250-token overlaps for optimal retrieval.
+                  Local libraries are indexed in this browser and work offline with any LLM provider.
                 </p>
                 {level === 'topic' && (
                   <p className="mt-2 text-xs">
@@ -163,17 +271,26 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
             </div>
           </div>
 
+          {error && (
+            <div className="mb-6 flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <SafeIcon icon={FiAlertCircle} className="text-red-600 mt-0.5" />
+              <p className="text-sm text-red-700 whitespace-pre-line">{error}</p>
+            </div>
+          )}
+
           {/* Existing Libraries */}
           <div className="mb-6">
             <div className="flex items-center justify-between mb-4">
               <h4 className="text-md font-medium text-gray-900">Existing Libraries</h4>
-              <button
-                onClick={() => setShowCreateNew(!showCreateNew)}
-                className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 text-sm font-medium"
-              >
-                <SafeIcon icon={FiPlus} />
-                <span>Add New Library</span>
-              </button>
+              {canManageLibraries && (
+                <button
+                  onClick={() => setShowCreateNew(!showCreateNew)}
+                  className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 text-sm font-medium"
+                >
+                  <SafeIcon icon={FiPlus} />
+                  <span>Add New Library</span>
+                </button>
+              )}
             </div>
 
             {isLoadingLibraries ? (
@@ -181,7 +298,7 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                 <SafeIcon icon={FiLoader} className="animate-spin mr-2" />
                 <span className="text-gray-600">Loading libraries...</span>
               </div>
-            ) : vectorStores.length === 0 ? (
+            ) : vectorStores.length === 0 && localLibraries.length === 0 ? (
               <div className="text-center py-8 text-gray-500">
                 <SafeIcon icon={FiDatabase} className="text-3xl mx-auto mb-2 opacity-50" />
                 <p>No libraries found. Create your first knowledge library below.</p>
@@ -219,20 +336,110 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                     />
                     <SafeIcon icon={FiDatabase} className="text-primary-600" />
                     <div className="flex-1">
-                      <p className="font-medium text-gray-900">{store.name}</p>
+                      <p className="font-medium text-gray-900">
+                        {store.name}
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800">OpenAI</span>
+                      </p>
                       <p className="text-sm text-gray-600">
                         {store.file_counts?.total || 0} files • Created {new Date(store.created_at * 1000).toLocaleDateString()}
+                        {store.file_counts?.in_progress > 0 && ` • ${store.file_counts.in_progress} processing`}
+                        {store.file_counts?.failed > 0 && ` • ${store.file_counts.failed} failed`}
                       </p>
+                      {store.expires_at && (
+                        <p className="text-xs text-gray-500 flex items-center">
+                          <SafeIcon icon={FiClock} className="mr-1" />
+                          Expires {new Date(store.expires_at * 1000).toLocaleDateString()} unless used again
+                        </p>
+                      )}
                     </div>
+                    {canManageLibraries && (
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setManagedLibraryId(managedLibraryId === store.id ? null : store.id);
+                        }}
+                        className={`p-2 rounded-full hover:bg-gray-100 ${managedLibraryId === store.id ? 'text-primary-600' : 'text-gray-500'}`}
+                        title="Manage library"
+                      >
+                        <SafeIcon icon={FiSettings} />
+                      </button>
+                    )}
+                  </label>
+                ))}
+                {localLibraries.map((library) => (
+                  <label
+                    key={library.id}
+                    className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="radio"
+                      name="library"
+                      value={library.id}
+                      checked={selectedLibraryId === library.id}
+                      onChange={() => setSelectedLibraryId(library.id)}
+                      className="text-primary-600 focus:ring-primary-500"
+                    />
+                    <SafeIcon icon={FiHardDrive} className="text-primary-600" />
+                    <div className="flex-1">
+                      <p className="font-medium text-gray-900">
+                        {library.name}
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">Local</span>
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {library.documents.length} files • {library.chunkCount} chunks • {library.embedding ? `Embeddings: ${library.embedding.model}` : 'Keyword search'}
+                      </p>
+                    </div>
+                    {canManageLibraries && (
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setManagedLibraryId(managedLibraryId === library.id ? null : library.id);
+                        }}
+                        className={`p-2 rounded-full hover:bg-gray-100 ${managedLibraryId === library.id ? 'text-primary-600' : 'text-gray-500'}`}
+                        title="Manage library"
+                      >
+                        <SafeIcon icon={FiSettings} />
+                      </button>
+                    )}
                   </label>
                 ))}
               </div>
             )}
+            {currentLibraryId && !isLoadingLibraries && !vectorStores.some(store => store.id === currentLibraryId) &&
+              !localLibraries.some(library => library.id === currentLibraryId) && (
+              <p className="mt-2 text-xs text-orange-700">
+                The library currently assigned here ({currentLibraryId}) was not found{isLocalLibraryId(currentLibraryId) ? ' in this browser' : ''}.
+              </p>
+            )}
           </div>
 
+          {/* Manage Library Section */}
+          {managedLibrary && canManageLibraries && (
+            <div className="mb-6">
+              <h4 className="text-md font-medium text-gray-900 mb-4">Manage "{managedLibrary.name}"</h4>
+              {isLocalLibraryId(managedLibrary.id) ? (
+                <LocalKnowledgeLibraryManager
+                  library={managedLibrary}
+                  localRagService={localRagService}
+                  onUpdated={handleLocalLibraryUpdated}
+                  onDeleted={handleLibraryDeleted}
+                />
+              ) : (
+                <KnowledgeLibraryManager
+                  store={managedLibrary}
+                  vectorStoreService={vectorStoreService}
+                  onUpdated={handleLibraryUpdated}
+                  onDeleted={handleLibraryDeleted}
+                />
+              )}
+            </div>
+          )}
+
           {/* Create New Library Section */}
           <AnimatePresence>
-            {showCreateNew && (
+            {showCreateNew && canManageLibraries && (
               <motion.div
                 initial={{ height: 0, opacity: 0 }}
                 animate={{ height: 'auto', opacity: 1 }}
@@ -255,6 +462,43 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                     />
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Storage
+                    </label>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <label className={`flex items-start space-x-2 p-3 border rounded-lg cursor-pointer ${newLibraryBackend === 'openai' ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}>
+                        <input
+                          type="radio"
+                          name="libraryBackend"
+                          checked={newLibraryBackend === 'openai'}
+                          onChange={() => setNewLibraryBackend('openai')}
+                          disabled={!openaiAccess}
+                          className="mt-1 text-primary-600 focus:ring-primary-500"
+                        />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">OpenAI Vector Store</p>
+                          <p className="text-xs text-gray-600">
+                            {openaiAccess ? 'Files are uploaded and searched by OpenAI file_search' : 'Requires an OpenAI API key in Settings'}
+                          </p>
+                        </div>
+                      </label>
+                      <label className={`flex items-start space-x-2 p-3 border rounded-lg cursor-pointer ${newLibraryBackend === 'local' ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}>
+                        <input
+                          type="radio"
+                          name="libraryBackend"
+                          checked={newLibraryBackend === 'local'}
+                          onChange={() => setNewLibraryBackend('local')}
+                          className="mt-1 text-primary-600 focus:ring-primary-500"
+                        />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">Local (this browser)</p>
+                          <p className="text-xs text-gray-600">Parsed and indexed in IndexedDB; nothing is uploaded</p>
+                        </div>
+                      </label>
+                    </div>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Select Files
@@ -262,15 +506,83 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                     <input
                       type="file"
                       multiple
-                      accept=".pdf,.txt,.md,.doc,.docx"
+                      accept={newLibraryBackend === 'local' ? LOCAL_LIBRARY_ACCEPT : '.pdf,.txt,.md,.doc,.docx'}
                       onChange={handleFileSelect}
                       className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
                     />
                     <p className="text-xs text-gray-500 mt-1">
-                      Supported formats: PDF, TXT, MD, DOC, DOCX
+                      Supported formats: {newLibraryBackend === 'local' ? 'PDF, DOCX, TXT, MD' : 'PDF, TXT, MD, DOC, DOCX'}
                     </p>
                   </div>
 
+                  {newLibraryBackend === 'local' ? (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Search Method
+                        </label>
+                        <select
+                          value={embeddingProviderId}
+                          onChange={(e) => handleEmbeddingProviderChange(e.target.value)}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          <option value="">Keyword search (BM25, no embeddings)</option>
+                          {embeddingProviders.map(provider => (
+                            <option key={provider.id} value={provider.id}>Embeddings via {provider.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {embeddingProviderId && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Embedding Model
+                          </label>
+                          <input
+                            type="text"
+                            value={embeddingModel}
+                            onChange={(e) => setEmbeddingModel(e.target.value)}
+                            placeholder="e.g. text-embedding-3-small, nomic-embed-text"
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                          />
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Expire Library When Unused For
+                        </label>
+                        <select
+                          value={newLibraryExpiryDays}
+                          onChange={(e) => setNewLibraryExpiryDays(e.target.value)}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          <option value="">Never</option>
+                          <option value="7">7 days</option>
+                          <option value="30">30 days</option>
+                          <option value="90">90 days</option>
+                          <option value="365">1 year</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Delete Uploaded Files After
+                        </label>
+                        <select
+                          value={newFileExpiryDays}
+                          onChange={(e) => setNewFileExpiryDays(e.target.value)}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          <option value="">Never</option>
+                          <option value="1">1 day</option>
+                          <option value="7">7 days</option>
+                          <option value="30">30 days</option>
+                        </select>
+                      </div>
+                    </div>
+                  )}
+
                   {selectedFiles.length > 0 && (
                     <div>
                       <p className="text-sm font-medium text-gray-700 mb-2">Selected Files:</p>
@@ -301,13 +613,15 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
                       <div className="flex items-center space-x-3">
                         <SafeIcon icon={FiLoader} className="animate-spin text-blue-600" />
                         <div className="flex-1">
-                          <p className="text-sm font-medium text-blue-900">Creating Library...</p>
+                          <p className="text-sm font-medium text-blue-900">
+                            {newLibraryBackend === 'local' ? 'Indexing Library...' : 'Creating Library...'}
+                          </p>
                           {uploadProgress.total > 0 && (
                             <div className="mt-2">
                               <p className="text-xs text-blue-700">
                                 {uploadProgress.fileName === 'Creating library...' 
                                   ? 'Creating library...'
-                                  : `Uploading: ${uploadProgress.fileName} (${uploadProgress.current}/${uploadProgress.total})`
+                                  : `${uploadProgress.action || 'Uploading'}: ${uploadProgress.fileName} (${uploadProgress.current}/${uploadProgress.total})`
                                 }
                               </p>
                               <div className="w-full bg-blue-200 rounded-full h-2 mt-1">
@@ -327,7 +641,7 @@ const KnowledgeLibraryModal = ({ isOpen, onClose, onSave, currentLibraryId = nul
 
                   <button
                     onClick={createNewLibrary}
-                    disabled={!newLibraryName.trim() || selectedFiles.length === 0 || isCreatingLibrary}
+                    disabled={!canCreateLibrary}
                     className="flex items-center space-x-2 bg-primary-600 text-white px-4 py-2 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {isCreatingLibrary ? (
@@ -1,9 +1,14 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
+import { AnimatePresence } from 'framer-motion';
+import { useSettings } from '../contexts/SettingsContext';
 import Sidebar from './Sidebar';
 import Header from './Header';
+import VaultUnlockModal from './VaultUnlockModal';
 
 const Layout = () => {
+  const { vaultStatus, unlockPromptOpen, closeUnlockPrompt } = useSettings();
+
   return (
     <div className="flex h-screen bg-gray-50">
       <Sidebar />
@@ -13,6 +18,12 @@ const Layout = () => {
           <Outlet />
         </main>
       </div>
+
+      <AnimatePresence>
+        {unlockPromptOpen && vaultStatus === 'locked' && (
+          <VaultUnlockModal onClose={closeUnlockPrompt} />
+        )}
+      </AnimatePresence>
     </div>
   );
 };
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useEbook } from '../contexts/EbookContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiEdit3, FiStopCircle } = FiIcons;
+
+const BLOCKED_TAGS = 'script, style, iframe, object, embed, link, meta, form';
+
+// Streamed HTML comes straight from the model: drop active content before rendering it
+const sanitizePreviewHtml = (html) => {
+  const cleaned = html.replace(/^\s*```(?:html)?\s*/i, '').replace(/<[^>]*$/, '');
+  const doc = new DOMParser().parseFromString(cleaned, 'text/html');
+  doc.querySelectorAll(BLOCKED_TAGS).forEach(node => node.remove());
+  doc.body.querySelectorAll('*').forEach(node => {
+    Array.from(node.attributes).forEach(attribute => {
+      if (/^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value)) {
+        node.removeAttribute(attribute.name);
+      }
+    });
+  });
+  return doc.body.innerHTML;
+};
+
+const toPlainText = (html) => html.replace(/<[^>]*>?/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Live view of the sections being written during publishing; compact mode is used by the minimized indicator
+const LiveSectionPreview = ({ compact = false }) => {
+  const { liveSections, stopSectionEarly } = useEbook();
+  const [selectedKey, setSelectedKey] = useState(null);
+  const scrollRef = useRef(null);
+
+  const keys = Object.keys(liveSections);
+  const activeKey = keys.includes(selectedKey) ? selectedKey : keys[0];
+  const section = activeKey ? liveSections[activeKey] : null;
+
+  // Follow the text as it is written
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [section?.html]);
+
+  if (!section) return null;
+
+  if (compact) {
+    const text = toPlainText(section.html);
+    return (
+      <div className="mt-2 max-w-xs">
+        <p className="text-xs font-medium text-blue-700 truncate">
+          Writing: {section.title}{keys.length > 1 ? ` (+${keys.length - 1} more)` : ''}
+        </p>
+        <p className="text-xs text-gray-500 line-clamp-2">
+          {text ? `…${text.slice(-140)}` : 'Waiting for the first words...'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 border border-blue-100 rounded-md">
+      <div className="flex items-center justify-between px-3 py-2 bg-blue-50 border-b border-blue-100">
+        <div className="flex items-center space-x-2 min-w-0">
+          <SafeIcon icon={FiEdit3} className="text-blue-600 animate-pulse flex-shrink-0" />
+          <span className="text-xs font-medium text-blue-900 truncate">Live preview</span>
+        </div>
+        <button
+          type="button"
+          onClick={() => stopSectionEarly(activeKey)}
+          disabled={!section.html || section.stopping}
+          className="flex items-center space-x-1 text-xs text-orange-700 hover:text-orange-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Finish this section now and publish the text written so far"
+        >
+          <SafeIcon icon={FiStopCircle} />
+          <span>{section.stopping ? 'Stopping...' : 'Stop section & keep text'}</span>
+        </button>
+      </div>
+
+      {keys.length > 1 && (
+        <div className="flex flex-wrap gap-1 px-3 pt-2">
+          {keys.map(key => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setSelectedKey(key)}
+              className={`text-xs px-2 py-0.5 rounded-full truncate max-w-[10rem] ${
+                key === activeKey ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title={liveSections[key].title}
+            >
+              {liveSections[key].title}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="px-3 pt-2">
+        <p className="text-sm font-medium text-gray-900 truncate">{section.title}</p>
+      </div>
+      <div ref={scrollRef} className="px-3 pb-3 pt-1 max-h-56 overflow-y-auto">
+        {section.html ? (
+          <div
+            className="prose max-w-none text-sm text-gray-700"
+            dangerouslySetInnerHTML={{ __html: sanitizePreviewHtml(section.html) }}
+          />
+        ) : (
+          <p className="text-xs text-gray-500">Waiting for the first words...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveSectionPreview;
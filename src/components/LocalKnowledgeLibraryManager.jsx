@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiEdit2, FiFile, FiLoader, FiTrash2, FiUpload, FiAlertCircle } = FiIcons;
+
+export const LOCAL_LIBRARY_ACCEPT = '.pdf,.docx,.txt,.md,.markdown';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Curate a local (IndexedDB) library: rename, add / remove documents, delete
+const LocalKnowledgeLibraryManager = ({ library, localRagService, onUpdated, onDeleted }) => {
+  const [name, setName] = useState(library.name || '');
+  const [newFiles, setNewFiles] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setName(library.name || '');
+  }, [library.id]);
+
+  const runAction = async (action, task) => {
+    setBusyAction(action);
+    setError(null);
+    try {
+      await task();
+    } catch (actionError) {
+      console.error(`Local library ${action} failed:`, actionError);
+      setError(actionError.message);
+    } finally {
+      setBusyAction(null);
+      setProgress(null);
+    }
+  };
+
+  const saveName = () => runAction('save', async () => {
+    onUpdated(await localRagService.renameLibrary(library.id, name.trim()));
+  });
+
+  const addFiles = () => runAction('upload', async () => {
+    const { library: updated, failed } = await localRagService.addFiles(library.id, newFiles, { onProgress: setProgress });
+    onUpdated(updated);
+    setNewFiles([]);
+    if (failed.length > 0) {
+      setError(failed.map(item => `${item.fileName}: ${item.error}`).join('\n'));
+    }
+  });
+
+  const removeDocument = (document) => runAction(`remove-${document.id}`, async () => {
+    onUpdated(await localRagService.removeDocument(library.id, document.id));
+  });
+
+  const deleteLibrary = () => {
+    if (!window.confirm(`Delete the local library "${library.name}"? Lessons and chapters that use it will be generated without RAG.`)) {
+      return;
+    }
+    runAction('deleteLibrary', async () => {
+      await localRagService.deleteLibrary(library.id);
+      onDeleted(library.id);
+    });
+  };
+
+  return (
+    <div className="p-4 border border-primary-200 bg-primary-50 bg-opacity-30 rounded-lg space-y-5">
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-md">
+          <SafeIcon icon={FiAlertCircle} className="text-red-600 mt-0.5" />
+          <p className="text-sm text-red-700 whitespace-pre-line">{error}</p>
+        </div>
+      )}
+
+      <div className="flex items-end space-x-3">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Library Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+        <button
+          onClick={saveName}
+          disabled={!name.trim() || name.trim() === library.name || !!busyAction}
+          className="flex items-center space-x-2 text-sm bg-primary-600 text-white px-3 py-2 rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          <SafeIcon icon={busyAction === 'save' ? FiLoader : FiEdit2} className={busyAction === 'save' ? 'animate-spin' : ''} />
+          <span>Rename</span>
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Search: {library.embedding ? `embeddings (${library.embedding.model}), keyword fallback when offline` : 'keyword (BM25), fully offline'}.
+        Stored in this browser only.
+      </p>
+
+      {/* Documents */}
+      <div>
+        <h5 className="text-sm font-medium text-gray-900 mb-2">Documents ({library.documents.length})</h5>
+        {library.documents.length === 0 ? (
+          <p className="text-sm text-gray-500 py-2">This library has no documents.</p>
+        ) : (
+          <div className="space-y-2 max-h-48 overflow-y-auto">
+            {library.documents.map(document => (
+              <div key={document.id} className="flex items-center justify-between p-2 bg-white border border-gray-200 rounded">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <SafeIcon icon={FiFile} className="text-gray-500 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{document.fileName}</p>
+                    <p className="text-xs text-gray-500">
+                      {document.type.toUpperCase()} • {formatFileSize(document.bytes)}
+                      {document.type === 'pdf' || document.type === 'docx' ? ` • ${document.pageCount} pages` : ''} • {document.chunkCount} chunks
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => removeDocument(document)}
+                  disabled={!!busyAction}
+                  className="text-red-600 hover:text-red-700 p-1 disabled:opacity-50"
+                  title="Remove from this library"
+                >
+                  <SafeIcon
+                    icon={busyAction === `remove-${document.id}` ? FiLoader : FiTrash2}
+                    className={`text-sm ${busyAction === `remove-${document.id}` ? 'animate-spin' : ''}`}
+                  />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add documents */}
+      <div className="space-y-2">
+        <h5 className="text-sm font-medium text-gray-900">Add Documents</h5>
+        <input
+          type="file"
+          multiple
+          accept={LOCAL_LIBRARY_ACCEPT}
+          onChange={(e) => setNewFiles(Array.from(e.target.files))}
+          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+        />
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-gray-600">
+            {progress ? `Indexing: ${progress.fileName} (${progress.current}/${progress.total})` : 'PDF, DOCX, TXT and Markdown are parsed in the browser.'}
+          </p>
+          <button
+            onClick={addFiles}
+            disabled={newFiles.length === 0 || !!busyAction}
+            className="flex items-center space-x-2 text-sm bg-primary-600 text-white px-3 py-1.5 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            <SafeIcon icon={busyAction === 'upload' ? FiLoader : FiUpload} className={busyAction === 'upload' ? 'animate-spin' : ''} />
+            <span>{busyAction === 'upload' ? 'Indexing...' : 'Add to Library'}</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex justify-end pt-4 border-t border-gray-200">
+        <button
+          onClick={deleteLibrary}
+          disabled={!!busyAction}
+          className="flex items-center space-x-2 text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+        >
+          <SafeIcon icon={busyAction === 'deleteLibrary' ? FiLoader : FiTrash2} className={busyAction === 'deleteLibrary' ? 'animate-spin' : ''} />
+          <span>Delete Library</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LocalKnowledgeLibraryManager;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { useEbook } from '../contexts/EbookContext';
+import LiveSectionPreview from './LiveSectionPreview';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
@@ -80,6 +81,7 @@ const MinimizedProgressIndicator = () => {
             </div>
             <span className="text-xs text-gray-600">{getStatusText()}</span>
           </div>
+          <LiveSectionPreview compact />
         </div>
         
         <SafeIcon 
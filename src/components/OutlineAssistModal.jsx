@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { useEbook } from '../contexts/EbookContext';
+import { diffOutlines } from '../services/outlineHistory';
+import { getAssistActionsForLevel } from '../services/outlineAssist';
+import { MAX_LESSONS_PER_TOPIC } from '../services/outlineSchemas';
+import OutlineDiffView from './OutlineDiffView';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiX, FiZap, FiLoader, FiCheck, FiAlertCircle, FiRotateCcw } = FiIcons;
+
+// Pick an AI action for a chapter, topic or the whole book, preview the proposed outline as a diff,
+// then accept (onAccept(proposal)) or reject it. target: { level, nodeId, title }
+const OutlineAssistModal = ({ project, target, onClose, onAccept }) => {
+  const { proposeOutlineChange } = useEbook();
+  const actions = getAssistActionsForLevel(target.level);
+  const otherChapters = (project.outline.chapters || []).filter(chapter => chapter.id !== target.nodeId);
+  const [action, setAction] = useState(actions[0]?.id);
+  const [instruction, setInstruction] = useState('');
+  const [count, setCount] = useState(3);
+  const [otherChapterId, setOtherChapterId] = useState(otherChapters[0]?.id || '');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [proposal, setProposal] = useState(null);
+  const [error, setError] = useState(null);
+
+  const diff = useMemo(
+    () => (proposal ? diffOutlines(project.outline, proposal.outline) : null),
+    [proposal, project.outline]
+  );
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const result = await proposeOutlineChange(project, action, {
+        nodeId: target.nodeId,
+        otherNodeId: otherChapterId,
+        count,
+        instruction
+      });
+      setProposal(result);
+    } catch (generateError) {
+      console.error('Outline assist error:', generateError);
+      setError(generateError.validationErrors
+        ? `${generateError.message}: ${generateError.validationErrors.join('; ')}`
+        : generateError.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const canGenerate = !isGenerating && (action !== 'mergeChapters' || otherChapterId);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className={`bg-white rounded-lg shadow-xl w-full mx-4 max-h-[90vh] flex flex-col ${proposal ? 'max-w-5xl' : 'max-w-lg'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3 min-w-0">
+            <SafeIcon icon={FiZap} className="text-xl text-primary-600" />
+            <div className="min-w-0">
+              <h3 className="text-lg font-semibold text-gray-900">AI Outline Assist</h3>
+              <p className="text-sm text-gray-500 truncate">{target.title}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1">
+            <SafeIcon icon={FiX} className="text-xl" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {!proposal ? (
+            <>
+              <div className="space-y-2">
+                {actions.map(item => (
+                  <label
+                    key={item.id}
+                    className={`flex items-start space-x-3 p-3 border rounded-lg cursor-pointer ${action === item.id ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+                  >
+                    <input
+                      type="radio"
+                      name="assist-action"
+                      checked={action === item.id}
+                      onChange={() => setAction(item.id)}
+                      className="mt-1"
+                    />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{item.label}</p>
+                      <p className="text-xs text-gray-600">{item.description}</p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+
+              {action === 'addLessons' && (
+                <div>
+                  <label htmlFor="assist-count" className="block text-sm font-medium text-gray-700 mb-1">
+                    Number of lessons
+                  </label>
+                  <input
+                    id="assist-count"
+                    type="number"
+                    min="1"
+                    max={MAX_LESSONS_PER_TOPIC}
+                    value={count}
+                    onChange={(e) => setCount(Math.min(MAX_LESSONS_PER_TOPIC, Math.max(1, parseInt(e.target.value) || 1)))}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              )}
+
+              {action === 'mergeChapters' && (
+                <div>
+                  <label htmlFor="assist-chapter" className="block text-sm font-medium text-gray-700 mb-1">
+                    Merge with
+                  </label>
+                  {otherChapters.length === 0 ? (
+                    <p className="text-sm text-gray-600">There is no other chapter to merge with.</p>
+                  ) : (
+                    <select
+                      id="assist-chapter"
+                      value={otherChapterId}
+                      onChange={(e) => setOtherChapterId(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    >
+                      {otherChapters.map(chapter => (
+                        <option key={chapter.id} value={chapter.id}>
+                          Chapter {chapter.courseNumber}: {chapter.courseTitle}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="assist-instruction" className="block text-sm font-medium text-gray-700 mb-1">
+                  Instruction (optional)
+                </label>
+                <textarea
+                  id="assist-instruction"
+                  value={instruction}
+                  onChange={(e) => setInstruction(e.target.value)}
+                  className="w-full h-24 p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="e.g. Focus more on hands-on exercises, keep it to beginner level..."
+                />
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm font-medium text-gray-900">Proposed change: {proposal.label}</p>
+                <p className="text-xs text-gray-500">Nothing is saved until you accept. Accepted changes can be undone from the outline history.</p>
+              </div>
+              {proposal.notes?.length > 0 && (
+                <ul className="text-sm text-gray-700 space-y-1 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  {proposal.notes.map((note, index) => (
+                    <li key={index}>
+                      <span className="font-medium">{note.title}</span> (chapter {note.chapterNumber}): {note.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <OutlineDiffView
+                diff={diff}
+                leftTitle="Current outline"
+                rightTitle="Proposed outline"
+                emptyMessage="The proposal does not change the outline structure."
+              />
+            </>
+          )}
+
+          {error && (
+            <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+              <SafeIcon icon={FiAlertCircle} className="mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          {!proposal ? (
+            <>
+              <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium">
+                Cancel
+              </button>
+              <button
+                onClick={handleGenerate}
+                disabled={!canGenerate}
+                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 font-medium disabled:opacity-50"
+              >
+                <SafeIcon icon={isGenerating ? FiLoader : FiZap} className={isGenerating ? 'animate-spin' : ''} />
+                <span>{isGenerating ? 'Generating...' : 'Generate Proposal'}</span>
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => setProposal(null)}
+                className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+              >
+                <SafeIcon icon={FiRotateCcw} />
+                <span>Reject</span>
+              </button>
+              <button
+                onClick={() => onAccept(proposal)}
+                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 font-medium"
+              >
+                <SafeIcon icon={FiCheck} />
+                <span>Accept</span>
+              </button>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default OutlineAssistModal;
@@ -0,0 +1,83 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  added: 'bg-green-50 text-green-800 border-green-200',
+  removed: 'bg-red-50 text-red-800 border-red-200 line-through',
+  renamed: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+  unchanged: 'text-gray-700 border-transparent'
+};
+
+const LEVEL_INDENT = { chapter: 'ml-0', topic: 'ml-4', lesson: 'ml-8' };
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  renamed: 'Renamed',
+  moved: 'Moved'
+};
+
+const describeChange = (change) => {
+  const where = change.parentTitle ? ` in "${change.parentTitle}"` : '';
+  switch (change.type) {
+    case 'renamed':
+      return `${change.level} "${change.previousTitle}" → "${change.title}"${where}`;
+    case 'moved':
+      return `${change.level} "${change.title}" from position ${change.from} to ${change.to}${where}`;
+    default:
+      return `${change.level} "${change.title}"${where}`;
+  }
+};
+
+const RevisionTree = ({ nodes }) => (
+  <ul className="space-y-1">
+    {nodes.map((node, index) => (
+      <li key={index}>
+        <div
+          className={`${LEVEL_INDENT[node.level]} px-2 py-1 text-sm border rounded ${STATUS_STYLES[node.status]}`}
+          title={node.previousTitle ? `Previously "${node.previousTitle}"` : undefined}
+        >
+          {node.title}
+          {node.moved && <span className="ml-2 text-xs text-blue-700 no-underline">↕ moved</span>}
+        </div>
+        {node.children.length > 0 && <RevisionTree nodes={node.children} />}
+      </li>
+    ))}
+  </ul>
+);
+
+// Summary, change list and side-by-side trees for a diffOutlines() result
+const OutlineDiffView = ({ diff, leftTitle, rightTitle, emptyMessage = 'These revisions have the same structure.' }) => (
+  <div className="space-y-4">
+    <div className="flex flex-wrap gap-2 text-xs">
+      <span className="px-2 py-1 rounded-full bg-green-100 text-green-800">+{diff.summary.added} added</span>
+      <span className="px-2 py-1 rounded-full bg-red-100 text-red-800">−{diff.summary.removed} removed</span>
+      <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">{diff.summary.renamed} renamed</span>
+      <span className="px-2 py-1 rounded-full bg-blue-100 text-blue-800">{diff.summary.moved} moved</span>
+    </div>
+
+    {diff.changes.length === 0 ? (
+      <p className="text-sm text-gray-600">{emptyMessage}</p>
+    ) : (
+      <ul className="text-sm text-gray-700 space-y-1">
+        {diff.changes.map((change, index) => (
+          <li key={index}>
+            <span className="font-medium">{CHANGE_LABELS[change.type]}</span> {describeChange(change)}
+          </li>
+        ))}
+      </ul>
+    )}
+
+    <div className="grid grid-cols-2 gap-4 pt-4 border-t border-gray-200">
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2 truncate">{leftTitle}</h4>
+        <RevisionTree nodes={diff.left} />
+      </div>
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2 truncate">{rightTitle}</h4>
+        <RevisionTree nodes={diff.right} />
+      </div>
+    </div>
+  </div>
+);
+
+export default OutlineDiffView;
@@ -1,12 +1,40 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import KnowledgeLibraryModal from './KnowledgeLibraryModal';
+import OutlineHistoryModal from './OutlineHistoryModal';
+import OutlineAssistModal from './OutlineAssistModal';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  cloneOutline,
+  getOutlineHistory,
+  recordRevision,
+  canUndo,
+  canRedo,
+  stepHistory,
+  restoreRevision,
+  renameRevision
+} from '../services/outlineHistory';
+import { moveOutlineItem } from '../services/outlineReorder';
+import { createNodeId, ensureOutlineIds, findOutlineNode, collectNodeIds, omitNodeIds } from '../services/outlineIds';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiEdit, FiPlus, FiTrash2, FiChevronDown, FiChevronRight, FiMessageSquare, FiInfo, FiDatabase, FiSave, FiX } = FiIcons;
+const { FiEdit, FiPlus, FiTrash2, FiChevronDown, FiChevronRight, FiMessageSquare, FiInfo, FiDatabase, FiSave, FiX, FiCornerUpLeft, FiCornerUpRight, FiClock, FiMove, FiZap } = FiIcons;
 
+const ITEM_LEVELS = ['chapter', 'topic', 'lesson'];
+
+const TITLE_FIELDS = { chapter: 'courseTitle', topic: 'topicTitle', lesson: 'lessonTitle' };
+
+// What drag-and-drop needs to know about an outline row
+const getDragItem = (level, node, parentId, index) => ({ id: node.id, level, parentId, index });
+
+const isTextInput = (element) => element && (
+  element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.isContentEditable
+);
+
+// Items are addressed by outline node ID (see outlineIds); knowledgeLibraries and contextValues use the same keys
 const OutlineEditor = ({ project, onUpdateProject }) => {
+  const { user } = useAuth();
   const [expandedChapters, setExpandedChapters] = useState(new Set());
   const [expandedTopics, setExpandedTopics] = useState(new Set());
   const [editingItem, setEditingItem] = useState(null);
@@ -24,22 +52,112 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
   const [tempEditValue, setTempEditValue] = useState('');
   const [editType, setEditType] = useState('');
 
-  const toggleChapter = (chapterIndex) => {
+  // Revision history
+  const [showHistory, setShowHistory] = useState(false);
+  const history = getOutlineHistory(project);
+  const author = user?.name || user?.email || null;
+
+  // AI assist: { level, nodeId, title } of the chapter, topic or book the assist modal works on
+  const [assistTarget, setAssistTarget] = useState(null);
+
+  // Drag-and-drop: { id, level, parentId, index } of the item being dragged and the highlighted drop target
+  const [dragSource, setDragSource] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Every outline change goes through here so it is recorded as a revision (undo / redo / restore)
+  const commitOutline = (updatedOutline, label, extraUpdates = {}) => {
+    if (!onUpdateProject) return;
+    const outline = ensureOutlineIds(updatedOutline);
+    onUpdateProject({
+      ...project,
+      ...extraUpdates,
+      outline,
+      outlineHistory: recordRevision(
+        history,
+        { outline: project.outline, knowledgeLibraries },
+        { outline, knowledgeLibraries: extraUpdates.knowledgeLibraries || knowledgeLibraries },
+        { label, author }
+      )
+    });
+  };
+
+  // Undo, redo and restore replace the whole outline (and the libraries assigned at that revision);
+  // context shown in the editor is re-read from the outline
+  const applyHistoryOutline = (outline, outlineHistory, revision) => {
+    const libraries = revision.knowledgeLibraries || knowledgeLibraries;
+    setKnowledgeLibraries(libraries);
+    setContextValues({});
+    setEditingItem(null);
+    onUpdateProject?.({
+      ...project,
+      outline,
+      outlineHistory,
+      knowledgeLibraries: libraries,
+      contextValues: {}
+    });
+  };
+
+  const handleUndo = () => {
+    const step = stepHistory(history, -1, project.outline);
+    if (!step) return;
+    applyHistoryOutline(step.outline, step.history, step.revision);
+    console.log('↩️ Undo to revision:', step.revision.label);
+  };
+
+  const handleRedo = () => {
+    const step = stepHistory(history, 1, project.outline);
+    if (!step) return;
+    applyHistoryOutline(step.outline, step.history, step.revision);
+    console.log('↪️ Redo to revision:', step.revision.label);
+  };
+
+  const handleRestoreRevision = (revisionId) => {
+    const restored = restoreRevision(history, revisionId, project.outline, { author });
+    applyHistoryOutline(restored.outline, restored.history, restored.revision);
+    setShowHistory(false);
+    console.log('⏪ Restored revision:', restored.revision.label);
+  };
+
+  const handleRenameRevision = (revisionId, label) => {
+    onUpdateProject?.({
+      ...project,
+      outlineHistory: renameRevision(history, revisionId, label)
+    });
+  };
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo; text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTextInput(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [project]);
+
+  const toggleChapter = (chapterId) => {
     const newExpanded = new Set(expandedChapters);
-    if (newExpanded.has(chapterIndex)) {
-      newExpanded.delete(chapterIndex);
+    if (newExpanded.has(chapterId)) {
+      newExpanded.delete(chapterId);
     } else {
-      newExpanded.add(chapterIndex);
+      newExpanded.add(chapterId);
     }
     setExpandedChapters(newExpanded);
   };
 
-  const toggleTopic = (topicKey) => {
+  const toggleTopic = (topicId) => {
     const newExpanded = new Set(expandedTopics);
-    if (newExpanded.has(topicKey)) {
-      newExpanded.delete(topicKey);
+    if (newExpanded.has(topicId)) {
+      newExpanded.delete(topicId);
     } else {
-      newExpanded.add(topicKey);
+      newExpanded.add(topicId);
     }
     setExpandedTopics(newExpanded);
   };
@@ -63,11 +181,11 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
     }
   };
 
-  const handleContextModalOpen = (itemKey) => {
-    console.log('Opening context modal for:', itemKey);
-    setShowContextModal(itemKey);
+  const handleContextModalOpen = (itemId) => {
+    console.log('Opening context modal for:', itemId);
+    setShowContextModal(itemId);
     // Load existing context if available
-    const existingContext = getContextForItem(itemKey);
+    const existingContext = getContextForItem(itemId);
     setTempContextValue(existingContext || '');
   };
 
@@ -88,79 +206,54 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
     
     // Update the project outline with the new context
     const updatedOutline = updateOutlineWithContext(project.outline, showContextModal, tempContextValue.trim());
-    
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline,
-        contextValues: newContextValues
-      });
-    }
+    const itemLabel = describeItem(showContextModal);
+    commitOutline(
+      updatedOutline,
+      tempContextValue.trim() ? `Updated context for ${itemLabel}` : `Cleared context for ${itemLabel}`,
+      { contextValues: newContextValues }
+    );
 
     // Close modal and clear temp value
     setShowContextModal(null);
     setTempContextValue('');
   };
 
-  const updateOutlineWithContext = (outline, itemKey, contextValue) => {
-    console.log('Updating outline with context:', itemKey, contextValue);
-    
-    const updatedOutline = { ...outline };
+  const updateOutlineWithContext = (outline, itemId, contextValue) => {
+    console.log('Updating outline with context:', itemId, contextValue);
     
-    if (itemKey.startsWith('chapter-')) {
-      const chapterIndex = parseInt(itemKey.split('-')[1]);
-      if (updatedOutline.chapters[chapterIndex]) {
-        updatedOutline.chapters[chapterIndex] = {
-          ...updatedOutline.chapters[chapterIndex],
-          userAddedContext: contextValue
-        };
-      }
-    } else if (itemKey.startsWith('topic-')) {
-      const [, chapterIndex, topicIndex] = itemKey.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics?.[topicIndex]) {
-        updatedOutline.chapters[chapterIndex].topics[topicIndex] = {
-          ...updatedOutline.chapters[chapterIndex].topics[topicIndex],
-          userAddedContext: contextValue
-        };
-      }
-    } else if (itemKey.startsWith('lesson-')) {
-      const [, chapterIndex, topicIndex, lessonIndex] = itemKey.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics?.[topicIndex]?.lessons?.[lessonIndex]) {
-        updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons[lessonIndex] = {
-          ...updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons[lessonIndex],
-          userAddedContext: contextValue
-        };
-      }
+    const updatedOutline = cloneOutline(outline);
+    const location = findOutlineNode(updatedOutline, itemId);
+    if (location) {
+      location.node.userAddedContext = contextValue;
     }
     
     return updatedOutline;
   };
 
-  const getContextForItem = (itemKey) => {
+  // Human-readable name of an outline item for revision labels, e.g. 'topic "Budgeting Basics"'
+  const describeItem = (itemId) => {
+    const location = findOutlineNode(project.outline, itemId);
+    if (!location) {
+      return 'book';
+    }
+    return `${location.level} "${location.node[TITLE_FIELDS[location.level]] || ''}"`;
+  };
+
+  const getContextForItem = (itemId) => {
     // First check local context values
-    if (contextValues[itemKey]) {
-      return contextValues[itemKey];
+    if (contextValues[itemId]) {
+      return contextValues[itemId];
     }
     
     // Then check project outline
-    if (itemKey.startsWith('chapter-')) {
-      const chapterIndex = parseInt(itemKey.split('-')[1]);
-      return project.outline?.chapters?.[chapterIndex]?.userAddedContext || '';
-    } else if (itemKey.startsWith('topic-')) {
-      const [, chapterIndex, topicIndex] = itemKey.split('-').map(Number);
-      return project.outline?.chapters?.[chapterIndex]?.topics?.[topicIndex]?.userAddedContext || '';
-    } else if (itemKey.startsWith('lesson-')) {
-      const [, chapterIndex, topicIndex, lessonIndex] = itemKey.split('-').map(Number);
-      return project.outline?.chapters?.[chapterIndex]?.topics?.[topicIndex]?.lessons?.[lessonIndex]?.userAddedContext || '';
-    }
-    
-    return '';
+    return findOutlineNode(project.outline, itemId)?.node.userAddedContext || '';
   };
 
   // ✅ IMPLEMENTED: Add Chapter functionality
   const handleAddChapter = () => {
     const newChapterNumber = project.outline.chapters.length + 1;
     const newChapter = {
+      id: createNodeId('chapter'),
       courseNumber: newChapterNumber,
       courseTitle: `New Chapter ${newChapterNumber}`,
       courseDescription: `Description for chapter ${newChapterNumber}`,
@@ -172,44 +265,26 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
       chapters: [...project.outline.chapters, newChapter]
     };
 
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline
-      });
-    }
+    commitOutline(updatedOutline, `Added chapter "${newChapter.courseTitle}"`);
 
     console.log('Chapter added successfully');
   };
 
   // ✅ IMPLEMENTED: Edit item functionality
-  const handleEditItem = (itemType, itemKey) => {
-    console.log('Edit item clicked:', itemType, itemKey);
+  const handleEditItem = (itemType, itemId) => {
+    console.log('Edit item clicked:', itemType, itemId);
     
     let currentValue = '';
     let fieldType = 'title';
 
-    if (itemKey === 'introduction') {
+    if (itemId === 'introduction') {
       currentValue = project.outline.title || '';
-      fieldType = 'title';
-    } else if (itemKey.startsWith('chapter-')) {
-      const chapterIndex = parseInt(itemKey.split('-')[1]);
-      const chapter = project.outline.chapters[chapterIndex];
-      currentValue = chapter?.courseTitle || '';
-      fieldType = 'title';
-    } else if (itemKey.startsWith('topic-')) {
-      const [, chapterIndex, topicIndex] = itemKey.split('-').map(Number);
-      const topic = project.outline.chapters[chapterIndex]?.topics?.[topicIndex];
-      currentValue = topic?.topicTitle || '';
-      fieldType = 'title';
-    } else if (itemKey.startsWith('lesson-')) {
-      const [, chapterIndex, topicIndex, lessonIndex] = itemKey.split('-').map(Number);
-      const lesson = project.outline.chapters[chapterIndex]?.topics?.[topicIndex]?.lessons?.[lessonIndex];
-      currentValue = lesson?.lessonTitle || '';
-      fieldType = 'title';
+    } else {
+      const location = findOutlineNode(project.outline, itemId);
+      currentValue = location?.node[TITLE_FIELDS[location.level]] || '';
     }
 
-    setEditingItem(itemKey);
+    setEditingItem(itemId);
     setTempEditValue(currentValue);
     setEditType(fieldType);
   };
@@ -217,42 +292,19 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
   const handleEditSave = () => {
     if (!editingItem || !tempEditValue.trim()) return;
 
-    let updatedOutline = { ...project.outline };
+    let updatedOutline = cloneOutline(project.outline);
+    const previousName = editingItem === 'introduction' ? `book "${project.outline.title}"` : describeItem(editingItem);
 
     if (editingItem === 'introduction') {
       updatedOutline.title = tempEditValue.trim();
-    } else if (editingItem.startsWith('chapter-')) {
-      const chapterIndex = parseInt(editingItem.split('-')[1]);
-      if (updatedOutline.chapters[chapterIndex]) {
-        updatedOutline.chapters[chapterIndex] = {
-          ...updatedOutline.chapters[chapterIndex],
-          courseTitle: tempEditValue.trim()
-        };
-      }
-    } else if (editingItem.startsWith('topic-')) {
-      const [, chapterIndex, topicIndex] = editingItem.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics?.[topicIndex]) {
-        updatedOutline.chapters[chapterIndex].topics[topicIndex] = {
-          ...updatedOutline.chapters[chapterIndex].topics[topicIndex],
-          topicTitle: tempEditValue.trim()
-        };
-      }
-    } else if (editingItem.startsWith('lesson-')) {
-      const [, chapterIndex, topicIndex, lessonIndex] = editingItem.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics?.[topicIndex]?.lessons?.[lessonIndex]) {
-        updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons[lessonIndex] = {
-          ...updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons[lessonIndex],
-          lessonTitle: tempEditValue.trim()
-        };
+    } else {
+      const location = findOutlineNode(updatedOutline, editingItem);
+      if (location) {
+        location.node[TITLE_FIELDS[location.level]] = tempEditValue.trim();
       }
     }
 
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline
-      });
-    }
+    commitOutline(updatedOutline, `Renamed ${previousName} to "${tempEditValue.trim()}"`);
 
     // Close edit mode
     setEditingItem(null);
@@ -261,115 +313,218 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
   };
 
   // ✅ IMPLEMENTED: Delete item functionality
-  const handleDeleteItem = (itemType, itemKey) => {
-    console.log('Delete item clicked:', itemType, itemKey);
+  const handleDeleteItem = (itemType, itemId) => {
+    console.log('Delete item clicked:', itemType, itemId);
     
-    if (!confirm(`Are you sure you want to delete this ${itemType}? This action cannot be undone.`)) {
+    if (!confirm(`Are you sure you want to delete this ${itemType}? You can undo this from the outline history.`)) {
       return;
     }
 
-    let updatedOutline = { ...project.outline };
+    let updatedOutline = cloneOutline(project.outline);
+    const deletedName = describeItem(itemId);
+    const location = findOutlineNode(updatedOutline, itemId);
+    if (!location) return;
 
-    if (itemKey.startsWith('chapter-')) {
-      const chapterIndex = parseInt(itemKey.split('-')[1]);
-      updatedOutline.chapters = updatedOutline.chapters.filter((_, index) => index !== chapterIndex);
+    if (location.level === 'chapter') {
+      updatedOutline.chapters = updatedOutline.chapters.filter(chapter => chapter.id !== itemId);
       
       // Renumber remaining chapters
       updatedOutline.chapters = updatedOutline.chapters.map((chapter, index) => ({
         ...chapter,
         courseNumber: index + 1
       }));
-    } else if (itemKey.startsWith('topic-')) {
-      const [, chapterIndex, topicIndex] = itemKey.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics) {
-        updatedOutline.chapters[chapterIndex].topics = updatedOutline.chapters[chapterIndex].topics.filter((_, index) => index !== topicIndex);
-      }
-    } else if (itemKey.startsWith('lesson-')) {
-      const [, chapterIndex, topicIndex, lessonIndex] = itemKey.split('-').map(Number);
-      if (updatedOutline.chapters[chapterIndex]?.topics?.[topicIndex]?.lessons) {
-        updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons = updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons.filter((_, index) => index !== lessonIndex);
-      }
+    } else if (location.level === 'topic') {
+      location.chapter.topics = location.chapter.topics.filter(topic => topic.id !== itemId);
+    } else {
+      location.topic.lessons = location.topic.lessons.filter(lesson => lesson.id !== itemId);
     }
 
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline
-      });
-    }
+    // Drop the libraries and context of the deleted item and everything under it; undo brings the libraries back
+    const deletedIds = collectNodeIds(location.node);
+    const updatedLibraries = omitNodeIds(knowledgeLibraries, deletedIds);
+    setKnowledgeLibraries(updatedLibraries);
+    setContextValues(omitNodeIds(contextValues, deletedIds));
+
+    commitOutline(updatedOutline, `Deleted ${deletedName}`, {
+      knowledgeLibraries: updatedLibraries,
+      contextValues: omitNodeIds(project.contextValues, deletedIds)
+    });
 
     console.log(`${itemType} deleted successfully`);
   };
 
   // ✅ IMPLEMENTED: Add Topic functionality
-  const handleAddTopic = (chapterIndex) => {
-    const chapter = project.outline.chapters[chapterIndex];
+  const handleAddTopic = (chapterId) => {
+    const chapter = findOutlineNode(project.outline, chapterId).node;
     const topicNumber = (chapter.topics?.length || 0) + 1;
     
     const newTopic = {
+      id: createNodeId('topic'),
       topicTitle: `New Topic ${topicNumber}`,
       topicLearningObjectiveDescription: `Learning objective for topic ${topicNumber}`,
       lessons: []
     };
 
-    let updatedOutline = { ...project.outline };
-    if (!updatedOutline.chapters[chapterIndex].topics) {
-      updatedOutline.chapters[chapterIndex].topics = [];
+    let updatedOutline = cloneOutline(project.outline);
+    const updatedChapter = findOutlineNode(updatedOutline, chapterId).node;
+    if (!updatedChapter.topics) {
+      updatedChapter.topics = [];
     }
-    updatedOutline.chapters[chapterIndex].topics.push(newTopic);
+    updatedChapter.topics.push(newTopic);
 
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline
-      });
-    }
+    commitOutline(updatedOutline, `Added topic "${newTopic.topicTitle}" to chapter "${chapter.courseTitle}"`);
 
-    console.log('Topic added successfully to chapter:', chapterIndex);
+    console.log('Topic added successfully to chapter:', chapterId);
   };
 
   // ✅ IMPLEMENTED: Add Lesson functionality
-  const handleAddLesson = (chapterIndex, topicIndex) => {
-    const topic = project.outline.chapters[chapterIndex]?.topics?.[topicIndex];
-    const lessonNumber = (topic?.lessons?.length || 0) + 1;
+  const handleAddLesson = (topicId) => {
+    const topic = findOutlineNode(project.outline, topicId).node;
+    const lessonNumber = (topic.lessons?.length || 0) + 1;
     
     const newLesson = {
+      id: createNodeId('lesson'),
       lessonTitle: `New Lesson ${lessonNumber}`,
       lessonDescription: `Description for lesson ${lessonNumber}`
     };
 
-    let updatedOutline = { ...project.outline };
-    if (!updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons) {
-      updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons = [];
+    let updatedOutline = cloneOutline(project.outline);
+    const updatedTopic = findOutlineNode(updatedOutline, topicId).node;
+    if (!updatedTopic.lessons) {
+      updatedTopic.lessons = [];
     }
-    updatedOutline.chapters[chapterIndex].topics[topicIndex].lessons.push(newLesson);
+    updatedTopic.lessons.push(newLesson);
 
-    if (onUpdateProject) {
-      onUpdateProject({
-        ...project,
-        outline: updatedOutline
-      });
+    commitOutline(updatedOutline, `Added lesson "${newLesson.lessonTitle}" to topic "${topic.topicTitle}"`);
+
+    console.log('Lesson added successfully to topic:', topicId);
+  };
+
+  // Move an item and expand its new parent so it stays visible. Libraries and context are keyed by node ID
+  // and follow the item as is.
+  const moveItem = (source, target) => {
+    const updatedOutline = moveOutlineItem(project.outline, source.id, target);
+
+    let label;
+    if (source.level === 'chapter') {
+      const position = updatedOutline.chapters.findIndex(chapter => chapter.id === source.id) + 1;
+      label = `Moved ${describeItem(source.id)} to position ${position}`;
+    } else {
+      label = `Moved ${describeItem(source.id)} to ${describeItem(target.parentId)}`;
     }
 
-    console.log('Lesson added successfully to chapter:', chapterIndex, 'topic:', topicIndex);
+    if (source.level !== 'chapter') {
+      const parent = findOutlineNode(updatedOutline, target.parentId);
+      setExpandedChapters(new Set([...expandedChapters, parent.chapter.id]));
+      if (parent.level === 'topic') {
+        setExpandedTopics(new Set([...expandedTopics, parent.node.id]));
+      }
+    }
+
+    commitOutline(updatedOutline, label);
+    console.log('↕️', label);
+  };
+
+  // Accept an AI proposal; libraries and context of items the proposal removed are dropped with them
+  const handleAcceptProposal = (proposal) => {
+    const remainingIds = new Set(proposal.outline.chapters.flatMap(collectNodeIds));
+    const removedIds = project.outline.chapters.flatMap(collectNodeIds).filter(id => !remainingIds.has(id));
+    const updatedLibraries = omitNodeIds(knowledgeLibraries, removedIds);
+    setKnowledgeLibraries(updatedLibraries);
+    setContextValues(omitNodeIds(contextValues, removedIds));
+
+    commitOutline(proposal.outline, proposal.label, {
+      knowledgeLibraries: updatedLibraries,
+      contextValues: omitNodeIds(project.contextValues, removedIds)
+    });
+    setAssistTarget(null);
+    console.log('🪄 Accepted outline proposal:', proposal.label);
+  };
+
+  // Dropping onto an item of the same level places the dragged item there; dropping a topic onto a
+  // chapter (or a lesson onto a topic) appends it to that chapter (topic).
+  // item: { id, level, parentId, index } of the row under the pointer
+  const getDropTarget = (item) => {
+    if (!dragSource) return null;
+    const sourceDepth = ITEM_LEVELS.indexOf(dragSource.level);
+    const targetDepth = ITEM_LEVELS.indexOf(item.level);
+    if (targetDepth === sourceDepth) {
+      if (item.id === dragSource.id) return null;
+      const sameList = item.parentId === dragSource.parentId;
+      return {
+        key: `at-${item.id}`,
+        parentId: item.parentId,
+        anchorId: item.id,
+        placement: sameList && dragSource.index < item.index ? 'after' : 'before'
+      };
+    }
+    if (targetDepth === sourceDepth - 1) {
+      return { key: `into-${item.id}`, parentId: item.id };
+    }
+    return null;
+  };
+
+  const handleDragStart = (event, item) => {
+    event.stopPropagation();
+    event.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag when data is set
+    event.dataTransfer.setData('text/plain', item.id);
+    const row = event.currentTarget.closest('[data-drag-row]');
+    if (row) {
+      event.dataTransfer.setDragImage(row, 16, 16);
+    }
+    setDragSource(item);
+  };
+
+  const handleDragOver = (event, item) => {
+    const target = getDropTarget(item);
+    if (!target) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== target.key) {
+      setDropTarget(target.key);
+    }
+  };
+
+  const handleDrop = (event, item) => {
+    const target = getDropTarget(item);
+    if (!target) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const source = dragSource;
+    handleDragEnd();
+    try {
+      moveItem(source, target);
+    } catch (error) {
+      console.error('Failed to move outline item:', error);
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDragSource(null);
+    setDropTarget(null);
+  };
+
+  const getDropHighlight = (itemId) => {
+    if (dropTarget === `at-${itemId}`) return 'ring-2 ring-primary-400';
+    if (dropTarget === `into-${itemId}`) return 'ring-2 ring-green-400 bg-green-50';
+    return '';
   };
 
   const getLibraryStatus = (key) => {
     return knowledgeLibraries[key] ? 'configured' : 'not-configured';
   };
 
-  const getInheritedLibrary = (chapterIndex, topicIndex) => {
-    const topicKey = `topic-${chapterIndex}-${topicIndex}`;
-    const chapterKey = `chapter-${chapterIndex}`;
-    
+  const getInheritedLibrary = (chapter, topic) => {
     // Check if topic has its own library
-    if (knowledgeLibraries[topicKey]) {
-      return { source: 'topic', libraryId: knowledgeLibraries[topicKey] };
+    if (knowledgeLibraries[topic.id]) {
+      return { source: 'topic', libraryId: knowledgeLibraries[topic.id] };
     }
     
     // Check if chapter has a library
-    if (knowledgeLibraries[chapterKey]) {
-      return { source: 'chapter', libraryId: knowledgeLibraries[chapterKey] };
+    if (knowledgeLibraries[chapter.id]) {
+      return { source: 'chapter', libraryId: knowledgeLibraries[chapter.id] };
     }
     
     return null;
@@ -498,36 +653,82 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
           <h3 className="text-lg font-semibold text-gray-900">
             Chapters ({project.outline.chapters.length})
           </h3>
-          <button 
-            onClick={handleAddChapter}
-            className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 px-3 py-2 rounded-md hover:bg-primary-50"
-          >
-            <SafeIcon icon={FiPlus} />
-            <span>Add Chapter</span>
-          </button>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={handleUndo}
+              disabled={!canUndo(history)}
+              className="text-gray-600 hover:text-gray-900 p-2 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Undo (Ctrl+Z)"
+            >
+              <SafeIcon icon={FiCornerUpLeft} />
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={!canRedo(history)}
+              className="text-gray-600 hover:text-gray-900 p-2 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              <SafeIcon icon={FiCornerUpRight} />
+            </button>
+            <button
+              onClick={() => setShowHistory(true)}
+              className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md hover:bg-gray-100"
+              title="Outline history"
+            >
+              <SafeIcon icon={FiClock} />
+              <span>History{history.revisions.length > 0 ? ` (${history.revisions.length})` : ''}</span>
+            </button>
+            <button
+              onClick={() => setAssistTarget({ level: 'book', nodeId: null, title: project.outline.title })}
+              className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md hover:bg-gray-100"
+              title="Suggest topics for must-have aspects the outline misses"
+            >
+              <SafeIcon icon={FiZap} />
+              <span>Suggest Topics</span>
+            </button>
+            <button 
+              onClick={handleAddChapter}
+              className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 px-3 py-2 rounded-md hover:bg-primary-50"
+            >
+              <SafeIcon icon={FiPlus} />
+              <span>Add Chapter</span>
+            </button>
+          </div>
         </div>
 
         <div className="space-y-4">
           {project.outline.chapters.map((chapter, chapterIndex) => (
             <motion.div
-              key={chapterIndex}
+              key={chapter.id}
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
               transition={{ delay: chapterIndex * 0.1 }}
-              className="border border-gray-200 rounded-lg"
+              className={`border border-gray-200 rounded-lg ${getDropHighlight(chapter.id)} ${dragSource?.id === chapter.id ? 'opacity-50' : ''}`}
+              data-drag-row
+              onDragOver={(e) => handleDragOver(e, getDragItem('chapter', chapter, null, chapterIndex))}
+              onDrop={(e) => handleDrop(e, getDragItem('chapter', chapter, null, chapterIndex))}
             >
               {/* Chapter Header */}
               <div className="p-4 bg-gray-50 border-b border-gray-200">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-3">
+                    <span
+                      draggable={editingItem !== chapter.id}
+                      onDragStart={(e) => handleDragStart(e, getDragItem('chapter', chapter, null, chapterIndex))}
+                      onDragEnd={handleDragEnd}
+                      className="text-gray-400 hover:text-gray-600 p-1 cursor-move"
+                      title="Drag to reorder chapters"
+                    >
+                      <SafeIcon icon={FiMove} />
+                    </span>
                     <button
-                      onClick={() => toggleChapter(chapterIndex)}
+                      onClick={() => toggleChapter(chapter.id)}
                       className="text-gray-400 hover:text-gray-600 p-1 rounded-md hover:bg-gray-100"
                     >
-                      <SafeIcon icon={expandedChapters.has(chapterIndex) ? FiChevronDown : FiChevronRight} />
+                      <SafeIcon icon={expandedChapters.has(chapter.id) ? FiChevronDown : FiChevronRight} />
                     </button>
                     <div className="flex-1">
-                      {editingItem === `chapter-${chapterIndex}` ? (
+                      {editingItem === chapter.id ? (
                         <div className="flex items-center space-x-2">
                           <input
                             type="text"
@@ -560,7 +761,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                               {chapter.topics.length} topics, {chapter.topics.reduce((acc, topic) => acc + (topic.lessons?.length || 0), 0)} lessons
                             </p>
                           )}
-                          {getContextForItem(`chapter-${chapterIndex}`) && (
+                          {getContextForItem(chapter.id) && (
                             <p className="text-xs text-green-600 mt-1">
                               📝 Custom context added
                             </p>
@@ -573,22 +774,34 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                   <div className="flex items-center space-x-2">
                     <button
                       onClick={() => setShowKnowledgeLibrary({
-                        key: `chapter-${chapterIndex}`,
+                        key: chapter.id,
                         level: 'topic',
                         title: `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`
                       })}
                       className={`p-2 rounded-md transition-colors ${
-                        getLibraryStatus(`chapter-${chapterIndex}`) === 'configured'
+                        getLibraryStatus(chapter.id) === 'configured'
                           ? 'text-green-600 bg-green-50 hover:bg-green-100'
                           : 'text-gray-500 hover:text-primary-600 hover:bg-primary-50'
                       }`}
-                      title={`${getLibraryStatus(`chapter-${chapterIndex}`) === 'configured' ? 'Knowledge library configured' : 'Add knowledge library'}`}
+                      title={`${getLibraryStatus(chapter.id) === 'configured' ? 'Knowledge library configured' : 'Add knowledge library'}`}
                     >
                       <SafeIcon icon={FiDatabase} />
                     </button>
                     
                     <button
-                      onClick={() => handleContextModalOpen(`chapter-${chapterIndex}`)}
+                      onClick={() => setAssistTarget({
+                        level: 'chapter',
+                        nodeId: chapter.id,
+                        title: `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`
+                      })}
+                      className="text-purple-600 hover:text-purple-700 p-2 rounded-md hover:bg-purple-50"
+                      title="AI actions"
+                    >
+                      <SafeIcon icon={FiZap} />
+                    </button>
+                    
+                    <button
+                      onClick={() => handleContextModalOpen(chapter.id)}
                       className="text-blue-600 hover:text-blue-700 p-2 rounded-md hover:bg-blue-50"
                       title="Add Context"
                     >
@@ -596,7 +809,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                     </button>
                     
                     <button 
-                      onClick={() => handleEditItem('chapter', `chapter-${chapterIndex}`)}
+                      onClick={() => handleEditItem('chapter', chapter.id)}
                       className="text-primary-600 hover:text-primary-700 p-2 rounded-md hover:bg-primary-50"
                       title="Edit Chapter"
                     >
@@ -604,7 +817,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                     </button>
                     
                     <button 
-                      onClick={() => handleDeleteItem('chapter', `chapter-${chapterIndex}`)}
+                      onClick={() => handleDeleteItem('chapter', chapter.id)}
                       className="text-red-600 hover:text-red-700 p-2 rounded-md hover:bg-red-50"
                       title="Delete Chapter"
                     >
@@ -616,7 +829,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
 
               {/* Chapter Topics */}
               <AnimatePresence>
-                {expandedChapters.has(chapterIndex) && chapter.topics && (
+                {expandedChapters.has(chapter.id) && chapter.topics && (
                   <motion.div
                     initial={{ height: 0, opacity: 0 }}
                     animate={{ height: 'auto', opacity: 1 }}
@@ -624,23 +837,38 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                     className="p-4 space-y-3"
                   >
                     {chapter.topics.map((topic, topicIndex) => {
-                      const topicKey = `${chapterIndex}-${topicIndex}`;
-                      const inheritedLibrary = getInheritedLibrary(chapterIndex, topicIndex);
+                      const topicItem = getDragItem('topic', topic, chapter.id, topicIndex);
+                      const inheritedLibrary = getInheritedLibrary(chapter, topic);
                       
                       return (
-                        <div key={topicIndex} className="border border-gray-100 rounded">
+                        <div
+                          key={topic.id}
+                          className={`border border-gray-100 rounded ${getDropHighlight(topic.id)} ${dragSource?.id === topic.id ? 'opacity-50' : ''}`}
+                          data-drag-row
+                          onDragOver={(e) => handleDragOver(e, topicItem)}
+                          onDrop={(e) => handleDrop(e, topicItem)}
+                        >
                           {/* Topic Header */}
                           <div className="p-3 bg-gray-25">
                             <div className="flex items-center justify-between">
                               <div className="flex items-center space-x-3">
+                                <span
+                                  draggable={editingItem !== topic.id}
+                                  onDragStart={(e) => handleDragStart(e, topicItem)}
+                                  onDragEnd={handleDragEnd}
+                                  className="text-gray-400 hover:text-gray-600 p-1 cursor-move"
+                                  title="Drag to reorder or move to another chapter"
+                                >
+                                  <SafeIcon icon={FiMove} />
+                                </span>
                                 <button
-                                  onClick={() => toggleTopic(topicKey)}
+                                  onClick={() => toggleTopic(topic.id)}
                                   className="text-gray-400 hover:text-gray-600 p-1 rounded-md hover:bg-gray-100"
                                 >
-                                  <SafeIcon icon={expandedTopics.has(topicKey) ? FiChevronDown : FiChevronRight} />
+                                  <SafeIcon icon={expandedTopics.has(topic.id) ? FiChevronDown : FiChevronRight} />
                                 </button>
                                 <div className="flex-1">
-                                  {editingItem === `topic-${topicKey}` ? (
+                                  {editingItem === topic.id ? (
                                     <div className="flex items-center space-x-2">
                                       <input
                                         type="text"
@@ -676,7 +904,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                           📚 Using {inheritedLibrary.source} library
                                         </p>
                                       )}
-                                      {getContextForItem(`topic-${topicKey}`) && (
+                                      {getContextForItem(topic.id) && (
                                         <p className="text-xs text-green-600 mt-1">
                                           📝 Custom context added
                                         </p>
@@ -688,7 +916,15 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                               
                               <div className="flex items-center space-x-2">
                                 <button
-                                  onClick={() => handleContextModalOpen(`topic-${topicKey}`)}
+                                  onClick={() => setAssistTarget({ level: 'topic', nodeId: topic.id, title: topic.topicTitle })}
+                                  className="text-purple-600 hover:text-purple-700 p-2 rounded-md hover:bg-purple-50"
+                                  title="AI actions"
+                                >
+                                  <SafeIcon icon={FiZap} />
+                                </button>
+                                
+                                <button
+                                  onClick={() => handleContextModalOpen(topic.id)}
                                   className="text-blue-600 hover:text-blue-700 p-2 rounded-md hover:bg-blue-50"
                                   title="Add Context"
                                 >
@@ -696,7 +932,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                 </button>
                                 
                                 <button 
-                                  onClick={() => handleEditItem('topic', `topic-${topicKey}`)}
+                                  onClick={() => handleEditItem('topic', topic.id)}
                                   className="text-primary-600 hover:text-primary-700 p-2 rounded-md hover:bg-primary-50"
                                   title="Edit Topic"
                                 >
@@ -704,7 +940,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                 </button>
                                 
                                 <button 
-                                  onClick={() => handleDeleteItem('topic', `topic-${topicKey}`)}
+                                  onClick={() => handleDeleteItem('topic', topic.id)}
                                   className="text-red-600 hover:text-red-700 p-2 rounded-md hover:bg-red-50"
                                   title="Delete Topic"
                                 >
@@ -716,7 +952,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
 
                           {/* Topic Lessons */}
                           <AnimatePresence>
-                            {expandedTopics.has(topicKey) && topic.lessons && (
+                            {expandedTopics.has(topic.id) && topic.lessons && (
                               <motion.div
                                 initial={{ height: 0, opacity: 0 }}
                                 animate={{ height: 'auto', opacity: 1 }}
@@ -724,13 +960,28 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                 className="p-3 space-y-2"
                               >
                                 {topic.lessons.map((lesson, lessonIndex) => {
-                                  const lessonKey = `lesson-${topicKey}-${lessonIndex}`;
-                                  const sectionLibraryStatus = getLibraryStatus(lessonKey);
+                                  const lessonItem = getDragItem('lesson', lesson, topic.id, lessonIndex);
+                                  const sectionLibraryStatus = getLibraryStatus(lesson.id);
                                   
                                   return (
-                                    <div key={lessonIndex} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                                    <div
+                                      key={lesson.id}
+                                      className={`flex items-center justify-between p-2 bg-gray-50 rounded ${getDropHighlight(lesson.id)} ${dragSource?.id === lesson.id ? 'opacity-50' : ''}`}
+                                      data-drag-row
+                                      onDragOver={(e) => handleDragOver(e, lessonItem)}
+                                      onDrop={(e) => handleDrop(e, lessonItem)}
+                                    >
+                                      <span
+                                        draggable={editingItem !== lesson.id}
+                                        onDragStart={(e) => handleDragStart(e, lessonItem)}
+                                        onDragEnd={handleDragEnd}
+                                        className="text-gray-400 hover:text-gray-600 p-1 mr-2 cursor-move"
+                                        title="Drag to reorder or move to another topic"
+                                      >
+                                        <SafeIcon icon={FiMove} />
+                                      </span>
                                       <div className="flex-1">
-                                        {editingItem === lessonKey ? (
+                                        {editingItem === lesson.id ? (
                                           <div className="flex items-center space-x-2">
                                             <input
                                               type="text"
@@ -766,7 +1017,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                                 📚 Custom library configured (overrides inherited)
                                               </p>
                                             )}
-                                            {getContextForItem(lessonKey) && (
+                                            {getContextForItem(lesson.id) && (
                                               <p className="text-xs text-green-600 mt-1">
                                                 📝 Custom context added
                                               </p>
@@ -778,7 +1029,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                       <div className="flex items-center space-x-2 ml-2">
                                         <button
                                           onClick={() => setShowKnowledgeLibrary({
-                                            key: lessonKey,
+                                            key: lesson.id,
                                             level: 'section',
                                             title: lesson.lessonTitle
                                           })}
@@ -793,7 +1044,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                         </button>
                                         
                                         <button
-                                          onClick={() => handleContextModalOpen(lessonKey)}
+                                          onClick={() => handleContextModalOpen(lesson.id)}
                                           className="text-blue-600 hover:text-blue-700 p-2 rounded-md hover:bg-blue-50"
                                           title="Add Context"
                                         >
@@ -801,7 +1052,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                         </button>
                                         
                                         <button 
-                                          onClick={() => handleEditItem('lesson', lessonKey)}
+                                          onClick={() => handleEditItem('lesson', lesson.id)}
                                           className="text-primary-600 hover:text-primary-700 p-2 rounded-md hover:bg-primary-50"
                                           title="Edit Lesson"
                                         >
@@ -809,7 +1060,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                         </button>
                                         
                                         <button 
-                                          onClick={() => handleDeleteItem('lesson', lessonKey)}
+                                          onClick={() => handleDeleteItem('lesson', lesson.id)}
                                           className="text-red-600 hover:text-red-700 p-2 rounded-md hover:bg-red-50"
                                           title="Delete Lesson"
                                         >
@@ -821,7 +1072,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                                 })}
                                 
                                 <button 
-                                  onClick={() => handleAddLesson(chapterIndex, topicIndex)}
+                                  onClick={() => handleAddLesson(topic.id)}
                                   className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 text-sm px-3 py-2 rounded-md hover:bg-primary-50"
                                 >
                                   <SafeIcon icon={FiPlus} />
@@ -835,7 +1086,7 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
                     })}
                     
                     <button 
-                      onClick={() => handleAddTopic(chapterIndex)}
+                      onClick={() => handleAddTopic(chapter.id)}
                       className="flex items-center space-x-2 text-primary-600 hover:text-primary-700 text-sm px-3 py-2 rounded-md hover:bg-primary-50"
                     >
                       <SafeIcon icon={FiPlus} />
@@ -849,6 +1100,30 @@ const OutlineEditor = ({ project, onUpdateProject }) => {
         </div>
       </motion.div>
 
+      {/* Outline History Modal */}
+      <AnimatePresence>
+        {showHistory && (
+          <OutlineHistoryModal
+            history={history}
+            onClose={() => setShowHistory(false)}
+            onRestore={handleRestoreRevision}
+            onRename={handleRenameRevision}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* AI Outline Assist Modal */}
+      <AnimatePresence>
+        {assistTarget && (
+          <OutlineAssistModal
+            project={project}
+            target={assistTarget}
+            onClose={() => setAssistTarget(null)}
+            onAccept={handleAcceptProposal}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Knowledge Library Modal */}
       <AnimatePresence>
         {showKnowledgeLibrary && (
@@ -0,0 +1,172 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { diffOutlines } from '../services/outlineHistory';
+import OutlineDiffView from './OutlineDiffView';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiX, FiClock, FiRotateCcw, FiEdit2, FiSave, FiUser } = FiIcons;
+
+// Revision list with rename / restore, and a side-by-side structural diff of any two revisions
+const OutlineHistoryModal = ({ history, onClose, onRestore, onRename }) => {
+  const revisions = history.revisions;
+  const [compareFromId, setCompareFromId] = useState(revisions[Math.max(0, history.position - 1)]?.id || '');
+  const [compareToId, setCompareToId] = useState(revisions[history.position]?.id || '');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const fromRevision = revisions.find(revision => revision.id === compareFromId);
+  const toRevision = revisions.find(revision => revision.id === compareToId);
+  const diff = useMemo(
+    () => (fromRevision && toRevision ? diffOutlines(fromRevision.outline, toRevision.outline) : null),
+    [fromRevision, toRevision]
+  );
+
+  const startRename = (revision) => {
+    setRenamingId(revision.id);
+    setRenameValue(revision.label);
+  };
+
+  const saveRename = () => {
+    if (renameValue.trim()) {
+      onRename(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const handleRestore = (revision) => {
+    if (window.confirm(`Restore the outline to "${revision.label}"? The current outline stays in the history.`)) {
+      onRestore(revision.id);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <SafeIcon icon={FiClock} className="text-xl text-primary-600" />
+            <h3 className="text-lg font-semibold text-gray-900">Outline History</h3>
+            <span className="text-sm text-gray-500">{revisions.length} revisions</span>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1">
+            <SafeIcon icon={FiX} className="text-xl" />
+          </button>
+        </div>
+
+        {revisions.length === 0 ? (
+          <p className="p-6 text-sm text-gray-600">No edits recorded yet. Changes to the outline will appear here.</p>
+        ) : (
+          <div className="flex-1 overflow-hidden grid grid-cols-1 lg:grid-cols-3">
+            {/* Revisions */}
+            <div className="border-r border-gray-200 overflow-y-auto p-4 space-y-2">
+              {[...revisions].reverse().map(revision => {
+                const index = revisions.indexOf(revision);
+                const isCurrent = index === history.position;
+                const isUndone = index > history.position;
+                return (
+                  <div
+                    key={revision.id}
+                    className={`p-3 rounded-lg border ${isCurrent ? 'border-primary-300 bg-primary-50' : 'border-gray-200'} ${isUndone ? 'opacity-60' : ''}`}
+                  >
+                    {renamingId === revision.id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={renameValue}
+                          onChange={(e) => setRenameValue(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && saveRename()}
+                          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                          autoFocus
+                        />
+                        <button onClick={saveRename} className="text-primary-600 hover:text-primary-700 p-1">
+                          <SafeIcon icon={FiSave} />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-start justify-between">
+                        <p className="text-sm font-medium text-gray-900">{revision.label}</p>
+                        <button
+                          onClick={() => startRename(revision)}
+                          className="text-gray-400 hover:text-primary-600 p-1"
+                          title="Rename revision"
+                        >
+                          <SafeIcon icon={FiEdit2} className="text-xs" />
+                        </button>
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(revision.createdAt).toLocaleString()}
+                      {revision.author && (
+                        <span className="ml-2 inline-flex items-center space-x-1">
+                          <SafeIcon icon={FiUser} className="text-xs" />
+                          <span>{revision.author}</span>
+                        </span>
+                      )}
+                    </p>
+                    <div className="flex items-center justify-between mt-2">
+                      <div className="flex items-center space-x-3 text-xs text-gray-600">
+                        <label className="flex items-center space-x-1">
+                          <input
+                            type="radio"
+                            name="compare-from"
+                            checked={compareFromId === revision.id}
+                            onChange={() => setCompareFromId(revision.id)}
+                          />
+                          <span>From</span>
+                        </label>
+                        <label className="flex items-center space-x-1">
+                          <input
+                            type="radio"
+                            name="compare-to"
+                            checked={compareToId === revision.id}
+                            onChange={() => setCompareToId(revision.id)}
+                          />
+                          <span>To</span>
+                        </label>
+                      </div>
+                      {isCurrent ? (
+                        <span className="text-xs font-medium text-primary-700">Current</span>
+                      ) : (
+                        <button
+                          onClick={() => handleRestore(revision)}
+                          className="flex items-center space-x-1 text-xs text-primary-600 hover:text-primary-700 font-medium"
+                        >
+                          <SafeIcon icon={FiRotateCcw} />
+                          <span>Restore</span>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Diff */}
+            <div className="lg:col-span-2 overflow-y-auto p-4">
+              {!diff ? (
+                <p className="text-sm text-gray-600">Pick two revisions to compare.</p>
+              ) : (
+                <OutlineDiffView diff={diff} leftTitle={fromRevision.label} rightTitle={toRevision.label} />
+              )}
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default OutlineHistoryModal;
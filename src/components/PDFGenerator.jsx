@@ -1,49 +1,60 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { useSettings } from '../contexts/SettingsContext';
+import { getWordPressDestinations, createWordPressService } from '../services/wordpressDestinations';
+import { ProviderLimiter } from '../services/generationScheduler';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { decodeEntities } from '../services/export/bookModel';
+import { buildBookFromWordPress, exportBook, downloadBlob, EXPORT_FORMATS } from '../services/export';
 
 const { FiDownload, FiLoader, FiFileText, FiBook, FiAlertCircle, FiRefreshCw } = FiIcons;
 
 const PDFGenerator = () => {
+  const { settings } = useSettings();
+  const [destinationId, setDestinationId] = useState('');
   const [books, setBooks] = useState([]);
   const [selectedBookId, setSelectedBookId] = useState('');
   const [isLoadingBooks, setIsLoadingBooks] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [format, setFormat] = useState('pdf');
   const [progress, setProgress] = useState({ step: '', message: '' });
   const [error, setError] = useState(null);
 
-  // Fetch books on component mount
+  // Sites books can be read from: every WordPress destination with a URL
+  const destinations = useMemo(() => getWordPressDestinations(settings).filter(destination => destination.url), [settings]);
+  const destination = destinations.find(item => item.id === destinationId) || destinations[0] || null;
+
+  // Read-only client for the selected site; credentials unlock draft and private posts
+  const wpService = useMemo(() => {
+    if (!destination?.url) return null;
+    return createWordPressService(destination)
+      .setRateLimiter(new ProviderLimiter('wordpress', settings.rateLimits?.wordpress));
+  }, [destination?.id, destination?.url, destination?.username, destination?.password, JSON.stringify(destination?.postTypes), settings.rateLimits]);
+
+  // Fetch books whenever the configured site changes
   useEffect(() => {
-    fetchBooks();
-  }, []);
+    setSelectedBookId('');
+    if (wpService) {
+      fetchBooks();
+    } else {
+      setBooks([]);
+    }
+  }, [wpService]);
 
   const fetchBooks = async () => {
+    if (!wpService) return;
     setIsLoadingBooks(true);
     setError(null);
-    
+
     try {
-      const response = await fetch('https://ebooktest.ilearn.guru/wp-json/wp/v2/book?_fields=id%2Ctitle');
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const booksData = await response.json();
-      
-      if (!Array.isArray(booksData)) {
-        throw new Error('Invalid response format - expected array of books');
-      }
-      
-      // Sort books by title for better UX
-      const sortedBooks = booksData
-        .filter(book => book.id && book.title?.rendered) // Filter out invalid books
-        .sort((a, b) => a.title.rendered.localeCompare(b.title.rendered));
-      
-      setBooks(sortedBooks);
-      console.log(`Fetched ${sortedBooks.length} books successfully`);
-      
-      if (sortedBooks.length === 0) {
+      const booksData = await wpService.listBooks();
+      const validBooks = booksData.filter(book => book.title?.rendered);
+      setBooks(validBooks);
+      console.log(`Fetched ${validBooks.length} books successfully`);
+
+      if (validBooks.length === 0) {
         setError('No books found in the WordPress site');
       }
     } catch (error) {
@@ -55,239 +66,14 @@ const PDFGenerator = () => {
     }
   };
 
-  const fetchWithRetry = async (url, retries = 3) => {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return await response.json();
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-      }
-    }
-  };
-
-  const fetchBookContent = async (bookId) => {
-    const baseUrl = 'https://ebooktest.ilearn.guru/wp-json/wp/v2';
-    
-    setProgress({ step: 'chapters', message: 'Fetching chapters...' });
-    
-    // Step 1: Fetch chapters
-    const chaptersResponse = await fetchWithRetry(
-      `${baseUrl}/chapter?_fields=id,title,content,acf.chapter_parent_book&per_page=100`
-    );
-    
-    const chapters = chaptersResponse
-      .filter(chapter => chapter.acf?.chapter_parent_book == bookId)
-      .sort((a, b) => a.id - b.id);
-
-    console.log(`Found ${chapters.length} chapters for book ${bookId}`);
-
-    const bookStructure = {
-      bookId: parseInt(bookId),
-      chapters: []
-    };
-
-    // Step 2: For each chapter, fetch topics
-    for (let i = 0; i < chapters.length; i++) {
-      const chapter = chapters[i];
-      setProgress({ 
-        step: 'topics', 
-        message: `Fetching topics for chapter ${i + 1}/${chapters.length}...` 
-      });
-
-      const topicsResponse = await fetchWithRetry(
-        `${baseUrl}/chaptertopic?_fields=id,title,content,acf.topic_parent_chapter&per_page=100`
-      );
-
-      const chapterTopics = topicsResponse
-        .filter(topic => topic.acf?.topic_parent_chapter == chapter.id)
-        .sort((a, b) => a.id - b.id);
-
-      console.log(`Found ${chapterTopics.length} topics for chapter ${chapter.id}`);
-
-      const chapterData = {
-        id: chapter.id,
-        title: chapter.title?.rendered || `Chapter ${chapter.id}`,
-        content: chapter.content?.rendered || '',
-        topics: []
-      };
-
-      // Step 3: For each topic, fetch sections
-      for (let j = 0; j < chapterTopics.length; j++) {
-        const topic = chapterTopics[j];
-        setProgress({ 
-          step: 'sections', 
-          message: `Fetching sections for topic ${j + 1}/${chapterTopics.length} in chapter ${i + 1}...` 
-        });
-
-        const sectionsResponse = await fetchWithRetry(
-          `${baseUrl}/topicsection?_fields=id,title,content,acf.section_parent_topic&per_page=100`
-        );
-
-        const topicSections = sectionsResponse
-          .filter(section => section.acf?.section_parent_topic == topic.id)
-          .sort((a, b) => a.id - b.id);
-
-        console.log(`Found ${topicSections.length} sections for topic ${topic.id}`);
-
-        const topicData = {
-          id: topic.id,
-          title: topic.title?.rendered || `Topic ${topic.id}`,
-          content: topic.content?.rendered || '',
-          sections: topicSections.map(section => ({
-            id: section.id,
-            title: section.title?.rendered || `Section ${section.id}`,
-            content: section.content?.rendered || ''
-          }))
-        };
-
-        chapterData.topics.push(topicData);
-      }
-
-      bookStructure.chapters.push(chapterData);
-    }
-
-    return bookStructure;
-  };
-
   const generatePDF = async (bookStructure) => {
-    setProgress({ step: 'pdf', message: 'Generating PDF...' });
-
-    // Get the selected book title for the PDF
-    const selectedBook = books.find(book => book.id == bookStructure.bookId);
-    const bookTitle = selectedBook?.title?.rendered || `Book ${bookStructure.bookId}`;
-
-    // Create PDF content as HTML
-    let pdfContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>${bookTitle} - Complete Content</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px;
-            color: #333;
-        }
-        h1 { 
-            color: #2c3e50; 
-            border-bottom: 3px solid #3498db; 
-            padding-bottom: 10px;
-            page-break-before: always;
-        }
-        h2 { 
-            color: #34495e; 
-            border-bottom: 2px solid #95a5a6; 
-            padding-bottom: 5px;
-            margin-top: 30px;
-        }
-        h3 { 
-            color: #7f8c8d; 
-            border-bottom: 1px solid #bdc3c7; 
-            padding-bottom: 3px;
-            margin-top: 25px;
-        }
-        .book-header {
-            text-align: center;
-            margin-bottom: 40px;
-            page-break-after: always;
-        }
-        .book-title {
-            font-size: 2.5em;
-            color: #2c3e50;
-            margin-bottom: 20px;
-        }
-        .chapter-id, .topic-id, .section-id {
-            font-size: 0.9em;
-            color: #7f8c8d;
-            font-weight: normal;
-        }
-        .content {
-            margin: 20px 0;
-            text-align: justify;
-        }
-        .structure-info {
-            background: #ecf0f1;
-            padding: 15px;
-            border-radius: 5px;
-            margin-bottom: 30px;
-        }
-        @media print {
-            body { margin: 20px; }
-            h1 { page-break-before: always; }
-        }
-    </style>
-</head>
-<body>
-    <div class="book-header">
-        <h1 class="book-title">${bookTitle}</h1>
-        <h2>Complete Book Content</h2>
-        <div class="structure-info">
-            <strong>Content Structure:</strong><br>
-            Book ID: ${bookStructure.bookId}<br>
-            ${bookStructure.chapters.length} Chapters<br>
-            ${bookStructure.chapters.reduce((sum, ch) => sum + ch.topics.length, 0)} Topics<br>
-            ${bookStructure.chapters.reduce((sum, ch) => sum + ch.topics.reduce((topicSum, topic) => topicSum + topic.sections.length, 0), 0)} Sections
-        </div>
-        <p><em>Generated on: ${new Date().toLocaleString()}</em></p>
-    </div>
-`;
-
-    bookStructure.chapters.forEach(chapter => {
-      pdfContent += `
-    <h1>Chapter: ${chapter.id} <span class="chapter-id">(ID: ${chapter.id})</span></h1>
-    <h2>${chapter.title}</h2>
-    <div class="content">${chapter.content || '<p><em>No content available</em></p>'}</div>
-`;
-
-      chapter.topics.forEach(topic => {
-        pdfContent += `
-        <h2>Topic: ${topic.id} <span class="topic-id">(ID: ${topic.id})</span></h2>
-        <h3>${topic.title}</h3>
-        <div class="content">${topic.content || '<p><em>No content available</em></p>'}</div>
-`;
-
-        topic.sections.forEach(section => {
-          pdfContent += `
-            <h3>Section: ${section.id} <span class="section-id">(ID: ${section.id})</span></h3>
-            <h4>${section.title}</h4>
-            <div class="content">${section.content || '<p><em>No content available</em></p>'}</div>
-`;
-        });
-      });
-    });
+    const { label } = EXPORT_FORMATS[format];
+    setProgress({ step: 'pdf', message: `Generating ${label}...` });
 
-    pdfContent += `
-</body>
-</html>`;
+    const book = buildBookFromWordPress(bookStructure);
 
-    // Create and download HTML file (can be converted to PDF by browser)
-    const blob = new Blob([pdfContent], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${bookTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-complete.html`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-
-    // Also trigger browser print for PDF conversion
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(pdfContent);
-    printWindow.document.close();
-    printWindow.focus();
-    
-    setTimeout(() => {
-      printWindow.print();
-    }, 1000);
+    const { blob, filename } = await exportBook(book, format);
+    downloadBlob(blob, filename);
   };
 
   const handleGeneratePDF = async () => {
@@ -300,9 +86,9 @@ const PDFGenerator = () => {
     setError(null);
 
     try {
-      console.log(`Starting PDF generation for book ID: ${selectedBookId}`);
+      console.log(`Starting ${EXPORT_FORMATS[format].label} generation for book ID: ${selectedBookId}`);
       
-      const bookStructure = await fetchBookContent(parseInt(selectedBookId));
+      const bookStructure = await wpService.getBookTree(selectedBookId, setProgress);
       
       if (bookStructure.chapters.length === 0) {
         throw new Error(`No chapters found for the selected book. Please verify the book has content.`);
@@ -310,11 +96,11 @@ const PDFGenerator = () => {
 
       await generatePDF(bookStructure);
       
-      setProgress({ step: 'complete', message: 'PDF generated successfully!' });
+      setProgress({ step: 'complete', message: `${EXPORT_FORMATS[format].label} generated successfully!` });
       
     } catch (error) {
       console.error('PDF Generation Error:', error);
-      setError(error.message || 'Failed to generate PDF');
+      setError(error.message || 'Failed to generate the book file');
     } finally {
       setIsGenerating(false);
       setTimeout(() => {
@@ -328,7 +114,7 @@ const PDFGenerator = () => {
       <div className="mb-8">
         <h1 className="text-3xl font-bold text-gray-900 mb-2">WordPress PDF Generator</h1>
         <p className="text-gray-600">
-          Select a book and generate a structured PDF containing all chapters, topics, and sections.
+          Select a book and export it as PDF, EPUB, or DOCX with all chapters, topics, and sections.
         </p>
       </div>
 
@@ -343,6 +129,37 @@ const PDFGenerator = () => {
         </div>
 
         <div className="space-y-6">
+          {!wpService && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+              <div className="flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="text-yellow-600" />
+                <p className="text-sm text-yellow-800">
+                  No WordPress site configured.{' '}
+                  <Link to="/settings" className="font-medium underline">Add your site in Settings</Link>
+                  {' '}to load its books.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {destinations.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                WordPress Site
+              </label>
+              <select
+                value={destination?.id || ''}
+                onChange={(e) => setDestinationId(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                disabled={isGenerating}
+              >
+                {destinations.map(item => (
+                  <option key={item.id} value={item.id}>{item.name} ({item.url})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div>
             <div className="flex items-center justify-between mb-2">
               <label className="block text-sm font-medium text-gray-700">
@@ -350,7 +167,7 @@ const PDFGenerator = () => {
               </label>
               <button
                 onClick={fetchBooks}
-                disabled={isLoadingBooks}
+                disabled={isLoadingBooks || !wpService}
                 className="text-xs text-primary-600 hover:text-primary-700 flex items-center space-x-1"
               >
                 <SafeIcon 
@@ -376,7 +193,7 @@ const PDFGenerator = () => {
                 <option value="">Choose a book...</option>
                 {books.map((book) => (
                   <option key={book.id} value={book.id}>
-                    {book.title.rendered} (ID: {book.id})
+                    {decodeEntities(book.title.rendered)}{book.status && book.status !== 'publish' ? ` (${book.status})` : ''}
                   </option>
                 ))}
               </select>
@@ -390,6 +207,29 @@ const PDFGenerator = () => {
             </p>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Format
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setFormat(value)}
+                  disabled={isGenerating}
+                  className={`px-3 py-2 rounded-md border text-sm font-medium transition-colors ${
+                    format === value
+                      ? 'border-primary-600 bg-primary-50 text-primary-700'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {error && (
             <div className="p-3 bg-red-50 border border-red-200 rounded-md">
               <div className="flex items-center space-x-2">
@@ -415,18 +255,18 @@ const PDFGenerator = () => {
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
             onClick={handleGeneratePDF}
-            disabled={isGenerating || !selectedBookId || isLoadingBooks}
+            disabled={isGenerating || !selectedBookId || isLoadingBooks || !wpService}
             className="w-full flex items-center justify-center space-x-2 bg-primary-600 text-white px-6 py-3 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isGenerating ? (
               <>
                 <SafeIcon icon={FiLoader} className="animate-spin" />
-                <span>Generating PDF...</span>
+                <span>Generating {EXPORT_FORMATS[format].label}...</span>
               </>
             ) : (
               <>
                 <SafeIcon icon={FiDownload} />
-                <span>Generate PDF</span>
+                <span>Generate {EXPORT_FORMATS[format].label}</span>
               </>
             )}
           </motion.button>
@@ -435,21 +275,20 @@ const PDFGenerator = () => {
         <div className="mt-8 p-4 bg-gray-50 rounded-lg">
           <h3 className="text-sm font-medium text-gray-900 mb-3">How it works:</h3>
           <ol className="text-sm text-gray-700 space-y-1 list-decimal list-inside">
-            <li>Automatically fetches all available books from WordPress</li>
-            <li>Select a book from the dropdown to see its title and ID</li>
-            <li>For the selected book, fetches all associated chapters</li>
-            <li>For each chapter, fetches all associated chapter topics</li>
-            <li>For each topic, fetches all associated topic sections</li>
-            <li>Generates a structured PDF with the hierarchical content</li>
-            <li>Downloads the PDF and opens print dialog for saving</li>
+            <li>Fetches every book from the WordPress site selected above (configured in Settings)</li>
+            <li>Select a book from the dropdown (drafts are included when credentials are set)</li>
+            <li>Pages through all chapters, chapter topics, and topic sections</li>
+            <li>Links them to the book through their ACF parent fields</li>
+            <li>Builds the book with a cover, table of contents, and page numbers</li>
+            <li>Downloads the finished PDF, EPUB, or DOCX file</li>
           </ol>
           
           <div className="mt-4 p-3 bg-blue-50 rounded border border-blue-200">
             <p className="text-xs text-blue-800">
-              <strong>Data Source:</strong> https://ebooktest.ilearn.guru/wp-json/wp/v2/<br/>
+              <strong>Data Source:</strong> {destination?.url ? `${destination.url.replace(/\/+$/, '')}/wp-json/wp/v2/` : 'Not configured'}<br/>
               <strong>Structure:</strong> Book → Chapters → Topics → Sections<br/>
               <strong>Sorting:</strong> All content sorted by post ID (ascending)<br/>
-              <strong>Books:</strong> Automatically loaded and sorted alphabetically
+              <strong>Books:</strong> All pages loaded and sorted alphabetically
             </p>
           </div>
         </div>
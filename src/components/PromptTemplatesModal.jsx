@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useEbook } from '../contexts/EbookContext';
+import { useSettings } from '../contexts/SettingsContext';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_VARIABLE_DESCRIPTIONS,
+  resolvePromptTemplate,
+  renderTemplate,
+  findUnknownVariables,
+  addLibraryVersion,
+  setActiveLibraryVersion,
+  setProjectOverride,
+  exportPromptLibrary,
+  importPromptLibrary,
+  getPreviewVariables
+} from '../services/promptTemplates';
+import { forEachOutlineNode } from '../services/outlineIds';
+import { downloadBlob } from '../services/export';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiX, FiFileText, FiSave, FiRotateCcw, FiDownload, FiUpload, FiEye, FiEdit, FiAlertTriangle, FiTrash2 } = FiIcons;
+
+const TEMPLATE_IDS = Object.keys(DEFAULT_PROMPT_TEMPLATES);
+
+const describeVersion = (version) => {
+  const [source, number] = version.split('@');
+  if (source === 'default') return number ? `Built-in v${number}` : 'Built-in';
+  return source === 'project' ? `Project override (rev ${number})` : `Library v${number}`;
+};
+
+const getLessonOptions = (project) => {
+  const options = [];
+  forEachOutlineNode(project?.outline, (node, { level, chapter }) => {
+    if (level === 'lesson') {
+      options.push({ id: node.id, label: `Ch. ${chapter.courseNumber} · ${node.lessonTitle}` });
+    }
+  });
+  return options;
+};
+
+// Edit the prompt templates either as the user's library (mode 'library': versions saved with onSaveLibrary)
+// or as one project's overrides (mode 'project': saved with onSaveOverrides). Preview renders the selected
+// template for a lesson of `project` (or, in library mode, of any project).
+const PromptTemplatesModal = ({ mode = 'library', library = {}, project = null, onSaveLibrary, onSaveOverrides, onClose }) => {
+  const { projects } = useEbook();
+  const { settings } = useSettings();
+  const overrides = project?.promptOverrides || {};
+  const [templateId, setTemplateId] = useState(TEMPLATE_IDS[0]);
+  const [draft, setDraft] = useState('');
+  const [note, setNote] = useState('');
+  const [tab, setTab] = useState('edit');
+  const [previewProjectId, setPreviewProjectId] = useState(project?.id || projects[0]?.id || '');
+  const [previewLessonId, setPreviewLessonId] = useState('');
+  const fileInputRef = useRef(null);
+
+  const template = DEFAULT_PROMPT_TEMPLATES[templateId];
+  const libraryEntry = library[templateId];
+  const resolved = resolvePromptTemplate(templateId, {
+    library,
+    overrides: mode === 'project' ? overrides : {}
+  });
+
+  // Start editing from whatever the selected template currently resolves to
+  useEffect(() => {
+    setDraft(resolved.text);
+    setNote('');
+  }, [templateId, resolved.version]);
+
+  const previewProject = mode === 'project' ? project : projects.find(item => item.id === previewProjectId);
+  const lessonOptions = useMemo(() => getLessonOptions(previewProject), [previewProject]);
+
+  useEffect(() => {
+    if (!lessonOptions.some(option => option.id === previewLessonId)) {
+      setPreviewLessonId(lessonOptions[0]?.id || '');
+    }
+  }, [lessonOptions]);
+
+  const preview = useMemo(
+    () => (previewProject ? renderTemplate(draft, getPreviewVariables(previewProject, previewLessonId, settings.styleProfiles)) : ''),
+    [draft, previewProject, previewLessonId, settings.styleProfiles]
+  );
+
+  const unknownVariables = findUnknownVariables(templateId, draft);
+  const isChanged = draft !== resolved.text;
+
+  const handleSave = () => {
+    if (!draft.trim()) {
+      toast.error('The template cannot be empty');
+      return;
+    }
+    if (mode === 'project') {
+      onSaveOverrides(setProjectOverride(overrides, templateId, draft));
+      toast.success(`Project override saved for "${template.name}"`);
+    } else {
+      onSaveLibrary(addLibraryVersion(library, templateId, draft, note.trim()));
+      toast.success(`Saved "${template.name}" as a new version`);
+    }
+  };
+
+  const handleSelectVersion = (value) => {
+    onSaveLibrary(setActiveLibraryVersion(library, templateId, value === 'default' ? null : parseInt(value)));
+  };
+
+  const handleRemoveOverride = () => {
+    onSaveOverrides(setProjectOverride(overrides, templateId, null));
+    toast.success('Project override removed');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPromptLibrary(library)], { type: 'application/json' });
+    downloadBlob(blob, 'prompt-templates.json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { library: merged, imported } = importPromptLibrary(library, await file.text());
+      onSaveLibrary(merged);
+      toast.success(`Imported ${imported} template${imported === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Prompt template import error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white rounded-lg shadow-xl w-full max-w-6xl mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <SafeIcon icon={FiFileText} className="text-xl text-primary-600" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {mode === 'project' ? 'Project Prompt Overrides' : 'Prompt Templates'}
+              </h3>
+              <p className="text-sm text-gray-500">
+                {mode === 'project'
+                  ? 'Overrides apply to this project only and take precedence over your template library.'
+                  : 'Edited templates are saved as new versions; generated sections record the version that wrote them.'}
+              </p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1">
+            <SafeIcon icon={FiX} className="text-xl" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          {/* Template list */}
+          <div className="w-64 border-r border-gray-200 overflow-y-auto p-3 space-y-1">
+            {TEMPLATE_IDS.map(id => {
+              const version = resolvePromptTemplate(id, { library, overrides: mode === 'project' ? overrides : {} }).version;
+              return (
+                <button
+                  type="button"
+                  key={id}
+                  onClick={() => setTemplateId(id)}
+                  className={`w-full text-left px-3 py-2 rounded-md ${templateId === id ? 'bg-primary-50 border border-primary-200' : 'hover:bg-gray-50 border border-transparent'}`}
+                >
+                  <p className="text-sm font-medium text-gray-900">{DEFAULT_PROMPT_TEMPLATES[id].name}</p>
+                  <p className="text-xs text-gray-500">{describeVersion(version)}</p>
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Selected template */}
+          <div className="flex-1 flex flex-col min-w-0 overflow-y-auto p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{template.name}</p>
+                <p className="text-xs text-gray-500">
+                  <code>{templateId}</code> · in use: {describeVersion(resolved.version)}
+                </p>
+              </div>
+              <div className="flex bg-gray-100 rounded-md p-1">
+                {[['edit', 'Edit', FiEdit], ['preview', 'Preview', FiEye]].map(([id, label, icon]) => (
+                  <button
+                    type="button"
+                    key={id}
+                    onClick={() => setTab(id)}
+                    className={`flex items-center space-x-1 px-3 py-1 text-sm rounded ${tab === id ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600'}`}
+                  >
+                    <SafeIcon icon={icon} />
+                    <span>{label}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {mode === 'library' && (
+              <div>
+                <label htmlFor="prompt-version" className="block text-sm font-medium text-gray-700 mb-1">
+                  Active version
+                </label>
+                <select
+                  id="prompt-version"
+                  value={libraryEntry?.activeVersion ?? 'default'}
+                  onChange={(e) => handleSelectVersion(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="default">Built-in</option>
+                  {(libraryEntry?.versions || []).map(item => (
+                    <option key={item.version} value={item.version}>
+                      v{item.version} · {new Date(item.createdAt).toLocaleString()}{item.note ? ` · ${item.note}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {tab === 'edit' ? (
+              <>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  spellCheck={false}
+                  className="w-full h-80 p-3 font-mono text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+
+                {unknownVariables.length > 0 && (
+                  <div className="flex items-start space-x-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+                    <SafeIcon icon={FiAlertTriangle} className="mt-0.5 flex-shrink-0" />
+                    <span>
+                      Unknown variable{unknownVariables.length === 1 ? '' : 's'} {unknownVariables.map(name => `{{${name}}}`).join(', ')} will render empty.
+                    </span>
+                  </div>
+                )}
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Variables</p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {template.variables.map(name => (
+                      <div key={name} className="text-xs">
+                        <code className="text-primary-700">{`{{${name}}}`}</code>
+                        <span className="text-gray-600"> {PROMPT_VARIABLE_DESCRIPTIONS[name]}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Wrap text in <code>{'{{#name}}...{{/name}}'}</code> to include it only when a variable is set,
+                    or <code>{'{{^name}}...{{/name}}'}</code> when it is not.
+                  </p>
+                </div>
+
+                {mode === 'library' && (
+                  <div>
+                    <label htmlFor="prompt-note" className="block text-sm font-medium text-gray-700 mb-1">
+                      Version note (optional)
+                    </label>
+                    <input
+                      id="prompt-note"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="e.g. Shorter sections, more checklists"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                )}
+              </>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {mode === 'library' && (
+                    <select
+                      value={previewProjectId}
+                      onChange={(e) => setPreviewProjectId(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    >
+                      {projects.length === 0 && <option value="">No projects yet</option>}
+                      {projects.map(item => (
+                        <option key={item.id} value={item.id}>{item.outline?.title || item.niche}</option>
+                      ))}
+                    </select>
+                  )}
+                  <select
+                    value={previewLessonId}
+                    onChange={(e) => setPreviewLessonId(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    {lessonOptions.length === 0 && <option value="">No lessons in the outline</option>}
+                    {lessonOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {previewProject ? (
+                  <pre className="w-full p-3 text-xs bg-gray-50 border border-gray-200 rounded-md whitespace-pre-wrap break-words">
+                    {preview}
+                  </pre>
+                ) : (
+                  <p className="text-sm text-gray-600">Create a project to preview templates against its outline.</p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between p-6 border-t border-gray-200">
+          <div className="flex items-center space-x-3">
+            {mode === 'library' ? (
+              <>
+                <button
+                  type="button"
+                  onClick={handleExport}
+                  className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+                >
+                  <SafeIcon icon={FiDownload} />
+                  <span>Export</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+                >
+                  <SafeIcon icon={FiUpload} />
+                  <span>Import</span>
+                </button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+              </>
+            ) : overrides[templateId] && (
+              <button
+                type="button"
+                onClick={handleRemoveOverride}
+                className="flex items-center space-x-2 px-3 py-2 text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                <SafeIcon icon={FiTrash2} />
+                <span>Remove Override</span>
+              </button>
+            )}
+          </div>
+
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={() => setDraft(resolved.text)}
+              disabled={!isChanged}
+              className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+            >
+              <SafeIcon icon={FiRotateCcw} />
+              <span>Discard Changes</span>
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!isChanged}
+              className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 font-medium disabled:opacity-50"
+            >
+              <SafeIcon icon={FiSave} />
+              <span>{mode === 'project' ? 'Save Override' : 'Save as New Version'}</span>
+            </button>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default PromptTemplatesModal;
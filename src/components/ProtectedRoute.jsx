@@ -1,9 +1,10 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const ProtectedRoute = ({ children }) => {
-  const { user, loading } = useAuth();
+  const { user, loading, passwordRecovery } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -16,7 +17,9 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return user ? children : <Navigate to="/login" replace />;
+  // A recovery link signs the user in, but they choose a new password (on the login page) before going on
+  // The login page returns to the requested page (e.g. an invitation link) afterwards
+  return user && !passwordRecovery ? children : <Navigate to="/login" replace state={{ from: location }} />;
 };
 
 export default ProtectedRoute;
\ No newline at end of file
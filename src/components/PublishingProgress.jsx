@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useEbook } from '../contexts/EbookContext';
+import LiveSectionPreview from './LiveSectionPreview';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
@@ -77,7 +78,7 @@ const PublishingProgress = ({ progress, isVisible }) => {
       <motion.div
         initial={{ y: 20 }}
         animate={{ y: 0 }}
-        className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 p-6 max-h-[90vh] overflow-y-auto relative"
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 p-6 max-h-[90vh] overflow-y-auto relative"
       >
         {/* Close and Minimize Buttons */}
         <div className="absolute top-4 right-4 flex space-x-2">
@@ -136,6 +137,9 @@ const PublishingProgress = ({ progress, isVisible }) => {
           </div>
         )}
 
+        {/* Live preview of the sections being streamed */}
+        {!isProcessAborting && <LiveSectionPreview />}
+
         {/* Progress Bar */}
         <div className="mb-6">
           <div className="flex justify-between text-sm font-medium text-gray-700 mb-2">
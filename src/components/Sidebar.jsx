@@ -1,18 +1,21 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiHome, FiBookOpen, FiSettings, FiPlus, FiFileText } = FiIcons;
+const { FiHome, FiBookOpen, FiSettings, FiPlus, FiFileText, FiUsers } = FiIcons;
 
 const Sidebar = () => {
+  const { can } = useWorkspace();
   const navItems = [
     { path: '/dashboard', icon: FiHome, label: 'Dashboard' },
-    { path: '/create', icon: FiPlus, label: 'Create Ebook' },
+    can('createProject') && { path: '/create', icon: FiPlus, label: 'Create Ebook' },
     { path: '/pdf-generator', icon: FiFileText, label: 'PDF Generator' },
+    { path: '/team', icon: FiUsers, label: 'Team' },
     { path: '/settings', icon: FiSettings, label: 'Settings' }
-  ];
+  ].filter(Boolean);
 
   return (
     <motion.div
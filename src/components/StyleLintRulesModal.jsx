@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { LINT_RULES, LINT_SEVERITIES, DEFAULT_LINT_RULES, resolveLintRules } from '../services/styleLinter';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiX, FiSave, FiRotateCcw, FiCheckSquare } = FiIcons;
+
+// Settings shown under each rule besides its severity
+const RULE_FIELDS = {
+  bannedPhrases: [{ key: 'phrases', label: 'Phrases (comma separated)', type: 'textarea', placeholder: 'game-changer, in today\'s fast-paced world, delve' }],
+  forbiddenTerms: [{ key: 'terms', label: 'One "term => preferred" per line', type: 'textarea', placeholder: 'customers => clients\nutilize => use' }],
+  headings: [{ key: 'min', label: 'Minimum subheadings', type: 'number' }],
+  paragraphLength: [{ key: 'maxWords', label: 'Maximum words per paragraph', type: 'number' }],
+  readingGrade: [{ key: 'min', label: 'Minimum grade', type: 'number' }, { key: 'max', label: 'Maximum grade', type: 'number' }],
+  passiveVoice: [{ key: 'maxPercent', label: 'Maximum passive sentences (%)', type: 'number' }],
+  wordCount: [{ key: 'min', label: 'Minimum words', type: 'number' }, { key: 'max', label: 'Maximum words', type: 'number' }]
+};
+
+// Edits one project's style lint rules (project.lintRules); the style profile's banned words are checked
+// on top of these. Saved with onSave.
+const StyleLintRulesModal = ({ project, onSave, onClose }) => {
+  const [rules, setRules] = useState(() => resolveLintRules(project.lintRules));
+
+  const updateRule = (rule, changes) => {
+    setRules(prev => ({ ...prev, [rule]: { ...prev[rule], ...changes } }));
+  };
+
+  const handleSave = () => {
+    onSave(rules);
+    onClose();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white rounded-lg shadow-xl w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <SafeIcon icon={FiCheckSquare} className="text-xl text-primary-600" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Style Rules</h3>
+              <p className="text-sm text-gray-500">
+                Every generated section is checked against these rules; the report is shown with the published sections.
+              </p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1">
+            <SafeIcon icon={FiX} className="text-xl" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={!!rules.autoRegenerate}
+                onChange={(e) => setRules(prev => ({ ...prev, autoRegenerate: e.target.checked }))}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="text-sm font-medium text-gray-900">Regenerate sections that fail hard rules</span>
+            </label>
+            <div className="flex items-center space-x-2">
+              <label className="text-sm text-gray-700">Regenerations per section</label>
+              <input
+                type="number"
+                min="1"
+                max="3"
+                value={rules.maxRegenerations}
+                disabled={!rules.autoRegenerate}
+                onChange={(e) => setRules(prev => ({ ...prev, maxRegenerations: e.target.valueAsNumber || 1 }))}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+              />
+              <span className="text-xs text-gray-500">The attempt with the fewest hard failures is published.</span>
+            </div>
+          </div>
+
+          {Object.entries(LINT_RULES).map(([rule, { label, description }]) => (
+            <div key={rule} className="border border-gray-200 rounded-lg p-4 space-y-3">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{label}</p>
+                  <p className="text-xs text-gray-500">{description}</p>
+                </div>
+                <select
+                  value={rules[rule].severity}
+                  onChange={(e) => updateRule(rule, { severity: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  {Object.entries(LINT_SEVERITIES).map(([severity, severityLabel]) => (
+                    <option key={severity} value={severity}>{severityLabel}</option>
+                  ))}
+                </select>
+              </div>
+
+              {rules[rule].severity !== 'off' && (
+                <div className="grid grid-cols-2 gap-3">
+                  {RULE_FIELDS[rule].map(field => (
+                    <div key={field.key} className={field.type === 'textarea' ? 'col-span-2' : ''}>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+                      {field.type === 'textarea' ? (
+                        <textarea
+                          rows={3}
+                          value={rules[rule][field.key]}
+                          placeholder={field.placeholder}
+                          onChange={(e) => updateRule(rule, { [field.key]: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                      ) : (
+                        <input
+                          type="number"
+                          value={rules[rule][field.key]}
+                          onChange={(e) => updateRule(rule, { [field.key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={() => setRules(resolveLintRules(DEFAULT_LINT_RULES))}
+            className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+          >
+            <SafeIcon icon={FiRotateCcw} />
+            <span>Reset to Defaults</span>
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 font-medium"
+          >
+            <SafeIcon icon={FiSave} />
+            <span>Save Rules</span>
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default StyleLintRulesModal;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useSettings } from '../contexts/SettingsContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiX, FiLock, FiUnlock, FiLoader } = FiIcons;
+
+// Asks for the workspace's vault passphrase when its settings load and after the vault auto-locks.
+// Without unlocking, the app works but has no API keys or passwords.
+const VaultUnlockModal = ({ onClose }) => {
+  const { unlockVault } = useSettings();
+  const { currentWorkspace, can } = useWorkspace();
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setError(null);
+    const result = await unlockVault(passphrase);
+    setIsUnlocking(false);
+    if (!result.success) {
+      setError(result.error);
+      setPassphrase('');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <SafeIcon icon={FiLock} className="text-xl text-primary-600" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Unlock credentials</h3>
+              <p className="text-sm text-gray-500">{currentWorkspace?.name}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1">
+            <SafeIcon icon={FiX} className="text-xl" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-4">
+            <p className="text-sm text-gray-600">
+              API keys and passwords for this workspace are encrypted. Enter the vault passphrase to use them for
+              generating and publishing.
+              {!can('manageSettings') && ' Ask the workspace owner if you don\'t know it.'}
+            </p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Vault passphrase"
+              autoFocus
+              autoComplete="current-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+
+          <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Not now
+            </button>
+            <button
+              type="submit"
+              disabled={!passphrase || isUnlocking}
+              className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <SafeIcon icon={isUnlocking ? FiLoader : FiUnlock} className={isUnlocking ? 'animate-spin' : ''} />
+              <span>{isUnlocking ? 'Unlocking...' : 'Unlock'}</span>
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default VaultUnlockModal;
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { getAuthConfig, getAuthClient, getAuthRedirectUrl, toAppUser } from '../services/auth';
 
 const AuthContext = createContext();
 
@@ -10,55 +11,161 @@ export const useAuth = () => {
   return context;
 };
 
+// Auth actions resolve to { success, error? } and never throw
+const toResult = (error, extra = {}) => (error ? { success: false, error: error.message } : { success: true, ...extra });
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Set when the user arrived through a password recovery link and has to choose a new password
+  const [passwordRecovery, setPasswordRecovery] = useState(false);
+  const authConfig = getAuthConfig();
+  const authClient = getAuthClient();
+
+  const applySession = (nextSession) => {
+    const nextUser = toAppUser(nextSession?.user);
+    setSession(nextSession);
+    // Keep the same object across token refreshes so per-user effects don't re-run
+    setUser(prevUser => (JSON.stringify(prevUser) === JSON.stringify(nextUser) ? prevUser : nextUser));
+  };
 
   useEffect(() => {
-    // Check for stored auth token
-    const token = localStorage.getItem('authToken');
-    const userData = localStorage.getItem('userData');
-    
-    if (token && userData) {
-      setUser(JSON.parse(userData));
+    // Left behind by the old demo login
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('userData');
+
+    if (!authClient) {
+      console.error('❌ Authentication is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.');
+      setLoading(false);
+      return;
     }
-    
-    setLoading(false);
+
+    let cancelled = false;
+
+    authClient.getSession().then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) {
+        console.error('❌ Error restoring session:', error);
+      }
+      applySession(data?.session || null);
+      setLoading(false);
+    }).catch(error => {
+      console.error('❌ Error restoring session:', error);
+      if (!cancelled) setLoading(false);
+    });
+
+    const { data: { subscription } } = authClient.onAuthStateChange((event, nextSession) => {
+      if (cancelled) return;
+      console.log(`🔐 Auth event: ${event}`);
+      if (event === 'PASSWORD_RECOVERY') {
+        setPasswordRecovery(true);
+      } else if (event === 'SIGNED_OUT') {
+        setPasswordRecovery(false);
+      }
+      applySession(nextSession);
+    });
+
+    return () => {
+      cancelled = true;
+      subscription.unsubscribe();
+    };
   }, []);
 
-  const login = async (email, password) => {
+  const requireClient = () => {
+    if (!authClient) {
+      throw new Error('Authentication is not configured');
+    }
+    return authClient;
+  };
+
+  const signUp = async (email, password, name = '') => {
     try {
-      // Simulate API call
-      const mockUser = {
-        id: '1',
+      const { data, error } = await requireClient().signUp({
         email,
-        name: email.split('@')[0],
-        createdAt: new Date().toISOString()
-      };
-      
-      const token = 'mock-jwt-token';
-      
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('userData', JSON.stringify(mockUser));
-      setUser(mockUser);
-      
-      return { success: true };
+        password,
+        options: {
+          data: { name: name.trim() || email.split('@')[0] },
+          emailRedirectTo: getAuthRedirectUrl()
+        }
+      });
+      // Without a session the project requires the email address to be confirmed first
+      return toResult(error, { needsConfirmation: !data?.session });
     } catch (error) {
       return { success: false, error: error.message };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userData');
-    setUser(null);
+  const login = async (email, password) => {
+    try {
+      const { error } = await requireClient().signInWithPassword({ email, password });
+      return toResult(error);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const logout = async () => {
+    try {
+      const { error } = await requireClient().signOut();
+      if (error) {
+        console.error('❌ Error signing out:', error);
+      }
+    } catch (error) {
+      console.error('❌ Error signing out:', error);
+    }
+    // Sign out locally even if the server couldn't be reached
+    setPasswordRecovery(false);
+    applySession(null);
+  };
+
+  const resetPassword = async (email) => {
+    try {
+      const { error } = await requireClient().resetPasswordForEmail(email, { redirectTo: getAuthRedirectUrl() });
+      return toResult(error);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updatePassword = async (password) => {
+    try {
+      const { error } = await requireClient().updateUser({ password });
+      if (!error) {
+        setPasswordRecovery(false);
+      }
+      return toResult(error);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Sessions refresh automatically; this forces it, e.g. after the server rejected an expired token
+  const refreshSession = async () => {
+    try {
+      const { data, error } = await requireClient().refreshSession();
+      if (!error) {
+        applySession(data.session);
+      }
+      return toResult(error);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   };
 
   const value = {
     user,
+    session,
+    loading,
+    authMode: authConfig.mode,
+    authConfigured: authConfig.configured,
+    passwordRecovery,
+    signUp,
     login,
     logout,
-    loading
+    resetPassword,
+    updatePassword,
+    refreshSession
   };
 
   return (
@@ -66,4 +173,4 @@ export const AuthProvider = ({ children }) => {
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -1,12 +1,44 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { useSettings } from './SettingsContext';
-import OpenAIService from '../services/openaiService';
-import PerplexityService from '../services/perplexityService';
-import WordPressService from '../services/wordpressService';
-import WebhookService from '../services/webhookService';
+import { useAuth } from './AuthContext';
+import { useWorkspace } from './WorkspaceContext';
+import { OUTLINE_REVIEW_FIELDS } from '../services/workspaces';
+import { createProjectStore } from '../services/projectStore';
+import { createStageService, createPerplexityService, getStageProviderId, describeStageRoute } from '../services/llmRouting';
+import { isProviderConfigured, isUpstreamConfigured } from '../services/providers';
+import { getWordPressDestination, getBookDestination, isDestinationConfigured, createWordPressService, createWebhookService, validateDestination } from '../services/wordpressDestinations';
+import GenerationScheduler from '../services/generationScheduler';
+import { createLedgerEntry, DEFAULT_MODEL_PRICES } from '../services/costLedger';
+import { renderSectionSources, renderBibliography, collectChapterSources } from '../services/citations';
+import { ensureOutlineIds, findOutlineNode } from '../services/outlineIds';
+import { createPromptRenderer, buildSectionResearchContext } from '../services/promptTemplates';
+import { getStyleProfile } from '../services/styleProfiles';
+import { resolveLintRules, lintSection } from '../services/styleLinter';
+import {
+  proposeRegeneratedTopics,
+  proposeAdditionalLessons,
+  proposeTopicSplit,
+  proposeChapterMerge,
+  proposeTopicSuggestions
+} from '../services/outlineAssist';
+import {
+  JOURNAL_STATUS,
+  getJournalKey,
+  createJournal,
+  getJournalEntry,
+  isJournalItemComplete,
+  updateJournalItem,
+  canResumeJournal,
+  summarizePost
+} from '../services/publishingJournal';
 
 const EbookContext = createContext();
 
+// How often streamed section text is pushed to the live preview
+const LIVE_PREVIEW_INTERVAL_MS = 250;
+// WordPress status for sections that still fail hard style rules, so they are reviewed before going live
+const LINT_HOLD_STATUS = 'draft';
+
 export const useEbook = () => {
   const context = useContext(EbookContext);
   if (!context) {
@@ -16,8 +48,19 @@ export const useEbook = () => {
 };
 
 export const EbookProvider = ({ children }) => {
-  const { settings } = useSettings();
+  const { settings, loading: settingsLoading } = useSettings();
+  const { user } = useAuth();
+  const { currentWorkspace, can, assertCan } = useWorkspace();
+  const userId = user?.id || null;
+  const workspaceId = currentWorkspace?.id || null;
   const [projects, setProjects] = useState([]);
+  const [projectsLoading, setProjectsLoading] = useState(true);
+  const [storageError, setStorageError] = useState(null);
+  const [unclaimedProjects, setUnclaimedProjects] = useState([]);
+  const projectsRef = useRef([]);
+  const projectStoreRef = useRef(null);
+  // Per-project save queues: { latest, done } while a save is in flight (see persistProject)
+  const saveQueuesRef = useRef(new Map());
   const [currentProject, setCurrentProject] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationProgress, setGenerationProgress] = useState({
@@ -25,6 +68,9 @@ export const EbookProvider = ({ children }) => {
     progress: 0,
     message: ''
   });
+  // Outline-stage schema validation failures (live re-ask attempts) and the final failure, shown in GenerationProgress
+  const [generationIssues, setGenerationIssues] = useState([]);
+  const [generationError, setGenerationError] = useState(null);
   const [isPublishing, setIsPublishing] = useState(false);
   const [publishingProgress, setPublishingProgress] = useState({
     step: '',
@@ -39,38 +85,199 @@ export const EbookProvider = ({ children }) => {
   const [backgroundProcessing, setBackgroundProcessing] = useState(false);
   const [shouldAbortProcessing, setShouldAbortProcessing] = useState(false);
   const [abortController, setAbortController] = useState(null);
+  const activeSchedulerRef = useRef(null);
+  // Sections streaming right now, keyed by journal key: { title, html, stopping } for the live preview
+  const [liveSections, setLiveSections] = useState({});
+  const liveSectionsRef = useRef({});
+
+  // Load the active workspace's persisted projects once its settings are available (storage backend is configurable)
+  useEffect(() => {
+    if (settingsLoading) return;
+
+    if (!userId || !workspaceId) {
+      projectStoreRef.current = null;
+      projectsRef.current = [];
+      setProjects([]);
+      setUnclaimedProjects([]);
+      setProjectsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const store = createProjectStore(settings, {
+      userId,
+      workspaceId,
+      // Projects from before workspaces existed go to their owner's personal workspace; those from before
+      // sign-in are only offered there (unclaimedProjects)
+      adoptLegacy: !!currentWorkspace.personal && currentWorkspace.ownerId === userId
+    });
+    projectStoreRef.current = store;
+
+    const loadProjects = async () => {
+      setProjectsLoading(true);
+      try {
+        const storedProjects = await store.listProjects();
+        const unclaimed = await store.listUnclaimedProjects();
+        if (cancelled) return;
+        console.log(`📂 Loaded ${storedProjects.length} projects from storage`);
+        projectsRef.current = storedProjects;
+        setProjects(storedProjects);
+        setUnclaimedProjects(unclaimed);
+        setStorageError(null);
+      } catch (error) {
+        console.error('❌ Error loading projects:', error);
+        if (!cancelled) setStorageError(error.message);
+      } finally {
+        if (!cancelled) setProjectsLoading(false);
+      }
+    };
+
+    loadProjects();
+    return () => {
+      cancelled = true;
+    };
+  }, [settingsLoading, userId, workspaceId, settings.projectStorage, settings.supabaseUrl, settings.supabaseAnonKey]);
+
+  const commitProjects = (nextProjects) => {
+    projectsRef.current = nextProjects;
+    setProjects(nextProjects);
+  };
+
+  // Saves of a project run one at a time so an older snapshot can't land after a newer one. Updates made while
+  // a save is in flight are coalesced: only the latest snapshot is written once it finishes.
+  const persistProject = (project) => {
+    const store = projectStoreRef.current;
+    if (!store) return;
+    const queues = saveQueuesRef.current;
+    const queued = queues.get(project.id);
+    if (queued) {
+      queued.latest = project;
+      return;
+    }
+
+    const entry = { latest: project };
+    queues.set(project.id, entry);
+    entry.done = (async () => {
+      while (entry.latest) {
+        const snapshot = entry.latest;
+        entry.latest = null;
+        try {
+          await store.saveProject(snapshot);
+        } catch (error) {
+          console.error(`❌ Failed to persist project ${snapshot.id}:`, error);
+          setStorageError(error.message);
+        }
+      }
+      queues.delete(project.id);
+    })();
+  };
 
   const createProject = (projectData) => {
+    assertCan('createProject');
     const newProject = {
       id: Date.now().toString(),
       ...projectData,
+      workspaceId,
+      ownerId: userId,
       status: 'draft',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       knowledgeLibraries: {},
       contextValues: {}
     };
-    setProjects(prev => [newProject, ...prev]);
+    commitProjects([newProject, ...projectsRef.current]);
+    persistProject(newProject);
     return newProject;
   };
 
   const updateProject = (projectId, updates) => {
-    setProjects(prev => prev.map(project =>
-      project.id === projectId
-        ? { ...project, ...updates, updatedAt: new Date().toISOString() }
-        : project
+    const existing = projectsRef.current.find(project => project.id === projectId);
+    if (!existing) {
+      console.warn(`⚠️ updateProject called for unknown project: ${projectId}`);
+      return;
+    }
+    if (!can('editOutline')) {
+      console.warn(`⚠️ Your workspace role cannot change project ${projectId}; the update was not saved`);
+      return;
+    }
+
+    // Reviewers only change the outline; the database rejects their saves of anything else
+    const allowedUpdates = can('editProject')
+      ? updates
+      : Object.fromEntries(Object.entries(updates).filter(([key]) => OUTLINE_REVIEW_FIELDS.includes(key)));
+
+    const updatedProject = { ...existing, ...allowedUpdates, updatedAt: new Date().toISOString() };
+    commitProjects(projectsRef.current.map(project =>
+      project.id === projectId ? updatedProject : project
     ));
+    persistProject(updatedProject);
   };
 
+  // Price a response's token usage and append it to the project's cost ledger
+  const recordUsage = (projectId, stage, usage) => {
+    const existing = projectsRef.current.find(project => project.id === projectId);
+    if (!existing) return;
+    const entry = createLedgerEntry(settings.modelPrices || DEFAULT_MODEL_PRICES, stage, usage);
+    updateProject(projectId, { costLedger: [...(existing.costLedger || []), entry] });
+  };
+
+  // Usage callback for services working on a project stage (null when there is no project to bill)
+  const usageRecorderFor = (projectId, stage) => (
+    projectId ? (usage) => recordUsage(projectId, stage, usage) : null
+  );
+
+  // Prompt templates for a project: its own overrides, then the user's template library, then the built-ins
+  const promptRendererFor = (project) => createPromptRenderer({
+    library: settings.promptTemplates || {},
+    overrides: project?.promptOverrides || {}
+  });
+
+  // The style profile chosen for a project (or new project data); falls back to the first profile in Settings
+  const styleProfileFor = (project) => getStyleProfile(
+    settings.styleProfiles,
+    project?.outline?.styleProfileId || project?.styleProfileId
+  );
+
   const getProject = (projectId) => {
     return projects.find(project => project.id === projectId);
   };
 
   const deleteProject = (projectId) => {
-    setProjects(prev => prev.filter(project => project.id !== projectId));
+    assertCan('deleteProject');
+    commitProjects(projectsRef.current.filter(project => project.id !== projectId));
+    const store = projectStoreRef.current;
+    if (store) {
+      // Let queued saves finish first so none of them writes the project back
+      const pendingSave = saveQueuesRef.current.get(projectId)?.done;
+      Promise.resolve(pendingSave).then(() => store.deleteProject(projectId)).catch(error => {
+        console.error(`❌ Failed to delete project ${projectId} from storage:`, error);
+        setStorageError(error.message);
+      });
+    }
+  };
+
+  // Add projects saved on this browser before sign-in existed to the current user's personal workspace
+  const claimUnclaimedProjects = async () => {
+    if (!projectStoreRef.current) {
+      return { success: false, error: 'Project storage is not ready' };
+    }
+    try {
+      const claimed = await projectStoreRef.current.claimProjects(unclaimedProjects.map(project => project.id));
+      commitProjects([...claimed, ...projectsRef.current]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+      setUnclaimedProjects([]);
+      return { success: true, count: claimed.length };
+    } catch (error) {
+      console.error('❌ Failed to claim projects:', error);
+      return { success: false, error: error.message };
+    }
   };
 
   const generateOutline = async (projectData) => {
+    assertCan('generateContent');
+    // Per-stage provider/model routing chosen in Advanced Options
+    const routing = projectData.gptOptions?.routing || {};
+
     console.log('🔍 Checking API key configuration...');
     console.log('Research method:', projectData.researchLLM);
     console.log('Content generation method:', projectData.contentGenerationLLM);
@@ -83,35 +290,40 @@ export const EbookProvider = ({ children }) => {
 
     // Check research method API key
     if (projectData.researchLLM === 'perplexity') {
-      if (!settings.perplexityPrimary) {
+      if (!isUpstreamConfigured(settings, 'perplexity')) {
         throw new Error('Perplexity API key is not configured for research. Please check your settings.');
       }
       console.log('✅ Perplexity API key found for research');
     } else if (projectData.researchLLM === 'openai') {
-      if (!settings.openaiPrimary) {
-        throw new Error('OpenAI API key is not configured for research. Please check your settings.');
+      if (!isProviderConfigured(settings, routing.research?.providerId)) {
+        throw new Error(`${describeStageRoute(settings, routing, 'research')} is not configured for research. Please check your settings.`);
       }
-      console.log('✅ OpenAI API key found for research');
+      console.log(`✅ ${describeStageRoute(settings, routing, 'research')} configured for research`);
+    }
+
+    // Outline stages always run on an LLM provider
+    if (!isProviderConfigured(settings, routing.outline?.providerId)) {
+      throw new Error(`${describeStageRoute(settings, routing, 'outline')} is not configured for outline generation. Please check your settings.`);
     }
 
     // Check content generation method API key
     if (projectData.contentGenerationLLM === 'perplexity') {
-      if (!settings.perplexityPrimary) {
+      if (!isUpstreamConfigured(settings, 'perplexity')) {
         throw new Error('Perplexity API key is not configured for content generation. Please check your settings.');
       }
-      if (!settings.openaiPrimary) {
-        throw new Error('OpenAI API key is also required when using Perplexity for content generation (for final content synthesis). Please check your settings.');
+      if (!isProviderConfigured(settings, routing.section?.providerId)) {
+        throw new Error(`${describeStageRoute(settings, routing, 'section')} is also required when using Perplexity for content generation (for final content synthesis). Please check your settings.`);
       }
-      console.log('✅ Both Perplexity and OpenAI API keys found for hybrid content generation');
+      console.log(`✅ Perplexity and ${describeStageRoute(settings, routing, 'section')} configured for hybrid content generation`);
     } else if (projectData.contentGenerationLLM === 'openai') {
-      if (!settings.openaiPrimary) {
-        throw new Error('OpenAI API key is not configured for content generation. Please check your settings.');
+      if (!isProviderConfigured(settings, routing.section?.providerId)) {
+        throw new Error(`${describeStageRoute(settings, routing, 'section')} is not configured for content generation. Please check your settings.`);
       }
-      console.log('✅ OpenAI API key found for content generation');
+      console.log(`✅ ${describeStageRoute(settings, routing, 'section')} configured for content generation`);
     }
 
     if (projectData.includeWebReferences === 'yes') {
-      if (!settings.perplexityPrimary) {
+      if (!isUpstreamConfigured(settings, 'perplexity')) {
         throw new Error('Perplexity API key is required for web references. Please check your settings.');
       }
       console.log('✅ Perplexity API key found for web references');
@@ -120,6 +332,22 @@ export const EbookProvider = ({ children }) => {
     }
 
     setIsGenerating(true);
+    setGenerationIssues([]);
+    setGenerationError(null);
+
+    const reportValidationIssue = ({ stage, label, attempt, maxAttempts, errors }) => {
+      setGenerationIssues(prev => [...prev, { stage, label, attempt, maxAttempts, errors }]);
+      if (attempt < maxAttempts) {
+        setGenerationProgress(prev => ({
+          ...prev,
+          message: `${label} failed validation, asking the model to fix ${errors.length} issue${errors.length === 1 ? '' : 's'} (attempt ${attempt + 1}/${maxAttempts})...`
+        }));
+      }
+    };
+
+    // A new project has no overrides yet, so the user's template library applies
+    const prompts = promptRendererFor(null);
+    const styleProfile = styleProfileFor(projectData);
 
     try {
       let researchBrief;
@@ -133,7 +361,9 @@ export const EbookProvider = ({ children }) => {
 
       if (projectData.researchLLM === 'perplexity') {
         console.log('🔍 Using Perplexity Sonar for market research...');
-        let perplexityService = new PerplexityService(settings.perplexityPrimary);
+        let perplexityService = createPerplexityService(settings)
+          .setUsageRecorder(usageRecorderFor(projectData.projectId, 'research'))
+          .setPromptTemplates(prompts);
         try {
           // VibeCoding: Pass sonarOptions to Perplexity service
           researchBrief = await perplexityService.generateDeepResearch(
@@ -145,9 +375,12 @@ export const EbookProvider = ({ children }) => {
           console.log('✅ Perplexity Sonar research completed successfully with advanced options');
         } catch (error) {
           console.error('❌ Perplexity research failed:', error.message);
-          if (settings.perplexityFallback && error.message.includes('rate_limit_exceeded')) {
+          const fallbackPerplexity = createPerplexityService(settings, { useFallbackKey: true });
+          if (fallbackPerplexity && error.message.includes('rate_limit_exceeded')) {
             console.log('🔄 Primary Perplexity key rate limited, trying fallback...');
-            perplexityService = new PerplexityService(settings.perplexityFallback);
+            perplexityService = fallbackPerplexity
+              .setUsageRecorder(usageRecorderFor(projectData.projectId, 'research'))
+              .setPromptTemplates(prompts);
             researchBrief = await perplexityService.generateDeepResearch(
               projectData.niche,
               projectData.mustHaveAspects,
@@ -160,8 +393,11 @@ export const EbookProvider = ({ children }) => {
           }
         }
       } else {
-        console.log('🔍 Using OpenAI for market research...');
-        let openaiService = new OpenAIService(settings.openaiPrimary);
+        console.log(`🔍 Using ${describeStageRoute(settings, routing, 'research')} for market research...`);
+        let openaiService = createStageService(settings, routing, 'research', {
+          onUsage: usageRecorderFor(projectData.projectId, 'research'),
+          prompts
+        });
         try {
           // VibeCoding: Pass gptOptions to OpenAI service
           researchBrief = await openaiService.generateMarketResearch(
@@ -172,10 +408,15 @@ export const EbookProvider = ({ children }) => {
           );
           console.log('✅ OpenAI research completed successfully with advanced options');
         } catch (error) {
-          console.error('❌ OpenAI research failed:', error.message);
-          if (settings.openaiFallback && error.message.includes('rate_limit_exceeded')) {
+          console.error('❌ LLM research failed:', error.message);
+          const fallbackResearchService = createStageService(settings, routing, 'research', {
+            useFallbackKey: true,
+            onUsage: usageRecorderFor(projectData.projectId, 'research'),
+            prompts
+          });
+          if (fallbackResearchService && error.message.includes('rate_limit_exceeded')) {
             console.log('🔄 Primary OpenAI key rate limited, trying fallback...');
-            openaiService = new OpenAIService(settings.openaiFallback);
+            openaiService = fallbackResearchService;
             researchBrief = await openaiService.generateMarketResearch(
               projectData.niche,
               projectData.mustHaveAspects,
@@ -184,7 +425,7 @@ export const EbookProvider = ({ children }) => {
             );
             console.log('✅ Fallback OpenAI research completed successfully');
           } else {
-            throw new Error(`OpenAI research failed: ${error.message}. Please check your OpenAI API key in settings.`);
+            throw new Error(`${describeStageRoute(settings, routing, 'research')} research failed: ${error.message}. Please check your provider settings.`);
           }
         }
       }
@@ -197,9 +438,13 @@ export const EbookProvider = ({ children }) => {
       console.log('📝 Research brief generated successfully');
       console.log('🔍 Research brief length:', researchBrief.length, 'characters');
 
-      // Use OpenAI for outline generation steps (always) with advanced options
-      console.log('📝 Using OpenAI for outline generation steps...');
-      let openaiService = new OpenAIService(settings.openaiPrimary);
+      // Outline generation steps use the provider routed to the outline stage (OpenAI by default)
+      console.log(`📝 Using ${describeStageRoute(settings, routing, 'outline')} for outline generation steps...`);
+      let openaiService = createStageService(settings, routing, 'outline', {
+        onUsage: usageRecorderFor(projectData.projectId, 'outline'),
+        prompts,
+        styleProfile
+      });
 
       // Step 2: Generate Preface and Introduction
       setGenerationProgress({
@@ -213,7 +458,9 @@ export const EbookProvider = ({ children }) => {
         researchBrief,
         projectData.mustHaveAspects,
         projectData.otherConsiderations,
-        projectData.gptOptions || {} // Pass advanced options
+        projectData.gptOptions || {}, // Pass advanced options
+        null,
+        reportValidationIssue
       );
       console.log('✅ Preface and introduction generated');
 
@@ -230,7 +477,9 @@ export const EbookProvider = ({ children }) => {
         projectData.mustHaveAspects,
         projectData.maxChapters,
         projectData.otherConsiderations,
-        projectData.gptOptions || {} // Pass advanced options
+        projectData.gptOptions || {}, // Pass advanced options
+        null,
+        reportValidationIssue
       );
       console.log('✅ Chapter outline generated:', chapters?.length || 0, 'chapters');
 
@@ -258,7 +507,9 @@ export const EbookProvider = ({ children }) => {
             chapter.courseTitle,
             chapter.courseDescription,
             projectData.mustHaveAspects,
-            projectData.gptOptions || {} // Pass advanced options
+            projectData.gptOptions || {}, // Pass advanced options
+            null,
+            reportValidationIssue
           );
           console.log(`✅ Topics generated for chapter ${chapter.courseNumber}:`, topics?.length || 0, 'topics');
           chaptersWithTopics.push({ ...chapter, topics });
@@ -293,19 +544,21 @@ export const EbookProvider = ({ children }) => {
       });
 
       // VibeCoding: Store advanced options in the outline
-      const outline = {
+      const outline = ensureOutlineIds({
         title: generatedTitle,
         researchBrief,
         researchMethod: projectData.researchLLM,
         contentGenerationMethod: projectData.contentGenerationLLM,
         includeWebReferences: projectData.includeWebReferences,
+        citationStyle: projectData.citationStyle || 'none',
+        styleProfileId: styleProfile.id,
         // Store advanced options for later use during publishing
         sonarOptions: projectData.sonarOptions || {},
         gptOptions: projectData.gptOptions || {},
         preface: prefaceAndIntro.preface || '<h2>Preface</h2><p>This comprehensive guide will transform your understanding...</p>',
         introduction: prefaceAndIntro.introduction || '<h2>Introduction</h2><p>Welcome to your journey toward mastery...</p>',
         chapters: chaptersWithTopics
-      };
+      });
 
       setGenerationProgress({
         step: 'complete',
@@ -317,6 +570,13 @@ export const EbookProvider = ({ children }) => {
       return outline;
     } catch (error) {
       console.error('❌ Error generating outline:', error);
+      if (error.validationErrors) {
+        setGenerationError({
+          message: error.message,
+          stage: error.stage,
+          validationErrors: error.validationErrors
+        });
+      }
       throw new Error(error.message || 'Failed to generate ebook outline. Please check your API keys and try again.');
     } finally {
       setIsGenerating(false);
@@ -331,6 +591,10 @@ export const EbookProvider = ({ children }) => {
       console.log('🛑 Aborting HTTP requests via AbortController');
       abortController.abort();
     }
+    if (activeSchedulerRef.current) {
+      console.log('🛑 Cancelling queued generation jobs');
+      activeSchedulerRef.current.cancel();
+    }
     setPublishingProgress(prev => ({
       ...prev,
       step: 'aborting',
@@ -338,6 +602,47 @@ export const EbookProvider = ({ children }) => {
     }));
   };
 
+  // Stream hooks for one lesson: deltas feed the live preview (throttled) and stopSignal ends the section early
+  const startLiveSection = (key, title) => {
+    const entry = { controller: new AbortController(), text: '', timer: null };
+    liveSectionsRef.current[key] = entry;
+    setLiveSections(prev => ({ ...prev, [key]: { title, html: '', stopping: false } }));
+
+    const flush = () => {
+      entry.timer = null;
+      setLiveSections(prev => prev[key] ? { ...prev, [key]: { ...prev[key], html: entry.text } } : prev);
+    };
+
+    return {
+      stopSignal: entry.controller.signal,
+      onDelta: (text) => {
+        entry.text = text;
+        if (!entry.timer) {
+          entry.timer = setTimeout(flush, LIVE_PREVIEW_INTERVAL_MS);
+        }
+      }
+    };
+  };
+
+  const endLiveSection = (key) => {
+    const entry = liveSectionsRef.current[key];
+    if (entry?.timer) clearTimeout(entry.timer);
+    delete liveSectionsRef.current[key];
+    setLiveSections(prev => {
+      const { [key]: ended, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Cut one streaming section short; the text written so far is kept and published
+  const stopSectionEarly = (key) => {
+    const entry = liveSectionsRef.current[key];
+    if (!entry) return;
+    console.log(`⏹️ Stopping section ${key} early, keeping partial content`);
+    entry.controller.abort();
+    setLiveSections(prev => prev[key] ? { ...prev, [key]: { ...prev[key], stopping: true } } : prev);
+  };
+
   const minimizePublishingWindow = () => {
     setBackgroundProcessing(true);
   };
@@ -346,53 +651,186 @@ export const EbookProvider = ({ children }) => {
     setBackgroundProcessing(false);
   };
 
-  const getVectorStoreForLesson = (knowledgeLibraries, chapterIndex, topicIndex, lessonIndex) => {
-    const lessonKey = `lesson-${chapterIndex}-${topicIndex}-${lessonIndex}`;
-    const topicKey = `chapter-${chapterIndex}`;
-    return knowledgeLibraries[lessonKey] || knowledgeLibraries[topicKey] || null;
+  // Libraries are assigned by outline node ID; a lesson inherits its topic's, then its chapter's
+  const getVectorStoreForLesson = (knowledgeLibraries, chapter, topic, lesson) => {
+    return knowledgeLibraries[lesson.id] || knowledgeLibraries[topic.id] || knowledgeLibraries[chapter.id] || null;
   };
 
-  const getContextForItem = (outline, chapterIndex, topicIndex = null, lessonIndex = null) => {
-    if (lessonIndex !== null && topicIndex !== null) {
-      const lesson = outline.chapters?.[chapterIndex]?.topics?.[topicIndex]?.lessons?.[lessonIndex];
-      return lesson?.userAddedContext || '';
-    } else if (topicIndex !== null) {
-      const topic = outline.chapters?.[chapterIndex]?.topics?.[topicIndex];
-      return topic?.userAddedContext || '';
-    } else {
-      const chapter = outline.chapters?.[chapterIndex];
-      return chapter?.userAddedContext || '';
+  const getContextForItem = (node) => {
+    return node?.userAddedContext || '';
+  };
+
+  // Generate the HTML body for one lesson (primary key, then fallback key, then placeholder).
+  // Shared by full publishing runs and single-lesson regeneration.
+  // Returns { content, html, sources, promptVersions, placeholder }: content is the post body, html the generated
+  // section alone, sources the cited ones, recorded in the journal for bibliographies, promptVersions the prompt
+  // template versions that wrote the section (empty for the placeholder), and placeholder whether generation
+  // failed and the section only says its content will be available soon.
+  const generateLessonContent = async ({
+    outline,
+    chapter,
+    topic,
+    lesson,
+    lessonContext,
+    vectorStoreId,
+    webSearchContext,
+    gptOptions,
+    openaiService,
+    fallbackOpenaiService,
+    isAborted = () => false,
+    stream = null,
+    citationStyle = 'none',
+    webSources = [],
+    styleProfile = getStyleProfile(settings.styleProfiles)
+  }) => {
+    const fullContext = buildSectionResearchContext(outline.researchBrief, chapter, topic);
+
+    const citationOptions = { style: citationStyle, webSources };
+    let sectionContent;
+    let sources = [];
+    let promptVersions = {};
+    let placeholder = false;
+    try {
+      if (isAborted()) {
+        console.log('🛑 ABORT DETECTED - Stopping AI generation for lesson');
+        throw new Error('Publishing process aborted by user');
+      }
+
+      // VibeCoding: Pass gptOptions to section content generation
+      ({ content: sectionContent, sources, promptVersions } = await openaiService.generateSectionContent(
+        fullContext,
+        lesson.lessonTitle,
+        lesson.lessonDescription,
+        styleProfile.instructionMethod,
+        styleProfile.generationApproach,
+        lessonContext || '',
+        vectorStoreId,
+        webSearchContext, // VibeCoding: Use extracted section context from chapter topic context
+        gptOptions, // Pass advanced options
+        null,
+        stream,
+        citationOptions
+      ));
+    } catch (error) {
+      if (error.message.includes('aborted')) {
+        throw error;
+      }
+      console.error('Error generating section content with primary key:', error);
+      if (fallbackOpenaiService) {
+        console.log('Using fallback API key for section content');
+        try {
+          if (isAborted()) {
+            throw new Error('Publishing process aborted by user');
+          }
+          // VibeCoding: Pass gptOptions to fallback service too
+          ({ content: sectionContent, sources, promptVersions } = await fallbackOpenaiService.generateSectionContent(
+            fullContext,
+            lesson.lessonTitle,
+            lesson.lessonDescription,
+            styleProfile.instructionMethod,
+            styleProfile.generationApproach,
+            lessonContext || '',
+            vectorStoreId,
+            webSearchContext, // VibeCoding: Use extracted section context from chapter topic context
+            gptOptions, // Pass advanced options to fallback
+            null,
+            stream,
+            citationOptions
+          ));
+        } catch (fallbackError) {
+          console.error('Fallback also failed:', fallbackError);
+          sectionContent = `<h2>${lesson.lessonTitle}</h2><p>${lesson.lessonDescription}</p><p>Content will be available soon.</p>`;
+          placeholder = true;
+        }
+      } else {
+        sectionContent = `<h2>${lesson.lessonTitle}</h2><p>${lesson.lessonDescription}</p><p>Content will be available soon.</p>`;
+        placeholder = true;
+      }
+    }
+
+    return {
+      content: `
+      <div class="lesson-description">${lesson.lessonDescription}</div>
+      <div class="lesson-content">${sectionContent}</div>
+      ${renderSectionSources(sources, citationStyle)}
+      ${lessonContext ? `<div class="lesson-context"><h4>Additional Context:</h4><p>${lessonContext}</p></div>` : ''}
+    `,
+      html: sectionContent,
+      sources,
+      promptVersions,
+      placeholder
+    };
+  };
+
+  // generateLessonContent plus the project's style lint. With autoRegenerate, a section failing hard rules is
+  // generated again (up to maxRegenerations times) and the attempt with the fewest hard failures is kept.
+  // The result carries lint: the style report, with the number of attempts made. Sections that still fail are
+  // posted as drafts (see LINT_HOLD_STATUS) so they get a review before going live.
+  const generateLintedLessonContent = async (options, lintRules) => {
+    const maxAttempts = 1 + (lintRules.autoRegenerate ? Math.max(0, parseInt(lintRules.maxRegenerations) || 0) : 0);
+    let best = null;
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      attempts++;
+      const result = await generateLessonContent(options);
+      const stoppedEarly = !!options.stream?.stopSignal.aborted;
+      const lint = lintSection(result.html, lintRules, options.styleProfile, { partial: result.placeholder || stoppedEarly });
+      if (!best || lint.hardFailures < best.lint.hardFailures) {
+        best = { ...result, lint };
+      }
+      if (lint.passed || stoppedEarly || options.isAborted?.()) break;
+      if (attempts < maxAttempts) {
+        console.log(`🧹 "${options.lesson.lessonTitle}" failed ${lint.hardFailures} hard style rule(s), regenerating (attempt ${attempts + 1}/${maxAttempts})`);
+      }
+    }
+
+    if (!best.lint.passed) {
+      console.warn(`⚠️ "${options.lesson.lessonTitle}" still fails ${best.lint.hardFailures} hard style rule(s) and will be posted as a ${LINT_HOLD_STATUS}:`, best.lint.issues);
     }
+    return { ...best, lint: { ...best.lint, attempts } };
   };
 
-  const publishToWordPress = async (project) => {
+  // destinationId: WordPress destination to publish to (see wordpressDestinations); a resumed run stays on the
+  // destination its journal was started on
+  const publishToWordPress = async (project, { resume = false, destinationId = null } = {}) => {
+    assertCan('publishToWordPress');
     const controller = new AbortController();
     setAbortController(controller);
     setShouldAbortProcessing(false);
 
-    if (!settings.wordpressUrl || !settings.wordpressUsername || !settings.wordpressPassword) {
-      throw new Error('WordPress credentials are not configured. Please check your settings.');
+    // Resume into the same book when a previous run was interrupted, otherwise start a fresh journal
+    const isResuming = resume && canResumeJournal(project.publishingJournal);
+    const destination = isResuming
+      ? getBookDestination(settings, project.publishingJournal.destinationId)
+      : getWordPressDestination(settings, destinationId);
+    if (!isDestinationConfigured(destination)) {
+      throw new Error(`WordPress credentials for ${destination.name} are not configured. Please check your settings.`);
     }
 
     setIsPublishing(true);
     setPublishingProgress({
       step: 'preparing',
       progress: 0,
-      message: 'Preparing to publish ebook to WordPress...',
+      message: `Preparing to publish ebook to WordPress (${destination.name})...`,
       currentItem: '',
       totalItems: 0,
       processedItems: 0,
-      wordpressUrl: settings.wordpressUrl,
+      wordpressUrl: destination.url,
       debug: {}
     });
 
+    // Publishing journal for this run; assigned once the outline is validated
+    let journal = null;
+    const saveJournal = (nextJournal) => {
+      journal = nextJournal;
+      updateProject(project.id, { publishingJournal: journal });
+    };
+    const checkpoint = (key, changes) => saveJournal(updateJournalItem(journal, key, changes));
+
     try {
-      const wpService = new WordPressService(
-        settings.wordpressUrl,
-        settings.wordpressUsername,
-        settings.wordpressPassword
-      );
-      const webhookService = new WebhookService();
+      const wpService = createWordPressService(destination);
+      const webhookService = createWebhookService(destination);
 
       // Validate connection
       if (shouldAbortProcessing) {
@@ -401,12 +839,12 @@ export const EbookProvider = ({ children }) => {
 
       setPublishingProgress(prev => ({
         ...prev,
-        message: 'Validating WordPress connection...'
+        message: `Validating ${destination.name} connection and post types...`
       }));
 
-      const connectionCheck = await wpService.validateConnection();
-      if (!connectionCheck.success) {
-        throw new Error(`WordPress connection failed: ${connectionCheck.error}`);
+      const destinationCheck = await validateDestination(destination);
+      if (!destinationCheck.success) {
+        throw new Error(destinationCheck.error);
       }
 
       // VibeCoding: Get advanced options from project
@@ -414,54 +852,93 @@ export const EbookProvider = ({ children }) => {
       const includeWebReferences = project.outline?.includeWebReferences || project.includeWebReferences || 'no';
       const sonarOptions = project.outline?.sonarOptions || project.sonarOptions || {};
       const gptOptions = project.outline?.gptOptions || project.gptOptions || {};
+      const citationStyle = project.outline?.citationStyle || project.citationStyle || 'none';
 
       console.log(`🔧 Using content generation method: ${contentGenerationMethod}`);
       console.log(`🔧 Include web references: ${includeWebReferences}`);
+      console.log(`🔧 Citation style: ${citationStyle}`);
       console.log(`🔧 Advanced options - Sonar:`, Object.keys(sonarOptions).length, 'GPT:', Object.keys(gptOptions).length);
 
-      // Initialize services with advanced options
-      let openaiService;
+      // Initialize services with advanced options; topic introductions and sections follow the project's provider routing
+      const routing = gptOptions.routing || {};
       let perplexityService = null;
 
-      if (contentGenerationMethod === 'perplexity') {
-        console.log('🔧 Initializing hybrid Perplexity + OpenAI services...');
-        if (!settings.openaiPrimary) {
-          throw new Error('OpenAI API key is required for content generation even when using Perplexity for web context. Please configure OpenAI API key in settings.');
+      ['topicIntro', 'section'].forEach(stage => {
+        if (!isProviderConfigured(settings, routing[stage]?.providerId)) {
+          throw new Error(`${describeStageRoute(settings, routing, stage)} is required for content generation but is not configured. Please check your settings.`);
         }
-        openaiService = new OpenAIService(settings.openaiPrimary);
-        console.log('✅ OpenAI service initialized for final content generation');
+      });
 
-        if (settings.perplexityPrimary) {
-          perplexityService = new PerplexityService(settings.perplexityPrimary);
+      const prompts = promptRendererFor(project);
+      const styleProfile = styleProfileFor(project);
+      const lintRules = resolveLintRules(project.lintRules);
+      console.log(`🔧 Style profile: ${styleProfile.name}, auto-regenerate on hard style failures: ${lintRules.autoRegenerate ? 'yes' : 'no'}`);
+      const openaiService = createStageService(settings, routing, 'section', { onUsage: usageRecorderFor(project.id, 'section'), prompts, styleProfile });
+      const topicIntroService = createStageService(settings, routing, 'topicIntro', { onUsage: usageRecorderFor(project.id, 'topicIntro'), prompts, styleProfile });
+      console.log(`✅ Section content: ${describeStageRoute(settings, routing, 'section')}, topic introductions: ${describeStageRoute(settings, routing, 'topicIntro')}`);
+
+      if (contentGenerationMethod === 'perplexity') {
+        console.log('🔧 Initializing hybrid Perplexity + LLM services...');
+        if (isUpstreamConfigured(settings, 'perplexity')) {
+          perplexityService = createPerplexityService(settings)
+            .setUsageRecorder(usageRecorderFor(project.id, 'webResearch'))
+            .setPromptTemplates(prompts);
           console.log('✅ Perplexity Sonar service initialized for web search context');
         } else {
           console.warn('⚠️ Perplexity not configured, will skip web search context');
         }
-      } else {
-        console.log('🔧 Initializing OpenAI-only service...');
-        if (!settings.openaiPrimary) {
-          throw new Error('OpenAI API key is required for content generation. Please configure OpenAI API key in settings.');
-        }
-        openaiService = new OpenAIService(settings.openaiPrimary);
-        console.log('✅ OpenAI service initialized for direct content generation');
       }
 
-      if (includeWebReferences === 'yes' && !perplexityService && settings.perplexityPrimary) {
-        perplexityService = new PerplexityService(settings.perplexityPrimary);
+      if (includeWebReferences === 'yes' && !perplexityService && isUpstreamConfigured(settings, 'perplexity')) {
+        perplexityService = createPerplexityService(settings)
+          .setUsageRecorder(usageRecorderFor(project.id, 'webResearch'))
+          .setPromptTemplates(prompts);
         console.log('✅ Perplexity service initialized for web references');
-      } else if (includeWebReferences === 'yes' && !settings.perplexityPrimary) {
+      } else if (includeWebReferences === 'yes' && !isUpstreamConfigured(settings, 'perplexity')) {
         console.warn('⚠️ Web references requested but Perplexity not configured, will skip references');
       }
 
-      const fallbackOpenaiService = settings.openaiFallback ? new OpenAIService(settings.openaiFallback) : null;
+      const fallbackOpenaiService = createStageService(settings, routing, 'section', {
+        useFallbackKey: true,
+        onUsage: usageRecorderFor(project.id, 'section'),
+        prompts,
+        styleProfile
+      });
+      const fallbackTopicIntroService = createStageService(settings, routing, 'topicIntro', {
+        useFallbackKey: true,
+        onUsage: usageRecorderFor(project.id, 'topicIntro'),
+        prompts,
+        styleProfile
+      });
       const outline = project.outline;
 
+      // Per-provider concurrency, RPM/TPM budgets and 429 backoff for this run
+      const scheduler = new GenerationScheduler(settings.rateLimits);
+      activeSchedulerRef.current = scheduler;
+      const sectionLimiter = scheduler.getLimiter(getStageProviderId(settings, routing, 'section'));
+      const topicIntroLimiter = scheduler.getLimiter(getStageProviderId(settings, routing, 'topicIntro'));
+      openaiService.setRateLimiter(sectionLimiter);
+      topicIntroService.setRateLimiter(topicIntroLimiter);
+      if (fallbackOpenaiService) fallbackOpenaiService.setRateLimiter(sectionLimiter);
+      if (fallbackTopicIntroService) fallbackTopicIntroService.setRateLimiter(topicIntroLimiter);
+      if (perplexityService) perplexityService.setRateLimiter(scheduler.getLimiter('perplexity'));
+      wpService.setRateLimiter(scheduler.getLimiter('wordpress'));
+
       if (!outline) {
         throw new Error('No outline available for publishing');
       }
 
       const knowledgeLibraries = project.knowledgeLibraries || {};
 
+      saveJournal(isResuming
+        ? {
+            ...project.publishingJournal,
+            status: JOURNAL_STATUS.IN_PROGRESS,
+            lastError: null,
+            resumedAt: new Date().toISOString()
+          }
+        : createJournal({ destinationId: destination.id }));
+
       // Calculate total items
       let totalItems = 1; // Book
       totalItems += outline.chapters.length; // Chapters
@@ -485,7 +962,7 @@ export const EbookProvider = ({ children }) => {
         ...prev,
         step: 'book',
         progress: 0,
-        message: 'Creating book in WordPress...',
+        message: isResuming ? 'Resuming book in WordPress...' : 'Creating book in WordPress...',
         currentItem: outline.title,
         totalItems,
         processedItems: 0,
@@ -496,27 +973,37 @@ export const EbookProvider = ({ children }) => {
           lessonCount,
           contentMethod: contentGenerationMethod,
           includeWebReferences,
+          citationStyle,
           // VibeCoding: Add advanced options to debug info
           advancedOptionsUsed: Object.keys(sonarOptions).length > 0 || Object.keys(gptOptions).length > 0,
           sonarOptionsCount: Object.keys(sonarOptions).length,
-          gptOptionsCount: Object.keys(gptOptions).length
+          gptOptionsCount: Object.keys(gptOptions).length,
+          resumed: isResuming
         }
       }));
 
-      // Create the book
+      // Create the book (or reuse the journaled one when resuming)
+      let bookId = journal.bookId;
+      let bookUrl = journal.bookUrl;
       const bookContent = `
-        ${outline.preface || ''}
-        ${outline.introduction || ''}
-        ${outline.researchBrief ? `<div class="research-brief">${outline.researchBrief}</div>` : ''}
-      `;
-
-      const book = await wpService.createBook(outline.title, bookContent);
-      if (!book || !book.id) {
-        throw new Error('Failed to create book: No valid book ID returned');
-      }
+          ${outline.preface || ''}
+          ${outline.introduction || ''}
+          ${outline.researchBrief ? `<div class="research-brief">${outline.researchBrief}</div>` : ''}
+        `;
 
-      const bookId = book.id;
-      console.log('✅ Book created with ID:', bookId);
+      if (bookId) {
+        console.log('⏩ Resuming publishing into existing book ID:', bookId);
+      } else {
+        const book = await wpService.createBook(outline.title, bookContent);
+        if (!book || !book.id) {
+          throw new Error('Failed to create book: No valid book ID returned');
+        }
+
+        bookId = book.id;
+        bookUrl = book.link;
+        saveJournal({ ...journal, bookId, bookUrl });
+        console.log('✅ Book created with ID:', bookId);
+      }
 
       if (shouldAbortProcessing) {
         throw new Error('Publishing process aborted by user');
@@ -531,23 +1018,254 @@ export const EbookProvider = ({ children }) => {
         debug: {
           ...prev.debug,
           bookId,
-          bookUrl: book.link
+          bookUrl
         }
       }));
 
+      // Content generation runs ahead of the WordPress writes: every topic and lesson that still needs
+      // content is queued on the scheduler up front, while the loop below awaits each result and
+      // creates posts (and webhook links) strictly in outline order.
+      const isAborted = () => shouldAbortProcessing || scheduler.cancelled;
+      const quietly = (promise) => {
+        // Rejections are surfaced when the loop awaits the job; avoid unhandled-rejection noise for skipped ones
+        promise.catch(() => {});
+        return promise;
+      };
+
+      // VibeCoding: Generate chapter topic context ONCE for all sections under a topic
+      const loadChapterTopicContext = async (topic) => {
+        const topicTitle = topic.topicTitle;
+        try {
+          if (isAborted()) {
+            console.log('🛑 ABORT DETECTED - Stopping chapter topic context generation');
+            throw new Error('Publishing process aborted by user');
+          }
+
+          console.log('🔍 Generating chapter topic context for all sections under:', topicTitle);
+          // VibeCoding: switched to chapter-topic aggregated call
+          const chapterTopicContext = await perplexityService.generateChapterTopicContext(
+            outline.title,
+            topicTitle,
+            topic.lessons, // Pass all sections under this topic
+            sonarOptions // Pass advanced options
+          );
+
+          if (chapterTopicContext) {
+            console.log('✅ Chapter topic context generated for:', topicTitle);
+            console.log('📊 Context covers', chapterTopicContext.sectionsCount, 'sections');
+          } else {
+            console.log('ℹ️ No chapter topic context available for:', topicTitle);
+          }
+          return chapterTopicContext;
+        } catch (error) {
+          if (error.message.includes('aborted')) {
+            throw error;
+          }
+          console.warn('⚠️ Chapter topic context generation failed, continuing without it:', error.message);
+          const fallbackPerplexity = createPerplexityService(settings, { useFallbackKey: true });
+          if (fallbackPerplexity) {
+            try {
+              console.log('🔄 Trying fallback Perplexity for chapter topic context...');
+              fallbackPerplexity
+                .setRateLimiter(scheduler.getLimiter('perplexity'))
+                .setUsageRecorder(usageRecorderFor(project.id, 'webResearch'))
+                .setPromptTemplates(prompts);
+              // VibeCoding: Pass sonarOptions to fallback service too
+              const chapterTopicContext = await fallbackPerplexity.generateChapterTopicContext(
+                outline.title,
+                topicTitle,
+                topic.lessons,
+                sonarOptions // Pass advanced options to fallback
+              );
+
+              if (chapterTopicContext) {
+                console.log('✅ Fallback chapter topic context generated');
+              }
+              return chapterTopicContext;
+            } catch (fallbackError) {
+              console.warn('⚠️ Fallback chapter topic context also failed:', fallbackError.message);
+            }
+          }
+          return null;
+        }
+      };
+
+      // Generate topic introduction using AI with advanced options
+      const generateTopicIntroduction = async (chapter, topic) => {
+        const topicTitle = topic.topicTitle;
+        console.log('🤖 Generating topic introduction for:', topicTitle);
+        try {
+          if (isAborted()) {
+            console.log('🛑 ABORT DETECTED - Stopping AI generation for topic');
+            throw new Error('Publishing process aborted by user');
+          }
+
+          // VibeCoding: Pass gptOptions to topic introduction generation
+          return await topicIntroService.generateTopicIntroduction(
+            outline.researchBrief,
+            chapter.courseTitle,
+            chapter.courseDescription,
+            topicTitle,
+            topic.topicLearningObjectiveDescription,
+            topic.lessons,
+            gptOptions // Pass advanced options
+          );
+        } catch (error) {
+          if (error.message.includes('aborted')) {
+            throw error;
+          }
+          console.error('Error generating topic introduction with primary key:', error);
+          if (fallbackTopicIntroService) {
+            console.log('Using fallback API key for topic introduction');
+            try {
+              if (isAborted()) {
+                throw new Error('Publishing process aborted by user');
+              }
+              // VibeCoding: Pass gptOptions to fallback service too
+              return await fallbackTopicIntroService.generateTopicIntroduction(
+                outline.researchBrief,
+                chapter.courseTitle,
+                chapter.courseDescription,
+                topicTitle,
+                topic.topicLearningObjectiveDescription,
+                topic.lessons,
+                gptOptions // Pass advanced options to fallback
+              );
+            } catch (fallbackError) {
+              console.error('Fallback also failed:', fallbackError);
+            }
+          }
+          return `An introduction to ${topicTitle}. This topic will help you understand important concepts related to ${chapter.courseTitle}.`;
+        }
+      };
+
+      // Generate web references if enabled
+      const generateWebReferences = async (topic) => {
+        try {
+          console.log(`🔍 Generating web references for topic: ${topic.topicTitle}`);
+          // VibeCoding: Pass sonarOptions to web references generation
+          const webReferences = await perplexityService.generateTopicReferences(
+            outline.title,
+            topic.topicTitle,
+            sonarOptions // Pass advanced options
+          );
+          if (webReferences) {
+            console.log('✅ Web references generated and formatted for topic');
+            return perplexityService.formatWebReferencesForContent(webReferences);
+          }
+        } catch (error) {
+          console.warn('⚠️ Web references generation failed, continuing without:', error.message);
+        }
+        return '';
+      };
+
+      const topicContentJobs = {};
+      const chapterTopicContextJobs = {};
+      const lessonContentJobs = {};
+
+      outline.chapters.forEach((chapter, chapterIndex) => {
+        (chapter.topics || []).forEach((topic, topicIndex) => {
+          const topicKey = getJournalKey(topic);
+          const lessonsToGenerate = (topic.lessons || []).filter(lesson =>
+            !getJournalEntry(journal, getJournalKey(lesson))?.content
+          );
+
+          const contextJob = perplexityService && contentGenerationMethod === 'perplexity' && lessonsToGenerate.length > 0
+            ? scheduler.schedule('perplexity', () => loadChapterTopicContext(topic))
+            : Promise.resolve(null);
+          chapterTopicContextJobs[topicKey] = quietly(contextJob);
+
+          if (!getJournalEntry(journal, topicKey)?.content) {
+            topicContentJobs[topicKey] = quietly(Promise.all([
+              scheduler.schedule(topicIntroLimiter.name, () => generateTopicIntroduction(chapter, topic)),
+              includeWebReferences === 'yes' && perplexityService
+                ? scheduler.schedule('perplexity', () => generateWebReferences(topic))
+                : ''
+            ]).then(([topicIntroduction, webReferencesHtml]) => {
+              const topicContext = getContextForItem(topic);
+              const content = `<p>${topic.topicLearningObjectiveDescription}</p><div class="topic-introduction">${topicIntroduction}</div>${topicContext ? `<div class="topic-context"><h4>Additional Context:</h4><p>${topicContext}</p></div>` : ''}${webReferencesHtml}`;
+              const hasWebReferences = !!webReferencesHtml;
+              checkpoint(topicKey, { type: 'topic', title: topic.topicTitle, content, hasWebReferences });
+              return { content, hasWebReferences };
+            }));
+          }
+
+          lessonsToGenerate.forEach(lesson => {
+            const lessonKey = getJournalKey(lesson);
+            lessonContentJobs[lessonKey] = quietly(contextJob.then(chapterTopicContext =>
+              scheduler.schedule(sectionLimiter.name, async () => {
+                const lessonTitle = lesson.lessonTitle;
+                const vectorStoreId = getVectorStoreForLesson(knowledgeLibraries, chapter, topic, lesson);
+                console.log(`🤖 Generating section content for: ${lessonTitle}${vectorStoreId ? ' with RAG' : ''}${chapterTopicContext ? ' with chapter topic context' : ''}${Object.keys(gptOptions).length > 0 ? ' with advanced options' : ''}`);
+
+                // VibeCoding: Extract section-specific context from chapter topic context
+                let webSearchContext = null;
+                let webSources = [];
+                if (chapterTopicContext) {
+                  try {
+                    console.log('🎯 Extracting section context from chapter topic context...');
+                    webSearchContext = perplexityService.extractSectionContext(chapterTopicContext, lessonTitle);
+                    webSources = webSearchContext ? perplexityService.extractSectionSources(chapterTopicContext, lessonTitle) : [];
+
+                    if (webSearchContext) {
+                      console.log('✅ Section context extracted successfully from chapter topic context');
+                    } else {
+                      console.log('ℹ️ No specific section context found in chapter topic context, continuing without it');
+                    }
+                  } catch (error) {
+                    console.warn('⚠️ Section context extraction failed, continuing without it:', error.message);
+                  }
+                }
+
+                const stream = startLiveSection(lessonKey, lessonTitle);
+                let content;
+                let sources;
+                let promptVersions;
+                let lint;
+                try {
+                  ({ content, sources, promptVersions, lint } = await generateLintedLessonContent({
+                    outline,
+                    chapter,
+                    topic,
+                    lesson,
+                    lessonContext: getContextForItem(lesson),
+                    vectorStoreId,
+                    webSearchContext,
+                    gptOptions,
+                    openaiService,
+                    fallbackOpenaiService,
+                    isAborted,
+                    stream,
+                    citationStyle,
+                    webSources,
+                    styleProfile
+                  }, lintRules));
+                } finally {
+                  endLiveSection(lessonKey);
+                }
+                const usedWebContext = !!webSearchContext;
+                const stoppedEarly = stream.stopSignal.aborted;
+                checkpoint(lessonKey, { type: 'section', title: lessonTitle, content, sources, promptVersions, lint, usedWebContext, stoppedEarly });
+                return { content, usedWebContext, stoppedEarly, promptVersions, lint };
+              })
+            ));
+          });
+        });
+      });
+
       // Create hierarchical structure
       const createdStructure = [];
       let processedCount = 1;
 
       for (let chapterIndex = 0; chapterIndex < outline.chapters.length; chapterIndex++) {
-        if (shouldAbortProcessing) {
+        if (isAborted()) {
           console.log('🛑 ABORT DETECTED - Stopping chapter creation');
           throw new Error('Publishing process aborted by user');
         }
 
         const chapter = outline.chapters[chapterIndex];
         const chapterTitle = `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`;
-        const chapterContext = getContextForItem(outline, chapterIndex);
+        const chapterContext = getContextForItem(chapter);
         const chapterContent = `<p>${chapter.courseDescription}</p>${chapterContext ? `<div class="chapter-context"><h4>Additional Context:</h4><p>${chapterContext}</p></div>` : ''}`;
 
         setPublishingProgress(prev => ({
@@ -556,20 +1274,42 @@ export const EbookProvider = ({ children }) => {
           message: `Creating chapter ${chapterIndex + 1} of ${outline.chapters.length}...`
         }));
 
-        const chapterPost = await wpService.createChapter(chapterTitle, chapterContent, bookId);
-        if (!chapterPost || !chapterPost.id) {
-          console.error('Failed to create chapter: No valid chapter ID returned');
-          continue;
+        const chapterKey = getJournalKey(chapter);
+        const chapterEntry = getJournalEntry(journal, chapterKey);
+        let chapterPost;
+
+        if (chapterEntry?.postId) {
+          console.log('⏩ Chapter already published, skipping creation:', chapterTitle);
+          chapterPost = chapterEntry.post;
+        } else {
+          chapterPost = await wpService.createChapter(chapterTitle, chapterContent, bookId);
+          if (!chapterPost || !chapterPost.id) {
+            console.error('Failed to create chapter: No valid chapter ID returned');
+            continue;
+          }
+          checkpoint(chapterKey, {
+            type: 'chapter',
+            title: chapterTitle,
+            postId: chapterPost.id,
+            post: summarizePost(chapterPost),
+            linked: false
+          });
         }
 
         const chapterId = chapterPost.id;
         console.log('✅ Chapter created with ID:', chapterId);
 
-        const bookToChapterResult = await webhookService.linkBookToChapter(bookId, chapterId);
-        if (bookToChapterResult.success) {
-          console.log('✅ Book-to-Chapter webhook successful');
-        } else {
-          console.warn('⚠️ Book-to-Chapter webhook failed:', bookToChapterResult.error);
+        if (!chapterEntry?.linked) {
+          const bookToChapterResult = await webhookService.linkBookToChapter(bookId, chapterId);
+          if (bookToChapterResult.success) {
+            console.log('✅ Book-to-Chapter webhook successful');
+          } else {
+            console.warn('⚠️ Book-to-Chapter webhook failed:', bookToChapterResult.error);
+          }
+          checkpoint(chapterKey, {
+            linked: bookToChapterResult.success,
+            linkError: bookToChapterResult.error || null
+          });
         }
 
         processedCount++;
@@ -583,7 +1323,8 @@ export const EbookProvider = ({ children }) => {
           chapter: {
             original: chapter,
             post: chapterPost,
-            id: chapterId
+            id: chapterId,
+            index: chapterIndex
           },
           topics: []
         };
@@ -593,18 +1334,17 @@ export const EbookProvider = ({ children }) => {
           continue;
         }
 
-        // VibeCoding: Generate chapter topic context once per chapter topic (NEW APPROACH)
-        let chapterTopicContextCache = {};
-
         // Create topics for this chapter
         for (let topicIndex = 0; topicIndex < chapter.topics.length; topicIndex++) {
-          if (shouldAbortProcessing) {
+          if (isAborted()) {
             console.log('🛑 ABORT DETECTED - Stopping topic creation');
             throw new Error('Publishing process aborted by user');
           }
 
           const topic = chapter.topics[topicIndex];
           const topicTitle = topic.topicTitle;
+          const topicKey = getJournalKey(topic);
+          const topicEntry = getJournalEntry(journal, topicKey);
 
           setPublishingProgress(prev => ({
             ...prev,
@@ -612,149 +1352,42 @@ export const EbookProvider = ({ children }) => {
             message: `Creating topic ${topicIndex + 1} of ${chapter.topics.length} for chapter ${chapterIndex + 1}...`
           }));
 
-          // VibeCoding: Generate chapter topic context ONCE for all sections under this topic
-          let chapterTopicContext = null;
-          if (perplexityService && contentGenerationMethod === 'perplexity' && topic.lessons && topic.lessons.length > 0) {
-            const cacheKey = `${chapterIndex}-${topicIndex}`;
-            
-            if (!chapterTopicContextCache[cacheKey]) {
-              try {
-                if (shouldAbortProcessing) {
-                  console.log('🛑 ABORT DETECTED - Stopping chapter topic context generation');
-                  throw new Error('Publishing process aborted by user');
-                }
-
-                console.log('🔍 Generating chapter topic context for all sections under:', topicTitle);
-                // VibeCoding: switched to chapter-topic aggregated call
-                chapterTopicContext = await perplexityService.generateChapterTopicContext(
-                  outline.title,
-                  topicTitle,
-                  topic.lessons, // Pass all sections under this topic
-                  sonarOptions // Pass advanced options
-                );
-
-                if (chapterTopicContext) {
-                  chapterTopicContextCache[cacheKey] = chapterTopicContext;
-                  console.log('✅ Chapter topic context generated and cached for:', topicTitle);
-                  console.log('📊 Context covers', chapterTopicContext.sectionsCount, 'sections');
-                } else {
-                  console.log('ℹ️ No chapter topic context available for:', topicTitle);
-                }
-              } catch (error) {
-                console.warn('⚠️ Chapter topic context generation failed, continuing without it:', error.message);
-                if (settings.perplexityFallback && !error.message.includes('aborted')) {
-                  try {
-                    console.log('🔄 Trying fallback Perplexity for chapter topic context...');
-                    const fallbackPerplexity = new PerplexityService(settings.perplexityFallback);
-                    // VibeCoding: Pass sonarOptions to fallback service too
-                    chapterTopicContext = await fallbackPerplexity.generateChapterTopicContext(
-                      outline.title,
-                      topicTitle,
-                      topic.lessons,
-                      sonarOptions // Pass advanced options to fallback
-                    );
-                    
-                    if (chapterTopicContext) {
-                      chapterTopicContextCache[cacheKey] = chapterTopicContext;
-                      console.log('✅ Fallback chapter topic context generated');
-                    }
-                  } catch (fallbackError) {
-                    console.warn('⚠️ Fallback chapter topic context also failed:', fallbackError.message);
-                  }
-                }
-              }
-            } else {
-              chapterTopicContext = chapterTopicContextCache[cacheKey];
-              console.log('🎯 Using cached chapter topic context for:', topicTitle);
-            }
-          }
+          let topicContent = topicEntry?.content || '';
+          let hasWebReferences = !!topicEntry?.hasWebReferences;
 
-          // Generate topic introduction using AI with advanced options
-          console.log('🤖 Generating topic introduction for:', topicTitle);
-          let topicIntroduction;
-          try {
-            if (shouldAbortProcessing) {
-              console.log('🛑 ABORT DETECTED - Stopping AI generation for topic');
-              throw new Error('Publishing process aborted by user');
-            }
-
-            // VibeCoding: Pass gptOptions to topic introduction generation
-            topicIntroduction = await openaiService.generateTopicIntroduction(
-              outline.researchBrief,
-              chapter.courseTitle,
-              chapter.courseDescription,
-              topicTitle,
-              topic.topicLearningObjectiveDescription,
-              topic.lessons,
-              gptOptions // Pass advanced options
-            );
-          } catch (error) {
-            if (error.message.includes('aborted')) {
-              throw error;
-            }
-            console.error('Error generating topic introduction with primary key:', error);
-            if (fallbackOpenaiService) {
-              console.log('Using fallback API key for topic introduction');
-              try {
-                if (shouldAbortProcessing) {
-                  throw new Error('Publishing process aborted by user');
-                }
-                // VibeCoding: Pass gptOptions to fallback service too
-                topicIntroduction = await fallbackOpenaiService.generateTopicIntroduction(
-                  outline.researchBrief,
-                  chapter.courseTitle,
-                  chapter.courseDescription,
-                  topicTitle,
-                  topic.topicLearningObjectiveDescription,
-                  topic.lessons,
-                  gptOptions // Pass advanced options to fallback
-                );
-              } catch (fallbackError) {
-                console.error('Fallback also failed:', fallbackError);
-                topicIntroduction = `An introduction to ${topicTitle}. This topic will help you understand important concepts related to ${chapter.courseTitle}.`;
-              }
-            } else {
-              topicIntroduction = `An introduction to ${topicTitle}. This topic will help you understand important concepts related to ${chapter.courseTitle}.`;
-            }
+          if (topicContent) {
+            console.log('⏩ Reusing journaled topic content for:', topicTitle);
+          } else {
+            ({ content: topicContent, hasWebReferences } = await topicContentJobs[topicKey]);
           }
 
-          // Generate web references if enabled
-          let webReferencesHtml = '';
-          if (includeWebReferences === 'yes' && perplexityService) {
-            try {
-              console.log(`🔍 Generating web references for topic: ${topicTitle}`);
-              // VibeCoding: Pass sonarOptions to web references generation
-              const webReferences = await perplexityService.generateTopicReferences(
-                outline.title,
-                topicTitle,
-                sonarOptions // Pass advanced options
-              );
-              if (webReferences) {
-                webReferencesHtml = perplexityService.formatWebReferencesForContent(webReferences);
-                console.log('✅ Web references generated and formatted for topic');
-              }
-            } catch (error) {
-              console.warn('⚠️ Web references generation failed, continuing without:', error.message);
+          let topicPost;
+          if (topicEntry?.postId) {
+            console.log('⏩ Topic already published, skipping creation:', topicTitle);
+            topicPost = topicEntry.post;
+          } else {
+            topicPost = await wpService.createChapterTopic(topicTitle, topicContent, chapterId);
+            if (!topicPost || !topicPost.id) {
+              console.error('Failed to create topic: No valid topic ID returned');
+              continue;
             }
-          }
-
-          const topicContext = getContextForItem(outline, chapterIndex, topicIndex);
-          const topicContent = `<p>${topic.topicLearningObjectiveDescription}</p><div class="topic-introduction">${topicIntroduction}</div>${topicContext ? `<div class="topic-context"><h4>Additional Context:</h4><p>${topicContext}</p></div>` : ''}${webReferencesHtml}`;
-
-          const topicPost = await wpService.createChapterTopic(topicTitle, topicContent, chapterId);
-          if (!topicPost || !topicPost.id) {
-            console.error('Failed to create topic: No valid topic ID returned');
-            continue;
+            checkpoint(topicKey, { postId: topicPost.id, post: summarizePost(topicPost), linked: false });
           }
 
           const topicId = topicPost.id;
           console.log('✅ Topic created with ID:', topicId);
 
-          const chapterToTopicResult = await webhookService.linkChapterToTopic(chapterId, topicId);
-          if (chapterToTopicResult.success) {
-            console.log('✅ Chapter-to-Topic webhook successful');
-          } else {
-            console.warn('⚠️ Chapter-to-Topic webhook failed:', chapterToTopicResult.error);
+          if (!topicEntry?.linked) {
+            const chapterToTopicResult = await webhookService.linkChapterToTopic(chapterId, topicId);
+            if (chapterToTopicResult.success) {
+              console.log('✅ Chapter-to-Topic webhook successful');
+            } else {
+              console.warn('⚠️ Chapter-to-Topic webhook failed:', chapterToTopicResult.error);
+            }
+            checkpoint(topicKey, {
+              linked: chapterToTopicResult.success,
+              linkError: chapterToTopicResult.error || null
+            });
           }
 
           processedCount++;
@@ -764,12 +1397,14 @@ export const EbookProvider = ({ children }) => {
             processedItems: processedCount
           }));
 
+          const chapterTopicContext = await chapterTopicContextJobs[topicKey];
           const topicStructure = {
             topic: {
               original: topic,
               post: topicPost,
               id: topicId,
-              hasWebReferences: !!webReferencesHtml,
+              index: topicIndex,
+              hasWebReferences,
               // VibeCoding: Track advanced options usage
               usedAdvancedOptions: Object.keys(gptOptions).length > 0,
               hasChapterTopicContext: !!chapterTopicContext // VibeCoding: Track chapter topic context usage
@@ -784,14 +1419,43 @@ export const EbookProvider = ({ children }) => {
 
           // Create sections (lessons) for this topic
           for (let lessonIndex = 0; lessonIndex < topic.lessons.length; lessonIndex++) {
-            if (shouldAbortProcessing) {
+            if (isAborted()) {
               console.log('🛑 ABORT DETECTED - Stopping lesson creation');
               throw new Error('Publishing process aborted by user');
             }
 
             const lesson = topic.lessons[lessonIndex];
             const lessonTitle = lesson.lessonTitle;
-            const vectorStoreId = getVectorStoreForLesson(knowledgeLibraries, chapterIndex, topicIndex, lessonIndex);
+            const vectorStoreId = getVectorStoreForLesson(knowledgeLibraries, chapter, topic, lesson);
+            const lessonContext = getContextForItem(lesson);
+            const lessonKey = getJournalKey(lesson);
+            const lessonEntry = getJournalEntry(journal, lessonKey);
+
+            if (isJournalItemComplete(lessonEntry)) {
+              console.log('⏩ Lesson already published, skipping:', lessonTitle);
+              processedCount++;
+              setPublishingProgress(prev => ({
+                ...prev,
+                progress: Math.round((processedCount / totalItems) * 100),
+                processedItems: processedCount
+              }));
+              topicStructure.sections.push({
+                original: lesson,
+                post: lessonEntry.post,
+                id: lessonEntry.postId,
+                index: lessonIndex,
+                usedRAG: !!vectorStoreId,
+                usedWebContext: !!lessonEntry.usedWebContext,
+                hadCustomContext: !!lessonContext,
+                usedAdvancedOptions: Object.keys(gptOptions).length > 0,
+                usedChapterTopicContext: !!lessonEntry.usedWebContext,
+                stoppedEarly: !!lessonEntry.stoppedEarly,
+                promptVersions: lessonEntry.promptVersions || {},
+                lint: lessonEntry.lint || null,
+                heldAsDraft: !!lessonEntry.heldAsDraft
+              });
+              continue;
+            }
 
             setPublishingProgress(prev => ({
               ...prev,
@@ -799,102 +1463,33 @@ export const EbookProvider = ({ children }) => {
               message: `Creating lesson ${lessonIndex + 1} of ${topic.lessons.length} for topic ${topicIndex + 1}...`
             }));
 
-            const fullContext = `
-              ${outline.researchBrief}
+            // Reuse journaled content so an interrupted lesson isn't generated twice
+            let lessonContent = lessonEntry?.content || '';
+            let usedWebContext = !!lessonEntry?.usedWebContext;
+            let stoppedEarly = !!lessonEntry?.stoppedEarly;
+            let promptVersions = lessonEntry?.promptVersions || {};
+            let lint = lessonEntry?.lint || null;
 
-              Chapter: ${chapter.courseTitle}
-              Chapter Description: ${chapter.courseDescription}
-
-              Topic: ${topicTitle}
-              Topic Objective: ${topic.topicLearningObjectiveDescription}
-            `;
-
-            console.log(`🤖 Generating section content for: ${lessonTitle}${vectorStoreId ? ' with RAG' : ''}${chapterTopicContext ? ' with chapter topic context' : ''}${Object.keys(gptOptions).length > 0 ? ' with advanced options' : ''}`);
-
-            // VibeCoding: Extract section-specific context from chapter topic context
-            let webSearchContext = null;
-            if (chapterTopicContext && perplexityService && contentGenerationMethod === 'perplexity') {
-              try {
-                if (shouldAbortProcessing) {
-                  console.log('🛑 ABORT DETECTED - Stopping section context extraction');
-                  throw new Error('Publishing process aborted by user');
-                }
-
-                console.log('🎯 Extracting section context from chapter topic context...');
-                webSearchContext = perplexityService.extractSectionContext(chapterTopicContext, lessonTitle);
-                
-                if (webSearchContext) {
-                  console.log('✅ Section context extracted successfully from chapter topic context');
-                } else {
-                  console.log('ℹ️ No specific section context found in chapter topic context, continuing without it');
-                }
-              } catch (error) {
-                console.warn('⚠️ Section context extraction failed, continuing without it:', error.message);
-              }
+            if (lessonContent) {
+              console.log('⏩ Reusing journaled lesson content for:', lessonTitle);
+            } else {
+              ({ content: lessonContent, usedWebContext, stoppedEarly, promptVersions, lint } = await lessonContentJobs[lessonKey]);
             }
 
-            const lessonContext = getContextForItem(outline, chapterIndex, topicIndex, lessonIndex);
-            let sectionContent;
-            try {
-              if (shouldAbortProcessing) {
-                console.log('🛑 ABORT DETECTED - Stopping AI generation for lesson');
-                throw new Error('Publishing process aborted by user');
-              }
-
-              // VibeCoding: Pass gptOptions to section content generation
-              sectionContent = await openaiService.generateSectionContent(
-                fullContext,
-                lessonTitle,
-                lesson.lessonDescription,
-                'Step-by-step guide with examples',
-                'Practical and actionable',
-                lessonContext || '',
-                vectorStoreId,
-                webSearchContext, // VibeCoding: Use extracted section context from chapter topic context
-                gptOptions // Pass advanced options
-              );
-            } catch (error) {
-              if (error.message.includes('aborted')) {
-                throw error;
-              }
-              console.error('Error generating section content with primary key:', error);
-              if (fallbackOpenaiService) {
-                console.log('Using fallback API key for section content');
-                try {
-                  if (shouldAbortProcessing) {
-                    throw new Error('Publishing process aborted by user');
-                  }
-                  // VibeCoding: Pass gptOptions to fallback service too
-                  sectionContent = await fallbackOpenaiService.generateSectionContent(
-                    fullContext,
-                    lessonTitle,
-                    lesson.lessonDescription,
-                    'Step-by-step guide with examples',
-                    'Practical and actionable',
-                    lessonContext || '',
-                    vectorStoreId,
-                    webSearchContext, // VibeCoding: Use extracted section context from chapter topic context
-                    gptOptions // Pass advanced options to fallback
-                  );
-                } catch (fallbackError) {
-                  console.error('Fallback also failed:', fallbackError);
-                  sectionContent = `<h2>${lessonTitle}</h2><p>${lesson.lessonDescription}</p><p>Content will be available soon.</p>`;
-                }
-              } else {
-                sectionContent = `<h2>${lessonTitle}</h2><p>${lesson.lessonDescription}</p><p>Content will be available soon.</p>`;
+            let sectionPost;
+            let heldAsDraft = !!lessonEntry?.heldAsDraft;
+            if (lessonEntry?.postId) {
+              sectionPost = lessonEntry.post;
+            } else {
+              heldAsDraft = !!lint && !lint.passed;
+              sectionPost = await wpService.createTopicSection(lessonTitle, lessonContent, topicId, {
+                status: heldAsDraft ? LINT_HOLD_STATUS : undefined
+              });
+              if (!sectionPost || !sectionPost.id) {
+                console.error('Failed to create lesson: No valid section ID returned');
+                continue;
               }
-            }
-
-            const lessonContent = `
-              <div class="lesson-description">${lesson.lessonDescription}</div>
-              <div class="lesson-content">${sectionContent}</div>
-              ${lessonContext ? `<div class="lesson-context"><h4>Additional Context:</h4><p>${lessonContext}</p></div>` : ''}
-            `;
-
-            const sectionPost = await wpService.createTopicSection(lessonTitle, lessonContent, topicId);
-            if (!sectionPost || !sectionPost.id) {
-              console.error('Failed to create lesson: No valid section ID returned');
-              continue;
+              checkpoint(lessonKey, { postId: sectionPost.id, post: summarizePost(sectionPost), linked: false, heldAsDraft });
             }
 
             const sectionId = sectionPost.id;
@@ -906,6 +1501,10 @@ export const EbookProvider = ({ children }) => {
             } else {
               console.warn('⚠️ Topic-to-Section webhook failed:', topicToSectionResult.error);
             }
+            checkpoint(lessonKey, {
+              linked: topicToSectionResult.success,
+              linkError: topicToSectionResult.error || null
+            });
 
             processedCount++;
             setPublishingProgress(prev => ({
@@ -918,15 +1517,20 @@ export const EbookProvider = ({ children }) => {
               original: lesson,
               post: sectionPost,
               id: sectionId,
+              index: lessonIndex,
               usedRAG: !!vectorStoreId,
-              usedWebContext: !!webSearchContext, // VibeCoding: Track chapter topic context usage
+              usedWebContext, // VibeCoding: Track chapter topic context usage
               hadCustomContext: !!lessonContext,
               // VibeCoding: Track advanced options usage
               usedAdvancedOptions: Object.keys(gptOptions).length > 0,
-              usedChapterTopicContext: !!webSearchContext // VibeCoding: Track if chapter topic context was used
+              usedChapterTopicContext: usedWebContext, // VibeCoding: Track if chapter topic context was used
+              stoppedEarly, // Cut short from the live preview; content is the partial text
+              promptVersions, // Prompt template versions that wrote the section
+              lint, // Style lint report (see styleLinter)
+              heldAsDraft // Posted as LINT_HOLD_STATUS because it still fails hard style rules
             });
 
-            if (shouldAbortProcessing) {
+            if (isAborted()) {
               console.log('🛑 ABORT DETECTED - Stopping after lesson creation');
               throw new Error('Publishing process aborted by user');
             }
@@ -934,27 +1538,56 @@ export const EbookProvider = ({ children }) => {
 
           chapterStructure.topics.push(topicStructure);
 
-          if (shouldAbortProcessing) {
+          if (isAborted()) {
             console.log('🛑 ABORT DETECTED - Stopping after topic creation');
             throw new Error('Publishing process aborted by user');
           }
         }
 
+        // Chapter bibliography from the sources its sections cited (recorded in the journal, so resumed runs include them)
+        const chapterBibliography = renderBibliography(collectChapterSources(journal.items, chapter), citationStyle);
+        if (chapterBibliography) {
+          try {
+            await wpService.updateChapter(chapterId, { content: `${chapterContent}${chapterBibliography}` });
+            console.log('📚 Chapter bibliography added to:', chapterTitle);
+          } catch (error) {
+            console.warn('⚠️ Failed to add chapter bibliography:', error.message);
+          }
+        }
+
         createdStructure.push(chapterStructure);
 
-        if (shouldAbortProcessing) {
+        if (isAborted()) {
           console.log('🛑 ABORT DETECTED - Stopping after chapter completion');
           throw new Error('Publishing process aborted by user');
         }
       }
 
+      // Whole-book bibliography, appended to the book's front matter
+      const bookBibliography = renderBibliography(
+        outline.chapters.flatMap(chapter => collectChapterSources(journal.items, chapter)),
+        citationStyle,
+        { className: 'book-bibliography' }
+      );
+      if (bookBibliography) {
+        try {
+          await wpService.updateBook(bookId, { content: `${bookContent}${bookBibliography}` });
+          console.log('📚 Book bibliography added');
+        } catch (error) {
+          console.warn('⚠️ Failed to add book bibliography:', error.message);
+        }
+      }
+
       // Update project status
+      journal = { ...journal, status: JOURNAL_STATUS.COMPLETE, completedAt: new Date().toISOString() };
       updateProject(project.id, {
         status: 'published',
         wordpressBookId: bookId,
+        publishingJournal: journal,
         publishedData: {
           bookId,
-          bookUrl: book.link,
+          bookUrl,
+          destinationId: destination.id,
           structure: createdStructure
         }
       });
@@ -966,9 +1599,9 @@ export const EbookProvider = ({ children }) => {
         currentItem: '',
         totalItems,
         processedItems: totalItems,
-        wordpressUrl: settings.wordpressUrl,
+        wordpressUrl: destination.url,
         debug: {
-          book,
+          book: { id: bookId, link: bookUrl },
           createdStructure,
           totalCreated: processedCount,
           hierarchicalStructure: 'Book -> Chapters -> Topics -> Sections',
@@ -989,11 +1622,23 @@ export const EbookProvider = ({ children }) => {
         success: true,
         message: 'Successfully published to WordPress',
         bookId,
-        bookUrl: book.link
+        bookUrl
       };
     } catch (error) {
       console.error('Error publishing to WordPress:', error);
-      if (shouldAbortProcessing || error.message.includes('aborted')) {
+      const wasAborted = shouldAbortProcessing || error.message.includes('aborted');
+
+      // Keep the journal so the run can be resumed from the first incomplete item
+      if (journal) {
+        saveJournal({
+          ...journal,
+          status: wasAborted ? JOURNAL_STATUS.ABORTED : JOURNAL_STATUS.FAILED,
+          lastError: error.message,
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      if (wasAborted) {
         console.log('🛑 Publishing was aborted by user');
         setPublishingProgress(prev => ({
           ...prev,
@@ -1020,6 +1665,11 @@ export const EbookProvider = ({ children }) => {
       throw error;
     } finally {
       setAbortController(null);
+      if (activeSchedulerRef.current) {
+        // Stop any generation still queued ahead of the writes (e.g. after an error)
+        activeSchedulerRef.current.cancel();
+        activeSchedulerRef.current = null;
+      }
       if (!backgroundProcessing) {
         setIsPublishing(false);
       }
@@ -1027,12 +1677,243 @@ export const EbookProvider = ({ children }) => {
     }
   };
 
+  // Run an outline assist action (see outlineAssist.js) on the outline stage's provider and return the
+  // proposed outline; nothing is saved until the editor accepts it.
+  // params: { nodeId, otherNodeId, count, instruction } as the action needs them
+  const proposeOutlineChange = async (project, action, { nodeId, otherNodeId, count = 3, instruction = '' } = {}) => {
+    assertCan('generateContent');
+    const outline = project.outline;
+    const gptOptions = outline.gptOptions || project.gptOptions || {};
+    const routing = gptOptions.routing || {};
+    if (!isProviderConfigured(settings, routing.outline?.providerId)) {
+      throw new Error(`${describeStageRoute(settings, routing, 'outline')} is not configured for outline generation. Please check your settings.`);
+    }
+
+    const openaiService = createStageService(settings, routing, 'outline', {
+      onUsage: usageRecorderFor(project.id, 'outline'),
+      prompts: promptRendererFor(project)
+    });
+    const researchBrief = outline.researchBrief || '';
+    const location = nodeId ? findOutlineNode(outline, nodeId) : null;
+    if (nodeId && !location) {
+      throw new Error('The selected item no longer exists in the outline');
+    }
+
+    console.log(`🪄 Outline assist "${action}"${location ? ` on ${location.level} ${nodeId}` : ''}`);
+
+    switch (action) {
+      case 'regenerateTopics': {
+        const topics = await openaiService.generateChapterTopics(
+          researchBrief,
+          location.node.courseTitle,
+          location.node.courseDescription,
+          project.mustHaveAspects,
+          gptOptions,
+          null,
+          null,
+          instruction
+        );
+        return proposeRegeneratedTopics(outline, nodeId, topics);
+      }
+      case 'mergeChapters': {
+        const other = findOutlineNode(outline, otherNodeId);
+        if (other?.level !== 'chapter') {
+          throw new Error('Pick the chapter to merge with');
+        }
+        const merged = await openaiService.mergeChapters(researchBrief, location.node, other.node, instruction, gptOptions);
+        return proposeChapterMerge(outline, nodeId, otherNodeId, merged);
+      }
+      case 'addLessons': {
+        const lessons = await openaiService.generateAdditionalLessons(
+          researchBrief,
+          location.chapter.courseTitle,
+          location.node,
+          count,
+          instruction,
+          gptOptions
+        );
+        return proposeAdditionalLessons(outline, nodeId, lessons);
+      }
+      case 'splitTopic': {
+        const topics = await openaiService.splitTopic(researchBrief, location.chapter.courseTitle, location.node, instruction, gptOptions);
+        return proposeTopicSplit(outline, nodeId, topics);
+      }
+      case 'suggestTopics': {
+        const suggestions = await openaiService.suggestMissingTopics(
+          researchBrief,
+          project.mustHaveAspects,
+          outline,
+          instruction,
+          gptOptions
+        );
+        return proposeTopicSuggestions(outline, suggestions);
+      }
+      default:
+        throw new Error(`Unknown outline action: ${action}`);
+    }
+  };
+
+  // Regenerate a single published lesson and overwrite its existing WordPress post.
+  // The lesson is found by its outline node ID, so its RAG library and custom context are reused.
+  // Overwrites the published WordPress post, so it needs the publishing permission
+  const regenerateSection = async (project, lessonId) => {
+    assertCan('publishToWordPress');
+    // The section is updated on the site the book was published to
+    const destination = getBookDestination(settings, project.publishedData?.destinationId ?? project.publishingJournal?.destinationId);
+    if (!isDestinationConfigured(destination)) {
+      throw new Error(`WordPress credentials for ${destination.name} are not configured. Please check your settings.`);
+    }
+    const sectionRouting = (project.outline?.gptOptions || project.gptOptions || {}).routing || {};
+    if (!isProviderConfigured(settings, sectionRouting.section?.providerId)) {
+      throw new Error(`${describeStageRoute(settings, sectionRouting, 'section')} is required for content generation. Please check your settings.`);
+    }
+
+    const outline = project.outline;
+    const location = findOutlineNode(outline, lessonId);
+    if (location?.level !== 'lesson') {
+      throw new Error('Lesson not found in the current outline');
+    }
+    const { node: lesson, chapter, topic } = location;
+
+    const structure = project.publishedData?.structure || [];
+    const chapterStructure = structure.find(item => item.topics.some(topicItem =>
+      topicItem.sections.some(section => section.original?.id === lessonId)
+    ));
+    const topicStructure = chapterStructure?.topics.find(topicItem =>
+      topicItem.sections.some(section => section.original?.id === lessonId)
+    );
+    const sectionStructure = topicStructure?.sections.find(section => section.original?.id === lessonId);
+    if (!sectionStructure?.id) {
+      throw new Error(`"${lesson.lessonTitle}" has not been published yet`);
+    }
+
+    const gptOptions = outline.gptOptions || project.gptOptions || {};
+    const contentGenerationMethod = outline.contentGenerationMethod || 'openai';
+    const citationStyle = outline.citationStyle || project.citationStyle || 'none';
+    const vectorStoreId = getVectorStoreForLesson(project.knowledgeLibraries || {}, chapter, topic, lesson);
+    const lessonContext = getContextForItem(lesson);
+
+    console.log(`🔁 Regenerating section "${lesson.lessonTitle}" (post ${sectionStructure.id})${vectorStoreId ? ' with RAG' : ''}`);
+
+    const prompts = promptRendererFor(project);
+    let webSearchContext = null;
+    let webSources = [];
+    if (contentGenerationMethod === 'perplexity' && isUpstreamConfigured(settings, 'perplexity')) {
+      try {
+        const perplexityService = createPerplexityService(settings)
+          .setUsageRecorder(usageRecorderFor(project.id, 'webResearch'))
+          .setPromptTemplates(prompts);
+        const chapterTopicContext = await perplexityService.generateChapterTopicContext(
+          outline.title,
+          topic.topicTitle,
+          topic.lessons,
+          outline.sonarOptions || project.sonarOptions || {}
+        );
+        if (chapterTopicContext) {
+          webSearchContext = perplexityService.extractSectionContext(chapterTopicContext, lesson.lessonTitle);
+          webSources = webSearchContext ? perplexityService.extractSectionSources(chapterTopicContext, lesson.lessonTitle) : [];
+        }
+      } catch (error) {
+        console.warn('⚠️ Chapter topic context generation failed, continuing without it:', error.message);
+      }
+    }
+
+    const styleProfile = styleProfileFor(project);
+    const { content: lessonContent, sources, promptVersions, lint } = await generateLintedLessonContent({
+      outline,
+      chapter,
+      topic,
+      lesson,
+      lessonContext,
+      vectorStoreId,
+      webSearchContext,
+      gptOptions,
+      openaiService: createStageService(settings, gptOptions.routing, 'section', { onUsage: usageRecorderFor(project.id, 'section'), prompts, styleProfile }),
+      fallbackOpenaiService: createStageService(settings, gptOptions.routing, 'section', {
+        useFallbackKey: true,
+        onUsage: usageRecorderFor(project.id, 'section'),
+        prompts,
+        styleProfile
+      }),
+      citationStyle,
+      webSources,
+      styleProfile
+    }, resolveLintRules(project.lintRules));
+
+    // A section that still fails hard rules goes back to draft; one that now passes leaves the hold
+    const heldAsDraft = !!lint && !lint.passed;
+    const wpService = createWordPressService(destination);
+    const updatedPost = await wpService.updateTopicSection(sectionStructure.id, {
+      title: lesson.lessonTitle,
+      content: lessonContent,
+      ...(heldAsDraft
+        ? { status: LINT_HOLD_STATUS }
+        : sectionStructure.heldAsDraft && { status: destination.defaultStatus })
+    });
+
+    // Record the new content against the published tree and the journal
+    const updatedStructure = structure.map(item => item !== chapterStructure ? item : {
+      ...item,
+      topics: item.topics.map(topicItem => topicItem !== topicStructure ? topicItem : {
+        ...topicItem,
+        sections: topicItem.sections.map(section => section !== sectionStructure ? section : {
+          ...section,
+          original: lesson,
+          post: summarizePost(updatedPost),
+          usedRAG: !!vectorStoreId,
+          usedWebContext: !!webSearchContext,
+          hadCustomContext: !!lessonContext,
+          promptVersions,
+          lint,
+          heldAsDraft,
+          regeneratedAt: new Date().toISOString()
+        })
+      })
+    });
+
+    const journalKey = getJournalKey(lesson);
+    const journal = project.publishingJournal;
+    updateProject(project.id, {
+      publishedData: { ...project.publishedData, structure: updatedStructure },
+      ...(journal?.items?.[journalKey] && {
+        publishingJournal: updateJournalItem(journal, journalKey, {
+          title: lesson.lessonTitle,
+          content: lessonContent,
+          sources,
+          promptVersions,
+          lint,
+          heldAsDraft,
+          post: summarizePost(updatedPost)
+        })
+      })
+    });
+
+    console.log('✅ Section regenerated and updated in WordPress:', sectionStructure.id);
+    return { success: true, post: updatedPost, lint };
+  };
+
+  // Continue an interrupted run against the same book, skipping journaled items
+  const resumePublishing = (project) => {
+    return publishToWordPress(project, { resume: true });
+  };
+
+  const clearGenerationError = () => {
+    setGenerationError(null);
+  };
+
   const value = {
     projects,
+    projectsLoading,
+    storageError,
+    unclaimedProjects,
+    claimUnclaimedProjects,
     currentProject,
     setCurrentProject,
     isGenerating,
     generationProgress,
+    generationIssues,
+    generationError,
+    clearGenerationError,
     isPublishing,
     publishingProgress,
     backgroundProcessing,
@@ -1042,7 +1923,12 @@ export const EbookProvider = ({ children }) => {
     deleteProject,
     generateOutline,
     publishToWordPress,
+    resumePublishing,
+    regenerateSection,
+    proposeOutlineChange,
     abortPublishing,
+    liveSections,
+    stopSectionEarly,
     minimizePublishingWindow,
     restorePublishingWindow
   };
@@ -1,4 +1,18 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_MODEL_PRICES } from '../services/costLedger';
+import { DEFAULT_STYLE_PROFILE } from '../services/styleProfiles';
+import { DEFAULT_POST_TYPES } from '../services/wordpressService';
+import { useAuth } from './AuthContext';
+import { useWorkspace } from './WorkspaceContext';
+import {
+  DEFAULT_AUTO_LOCK_MINUTES,
+  splitCredentials,
+  mergeCredentials,
+  hasCredentials,
+  createVault,
+  openVault,
+  sealVault
+} from '../services/credentialVault';
 
 const SettingsContext = createContext();
 
@@ -10,66 +24,334 @@ export const useSettings = () => {
   return context;
 };
 
-export const SettingsProvider = ({ children }) => {
-  const [settings, setSettings] = useState({
-    // OpenAI Settings
-    openaiPrimary: '',
-    openaiFallback: '',
-    
-    // Perplexity Settings
-    perplexityPrimary: '',
-    perplexityFallback: '',
-    
-    // WordPress Settings
-    wordpressUrl: '',
-    wordpressUsername: '',
-    wordpressPassword: '',
-    
-    // Webhook Settings
-    webhooks: {
-      bookToChapter: {
-        url: '',
-        username: '',
-        password: ''
-      },
-      chapterToTopic: {
-        url: '',
-        username: '',
-        password: ''
-      },
-      topicToSection: {
-        url: '',
-        username: '',
-        password: ''
-      }
-    }
-  });
+// Settings belong to the active workspace (see workspaceStore) and only its owner may change them.
+// Their API keys and passwords are stored encrypted (see credentialVault.js): they're available once the vault
+// has been unlocked with the workspace passphrase, until it locks again after a period of inactivity.
+// Before workspaces they were kept in localStorage, per user (userCredentials:<userId>) and before that
+// for the whole browser (userCredentials); those move into the user's personal workspace.
+// Credentials are never stored readable with the workspace settings: until the workspace has a vault they stay
+// in this browser (pendingCredentials:<workspaceId>), where they are sealed into the vault once it is created.
+const LEGACY_SETTINGS_KEY = 'userCredentials';
+const getSettingsKey = (userId) => `${LEGACY_SETTINGS_KEY}:${userId}`;
+
+// Settings saved in localStorage before workspaces existed, or null
+const readLocalSettings = (userId) => {
+  const saved = localStorage.getItem(getSettingsKey(userId)) || localStorage.getItem(LEGACY_SETTINGS_KEY);
+  return saved ? JSON.parse(saved) : null;
+};
+
+const clearLocalSettings = (userId) => {
+  localStorage.removeItem(getSettingsKey(userId));
+  localStorage.removeItem(LEGACY_SETTINGS_KEY);
+};
+
+const getPendingCredentialsKey = (workspaceId) => `pendingCredentials:${workspaceId}`;
+
+const readPendingCredentials = (workspaceId) => {
+  const saved = localStorage.getItem(getPendingCredentialsKey(workspaceId));
+  return saved ? JSON.parse(saved) : null;
+};
+
+const writePendingCredentials = (workspaceId, credentials) => {
+  if (credentials && hasCredentials(credentials)) {
+    localStorage.setItem(getPendingCredentialsKey(workspaceId), JSON.stringify(credentials));
+  } else {
+    localStorage.removeItem(getPendingCredentialsKey(workspaceId));
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  // 'browser' sends the keys below from the browser; 'server' routes OpenAI and Perplexity requests through the
+  // AI proxy (functions/ai-proxy.mjs), which holds the keys. aiProxyUrl defaults to DEFAULT_AI_PROXY_URL.
+  keyMode: 'browser',
+  aiProxyUrl: '',
+
+  // OpenAI Settings
+  openaiPrimary: '',
+  openaiFallback: '',
   
+  // Perplexity Settings
+  perplexityPrimary: '',
+  perplexityFallback: '',
+
+  // Additional LLM providers (Azure OpenAI, Anthropic, OpenAI-compatible) - see services/providers
+  llmProviders: [],
+  
+  // WordPress Settings
+  wordpressUrl: '',
+  wordpressUsername: '',
+  wordpressPassword: '',
+  wordpressPostTypes: DEFAULT_POST_TYPES,
+  wordpressPostStatus: 'publish',
+
+  // Additional named WordPress destinations (staging, production...) - see services/wordpressDestinations
+  wordpressDestinations: [],
+  
+  // Webhook Settings
+  webhooks: {
+    bookToChapter: {
+      url: '',
+      username: '',
+      password: ''
+    },
+    chapterToTopic: {
+      url: '',
+      username: '',
+      password: ''
+    },
+    topicToSection: {
+      url: '',
+      username: '',
+      password: ''
+    }
+  },
+
+  // Generation Rate Limits (0 = no budget)
+  rateLimits: {
+    openai: { concurrency: 3, requestsPerMinute: 60, tokensPerMinute: 150000 },
+    perplexity: { concurrency: 2, requestsPerMinute: 40, tokensPerMinute: 0 },
+    wordpress: { concurrency: 1, requestsPerMinute: 120, tokensPerMinute: 0 }
+  },
+
+  // Model prices for the cost ledger (USD per 1M tokens, request fee per 1000 requests)
+  modelPrices: DEFAULT_MODEL_PRICES,
+
+  // Brand voice / style guide profiles, chosen per project when creating an ebook
+  styleProfiles: [DEFAULT_STYLE_PROFILE],
+
+  // Prompt template library: edited versions of the built-in prompts (see promptTemplates.js)
+  promptTemplates: {},
+
+  // Minutes of inactivity before the credential vault locks (0 = never)
+  vaultAutoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+
+  // Project Storage Settings
+  projectStorage: 'local',
+  supabaseUrl: '',
+  supabaseAnonKey: ''
+};
+
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+const AUTO_LOCK_CHECK_MS = 30000;
+
+export const SettingsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { currentWorkspace, workspaceStore, loading: workspaceLoading, can } = useWorkspace();
+  // Settings as stored with the workspace, without credentials
+  const [storedSettings, setStoredSettings] = useState(DEFAULT_SETTINGS);
+  const [vault, setVault] = useState(null);
+  // Decrypted credentials while the vault is unlocked, or without a vault the ones kept in this browser
+  const [credentials, setCredentials] = useState(null);
+  const [unlockPromptOpen, setUnlockPromptOpen] = useState(false);
   const [loading, setLoading] = useState(true);
+  const vaultKeyRef = useRef(null);
+  const lastActivityRef = useRef(Date.now());
+  const workspaceId = currentWorkspace?.id || null;
 
-  // Load settings from localStorage on mount
+  // 'unprotected' (no passphrase set yet), 'locked' or 'unlocked'
+  const vaultStatus = !vault ? 'unprotected' : credentials ? 'unlocked' : 'locked';
+
+  const settings = useMemo(
+    () => (credentials ? mergeCredentials(storedSettings, credentials) : storedSettings),
+    [storedSettings, credentials]
+  );
+
+  // What the app reads: the settings plus the workspace they belong to, which routes AI proxy requests
+  // (see getUpstreamAccess). workspaceId is never saved with them.
+  const contextSettings = useMemo(() => ({ ...settings, workspaceId }), [settings, workspaceId]);
+
+  // Credentials saved before the vault existed (e.g. moved over from localStorage) are still readable
+  const hasUnencryptedCredentials = !vault && hasCredentials(splitCredentials(settings).credentials);
+
+  const forgetKey = () => {
+    vaultKeyRef.current = null;
+    setCredentials(null);
+  };
+
+  // Load the active workspace's settings; switching workspaces locks the previous vault
   useEffect(() => {
+    if (workspaceLoading) return;
+
+    forgetKey();
+    setUnlockPromptOpen(false);
+
+    if (!workspaceId || !workspaceStore) {
+      setStoredSettings(DEFAULT_SETTINGS);
+      setVault(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadSettings = async () => {
+      setLoading(true);
+      try {
+        let { settings: savedSettings, vault: savedVault } = await workspaceStore.getSettings(workspaceId);
+        const isOwnPersonalWorkspace = currentWorkspace.personal && currentWorkspace.ownerId === user?.id;
+        if (Object.keys(savedSettings).length === 0 && !savedVault && isOwnPersonalWorkspace) {
+          const localSettings = readLocalSettings(user.id);
+          if (localSettings) {
+            console.log('👥 Moving settings saved in this browser into the personal workspace');
+            const { publicSettings, credentials: localCredentials } = splitCredentials(localSettings);
+            writePendingCredentials(workspaceId, localCredentials);
+            savedSettings = await workspaceStore.saveSettings(workspaceId, publicSettings);
+            clearLocalSettings(user.id);
+          }
+        }
+        if (!cancelled) {
+          setStoredSettings({ ...DEFAULT_SETTINGS, ...savedSettings });
+          setVault(savedVault);
+          setCredentials(savedVault ? null : readPendingCredentials(workspaceId));
+          // Ask for the passphrase once per session
+          setUnlockPromptOpen(!!savedVault);
+        }
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        if (!cancelled) {
+          setStoredSettings(DEFAULT_SETTINGS);
+          setVault(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSettings();
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceLoading, workspaceId, workspaceStore]);
+
+  const lockVault = () => {
+    if (!vaultKeyRef.current) return;
+    console.log('🔒 Credential vault locked');
+    forgetKey();
+  };
+
+  // Auto-lock after the configured minutes without user activity
+  useEffect(() => {
+    const autoLockMinutes = Number(storedSettings.vaultAutoLockMinutes) || 0;
+    if (vaultStatus !== 'unlocked' || autoLockMinutes <= 0) return;
+
+    const recordActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    recordActivity();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, recordActivity, { passive: true }));
+
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityRef.current >= autoLockMinutes * 60000) {
+        console.log(`🔒 Locking credential vault after ${autoLockMinutes} minutes of inactivity`);
+        forgetKey();
+        setUnlockPromptOpen(true);
+      }
+    }, AUTO_LOCK_CHECK_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, recordActivity));
+      clearInterval(timer);
+    };
+  }, [vaultStatus, storedSettings.vaultAutoLockMinutes]);
+
+  const requireOwner = () => {
+    if (!workspaceId || !workspaceStore) {
+      throw new Error('Sign in to save settings');
+    }
+    if (!can('manageSettings')) {
+      throw new Error('Only the workspace owner can change settings');
+    }
+  };
+
+  // Vault actions resolve to { success, error? }
+  const unlockVault = async (passphrase) => {
     try {
-      const savedSettings = localStorage.getItem('userCredentials');
-      if (savedSettings) {
-        const parsedSettings = JSON.parse(savedSettings);
-        setSettings(prevSettings => ({
-          ...prevSettings,
-          ...parsedSettings
-        }));
+      if (!vault) {
+        throw new Error('This workspace has no credential vault yet');
       }
+      const { key, credentials: decrypted } = await openVault(passphrase, vault);
+      vaultKeyRef.current = key;
+      setCredentials(decrypted);
+      setUnlockPromptOpen(false);
+      console.log('🔓 Credential vault unlocked');
+      return { success: true };
     } catch (error) {
-      console.error('Error loading settings:', error);
-    } finally {
-      setLoading(false);
+      console.error('❌ Error unlocking credential vault:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Encrypts the current credentials under a new passphrase. Without a vault this creates one, which also
+  // encrypts credentials that were stored readable until now.
+  const setVaultPassphrase = async (passphrase) => {
+    try {
+      requireOwner();
+      if (vault && !vaultKeyRef.current) {
+        throw new Error('Unlock the credential vault first');
+      }
+      const { publicSettings, credentials: currentCredentials } = splitCredentials(settings);
+      const { key, vault: nextVault } = await createVault(passphrase, currentCredentials);
+      await workspaceStore.saveSettings(workspaceId, publicSettings, nextVault);
+      writePendingCredentials(workspaceId, null);
+      vaultKeyRef.current = key;
+      setStoredSettings(publicSettings);
+      setVault(nextVault);
+      setCredentials(currentCredentials);
+      console.log(`🔐 Credential vault ${vault ? 'passphrase changed' : 'created'}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error setting vault passphrase:', error);
+      return { success: false, error: error.message };
     }
-  }, []);
+  };
 
-  const updateSettings = (newSettings) => {
+  // For a forgotten passphrase: drops the encrypted credentials, keeping all other settings
+  const resetVault = async () => {
     try {
-      const updatedSettings = { ...settings, ...newSettings };
-      setSettings(updatedSettings);
-      localStorage.setItem('userCredentials', JSON.stringify(updatedSettings));
+      requireOwner();
+      const { publicSettings } = splitCredentials(storedSettings);
+      await workspaceStore.saveSettings(workspaceId, publicSettings, null);
+      forgetKey();
+      setStoredSettings(publicSettings);
+      setVault(null);
+      setUnlockPromptOpen(false);
+      console.log('🔐 Credential vault reset; credentials were removed');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error resetting credential vault:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Resolves to { success, error? }. Credentials can only be saved into an unlocked vault; the other settings
+  // can be saved while it is locked.
+  const updateSettings = async (newSettings) => {
+    try {
+      requireOwner();
+      const { workspaceId: _workspaceId, ...changes } = newSettings;
+      const updatedSettings = { ...settings, ...changes };
+      const { publicSettings, credentials: updatedCredentials } = splitCredentials(updatedSettings);
+
+      if (vault && !vaultKeyRef.current) {
+        // Locked: the credentials can't be read or changed, so the other settings are saved next to the vault as is
+        if (hasCredentials(updatedCredentials)) {
+          throw new Error('Unlock the credential vault to change API keys and passwords');
+        }
+        await workspaceStore.saveSettings(workspaceId, publicSettings, vault);
+        setStoredSettings(publicSettings);
+      } else if (vault) {
+        const sealed = await sealVault(vaultKeyRef.current, vault.kdf, updatedCredentials);
+        await workspaceStore.saveSettings(workspaceId, publicSettings, sealed);
+        setStoredSettings(publicSettings);
+        setVault(sealed);
+        setCredentials(updatedCredentials);
+      } else {
+        // No vault yet: credentials stay in this browser until one is created
+        writePendingCredentials(workspaceId, updatedCredentials);
+        await workspaceStore.saveSettings(workspaceId, publicSettings, null);
+        setStoredSettings(publicSettings);
+        setCredentials(hasCredentials(updatedCredentials) ? updatedCredentials : null);
+      }
       return { success: true };
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -78,9 +360,18 @@ export const SettingsProvider = ({ children }) => {
   };
 
   const value = {
-    settings,
+    settings: contextSettings,
     loading,
-    updateSettings
+    updateSettings,
+    vaultStatus,
+    hasUnencryptedCredentials,
+    unlockPromptOpen,
+    openUnlockPrompt: () => setUnlockPromptOpen(true),
+    closeUnlockPrompt: () => setUnlockPromptOpen(false),
+    unlockVault,
+    lockVault,
+    setVaultPassphrase,
+    resetVault
   };
 
   return (
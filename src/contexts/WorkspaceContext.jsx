@@ -0,0 +1,196 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { createWorkspaceStore } from '../services/workspaceStore';
+import {
+  canRole,
+  assertRoleCan,
+  getMemberRole,
+  createWorkspace,
+  inviteMember as addInvitation,
+  revokeInvitation as cancelInvitation,
+  updateMemberRole,
+  removeMember as dropMember,
+  getInvitationLink
+} from '../services/workspaces';
+
+const WorkspaceContext = createContext();
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+const getActiveWorkspaceKey = (userId) => `activeWorkspace:${userId}`;
+
+export const WorkspaceProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [pendingInvitations, setPendingInvitations] = useState([]);
+  const [currentWorkspaceId, setCurrentWorkspaceId] = useState(null);
+  const [workspaceStore, setWorkspaceStore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [workspaceError, setWorkspaceError] = useState(null);
+  const storeRef = useRef(null);
+  const userId = user?.id || null;
+
+  const currentWorkspace = workspaces.find(workspace => workspace.id === currentWorkspaceId) || null;
+  const currentRole = getMemberRole(currentWorkspace, userId);
+
+  const loadWorkspaces = async (store, preferredId = null) => {
+    const [memberships, invitations] = await Promise.all([store.listWorkspaces(), store.listInvitations()]);
+    setWorkspaces(memberships);
+    setPendingInvitations(invitations);
+
+    const savedId = preferredId || localStorage.getItem(getActiveWorkspaceKey(store.user.id));
+    const active = memberships.find(workspace => workspace.id === savedId) || memberships[0] || null;
+    setCurrentWorkspaceId(active?.id || null);
+    return memberships;
+  };
+
+  // Load the signed-in user's workspaces, creating their personal workspace on first sign-in
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!user) {
+      storeRef.current = null;
+      setWorkspaceStore(null);
+      setWorkspaces([]);
+      setPendingInvitations([]);
+      setCurrentWorkspaceId(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const store = createWorkspaceStore(user);
+    storeRef.current = store;
+
+    const initialize = async () => {
+      setLoading(true);
+      try {
+        await store.ensurePersonalWorkspace();
+        if (cancelled) return;
+        const memberships = await loadWorkspaces(store);
+        if (cancelled) return;
+        console.log(`👥 Loaded ${memberships.length} workspaces`);
+        setWorkspaceStore(store);
+        setWorkspaceError(null);
+      } catch (error) {
+        console.error('❌ Error loading workspaces:', error);
+        if (!cancelled) setWorkspaceError(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    initialize();
+    return () => {
+      cancelled = true;
+    };
+  }, [authLoading, userId]);
+
+  const requireStore = () => {
+    if (!storeRef.current) {
+      throw new Error('Sign in to manage workspaces');
+    }
+    return storeRef.current;
+  };
+
+  const can = (action) => canRole(currentRole, action);
+
+  // Throws (error.code 'forbidden') when the current role may not perform the action
+  const assertCan = (action) => assertRoleCan(currentRole, action);
+
+  const switchWorkspace = (workspaceId) => {
+    if (!workspaces.some(workspace => workspace.id === workspaceId)) return;
+    localStorage.setItem(getActiveWorkspaceKey(userId), workspaceId);
+    setCurrentWorkspaceId(workspaceId);
+  };
+
+  const commitWorkspace = async (workspace) => {
+    await requireStore().saveWorkspace(workspace);
+    setWorkspaces(prev => prev.map(item => (item.id === workspace.id ? workspace : item)));
+    return workspace;
+  };
+
+  const createTeamWorkspace = async (name) => {
+    const workspace = createWorkspace(name, user);
+    const store = requireStore();
+    await store.saveWorkspace(workspace);
+    await store.saveSettings(workspace.id, {});
+    setWorkspaces(prev => [...prev, workspace]);
+    localStorage.setItem(getActiveWorkspaceKey(userId), workspace.id);
+    setCurrentWorkspaceId(workspace.id);
+    return workspace;
+  };
+
+  const renameWorkspace = async (name) => {
+    assertCan('manageMembers');
+    return commitWorkspace({ ...currentWorkspace, name: name.trim(), updatedAt: new Date().toISOString() });
+  };
+
+  // Returns { invitation, link }; the link is shared with the invitee by the owner
+  const inviteMember = async (email, role) => {
+    assertCan('manageMembers');
+    const { workspace, invitation } = addInvitation(currentWorkspace, { email, role }, user);
+    await commitWorkspace(workspace);
+    return { invitation, link: getInvitationLink(workspace, invitation) };
+  };
+
+  const revokeInvitation = async (invitationId) => {
+    assertCan('manageMembers');
+    return commitWorkspace(cancelInvitation(currentWorkspace, invitationId));
+  };
+
+  const changeMemberRole = async (memberId, role) => {
+    assertCan('manageMembers');
+    return commitWorkspace(updateMemberRole(currentWorkspace, memberId, role));
+  };
+
+  const removeMember = async (memberId) => {
+    assertCan('manageMembers');
+    return commitWorkspace(dropMember(currentWorkspace, memberId));
+  };
+
+  // Accepting switches to the joined workspace
+  const respondToInvitation = async (workspaceId, token, accept) => {
+    const store = requireStore();
+    await store.respondToInvitation(workspaceId, token, accept);
+    if (accept) {
+      localStorage.setItem(getActiveWorkspaceKey(userId), workspaceId);
+    }
+    await loadWorkspaces(store, accept ? workspaceId : currentWorkspaceId);
+  };
+
+  const refreshWorkspaces = async () => loadWorkspaces(requireStore(), currentWorkspaceId);
+
+  const value = {
+    workspaces,
+    currentWorkspace,
+    currentRole,
+    pendingInvitations,
+    workspaceStore,
+    loading,
+    workspaceError,
+    can,
+    assertCan,
+    switchWorkspace,
+    createTeamWorkspace,
+    renameWorkspace,
+    inviteMember,
+    revokeInvitation,
+    changeMemberRole,
+    removeMember,
+    respondToInvitation,
+    refreshWorkspaces
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
@@ -5,23 +5,40 @@ import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { useEbook } from '../contexts/EbookContext';
 import { useSettings } from '../contexts/SettingsContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import GenerationProgress from '../components/GenerationProgress';
 import AdvancedOptions from '../components/AdvancedOptions';
+import { isProviderConfigured, isUpstreamConfigured } from '../services/providers';
+import { getConfiguredDestinations } from '../services/wordpressDestinations';
+import { CITATION_STYLES } from '../services/citations';
+import { getStyleProfile, formatStyleGuide } from '../services/styleProfiles';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiBookOpen, FiTarget, FiArrowRight, FiAlertCircle, FiSettings, FiSearch, FiCpu, FiLink } = FiIcons;
+const { FiBookOpen, FiTarget, FiArrowRight, FiAlertCircle, FiSettings, FiSearch, FiCpu, FiLink, FiBookmark } = FiIcons;
 
 const CreateEbook = () => {
   const navigate = useNavigate();
-  const { createProject, generateOutline, isGenerating, generationProgress, updateProject } = useEbook();
-  const { settings } = useSettings();
+  const {
+    createProject,
+    generateOutline,
+    isGenerating,
+    generationProgress,
+    generationIssues,
+    generationError,
+    clearGenerationError,
+    updateProject
+  } = useEbook();
+  const { settings, vaultStatus, openUnlockPrompt } = useSettings();
+  const { currentWorkspace, currentRole, can } = useWorkspace();
   
   const { register, handleSubmit, formState: { errors }, watch } = useForm({
     defaultValues: {
       researchLLM: 'openai',
       contentGenerationLLM: 'openai',
-      includeWebReferences: 'no'
+      includeWebReferences: 'no',
+      citationStyle: 'none',
+      styleProfileId: ''
     }
   });
 
@@ -44,22 +61,27 @@ const CreateEbook = () => {
   const researchLLM = watch('researchLLM');
   const contentGenerationLLM = watch('contentGenerationLLM');
   const includeWebReferences = watch('includeWebReferences');
+  const citationStyle = watch('citationStyle');
+  const styleProfile = getStyleProfile(settings.styleProfiles, watch('styleProfileId'));
 
-  // Check configuration based on selected methods
-  const isResearchConfigured = (researchLLM === 'openai' && settings.openaiPrimary) || 
-                               (researchLLM === 'perplexity' && settings.perplexityPrimary);
+  // Check configuration based on selected methods and the provider each stage is routed to
+  const isStageConfigured = (stage) => isProviderConfigured(settings, gptOptions.routing?.[stage]?.providerId);
+
+  const isResearchConfigured = (researchLLM === 'openai' && isStageConfigured('research')) || 
+                               (researchLLM === 'perplexity' && isUpstreamConfigured(settings, 'perplexity'));
   
-  const isContentGenerationConfigured = (contentGenerationLLM === 'openai' && settings.openaiPrimary) || 
-                                       (contentGenerationLLM === 'perplexity' && settings.perplexityPrimary);
+  const isContentGenerationConfigured = (contentGenerationLLM === 'openai' && isStageConfigured('section')) || 
+                                       (contentGenerationLLM === 'perplexity' && isUpstreamConfigured(settings, 'perplexity'));
   
-  const isWordPressConfigured = settings.wordpressUrl && settings.wordpressUsername && settings.wordpressPassword;
+  const isWordPressConfigured = getConfiguredDestinations(settings).length > 0;
   
-  const isWebReferencesConfigured = includeWebReferences === 'no' || settings.perplexityPrimary;
+  const isWebReferencesConfigured = includeWebReferences === 'no' || isUpstreamConfigured(settings, 'perplexity');
   
   const isFullyConfigured = isResearchConfigured && isContentGenerationConfigured && isWordPressConfigured && isWebReferencesConfigured;
 
-  // VibeCoding: Check if advanced options should be shown (when using Perplexity workflows)
-  const showAdvancedOptions = researchLLM === 'perplexity' || contentGenerationLLM === 'perplexity' || includeWebReferences === 'yes';
+  // VibeCoding: Check if advanced options should be shown (Perplexity workflows or extra LLM providers to route to)
+  const showAdvancedOptions = researchLLM === 'perplexity' || contentGenerationLLM === 'perplexity' || includeWebReferences === 'yes' ||
+                              (settings.llmProviders || []).length > 0;
 
   const onSubmit = async (data) => {
     if (!isFullyConfigured) {
@@ -96,6 +118,7 @@ const CreateEbook = () => {
       console.log('🔍 Starting outline generation with advanced options...');
       const outline = await generateOutline({
         ...data,
+        projectId: project.id, // Token usage is recorded against this project's cost ledger
         sonarOptions: showAdvancedOptions ? sonarOptions : {},
         gptOptions: showAdvancedOptions ? gptOptions : {}
       });
@@ -117,6 +140,8 @@ const CreateEbook = () => {
         status: 'review',
         title: outline.title,
         includeWebReferences: data.includeWebReferences,
+        citationStyle: data.citationStyle,
+        styleProfileId: outline.styleProfileId,
         // VibeCoding: Store advanced options in project
         sonarOptions: showAdvancedOptions ? sonarOptions : {},
         gptOptions: showAdvancedOptions ? gptOptions : {}
@@ -134,20 +159,38 @@ const CreateEbook = () => {
   const getConfigurationStatus = (method, type) => {
     if (type === 'research') {
       if (method === 'openai') {
-        return settings.openaiPrimary ? 'configured' : 'missing';
+        return isStageConfigured('research') ? 'configured' : 'missing';
       } else if (method === 'perplexity') {
-        return settings.perplexityPrimary ? 'configured' : 'missing';
+        return isUpstreamConfigured(settings, 'perplexity') ? 'configured' : 'missing';
       }
     } else if (type === 'content') {
       if (method === 'openai') {
-        return settings.openaiPrimary ? 'configured' : 'missing';
+        return isStageConfigured('section') ? 'configured' : 'missing';
       } else if (method === 'perplexity') {
-        return settings.perplexityPrimary ? 'configured' : 'missing';
+        return isUpstreamConfigured(settings, 'perplexity') ? 'configured' : 'missing';
       }
     }
     return 'missing';
   };
 
+  if (!can('createProject')) {
+    return (
+      <div className="p-6 max-w-4xl mx-auto">
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start space-x-3">
+          <SafeIcon icon={FiAlertCircle} className="text-yellow-600 mt-0.5" />
+          <div>
+            <h3 className="text-sm font-medium text-yellow-800">You can't create ebooks in this workspace</h3>
+            <p className="text-sm text-yellow-700 mt-1">
+              {currentWorkspace
+                ? `Your role in ${currentWorkspace.name} is ${currentRole || 'unknown'}. Ask the workspace owner to make you an editor, or switch to another workspace.`
+                : 'Select a workspace first.'}
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       <div className="p-6 max-w-4xl mx-auto">
@@ -170,6 +213,14 @@ const CreateEbook = () => {
                 <p className="text-sm text-yellow-700 mt-1">
                   Please configure the required API keys and WordPress settings based on your selected methods.
                 </p>
+                {vaultStatus === 'locked' && (
+                  <p className="text-sm text-yellow-700 mt-1">
+                    The credential vault is locked, so saved API keys and passwords aren't available.{' '}
+                    <button type="button" onClick={openUnlockPrompt} className="font-medium underline hover:text-yellow-900">
+                      Unlock it
+                    </button>
+                  </p>
+                )}
                 <div className="mt-2 text-xs text-yellow-700">
                   <p>• Research Method: {researchLLM === 'openai' ? 'OpenAI' : 'Perplexity Sonar Research'} - {isResearchConfigured ? '✅ Configured' : '❌ Not Configured'}</p>
                   <p>• Content Generation: {contentGenerationLLM === 'openai' ? 'OpenAI Only' : 'Perplexity + OpenAI'} - {isContentGenerationConfigured ? '✅ Configured' : '❌ Not Configured'}</p>
@@ -298,6 +349,39 @@ const CreateEbook = () => {
               </div>
             </div>
 
+            {/* Citation Style Selection */}
+            <div className="mt-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Citation Style
+              </label>
+              <select
+                {...register('citationStyle')}
+                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {Object.entries(CITATION_STYLES).map(([value, style]) => (
+                  <option key={value} value={value}>{style.label}</option>
+                ))}
+              </select>
+              <div className="mt-2 text-xs text-gray-600">
+                {citationStyle && citationStyle !== 'none' ? (
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiBookmark} className="text-blue-600" />
+                    <span>
+                      Sections cite Sonar web sources and knowledge library documents inline as [n], with a source list per section
+                      and a {CITATION_STYLES[citationStyle].bibliographyTitle} list per chapter and for the whole book
+                    </span>
+                  </div>
+                ) : (
+                  <span>Sections are written without inline citations</span>
+                )}
+              </div>
+              {citationStyle !== 'none' && contentGenerationLLM !== 'perplexity' && (
+                <p className="mt-1 text-xs text-amber-700">
+                  Without Perplexity content generation, only knowledge library documents can be cited.
+                </p>
+              )}
+            </div>
+
             {/* Method Explanation */}
             <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-md">
               <h4 className="text-sm font-medium text-blue-900 mb-2">How These Methods Work Together:</h4>
@@ -407,6 +491,26 @@ const CreateEbook = () => {
                   className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Style Profile
+                </label>
+                <select
+                  {...register('styleProfileId')}
+                  className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {(settings.styleProfiles || []).map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+                <pre className="mt-2 p-3 bg-gray-50 rounded-md text-xs text-gray-600 whitespace-pre-wrap font-sans">
+                  {formatStyleGuide(styleProfile) || 'This profile has no style rules yet.'}
+                </pre>
+                <p className="mt-1 text-xs text-gray-500">
+                  Applied to the preface, topic introductions and every section. Profiles are managed in Settings.
+                </p>
+              </div>
             </div>
           </motion.div>
 
@@ -470,7 +574,13 @@ const CreateEbook = () => {
 
       {/* Generation Progress Modal */}
       <AnimatePresence>
-        <GenerationProgress progress={generationProgress} isVisible={isGenerating} />
+        <GenerationProgress
+          progress={generationProgress}
+          isVisible={isGenerating}
+          issues={generationIssues}
+          error={generationError}
+          onDismiss={clearGenerationError}
+        />
       </AnimatePresence>
     </>
   );
@@ -1,14 +1,21 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { useEbook } from '../contexts/EbookContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { canResumeJournal } from '../services/publishingJournal';
+import { getMonthlyTotals, formatCost, formatTokens } from '../services/costLedger';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiPlus, FiBookOpen, FiClock, FiCheck, FiEdit, FiTrash2, FiEye } = FiIcons;
+const { FiPlus, FiBookOpen, FiClock, FiCheck, FiEdit, FiTrash2, FiEye, FiAlertCircle, FiDollarSign, FiInbox } = FiIcons;
 
 const Dashboard = () => {
-  const { projects, deleteProject } = useEbook();
+  const { projects, projectsLoading, storageError, deleteProject, unclaimedProjects, claimUnclaimedProjects } = useEbook();
+  const [hideUnclaimed, setHideUnclaimed] = useState(false);
+  const { currentWorkspace, can } = useWorkspace();
+  const monthlyTotals = getMonthlyTotals(projects);
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -32,27 +39,105 @@ const Dashboard = () => {
     }
   };
 
+  const handleClaimProjects = async () => {
+    const result = await claimUnclaimedProjects();
+    if (result.success) {
+      toast.success(`${result.count} project${result.count === 1 ? '' : 's'} added to your workspace`);
+    } else {
+      toast.error(`Could not add projects: ${result.error}`);
+    }
+  };
+
   return (
     <div className="p-6">
       <div className="flex items-center justify-between mb-8">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
-          <p className="text-gray-600 mt-1">Manage your ebook projects</p>
+          <p className="text-gray-600 mt-1">
+            Manage your ebook projects{currentWorkspace && !currentWorkspace.personal ? ` in ${currentWorkspace.name}` : ''}
+          </p>
         </div>
         
-        <Link to="/create">
-          <motion.button
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-            className="flex items-center space-x-2 bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors"
-          >
-            <SafeIcon icon={FiPlus} />
-            <span>New Ebook</span>
-          </motion.button>
-        </Link>
+        {can('createProject') && (
+          <Link to="/create">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="flex items-center space-x-2 bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              <SafeIcon icon={FiPlus} />
+              <span>New Ebook</span>
+            </motion.button>
+          </Link>
+        )}
       </div>
 
-      {projects.length === 0 ? (
+      {storageError && (
+        <div className="mb-6 flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <SafeIcon icon={FiAlertCircle} className="text-red-600 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Project storage problem</p>
+            <p className="text-sm text-red-700">{storageError}</p>
+          </div>
+        </div>
+      )}
+
+      {!projectsLoading && unclaimedProjects.length > 0 && !hideUnclaimed && (
+        <div className="mb-6 flex items-start space-x-3 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <SafeIcon icon={FiInbox} className="text-blue-600 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-sm font-medium text-blue-900">
+              {unclaimedProjects.length} project{unclaimedProjects.length === 1 ? ' was' : 's were'} saved on this browser before sign-in
+            </p>
+            <p className="text-sm text-blue-800">
+              {unclaimedProjects.slice(0, 3).map(project => project.title || project.niche).join(', ')}
+              {unclaimedProjects.length > 3 ? ` and ${unclaimedProjects.length - 3} more` : ''}. Only add them if they are yours; anyone who used this browser may have created them.
+            </p>
+            <div className="mt-2 flex items-center space-x-4">
+              <button
+                onClick={handleClaimProjects}
+                className="text-sm font-medium text-blue-900 underline hover:text-blue-700"
+              >
+                Add to my workspace
+              </button>
+              <button
+                onClick={() => setHideUnclaimed(true)}
+                className="text-sm text-blue-700 hover:text-blue-900"
+              >
+                Not now
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!projectsLoading && projects.length > 0 && (
+        <div className="mb-6 flex items-center space-x-4 p-4 bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="h-10 w-10 bg-green-100 rounded-full flex items-center justify-center">
+            <SafeIcon icon={FiDollarSign} className="text-green-600" />
+          </div>
+          <div className="flex-1">
+            <p className="text-sm text-gray-600">
+              Generation spend in {new Date().toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+            </p>
+            <p className="text-2xl font-semibold text-gray-900">{formatCost(monthlyTotals.cost)}</p>
+          </div>
+          <div className="text-right text-xs text-gray-500">
+            <p>{monthlyTotals.requests} requests</p>
+            <p>{formatTokens(monthlyTotals.inputTokens + monthlyTotals.outputTokens)} tokens</p>
+            {monthlyTotals.unpriced > 0 && <p>{monthlyTotals.unpriced} unpriced</p>}
+          </div>
+        </div>
+      )}
+
+      {projectsLoading ? (
+        <div className="py-12 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading projects...</p>
+          </div>
+        </div>
+      ) : projects.length === 0 ? (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -60,17 +145,23 @@ const Dashboard = () => {
         >
           <SafeIcon icon={FiBookOpen} className="text-6xl text-gray-300 mx-auto mb-4" />
           <h3 className="text-xl font-medium text-gray-900 mb-2">No ebooks yet</h3>
-          <p className="text-gray-500 mb-6">Create your first ebook to get started</p>
-          <Link to="/create">
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              className="flex items-center space-x-2 bg-primary-600 text-white px-6 py-3 rounded-lg hover:bg-primary-700 transition-colors mx-auto"
-            >
-              <SafeIcon icon={FiPlus} />
-              <span>Create Your First Ebook</span>
-            </motion.button>
-          </Link>
+          {can('createProject') ? (
+            <>
+              <p className="text-gray-500 mb-6">Create your first ebook to get started</p>
+              <Link to="/create">
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="flex items-center space-x-2 bg-primary-600 text-white px-6 py-3 rounded-lg hover:bg-primary-700 transition-colors mx-auto"
+                >
+                  <SafeIcon icon={FiPlus} />
+                  <span>Create Your First Ebook</span>
+                </motion.button>
+              </Link>
+            </>
+          ) : (
+            <p className="text-gray-500 mb-6">Projects created in this workspace will appear here</p>
+          )}
         </motion.div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -119,18 +210,20 @@ const Dashboard = () => {
                   {project.status === 'review' && (
                     <Link to={`/review/${project.id}`}>
                       <button className="text-blue-600 hover:text-blue-700 text-sm font-medium">
-                        Review
+                        {canResumeJournal(project.publishingJournal) ? 'Resume Publishing' : 'Review'}
                       </button>
                     </Link>
                   )}
                 </div>
                 
-                <button
-                  onClick={() => deleteProject(project.id)}
-                  className="text-red-600 hover:text-red-700 p-1"
-                >
-                  <SafeIcon icon={FiTrash2} className="text-sm" />
-                </button>
+                {can('deleteProject') && (
+                  <button
+                    onClick={() => deleteProject(project.id)}
+                    className="text-red-600 hover:text-red-700 p-1"
+                  >
+                    <SafeIcon icon={FiTrash2} className="text-sm" />
+                  </button>
+                )}
               </div>
             </motion.div>
           ))}
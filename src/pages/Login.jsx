@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
@@ -7,27 +7,72 @@ import { useAuth } from '../contexts/AuthContext';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiBookOpen, FiMail, FiLock, FiEye, FiEyeOff } = FiIcons;
+const { FiBookOpen, FiMail, FiLock, FiEye, FiEyeOff, FiUser, FiAlertTriangle } = FiIcons;
+
+// Form modes; 'update' is forced while the user is on a password recovery link
+const MODES = {
+  signIn: { title: 'Welcome to EbookGen', subtitle: 'Sign in to create amazing ebooks', submit: 'Sign in', busy: 'Signing in...' },
+  signUp: { title: 'Create your account', subtitle: 'Your projects and settings are private to your account', submit: 'Create account', busy: 'Creating account...' },
+  reset: { title: 'Reset your password', subtitle: 'We\'ll email you a link to choose a new password', submit: 'Send reset link', busy: 'Sending...' },
+  update: { title: 'Choose a new password', subtitle: 'Enter the new password for your account', submit: 'Update password', busy: 'Updating...' }
+};
 
 const Login = () => {
-  const { user, login } = useAuth();
+  const { user, login, signUp, resetPassword, updatePassword, passwordRecovery, authMode, authConfigured } = useAuth();
+  const location = useLocation();
+  const [selectedMode, setSelectedMode] = useState('signIn');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   
-  const { register, handleSubmit, formState: { errors } } = useForm();
+  const { register, handleSubmit, watch, reset, formState: { errors } } = useForm();
+
+  const mode = passwordRecovery ? 'update' : selectedMode;
+  const modeText = MODES[mode];
 
-  if (user) {
-    return <Navigate to="/dashboard" replace />;
+  if (user && !passwordRecovery) {
+    return <Navigate to={location.state?.from?.pathname || '/dashboard'} replace />;
   }
 
+  const switchMode = (nextMode) => {
+    reset({ email: watch('email') });
+    setSelectedMode(nextMode);
+  };
+
   const onSubmit = async (data) => {
     setIsLoading(true);
-    const result = await login(data.email, data.password);
-    
-    if (result.success) {
-      toast.success('Welcome back!');
+
+    if (mode === 'signIn') {
+      const result = await login(data.email, data.password);
+      if (result.success) {
+        toast.success('Welcome back!');
+      } else {
+        toast.error(result.error || 'Login failed');
+      }
+    } else if (mode === 'signUp') {
+      const result = await signUp(data.email, data.password, data.name);
+      if (!result.success) {
+        toast.error(result.error || 'Sign up failed');
+      } else if (result.needsConfirmation) {
+        toast.success('Check your email to confirm your account, then sign in');
+        switchMode('signIn');
+      } else {
+        toast.success('Account created!');
+      }
+    } else if (mode === 'reset') {
+      const result = await resetPassword(data.email);
+      if (result.success) {
+        toast.success('If an account exists for that email, a reset link is on its way');
+        switchMode('signIn');
+      } else {
+        toast.error(result.error || 'Could not send the reset link');
+      }
     } else {
-      toast.error(result.error || 'Login failed');
+      const result = await updatePassword(data.password);
+      if (result.success) {
+        toast.success('Password updated');
+      } else {
+        toast.error(result.error || 'Could not update the password');
+      }
     }
     
     setIsLoading(false);
@@ -50,87 +95,171 @@ const Login = () => {
             <SafeIcon icon={FiBookOpen} className="text-2xl text-white" />
           </motion.div>
           <h2 className="mt-6 text-3xl font-bold text-gray-900">
-            Welcome to EbookGen
+            {modeText.title}
           </h2>
           <p className="mt-2 text-sm text-gray-600">
-            Sign in to create amazing ebooks
+            {modeText.subtitle}
           </p>
         </div>
 
+        {!authConfigured && (
+          <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-800">
+            <SafeIcon icon={FiAlertTriangle} className="mt-0.5 flex-shrink-0" />
+            <span>Sign-in is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY for this build.</span>
+          </div>
+        )}
+
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <SafeIcon icon={FiMail} className="text-gray-400" />
+            {mode === 'signUp' && (
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                  Name
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <SafeIcon icon={FiUser} className="text-gray-400" />
+                  </div>
+                  <input
+                    {...register('name')}
+                    type="text"
+                    className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder="Your name (optional)"
+                  />
                 </div>
-                <input
-                  {...register('email', { 
-                    required: 'Email is required',
-                    pattern: {
-                      value: /^\S+@\S+$/i,
-                      message: 'Invalid email address'
-                    }
-                  })}
-                  type="email"
-                  className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  placeholder="Enter your email"
-                />
               </div>
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-              )}
-            </div>
+            )}
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <SafeIcon icon={FiLock} className="text-gray-400" />
+            {mode !== 'update' && (
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <SafeIcon icon={FiMail} className="text-gray-400" />
+                  </div>
+                  <input
+                    {...register('email', { 
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^\S+@\S+$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                    type="email"
+                    className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder="Enter your email"
+                  />
                 </div>
-                <input
-                  {...register('password', { required: 'Password is required' })}
-                  type={showPassword ? 'text' : 'password'}
-                  className="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  placeholder="Enter your password"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  <SafeIcon 
-                    icon={showPassword ? FiEyeOff : FiEye} 
-                    className="text-gray-400 hover:text-gray-600"
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
+            )}
+
+            {mode !== 'reset' && (
+              <div>
+                <div className="flex items-center justify-between">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    {mode === 'update' ? 'New password' : 'Password'}
+                  </label>
+                  {mode === 'signIn' && (
+                    <button
+                      type="button"
+                      onClick={() => switchMode('reset')}
+                      className="text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      Forgot password?
+                    </button>
+                  )}
+                </div>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <SafeIcon icon={FiLock} className="text-gray-400" />
+                  </div>
+                  <input
+                    {...register('password', {
+                      required: 'Password is required',
+                      ...(mode !== 'signIn' && {
+                        minLength: { value: 8, message: 'Use at least 8 characters' }
+                      })
+                    })}
+                    type={showPassword ? 'text' : 'password'}
+                    className="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder={mode === 'signIn' ? 'Enter your password' : 'At least 8 characters'}
                   />
-                </button>
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    <SafeIcon 
+                      icon={showPassword ? FiEyeOff : FiEye} 
+                      className="text-gray-400 hover:text-gray-600"
+                    />
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
               </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-              )}
-            </div>
+            )}
+
+            {(mode === 'signUp' || mode === 'update') && (
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                  Confirm password
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <SafeIcon icon={FiLock} className="text-gray-400" />
+                  </div>
+                  <input
+                    {...register('confirmPassword', {
+                      validate: value => value === watch('password') || 'Passwords do not match'
+                    })}
+                    type={showPassword ? 'text' : 'password'}
+                    className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder="Repeat the password"
+                  />
+                </div>
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                )}
+              </div>
+            )}
           </div>
 
           <motion.button
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || !authConfigured}
             className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
           >
-            {isLoading ? 'Signing in...' : 'Sign in'}
+            {isLoading ? modeText.busy : modeText.submit}
           </motion.button>
 
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Demo credentials: any email/password combination
-            </p>
-          </div>
+          {mode !== 'update' && (
+            <div className="text-center space-y-2">
+              <p className="text-sm text-gray-600">
+                {mode === 'signIn' ? 'New to EbookGen? ' : 'Already have an account? '}
+                <button
+                  type="button"
+                  onClick={() => switchMode(mode === 'signIn' ? 'signUp' : 'signIn')}
+                  className="font-medium text-primary-600 hover:text-primary-700"
+                >
+                  {mode === 'signIn' ? 'Create an account' : 'Sign in'}
+                </button>
+              </p>
+              {authMode === 'local' && (
+                <p className="text-xs text-gray-500">
+                  Local development sign-in: accounts are stored in this browser only.
+                </p>
+              )}
+            </div>
+          )}
         </form>
       </motion.div>
     </div>
@@ -1,26 +1,74 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { useEbook } from '../contexts/EbookContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { buildBookFromProject, hasGeneratedContent, exportBook, downloadBlob, EXPORT_FORMATS } from '../services/export';
+import { summarizeLedger, formatCost, formatTokens } from '../services/costLedger';
+import { usesEditedPrompts, describePromptVersions } from '../services/promptTemplates';
+import { LINT_RULES } from '../services/styleLinter';
 
-const { FiBookOpen, FiCalendar, FiTag, FiLayers, FiArrowLeft } = FiIcons;
+const { FiBookOpen, FiCalendar, FiTag, FiLayers, FiArrowLeft, FiExternalLink, FiRefreshCw, FiGlobe, FiDownload, FiDollarSign, FiCheckSquare } = FiIcons;
 
 const ProjectDetails = () => {
   const { projectId } = useParams();
   const navigate = useNavigate();
-  const { getProject } = useEbook();
+  const { getProject, projectsLoading, regenerateSection, isPublishing } = useEbook();
+  const { can } = useWorkspace();
   const [project, setProject] = useState(null);
+  const [regeneratingKey, setRegeneratingKey] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [openLintReport, setOpenLintReport] = useState(null);
 
   useEffect(() => {
+    // Wait for saved projects to load before deciding the project doesn't exist
+    if (projectsLoading) return;
+
     const projectData = getProject(projectId);
     if (projectData) {
       setProject(projectData);
     } else {
       navigate('/dashboard');
     }
-  }, [projectId, getProject, navigate]);
+  }, [projectId, projectsLoading, getProject, navigate]);
+
+  const handleRegenerateSection = async (lessonId, lessonTitle) => {
+    if (!window.confirm(`Regenerate "${lessonTitle}" and overwrite its WordPress post?`)) {
+      return;
+    }
+
+    setRegeneratingKey(lessonId);
+    try {
+      const { lint } = await regenerateSection(project, lessonId);
+      if (lint && !lint.passed) {
+        toast(`"${lessonTitle}" regenerated, but it still fails ${lint.hardFailures} hard style rule${lint.hardFailures === 1 ? '' : 's'} and was set to draft`, { icon: '⚠️' });
+      } else {
+        toast.success(`"${lessonTitle}" regenerated and updated in WordPress`);
+      }
+    } catch (error) {
+      console.error('Section regeneration error:', error);
+      toast.error(`Regeneration failed: ${error.message}`);
+    } finally {
+      setRegeneratingKey(null);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const { blob, filename } = await exportBook(buildBookFromProject(project), format);
+      downloadBlob(blob, filename);
+      toast.success(`${EXPORT_FORMATS[format].label} downloaded`);
+    } catch (error) {
+      console.error('Export error:', error);
+      toast.error(`Export failed: ${error.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
 
   if (!project) {
     return (
@@ -33,6 +81,8 @@ const ProjectDetails = () => {
     );
   }
 
+  const costSummary = summarizeLedger(project.costLedger || []);
+
   return (
     <div className="p-6 max-w-6xl mx-auto">
       <div className="flex items-center space-x-4 mb-8">
@@ -170,7 +220,235 @@ const ProjectDetails = () => {
               {project.status}
             </span>
           </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Export</h3>
+            {hasGeneratedContent(project) ? (
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={!!exportingFormat}
+                    className="flex items-center justify-center space-x-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <SafeIcon icon={exportingFormat === format ? FiRefreshCw : FiDownload} className={exportingFormat === format ? 'animate-spin' : ''} />
+                    <span>{label}</span>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Export becomes available once lesson content has been generated for this project.
+              </p>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={FiDollarSign} className="text-gray-400" />
+              <h3 className="text-lg font-semibold text-gray-900">Generation Cost</h3>
+            </div>
+            {costSummary.requests > 0 ? (
+              <div className="space-y-4">
+                <div>
+                  <p className="text-2xl font-semibold text-gray-900">{formatCost(costSummary.cost)}</p>
+                  <p className="text-xs text-gray-500">
+                    {costSummary.requests} requests · {formatTokens(costSummary.inputTokens)} in / {formatTokens(costSummary.outputTokens)} out tokens
+                  </p>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">By Stage</p>
+                  <div className="space-y-1">
+                    {costSummary.byStage.map(stage => (
+                      <div key={stage.key} className="flex justify-between text-sm">
+                        <span className="text-gray-600">{stage.label}</span>
+                        <span className="text-gray-900">{formatCost(stage.cost)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">By Model</p>
+                  <div className="space-y-1">
+                    {costSummary.byModel.map(model => (
+                      <div key={model.key} className="flex justify-between text-sm">
+                        <span className="text-gray-600 truncate mr-2" title={`${model.provider} · ${model.requests} requests`}>
+                          {model.model}
+                        </span>
+                        <span className="text-gray-900">{model.unpriced > 0 ? 'unpriced' : formatCost(model.cost)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {(costSummary.unpriced > 0 || costSummary.estimated > 0) && (
+                  <p className="text-xs text-gray-500">
+                    {costSummary.unpriced > 0 && `${costSummary.unpriced} request${costSummary.unpriced === 1 ? '' : 's'} used models missing from the price table (Settings → Model Prices). `}
+                    {costSummary.estimated > 0 && `${costSummary.estimated} request${costSummary.estimated === 1 ? '' : 's'} reported no usage and ${costSummary.estimated === 1 ? 'was' : 'were'} estimated from text length.`}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">
+                No generation requests have been recorded for this project yet.
+              </p>
+            )}
+          </div>
         </motion.div>
+
+        {/* Published Content */}
+        {project.publishedData?.structure?.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="lg:col-span-3 bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiGlobe} className="text-xl text-primary-600" />
+                <h2 className="text-xl font-semibold text-gray-900">Published Content</h2>
+              </div>
+              {project.publishedData.bookUrl && (
+                <a
+                  href={project.publishedData.bookUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <span>View book</span>
+                  <SafeIcon icon={FiExternalLink} />
+                </a>
+              )}
+            </div>
+
+            <div className="space-y-4">
+              {project.publishedData.structure.map(chapterItem => {
+                return (
+                  <div key={chapterItem.chapter.id} className="border-l-2 border-primary-200 pl-4">
+                    <div className="flex items-center justify-between">
+                      <h5 className="font-medium text-gray-900">
+                        Chapter {chapterItem.chapter.original.courseNumber}: {chapterItem.chapter.original.courseTitle}
+                      </h5>
+                      <span className="text-xs text-gray-500">Post #{chapterItem.chapter.id}</span>
+                    </div>
+
+                    <div className="mt-2 space-y-3">
+                      {chapterItem.topics.map(topicItem => {
+                        return (
+                          <div key={topicItem.topic.id} className="ml-4">
+                            <div className="flex items-center justify-between">
+                              <p className="text-sm font-medium text-gray-700">{topicItem.topic.original.topicTitle}</p>
+                              <span className="text-xs text-gray-500">Post #{topicItem.topic.id}</span>
+                            </div>
+
+                            <ul className="mt-1 ml-4 space-y-1">
+                              {topicItem.sections.map(section => {
+                                const lessonId = section.original?.id;
+                                const isRegenerating = !!lessonId && regeneratingKey === lessonId;
+                                const lint = section.lint;
+                                const showLint = !!lint && openLintReport === section.id;
+                                return (
+                                  <li key={section.id} className="text-xs text-gray-600">
+                                    <div className="flex items-center justify-between">
+                                      <div className="flex items-center space-x-2 min-w-0">
+                                        <span className="truncate">• {section.original.lessonTitle}</span>
+                                        {section.usedRAG && (
+                                          <span className="px-1.5 py-0.5 bg-purple-100 text-purple-700 rounded">RAG</span>
+                                        )}
+                                        {usesEditedPrompts(section.promptVersions) && (
+                                          <span
+                                            className="px-1.5 py-0.5 bg-amber-100 text-amber-700 rounded"
+                                            title={describePromptVersions(section.promptVersions)}
+                                          >
+                                            Custom prompts
+                                          </span>
+                                        )}
+                                        {lint && (
+                                          <button
+                                            onClick={() => setOpenLintReport(showLint ? null : section.id)}
+                                            className={`flex items-center space-x-1 px-1.5 py-0.5 rounded ${
+                                              !lint.passed
+                                                ? 'bg-red-100 text-red-700'
+                                                : lint.issues.length > 0 ? 'bg-yellow-100 text-yellow-700' : 'bg-green-100 text-green-700'
+                                            }`}
+                                            title="Style report"
+                                          >
+                                            <SafeIcon icon={FiCheckSquare} />
+                                            <span>
+                                              {lint.issues.length === 0 ? 'Style OK' : `${lint.issues.length} style issue${lint.issues.length === 1 ? '' : 's'}`}
+                                            </span>
+                                          </button>
+                                        )}
+                                        {section.heldAsDraft && (
+                                          <span
+                                            className="px-1.5 py-0.5 bg-gray-100 text-gray-700 rounded"
+                                            title="Posted as a draft because it still fails hard style rules; review it in WordPress before publishing"
+                                          >
+                                            Draft
+                                          </span>
+                                        )}
+                                        {section.regeneratedAt && (
+                                          <span className="text-gray-400">
+                                            regenerated {new Date(section.regeneratedAt).toLocaleDateString()}
+                                          </span>
+                                        )}
+                                      </div>
+                                      <div className="flex items-center space-x-3 flex-shrink-0">
+                                        {section.post?.link && (
+                                          <a
+                                            href={section.post.link}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-primary-600 hover:text-primary-700"
+                                            title="View in WordPress"
+                                          >
+                                            <SafeIcon icon={FiExternalLink} />
+                                          </a>
+                                        )}
+                                        {can('publishToWordPress') && (
+                                          <button
+                                            onClick={() => handleRegenerateSection(lessonId, section.original.lessonTitle)}
+                                            disabled={!lessonId || !!regeneratingKey || isPublishing}
+                                            className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                                          >
+                                            <SafeIcon icon={FiRefreshCw} className={isRegenerating ? 'animate-spin' : ''} />
+                                            <span>{isRegenerating ? 'Regenerating...' : 'Regenerate'}</span>
+                                          </button>
+                                        )}
+                                      </div>
+                                    </div>
+
+                                    {showLint && (
+                                      <div className="mt-1 mb-2 ml-3 p-2 bg-gray-50 border border-gray-200 rounded space-y-1">
+                                        <p className="text-gray-500">
+                                          {lint.stats.words} words · {lint.stats.headings} subheadings · reading grade {lint.stats.readingGrade} · {lint.stats.passivePercent}% passive
+                                          {lint.attempts > 1 ? ` · generated ${lint.attempts} times` : ''}
+                                        </p>
+                                        {lint.issues.map((issue, index) => (
+                                          <p key={index} className={issue.severity === 'hard' ? 'text-red-700' : 'text-yellow-700'}>
+                                            {issue.severity === 'hard' ? 'Fail' : 'Warning'} · {LINT_RULES[issue.rule]?.label || issue.rule}: {issue.message}
+                                          </p>
+                                        ))}
+                                      </div>
+                                    )}
+                                  </li>
+                                );
+                              })}
+                            </ul>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </motion.div>
+        )}
       </div>
     </div>
   );
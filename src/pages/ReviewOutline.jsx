@@ -5,34 +5,57 @@ import toast from 'react-hot-toast';
 import { useEbook } from '../contexts/EbookContext';
 import OutlineEditor from '../components/OutlineEditor';
 import PublishingProgress from '../components/PublishingProgress';
+import PromptTemplatesModal from '../components/PromptTemplatesModal';
+import StyleLintRulesModal from '../components/StyleLintRulesModal';
+import { useSettings } from '../contexts/SettingsContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { canResumeJournal, getJournalSummary } from '../services/publishingJournal';
+import { getConfiguredDestinations, BUILT_IN_DESTINATION_ID } from '../services/wordpressDestinations';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiCheck, FiEdit, FiPlus, FiTrash2, FiArrowLeft } = FiIcons;
+const { FiCheck, FiEdit, FiPlus, FiTrash2, FiArrowLeft, FiPlay, FiAlertTriangle, FiFileText, FiCheckSquare } = FiIcons;
 
 const ReviewOutline = () => {
   const { projectId } = useParams();
   const navigate = useNavigate();
-  const { getProject, updateProject, publishToWordPress, isPublishing, publishingProgress, backgroundProcessing } = useEbook();
+  const { getProject, projectsLoading, updateProject, publishToWordPress, resumePublishing, isPublishing, publishingProgress, backgroundProcessing } = useEbook();
+  const { settings } = useSettings();
+  const { can } = useWorkspace();
   const [project, setProject] = useState(null);
+  const [showPromptOverrides, setShowPromptOverrides] = useState(false);
+  const [showLintRules, setShowLintRules] = useState(false);
+  const [destinationId, setDestinationId] = useState(null);
 
   useEffect(() => {
+    // Wait for saved projects to load before deciding the project doesn't exist
+    if (projectsLoading) return;
+
     const projectData = getProject(projectId);
     if (projectData) {
       setProject(projectData);
     } else {
       navigate('/dashboard');
     }
-  }, [projectId, getProject, navigate]);
+  }, [projectId, projectsLoading, getProject, navigate]);
 
   const handleProjectUpdate = (updatedProject) => {
     setProject(updatedProject);
     updateProject(updatedProject.id, updatedProject);
   };
 
-  const handleApproveAndProceed = async () => {
+  const handleSavePromptOverrides = (promptOverrides) => {
+    handleProjectUpdate({ ...project, promptOverrides });
+  };
+
+  const handleSaveLintRules = (lintRules) => {
+    handleProjectUpdate({ ...project, lintRules });
+    toast.success('Style rules saved');
+  };
+
+  const runPublishing = async (publish) => {
     try {
-      const result = await publishToWordPress(project);
+      const result = await publish(project, { destinationId: destination?.id });
       if (result.success) {
         toast.success('Ebook published to WordPress successfully!');
         // Navigate after a short delay to allow the success message to be visible
@@ -49,6 +72,16 @@ const ReviewOutline = () => {
     }
   };
 
+  const handleApproveAndProceed = () => runPublishing(publishToWordPress);
+
+  const handleResumePublishing = () => runPublishing(resumePublishing);
+
+  const handleStartOver = () => {
+    if (window.confirm('Start a new publishing run? Posts from the interrupted run will stay in WordPress and a new book will be created.')) {
+      runPublishing(publishToWordPress);
+    }
+  };
+
   if (!project) {
     return (
       <div className="p-6 flex items-center justify-center">
@@ -60,6 +93,21 @@ const ReviewOutline = () => {
     );
   }
 
+  const journal = project.publishingJournal;
+  const canResume = project.status !== 'published' && canResumeJournal(journal);
+  const journalSummary = canResume ? getJournalSummary(journal, project.outline) : null;
+  const canEdit = can('editOutline');
+  const canEditProject = can('editProject');
+  const canPublish = can('publishToWordPress');
+
+  // An interrupted run continues on its own destination; new runs go to the one picked here
+  const destinations = getConfiguredDestinations(settings);
+  const journalDestinationId = journal?.destinationId || BUILT_IN_DESTINATION_ID;
+  const destination = destinations.find(item => item.id === (destinationId || journalDestinationId)) || destinations[0] || null;
+  const resumeDestinationName = destinations.length > 1
+    ? destinations.find(item => item.id === journalDestinationId)?.name
+    : null;
+
   return (
     <div className="p-6 max-w-6xl mx-auto">
       <div className="flex items-center justify-between mb-8">
@@ -76,37 +124,131 @@ const ReviewOutline = () => {
           </div>
         </div>
 
-        <motion.button
-          whileHover={{ scale: 1.02 }}
-          whileTap={{ scale: 0.98 }}
-          onClick={handleApproveAndProceed}
-          disabled={isPublishing || project.status === 'published'}
-          className={`flex items-center space-x-2 px-6 py-3 rounded-lg transition-colors ${
-            project.status === 'published'
-              ? 'bg-green-100 text-green-800 cursor-not-allowed'
-              : 'bg-green-600 text-white hover:bg-green-700'
-          } disabled:opacity-50`}
-        >
-          {isPublishing ? (
-            <>
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-              <span>Publishing...</span>
-            </>
-          ) : project.status === 'published' ? (
-            <>
-              <SafeIcon icon={FiCheck} />
-              <span>Published</span>
-            </>
-          ) : (
-            <>
-              <SafeIcon icon={FiCheck} />
-              <span>Approve & Publish</span>
-            </>
+        <div className="flex items-center space-x-3">
+          {!canEdit && (
+            <span className="text-sm text-gray-500">Read only</span>
           )}
-        </motion.button>
+
+          <button
+            onClick={() => setShowPromptOverrides(true)}
+            disabled={!canEditProject}
+            className="flex items-center space-x-2 px-4 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <SafeIcon icon={FiFileText} />
+            <span>Prompts{Object.keys(project.promptOverrides || {}).length > 0 ? ` (${Object.keys(project.promptOverrides).length} overridden)` : ''}</span>
+          </button>
+
+          <button
+            onClick={() => setShowLintRules(true)}
+            disabled={!canEditProject}
+            className="flex items-center space-x-2 px-4 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <SafeIcon icon={FiCheckSquare} />
+            <span>Style Rules{project.lintRules?.autoRegenerate ? ' (auto-regenerate)' : ''}</span>
+          </button>
+
+          {canPublish && !canResume && project.status !== 'published' && destinations.length > 1 && (
+            <select
+              value={destination?.id || ''}
+              onChange={(e) => setDestinationId(e.target.value)}
+              disabled={isPublishing}
+              title="WordPress destination"
+              className="px-3 py-3 border border-gray-300 rounded-lg text-gray-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {destinations.map(item => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          )}
+
+          {canPublish && (
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={canResume ? handleResumePublishing : handleApproveAndProceed}
+              disabled={isPublishing || project.status === 'published'}
+              className={`flex items-center space-x-2 px-6 py-3 rounded-lg transition-colors ${
+                project.status === 'published'
+                  ? 'bg-green-100 text-green-800 cursor-not-allowed'
+                  : 'bg-green-600 text-white hover:bg-green-700'
+              } disabled:opacity-50`}
+            >
+              {isPublishing ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  <span>Publishing...</span>
+                </>
+              ) : project.status === 'published' ? (
+                <>
+                  <SafeIcon icon={FiCheck} />
+                  <span>Published</span>
+                </>
+              ) : canResume ? (
+                <>
+                  <SafeIcon icon={FiPlay} />
+                  <span>Resume Publishing</span>
+                </>
+              ) : (
+                <>
+                  <SafeIcon icon={FiCheck} />
+                  <span>Approve & Publish</span>
+                </>
+              )}
+            </motion.button>
+          )}
+        </div>
       </div>
 
-      <OutlineEditor project={project} onUpdateProject={handleProjectUpdate} />
+      {canResume && canPublish && !isPublishing && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="flex items-start space-x-3">
+            <SafeIcon icon={FiAlertTriangle} className="text-yellow-600 mt-0.5" />
+            <div className="flex-1">
+              <h3 className="text-sm font-medium text-yellow-900">
+                Publishing was interrupted ({journalSummary.completed} of {journalSummary.total} items published)
+              </h3>
+              <p className="text-sm text-yellow-800 mt-1">
+                Resuming continues into WordPress book #{journal.bookId}
+                {resumeDestinationName ? ` on ${resumeDestinationName}` : ''}
+                {journalSummary.firstIncomplete ? `, starting from "${journalSummary.firstIncomplete}"` : ''}. Completed items are skipped.
+              </p>
+              {journal.lastError && (
+                <p className="text-xs text-yellow-700 mt-1">Last error: {journal.lastError}</p>
+              )}
+              <button
+                onClick={handleStartOver}
+                className="mt-2 text-sm font-medium text-yellow-900 underline hover:text-yellow-700"
+              >
+                Start over as a new book
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reviewers may edit the outline; viewers only read it */}
+      <fieldset disabled={!canEdit}>
+        <OutlineEditor project={project} onUpdateProject={handleProjectUpdate} />
+      </fieldset>
+
+      <AnimatePresence>
+        {showPromptOverrides && (
+          <PromptTemplatesModal
+            mode="project"
+            library={settings.promptTemplates || {}}
+            project={project}
+            onSaveOverrides={handleSavePromptOverrides}
+            onClose={() => setShowPromptOverrides(false)}
+          />
+        )}
+        {showLintRules && (
+          <StyleLintRulesModal
+            project={project}
+            onSave={handleSaveLintRules}
+            onClose={() => setShowLintRules(false)}
+          />
+        )}
+      </AnimatePresence>
 
       {/* Publishing Progress Modal - Only show if not in background mode */}
       <AnimatePresence>
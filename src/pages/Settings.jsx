@@ -1,17 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { useForm } from 'react-hook-form';
-import { motion } from 'framer-motion';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { useSettings } from '../contexts/SettingsContext';
-import WordPressService from '../services/wordpressService';
-import PerplexityService from '../services/perplexityService';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { BUILT_IN_DESTINATION_ID, POST_TYPE_LEVELS, POST_STATUSES, WEBHOOK_TYPES, createWordPressDestination, getWordPressDestination, createWordPressService, validateDestination } from '../services/wordpressDestinations';
+import { createPerplexityService } from '../services/llmRouting';
+import { getAuthConfig } from '../services/auth';
+import { PROVIDER_TYPES, DEFAULT_AI_PROXY_URL, parseModelList, createProvider, isServerKeyMode, isUpstreamConfigured } from '../services/providers';
+import { DEFAULT_AZURE_API_VERSION } from '../services/providers/azureOpenAIProvider';
+import { DEFAULT_MODEL_PRICES } from '../services/costLedger';
+import { DEFAULT_PROMPT_TEMPLATES } from '../services/promptTemplates';
+import { READING_LEVELS, NARRATIVE_PERSONS, createStyleProfile } from '../services/styleProfiles';
+import PromptTemplatesModal from '../components/PromptTemplatesModal';
+import CredentialVaultPanel from '../components/CredentialVaultPanel';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiKey, FiGlobe, FiSave, FiEye, FiEyeOff, FiCheck, FiLoader, FiX, FiLink, FiSearch } = FiIcons;
+const { FiKey, FiServer, FiGlobe, FiSave, FiEye, FiEyeOff, FiCheck, FiLoader, FiX, FiLink, FiSearch, FiDatabase, FiSliders, FiCpu, FiPlus, FiTrash2, FiDollarSign, FiFileText, FiEdit, FiFeather } = FiIcons;
 
 const Settings = () => {
-  const { settings, updateSettings, loading } = useSettings();
+  const { settings, updateSettings, loading, vaultStatus } = useSettings();
+  const { currentWorkspace, can } = useWorkspace();
   const [showApiKeys, setShowApiKeys] = useState({});
   const [showPassword, setShowPassword] = useState(false);
   const [showWebhookPasswords, setShowWebhookPasswords] = useState({});
@@ -24,18 +34,32 @@ const Settings = () => {
   const [webhookValidationResults, setWebhookValidationResults] = useState({});
   const [perplexityTestResult, setPerplexityTestResult] = useState(null);
 
-  const { register, handleSubmit, formState: { errors }, reset, watch, getValues } = useForm();
+  const [providerTestResults, setProviderTestResults] = useState({});
+  const [testingProviderId, setTestingProviderId] = useState(null);
+  const [destinationTestResults, setDestinationTestResults] = useState({});
+  const [validatingDestinationId, setValidatingDestinationId] = useState(null);
+  const [showPromptTemplates, setShowPromptTemplates] = useState(false);
 
-  // Load saved settings into form when component mounts or settings change
+  const { register, handleSubmit, formState: { errors }, reset, watch, getValues, control } = useForm();
+  const { fields: providerFields, append: appendProvider, remove: removeProvider } = useFieldArray({ control, name: 'llmProviders', keyName: 'fieldKey' });
+  const { fields: priceFields, append: appendPrice, remove: removePrice, replace: replacePrices } = useFieldArray({ control, name: 'modelPrices', keyName: 'fieldKey' });
+  const { fields: destinationFields, append: appendDestination, remove: removeDestination } = useFieldArray({ control, name: 'wordpressDestinations', keyName: 'fieldKey' });
+  const { fields: styleFields, append: appendStyle, remove: removeStyle } = useFieldArray({ control, name: 'styleProfiles', keyName: 'fieldKey' });
+
+  // Load saved settings into form when component mounts or settings change.
+  // Fields being edited are kept, so saving prompt templates doesn't discard unsaved form changes.
   useEffect(() => {
     if (!loading && settings) {
-      reset(settings);
+      reset(settings, { keepDirtyValues: true });
     }
   }, [settings, loading, reset]);
 
   // Watch form values to show unsaved changes indicator
   const formValues = watch();
   const hasUnsavedChanges = JSON.stringify(formValues) !== JSON.stringify(settings);
+  const serverKeys = isServerKeyMode(formValues);
+  // API keys and passwords can only be changed in an unlocked vault; the other settings save either way
+  const credentialsEditable = vaultStatus === 'unlocked';
 
   const toggleApiKeyVisibility = (keyType) => {
     setShowApiKeys(prev => ({ ...prev, [keyType]: !prev[keyType] }));
@@ -46,8 +70,8 @@ const Settings = () => {
   };
 
   const testPerplexityConnection = async () => {
-    const apiKey = getValues('perplexityPrimary');
-    if (!apiKey) {
+    const perplexityService = createPerplexityService(getValues());
+    if (!perplexityService) {
       toast.error('Please enter your Perplexity API key first');
       return;
     }
@@ -57,7 +81,6 @@ const Settings = () => {
     toast.loading('Testing Perplexity connection...', { id: 'perplexity-test' });
 
     try {
-      const perplexityService = new PerplexityService(apiKey);
       // Test with a simple research query using the standard Sonar model
       const testResult = await perplexityService.generateDeepResearch(
         'AI and Technology',
@@ -240,7 +263,10 @@ const Settings = () => {
   const onSubmit = async (data) => {
     setIsSaving(true);
     try {
-      const result = updateSettings(data);
+      // With server-managed keys the provider keys must not stay in the browser
+      const result = await updateSettings(isServerKeyMode(data)
+        ? { ...data, openaiPrimary: '', openaiFallback: '', perplexityPrimary: '', perplexityFallback: '' }
+        : data);
       if (result.success) {
         toast.success('Settings saved successfully!');
       } else {
@@ -267,11 +293,8 @@ const Settings = () => {
     toast.loading('Validating WordPress setup...', { id: 'wp-validation' });
 
     try {
-      const wpService = new WordPressService(
-        wordpressUrl,
-        wordpressUsername,
-        wordpressPassword
-      );
+      // Built from the unsaved form values, so the post type slugs being edited are the ones checked
+      const wpService = createWordPressService(getWordPressDestination(getValues(), BUILT_IN_DESTINATION_ID));
 
       // Test connection
       const connectionResult = await wpService.validateConnection();
@@ -313,10 +336,7 @@ const Settings = () => {
       const postTypeResults = await wpService.validatePostTypes();
       setValidationResults(postTypeResults);
 
-      const allPostTypesAvailable = postTypeResults.book?.available &&
-                                   postTypeResults.chapter?.available &&
-                                   postTypeResults.chaptertopic?.available &&
-                                   postTypeResults.topicsection?.available;
+      const allPostTypesAvailable = Object.values(postTypeResults).every(result => result.available);
 
       if (allPostTypesAvailable) {
         toast.success('WordPress validation successful! All required post types are available.', { id: 'wp-validation' });
@@ -344,10 +364,87 @@ const Settings = () => {
     }
   };
 
+  // Check connection and custom post types of an additional destination using the unsaved form values
+  const validateWordPressDestination = async (index) => {
+    const destination = getValues(`wordpressDestinations.${index}`);
+
+    if (!destination.url || !destination.username || !destination.password) {
+      toast.error('Please enter the site URL, username and application password first');
+      return;
+    }
+
+    setValidatingDestinationId(destination.id);
+    setDestinationTestResults(prev => ({ ...prev, [destination.id]: null }));
+
+    try {
+      const result = await validateDestination({ ...destination, name: destination.name || destination.url });
+      setDestinationTestResults(prev => ({
+        ...prev,
+        [destination.id]: {
+          success: result.success,
+          message: result.success ? 'Connected. All custom post types are available.' : result.error
+        }
+      }));
+      if (result.success) {
+        toast.success(`${destination.name || destination.url} validation successful!`);
+      } else {
+        toast.error(result.error);
+      }
+    } catch (error) {
+      console.error('❌ WordPress destination validation failed:', error);
+      setDestinationTestResults(prev => ({
+        ...prev,
+        [destination.id]: { success: false, message: error.message }
+      }));
+      toast.error(`Validation failed: ${error.message}`);
+    } finally {
+      setValidatingDestinationId(null);
+    }
+  };
+
+  // Send a one-line chat completion through a custom provider using the unsaved form values
+  const testLlmProvider = async (index) => {
+    const provider = getValues(`llmProviders.${index}`);
+    const type = PROVIDER_TYPES[provider.type];
+    const model = parseModelList(provider.models)[0];
+
+    if (!provider.baseUrl || !model || (type.requiresApiKey && !provider.apiKey)) {
+      toast.error(`Please enter the ${type.baseUrlLabel.toLowerCase()}, ${type.requiresApiKey ? 'API key ' : ''}and at least one model first`);
+      return;
+    }
+
+    setTestingProviderId(provider.id);
+    setProviderTestResults(prev => ({ ...prev, [provider.id]: null }));
+
+    try {
+      const service = createProvider({ ...provider, models: [model] });
+      const result = await service.createChatCompletion({
+        model,
+        messages: [{ role: 'user', content: 'Reply with the single word: OK' }],
+        max_tokens: 10,
+        temperature: 0
+      });
+      const reply = result.choices?.[0]?.message?.content?.trim() || '(empty reply)';
+      setProviderTestResults(prev => ({
+        ...prev,
+        [provider.id]: { success: true, message: `Connected. ${model} replied: "${reply.substring(0, 60)}"` }
+      }));
+      toast.success(`${provider.name || type.label} connection successful!`);
+    } catch (error) {
+      console.error('❌ LLM provider test failed:', error);
+      setProviderTestResults(prev => ({
+        ...prev,
+        [provider.id]: { success: false, message: error.message }
+      }));
+      toast.error(`${provider.name || type.label} test failed: ${error.message}`);
+    } finally {
+      setTestingProviderId(null);
+    }
+  };
+
   const testConnection = async (type) => {
     if (type === 'openai') {
-      const apiKey = getValues('openaiPrimary');
-      if (!apiKey) {
+      if (!isUpstreamConfigured(getValues(), 'openai')) {
         toast.error('Please enter your OpenAI API key first');
         return;
       }
@@ -374,6 +471,23 @@ const Settings = () => {
     );
   }
 
+  // API keys and credentials are only shown to the workspace owner
+  if (!can('manageSettings')) {
+    return (
+      <div className="p-6 max-w-4xl mx-auto">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+        </div>
+        <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-900">
+            Settings are managed by the workspace owner{currentWorkspace ? ` of ${currentWorkspace.name}` : ''}. The
+            API keys, WordPress connection and prompt templates they configure are used for the projects you work on here.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="p-6 max-w-4xl mx-auto">
       <div className="mb-8">
@@ -389,7 +503,108 @@ const Settings = () => {
         )}
       </div>
 
+      <CredentialVaultPanel />
+
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
+        {!credentialsEditable && (
+          <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-sm text-blue-900">
+              {vaultStatus === 'locked'
+                ? 'Unlock the credential vault to change API keys and passwords. Other settings can be saved while it is locked.'
+                : 'Create the credential vault to enter API keys and passwords. Other settings can be saved without it.'}
+            </p>
+          </div>
+        )}
+
+        {/* API Key Mode */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <SafeIcon icon={FiServer} className="text-xl text-primary-600" />
+            <h2 className="text-xl font-semibold text-gray-900">API Keys</h2>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                OpenAI and Perplexity Keys
+              </label>
+              <select
+                {...register('keyMode')}
+                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="browser">Entered here (sent from the browser)</option>
+                <option value="server">Server-managed (requests go through the AI proxy)</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                With server-managed keys the provider keys stay on the server and each member's generation requests
+                count against their monthly quota. Additional LLM providers below still use their own keys.
+              </p>
+            </div>
+
+            {serverKeys && (
+              <>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    AI Proxy URL (Optional)
+                  </label>
+                  <input
+                    {...register('aiProxyUrl', {
+                      pattern: {
+                        value: /^(https?:\/\/|\/).+/,
+                        message: 'Please enter a URL starting with http://, https:// or /'
+                      }
+                    })}
+                    type="text"
+                    placeholder={DEFAULT_AI_PROXY_URL}
+                    className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  {errors.aiProxyUrl && (
+                    <p className="mt-1 text-sm text-red-600">{errors.aiProxyUrl.message}</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Leave empty when the app is deployed together with its Netlify functions.
+                  </p>
+                </div>
+
+                {getAuthConfig().mode !== 'supabase' && (
+                  <div className="md:col-span-2 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+                    <p className="text-sm text-yellow-800">
+                      The proxy identifies members by their Supabase session, so server-managed keys only work when
+                      the app signs in with Supabase.
+                    </p>
+                  </div>
+                )}
+
+                <div className="md:col-span-2 p-4 bg-blue-50 rounded-md">
+                  <p className="text-sm text-blue-900 mb-2">
+                    Saving in this mode removes any OpenAI and Perplexity keys stored in this workspace.
+                  </p>
+                  <h4 className="text-sm font-medium text-blue-900 mb-2">Proxy environment (functions/ai-proxy.mjs):</h4>
+                  <pre className="text-xs text-blue-800 whitespace-pre-wrap">
+{`OPENAI_API_KEY, PERPLEXITY_API_KEY
+SUPABASE_URL, SUPABASE_ANON_KEY
+SUPABASE_SERVICE_ROLE_KEY
+AI_PROXY_WORKSPACES
+AI_PROXY_MONTHLY_REQUESTS, AI_PROXY_MONTHLY_TOKENS`}
+                  </pre>
+                  <p className="text-xs text-blue-800 mt-2">
+                    The proxy only serves workspaces listed in AI_PROXY_WORKSPACES, and only to their owners and
+                    editors. This workspace's ID: <code className="font-mono">{currentWorkspace?.id}</code>
+                  </p>
+                  <p className="text-xs text-blue-800 mt-2">
+                    Usage is counted in the ai_proxy_usage table and library files are recorded per workspace in
+                    ai_proxy_objects (see supabase/migrations).
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </motion.div>
+
         {/* OpenAI Settings */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -410,64 +625,72 @@ const Settings = () => {
             </button>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Primary API Key *
-              </label>
-              <div className="relative">
-                <input
-                  {...register('openaiPrimary', { required: 'Primary API key is required' })}
-                  type={showApiKeys.openaiPrimary ? 'text' : 'password'}
-                  placeholder="sk-..."
-                  className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => toggleApiKeyVisibility('openaiPrimary')}
-                >
-                  <SafeIcon icon={showApiKeys.openaiPrimary ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
-                </button>
+          {serverKeys ? (
+            <p className="text-sm text-gray-600">
+              OpenAI requests go through the AI proxy with the server's key.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Primary API Key *
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('openaiPrimary', { required: credentialsEditable && 'Primary API key is required' })}
+                    readOnly={!credentialsEditable}
+                    type={showApiKeys.openaiPrimary ? 'text' : 'password'}
+                    placeholder="sk-..."
+                    className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => toggleApiKeyVisibility('openaiPrimary')}
+                  >
+                    <SafeIcon icon={showApiKeys.openaiPrimary ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                  </button>
+                </div>
+                {errors.openaiPrimary && (
+                  <p className="mt-1 text-sm text-red-600">{errors.openaiPrimary.message}</p>
+                )}
+                {settings.openaiPrimary && !errors.openaiPrimary && (
+                  <p className="mt-1 text-sm text-green-600 flex items-center">
+                    <SafeIcon icon={FiCheck} className="mr-1" />
+                    API key configured
+                  </p>
+                )}
               </div>
-              {errors.openaiPrimary && (
-                <p className="mt-1 text-sm text-red-600">{errors.openaiPrimary.message}</p>
-              )}
-              {settings.openaiPrimary && !errors.openaiPrimary && (
-                <p className="mt-1 text-sm text-green-600 flex items-center">
-                  <SafeIcon icon={FiCheck} className="mr-1" />
-                  API key configured
-                </p>
-              )}
-            </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Fallback API Key (Optional)
-              </label>
-              <div className="relative">
-                <input
-                  {...register('openaiFallback')}
-                  type={showApiKeys.openaiFallback ? 'text' : 'password'}
-                  placeholder="sk-..."
-                  className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => toggleApiKeyVisibility('openaiFallback')}
-                >
-                  <SafeIcon icon={showApiKeys.openaiFallback ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
-                </button>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Fallback API Key (Optional)
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('openaiFallback')}
+                    readOnly={!credentialsEditable}
+                    type={showApiKeys.openaiFallback ? 'text' : 'password'}
+                    placeholder="sk-..."
+                    className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => toggleApiKeyVisibility('openaiFallback')}
+                  >
+                    <SafeIcon icon={showApiKeys.openaiFallback ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                  </button>
+                </div>
+                {settings.openaiFallback && (
+                  <p className="mt-1 text-sm text-green-600 flex items-center">
+                    <SafeIcon icon={FiCheck} className="mr-1" />
+                    Fallback key configured
+                  </p>
+                )}
               </div>
-              {settings.openaiFallback && (
-                <p className="mt-1 text-sm text-green-600 flex items-center">
-                  <SafeIcon icon={FiCheck} className="mr-1" />
-                  Fallback key configured
-                </p>
-              )}
             </div>
-          </div>
+          )}
         </motion.div>
 
         {/* Perplexity Settings */}
@@ -499,61 +722,69 @@ const Settings = () => {
             </button>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Primary API Key
-              </label>
-              <div className="relative">
-                <input
-                  {...register('perplexityPrimary')}
-                  type={showApiKeys.perplexityPrimary ? 'text' : 'password'}
-                  placeholder="pplx-..."
-                  className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => toggleApiKeyVisibility('perplexityPrimary')}
-                >
-                  <SafeIcon icon={showApiKeys.perplexityPrimary ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
-                </button>
+          {serverKeys ? (
+            <p className="text-sm text-gray-600">
+              Perplexity requests go through the AI proxy with the server's key.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Primary API Key
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('perplexityPrimary')}
+                    readOnly={!credentialsEditable}
+                    type={showApiKeys.perplexityPrimary ? 'text' : 'password'}
+                    placeholder="pplx-..."
+                    className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => toggleApiKeyVisibility('perplexityPrimary')}
+                  >
+                    <SafeIcon icon={showApiKeys.perplexityPrimary ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                  </button>
+                </div>
+                {settings.perplexityPrimary && (
+                  <p className="mt-1 text-sm text-green-600 flex items-center">
+                    <SafeIcon icon={FiCheck} className="mr-1" />
+                    API key configured
+                  </p>
+                )}
               </div>
-              {settings.perplexityPrimary && (
-                <p className="mt-1 text-sm text-green-600 flex items-center">
-                  <SafeIcon icon={FiCheck} className="mr-1" />
-                  API key configured
-                </p>
-              )}
-            </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Fallback API Key (Optional)
-              </label>
-              <div className="relative">
-                <input
-                  {...register('perplexityFallback')}
-                  type={showApiKeys.perplexityFallback ? 'text' : 'password'}
-                  placeholder="pplx-..."
-                  className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => toggleApiKeyVisibility('perplexityFallback')}
-                >
-                  <SafeIcon icon={showApiKeys.perplexityFallback ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
-                </button>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Fallback API Key (Optional)
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('perplexityFallback')}
+                    readOnly={!credentialsEditable}
+                    type={showApiKeys.perplexityFallback ? 'text' : 'password'}
+                    placeholder="pplx-..."
+                    className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => toggleApiKeyVisibility('perplexityFallback')}
+                  >
+                    <SafeIcon icon={showApiKeys.perplexityFallback ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                  </button>
+                </div>
+                {settings.perplexityFallback && (
+                  <p className="mt-1 text-sm text-green-600 flex items-center">
+                    <SafeIcon icon={FiCheck} className="mr-1" />
+                    Fallback key configured
+                  </p>
+                )}
               </div>
-              {settings.perplexityFallback && (
-                <p className="mt-1 text-sm text-green-600 flex items-center">
-                  <SafeIcon icon={FiCheck} className="mr-1" />
-                  Fallback key configured
-                </p>
-              )}
             </div>
-          </div>
+          )}
 
           {/* Perplexity Test Results */}
           {perplexityTestResult && (
@@ -583,6 +814,188 @@ const Settings = () => {
           </div>
         </motion.div>
 
+        {/* LLM Providers */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.05 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiCpu} className="text-xl text-purple-600" />
+              <h2 className="text-xl font-semibold text-gray-900">LLM Providers</h2>
+            </div>
+            <button
+              type="button"
+              onClick={() => appendProvider({
+                id: `provider-${Date.now()}`,
+                name: '',
+                type: 'openaiCompatible',
+                baseUrl: '',
+                apiKey: '',
+                apiVersion: '',
+                models: '',
+                fallbackModel: ''
+              })}
+              className="text-sm text-purple-600 hover:text-purple-700 font-medium flex items-center"
+            >
+              <SafeIcon icon={FiPlus} className="mr-1" />
+              Add Provider
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Add Azure OpenAI, Anthropic or any OpenAI-compatible endpoint (llama.cpp, Ollama, vLLM). Each project can route research, outline, topic introductions and section content to a different provider under Advanced Options.
+          </p>
+
+          {providerFields.length === 0 ? (
+            <p className="text-sm text-gray-500">No additional providers. All stages use the OpenAI configuration above.</p>
+          ) : (
+            <div className="space-y-6">
+              {providerFields.map((field, index) => {
+                const providerType = PROVIDER_TYPES[watch(`llmProviders.${index}.type`)] || PROVIDER_TYPES.openaiCompatible;
+                const testResult = providerTestResults[field.id];
+
+                return (
+                  <div key={field.fieldKey} className="p-4 border border-gray-200 rounded-md">
+                    <input type="hidden" {...register(`llmProviders.${index}.id`)} />
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-sm font-medium text-gray-900">
+                        {watch(`llmProviders.${index}.name`) || providerType.label}
+                      </h3>
+                      <div className="flex items-center space-x-4">
+                        <button
+                          type="button"
+                          onClick={() => testLlmProvider(index)}
+                          disabled={testingProviderId !== null}
+                          className="text-sm text-purple-600 hover:text-purple-700 font-medium flex items-center disabled:opacity-50"
+                        >
+                          {testingProviderId === field.id ? (
+                            <>
+                              <SafeIcon icon={FiLoader} className="animate-spin mr-1" />
+                              <span>Testing...</span>
+                            </>
+                          ) : (
+                            'Test Connection'
+                          )}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeProvider(index)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove provider"
+                        >
+                          <SafeIcon icon={FiTrash2} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                        <input
+                          {...register(`llmProviders.${index}.name`)}
+                          type="text"
+                          placeholder={providerType.label}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Provider Type</label>
+                        <select
+                          {...register(`llmProviders.${index}.type`)}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        >
+                          {Object.entries(PROVIDER_TYPES).map(([value, type]) => (
+                            <option key={value} value={value}>{type.label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{providerType.baseUrlLabel} *</label>
+                        <input
+                          {...register(`llmProviders.${index}.baseUrl`, { required: `${providerType.baseUrlLabel} is required` })}
+                          type="url"
+                          placeholder={providerType.baseUrlPlaceholder}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        />
+                        {errors.llmProviders?.[index]?.baseUrl && (
+                          <p className="mt-1 text-sm text-red-600">{errors.llmProviders[index].baseUrl.message}</p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          API Key {providerType.requiresApiKey ? '*' : '(Optional)'}
+                        </label>
+                        <div className="relative">
+                          <input
+                            {...register(`llmProviders.${index}.apiKey`)}
+                            readOnly={!credentialsEditable}
+                            type={showApiKeys[field.id] ? 'text' : 'password'}
+                            className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                          />
+                          <button
+                            type="button"
+                            className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                            onClick={() => toggleApiKeyVisibility(field.id)}
+                          >
+                            <SafeIcon icon={showApiKeys[field.id] ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                          </button>
+                        </div>
+                      </div>
+
+                      {watch(`llmProviders.${index}.type`) === 'azure' && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">API Version</label>
+                          <input
+                            {...register(`llmProviders.${index}.apiVersion`)}
+                            type="text"
+                            placeholder={DEFAULT_AZURE_API_VERSION}
+                            className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                          />
+                        </div>
+                      )}
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{providerType.modelsLabel} *</label>
+                        <input
+                          {...register(`llmProviders.${index}.models`, { required: `At least one ${providerType.modelsLabel.toLowerCase().replace(/s$/, '')} is required` })}
+                          type="text"
+                          placeholder={providerType.modelsPlaceholder}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        />
+                        {errors.llmProviders?.[index]?.models && (
+                          <p className="mt-1 text-sm text-red-600">{errors.llmProviders[index].models.message}</p>
+                        )}
+                        <p className="mt-1 text-xs text-gray-500">Comma-separated. The first one is the default.</p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Fallback Model (Optional)</label>
+                        <input
+                          {...register(`llmProviders.${index}.fallbackModel`)}
+                          type="text"
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">Retried on the same provider when the chosen model fails.</p>
+                      </div>
+                    </div>
+
+                    {testResult && (
+                      <div className={`mt-4 p-3 rounded-md text-sm ${testResult.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                        {testResult.message}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </motion.div>
+
         {/* WordPress Settings */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -667,7 +1080,8 @@ const Settings = () => {
               </label>
               <div className="relative">
                 <input
-                  {...register('wordpressPassword', { required: 'Application password is required' })}
+                  {...register('wordpressPassword', { required: credentialsEditable && 'Application password is required' })}
+                  readOnly={!credentialsEditable}
                   type={showPassword ? 'text' : 'password'}
                   placeholder="Your WordPress app password"
                   className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
@@ -690,6 +1104,39 @@ const Settings = () => {
                 </p>
               )}
             </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Custom Post Type Slugs
+              </label>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {POST_TYPE_LEVELS.map(({ key, label }) => (
+                  <div key={key}>
+                    <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                    <input
+                      {...register(`wordpressPostTypes.${key}`, { required: `${label} post type is required` })}
+                      type="text"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">Change these when your site registers the post types under different names.</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Default Post Status
+              </label>
+              <select
+                {...register('wordpressPostStatus')}
+                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {POST_STATUSES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
           </div>
 
           {/* Validation Results */}
@@ -772,6 +1219,221 @@ const Settings = () => {
           </div>
         </motion.div>
 
+        {/* WordPress Destinations */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.15 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiServer} className="text-xl text-primary-600" />
+              <h2 className="text-xl font-semibold text-gray-900">WordPress Destinations</h2>
+            </div>
+            <button
+              type="button"
+              onClick={() => appendDestination(createWordPressDestination())}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+            >
+              <SafeIcon icon={FiPlus} className="mr-1" />
+              Add Destination
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Publish to more than one site, e.g. staging and production. Each destination has its own credentials, post type slugs, default post status and linking webhooks, and you pick one when approving an outline.
+          </p>
+
+          {destinationFields.length === 0 ? (
+            <p className="text-sm text-gray-500">No additional destinations. Books are published to the WordPress site above.</p>
+          ) : (
+            <div className="space-y-6">
+              {destinationFields.map((field, index) => {
+                const testResult = destinationTestResults[field.id];
+
+                return (
+                  <div key={field.fieldKey} className="p-4 border border-gray-200 rounded-md">
+                    <input type="hidden" {...register(`wordpressDestinations.${index}.id`)} />
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-sm font-medium text-gray-900">
+                        {watch(`wordpressDestinations.${index}.name`) || watch(`wordpressDestinations.${index}.url`) || 'New destination'}
+                      </h3>
+                      <div className="flex items-center space-x-4">
+                        <button
+                          type="button"
+                          onClick={() => validateWordPressDestination(index)}
+                          disabled={validatingDestinationId !== null}
+                          className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center disabled:opacity-50"
+                        >
+                          {validatingDestinationId === field.id ? (
+                            <>
+                              <SafeIcon icon={FiLoader} className="animate-spin mr-1" />
+                              <span>Validating...</span>
+                            </>
+                          ) : (
+                            'Validate'
+                          )}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeDestination(index)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove destination"
+                        >
+                          <SafeIcon icon={FiTrash2} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                        <input
+                          {...register(`wordpressDestinations.${index}.name`)}
+                          type="text"
+                          placeholder="Staging"
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Site URL *</label>
+                        <input
+                          {...register(`wordpressDestinations.${index}.url`, {
+                            required: 'Site URL is required',
+                            pattern: {
+                              value: /^https?:\/\/.+/,
+                              message: 'Please enter a valid URL starting with http:// or https://'
+                            }
+                          })}
+                          type="url"
+                          placeholder="https://staging.yoursite.com"
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        {errors.wordpressDestinations?.[index]?.url && (
+                          <p className="mt-1 text-sm text-red-600">{errors.wordpressDestinations[index].url.message}</p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Username *</label>
+                        <input
+                          {...register(`wordpressDestinations.${index}.username`, { required: 'Username is required' })}
+                          type="text"
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        {errors.wordpressDestinations?.[index]?.username && (
+                          <p className="mt-1 text-sm text-red-600">{errors.wordpressDestinations[index].username.message}</p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Application Password *</label>
+                        <div className="relative">
+                          <input
+                            {...register(`wordpressDestinations.${index}.password`, { required: credentialsEditable && 'Application password is required' })}
+                            readOnly={!credentialsEditable}
+                            type={showApiKeys[field.id] ? 'text' : 'password'}
+                            className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                          />
+                          <button
+                            type="button"
+                            className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                            onClick={() => toggleApiKeyVisibility(field.id)}
+                          >
+                            <SafeIcon icon={showApiKeys[field.id] ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                          </button>
+                        </div>
+                        {errors.wordpressDestinations?.[index]?.password && (
+                          <p className="mt-1 text-sm text-red-600">{errors.wordpressDestinations[index].password.message}</p>
+                        )}
+                      </div>
+
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Custom Post Type Slugs</label>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                          {POST_TYPE_LEVELS.map(({ key, label }) => (
+                            <div key={key}>
+                              <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                              <input
+                                {...register(`wordpressDestinations.${index}.postTypes.${key}`, { required: `${label} post type is required` })}
+                                type="text"
+                                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Default Post Status</label>
+                        <select
+                          {...register(`wordpressDestinations.${index}.defaultStatus`)}
+                          className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          {POST_STATUSES.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+
+                    <div className="mt-4">
+                      <h4 className="text-sm font-medium text-gray-700 mb-2">Linking Webhooks</h4>
+                      <div className="space-y-3">
+                        {WEBHOOK_TYPES.map(({ key, label }) => {
+                          const visibilityKey = `${field.id}-${key}`;
+
+                          return (
+                            <div key={key} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-center">
+                              <span className="text-xs text-gray-500">{label}</span>
+                              <input
+                                {...register(`wordpressDestinations.${index}.webhooks.${key}.url`)}
+                                type="url"
+                                placeholder="Webhook URL"
+                                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                              />
+                              <input
+                                {...register(`wordpressDestinations.${index}.webhooks.${key}.username`)}
+                                type="text"
+                                placeholder="Username"
+                                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                              />
+                              <div className="relative">
+                                <input
+                                  {...register(`wordpressDestinations.${index}.webhooks.${key}.password`)}
+                                  readOnly={!credentialsEditable}
+                                  type={showWebhookPasswords[visibilityKey] ? 'text' : 'password'}
+                                  placeholder="Password"
+                                  className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                />
+                                <button
+                                  type="button"
+                                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                                  onClick={() => toggleWebhookPasswordVisibility(visibilityKey)}
+                                >
+                                  <SafeIcon icon={showWebhookPasswords[visibilityKey] ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                                </button>
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">Leave a URL empty to use the default webhook for that link.</p>
+                    </div>
+
+                    {testResult && (
+                      <div className={`mt-4 p-3 rounded-md text-sm ${testResult.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                        {testResult.message}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </motion.div>
+
         {/* Webhook Settings */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -845,6 +1507,7 @@ const Settings = () => {
                   <div className="relative">
                     <input
                       {...register('webhooks.bookToChapter.password')}
+                      readOnly={!credentialsEditable}
                       type={showWebhookPasswords.bookToChapter ? 'text' : 'password'}
                       className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                     />
@@ -942,6 +1605,7 @@ const Settings = () => {
                   <div className="relative">
                     <input
                       {...register('webhooks.chapterToTopic.password')}
+                      readOnly={!credentialsEditable}
                       type={showWebhookPasswords.chapterToTopic ? 'text' : 'password'}
                       className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                     />
@@ -1018,6 +1682,7 @@ const Settings = () => {
                   <div className="relative">
                     <input
                       {...register('webhooks.topicToSection.password')}
+                      readOnly={!credentialsEditable}
                       type={showWebhookPasswords.topicToSection ? 'text' : 'password'}
                       className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                     />
@@ -1065,6 +1730,444 @@ const Settings = () => {
           </div>
         </motion.div>
 
+        {/* Generation Rate Limits */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-2">
+            <SafeIcon icon={FiSliders} className="text-xl text-primary-600" />
+            <h2 className="text-xl font-semibold text-gray-900">Generation Rate Limits</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Content is generated in parallel while publishing. Requests that hit a 429 are retried automatically, honouring Retry-After. WordPress posts are always written in outline order. Use 0 to disable a per-minute budget.
+          </p>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700">
+                  <th className="py-2 pr-4 font-medium">Provider</th>
+                  <th className="py-2 pr-4 font-medium">Concurrent Jobs</th>
+                  <th className="py-2 pr-4 font-medium">Requests / Minute</th>
+                  <th className="py-2 font-medium">Tokens / Minute</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  { key: 'openai', label: 'OpenAI', hasTokens: true },
+                  { key: 'perplexity', label: 'Perplexity', hasTokens: true },
+                  ...(settings.llmProviders || []).map(provider => ({
+                    key: provider.id,
+                    label: provider.name || PROVIDER_TYPES[provider.type]?.label || provider.id,
+                    hasTokens: true
+                  })),
+                  { key: 'wordpress', label: 'WordPress', hasTokens: false }
+                ].map(provider => (
+                  <tr key={provider.key} className="border-t border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">{provider.label}</td>
+                    <td className="py-2 pr-4">
+                      <input
+                        {...register(`rateLimits.${provider.key}.concurrency`, { valueAsNumber: true, min: 1, max: 10 })}
+                        type="number"
+                        min="1"
+                        max="10"
+                        className="w-24 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                    </td>
+                    <td className="py-2 pr-4">
+                      <input
+                        {...register(`rateLimits.${provider.key}.requestsPerMinute`, { valueAsNumber: true, min: 0 })}
+                        type="number"
+                        min="0"
+                        className="w-28 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                    </td>
+                    <td className="py-2">
+                      {provider.hasTokens ? (
+                        <input
+                          {...register(`rateLimits.${provider.key}.tokensPerMinute`, { valueAsNumber: true, min: 0 })}
+                          type="number"
+                          min="0"
+                          step="1000"
+                          className="w-32 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+
+        {/* Model Prices */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiDollarSign} className="text-xl text-primary-600" />
+              <h2 className="text-xl font-semibold text-gray-900">Model Prices</h2>
+            </div>
+            <div className="flex items-center space-x-4">
+              <button
+                type="button"
+                onClick={() => replacePrices(DEFAULT_MODEL_PRICES)}
+                className="text-sm text-gray-600 hover:text-gray-800 font-medium"
+              >
+                Reset to Defaults
+              </button>
+              <button
+                type="button"
+                onClick={() => appendPrice({ model: '', input: 0, output: 0, requestFee: 0 })}
+                className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+              >
+                <SafeIcon icon={FiPlus} className="mr-1" />
+                Add Model
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Token usage from every generation request is priced with this table and added to the project's cost ledger. Prices are in USD per 1M tokens; dated model versions (e.g. gpt-4o-2024-08-06) use the longest matching name. Models missing here are recorded as unpriced.
+          </p>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700">
+                  <th className="py-2 pr-4 font-medium">Model</th>
+                  <th className="py-2 pr-4 font-medium">Input / 1M</th>
+                  <th className="py-2 pr-4 font-medium">Output / 1M</th>
+                  <th className="py-2 pr-4 font-medium">Fee / 1K Requests</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {priceFields.map((field, index) => (
+                  <tr key={field.fieldKey} className="border-t border-gray-100">
+                    <td className="py-2 pr-4">
+                      <input
+                        {...register(`modelPrices.${index}.model`, { required: true })}
+                        type="text"
+                        placeholder="model-name"
+                        className="w-56 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                    </td>
+                    {['input', 'output', 'requestFee'].map(priceField => (
+                      <td key={priceField} className="py-2 pr-4">
+                        <input
+                          {...register(`modelPrices.${index}.${priceField}`, { valueAsNumber: true, min: 0 })}
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-24 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-2">
+                      <button
+                        type="button"
+                        onClick={() => removePrice(index)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove model"
+                      >
+                        <SafeIcon icon={FiTrash2} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+
+        {/* Style Profiles */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiFeather} className="text-xl text-primary-600" />
+              <h2 className="text-xl font-semibold text-gray-900">Style Profiles</h2>
+            </div>
+            <button
+              type="button"
+              onClick={() => appendStyle(createStyleProfile())}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+            >
+              <SafeIcon icon={FiPlus} className="mr-1" />
+              Add Profile
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Brand voice and style rules applied to the preface, topic introductions and every section. Each project picks a profile when it is created; the first profile is the default.
+          </p>
+
+          <div className="space-y-6">
+            {styleFields.map((field, index) => (
+              <div key={field.fieldKey} className="p-4 border border-gray-200 rounded-md">
+                <input type="hidden" {...register(`styleProfiles.${index}.id`)} />
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-medium text-gray-900">
+                    {watch(`styleProfiles.${index}.name`) || 'New profile'}
+                    {index === 0 && <span className="ml-2 text-xs font-normal text-gray-500">(default)</span>}
+                  </h3>
+                  <button
+                    type="button"
+                    onClick={() => removeStyle(index)}
+                    disabled={styleFields.length === 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-50 disabled:hover:text-gray-400"
+                    title={styleFields.length === 1 ? 'At least one profile is required' : 'Remove profile'}
+                  >
+                    <SafeIcon icon={FiTrash2} />
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                    <input
+                      {...register(`styleProfiles.${index}.name`, { required: 'Profile name is required' })}
+                      type="text"
+                      placeholder="e.g. Acme brand voice"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                    {errors.styleProfiles?.[index]?.name && (
+                      <p className="mt-1 text-sm text-red-600">{errors.styleProfiles[index].name.message}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Voice and Tone</label>
+                    <input
+                      {...register(`styleProfiles.${index}.voice`)}
+                      type="text"
+                      placeholder="e.g. Warm, direct and confident"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Reading Level</label>
+                    <select
+                      {...register(`styleProfiles.${index}.readingLevel`)}
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      {Object.entries(READING_LEVELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Narrative Person</label>
+                    <select
+                      {...register(`styleProfiles.${index}.person`)}
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      {Object.entries(NARRATIVE_PERSONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Instruction Method</label>
+                    <input
+                      {...register(`styleProfiles.${index}.instructionMethod`)}
+                      type="text"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Generation Approach</label>
+                    <input
+                      {...register(`styleProfiles.${index}.generationApproach`)}
+                      type="text"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Banned Words</label>
+                    <input
+                      {...register(`styleProfiles.${index}.bannedWords`)}
+                      type="text"
+                      placeholder="e.g. leverage, synergy, game-changer"
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Comma-separated.</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Preferred Terminology</label>
+                    <textarea
+                      {...register(`styleProfiles.${index}.terminology`)}
+                      rows={3}
+                      placeholder={'e.g. "customers" not "users"\n"sign in" not "log in"'}
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Formatting Rules</label>
+                    <textarea
+                      {...register(`styleProfiles.${index}.formattingRules`)}
+                      rows={3}
+                      placeholder={'e.g. Sentence-case headings\nNo more than 3 bullet lists per section'}
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Sample Passages</label>
+                    <textarea
+                      {...register(`styleProfiles.${index}.samplePassages`)}
+                      rows={4}
+                      placeholder="Paste a few paragraphs written in the voice you want the ebook to match..."
+                      className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+
+        {/* Prompt Templates */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiFileText} className="text-xl text-primary-600" />
+              <h2 className="text-xl font-semibold text-gray-900">Prompt Templates</h2>
+            </div>
+            <button
+              type="button"
+              onClick={() => setShowPromptTemplates(true)}
+              className="flex items-center space-x-2 text-sm bg-primary-50 text-primary-700 px-3 py-1.5 rounded-md hover:bg-primary-100"
+            >
+              <SafeIcon icon={FiEdit} />
+              <span>Edit Templates</span>
+            </button>
+          </div>
+          <p className="text-sm text-gray-600">
+            {Object.keys(DEFAULT_PROMPT_TEMPLATES).filter(id => settings.promptTemplates?.[id]?.activeVersion).length} of {Object.keys(DEFAULT_PROMPT_TEMPLATES).length} prompts
+            use an edited version. Changes are saved immediately as new versions, can be exported as JSON and
+            overridden per project from the outline review page.
+          </p>
+        </motion.div>
+
+        {/* Project Storage Settings */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.25 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <SafeIcon icon={FiDatabase} className="text-xl text-primary-600" />
+            <h2 className="text-xl font-semibold text-gray-900">Project Storage</h2>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Storage Backend
+              </label>
+              <select
+                {...register('projectStorage')}
+                className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="local">This Browser (IndexedDB)</option>
+                <option value="supabase">Supabase (Remote)</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Projects, outlines and knowledge library assignments are saved automatically and survive page reloads.
+                They are private to your account.
+              </p>
+            </div>
+
+            {watch('projectStorage') === 'supabase' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Supabase Project URL
+                  </label>
+                  <input
+                    {...register('supabaseUrl', {
+                      pattern: {
+                        value: /^https?:\/\/.+/,
+                        message: 'Please enter a valid URL starting with http:// or https://'
+                      }
+                    })}
+                    type="url"
+                    placeholder="https://your-project.supabase.co"
+                    className="block w-full py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  {errors.supabaseUrl && (
+                    <p className="mt-1 text-sm text-red-600">{errors.supabaseUrl.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Supabase Anon Key
+                  </label>
+                  <div className="relative">
+                    <input
+                      {...register('supabaseAnonKey')}
+                      type={showApiKeys.supabaseAnonKey ? 'text' : 'password'}
+                      placeholder="eyJhbGciOi..."
+                      className="block w-full pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => toggleApiKeyVisibility('supabaseAnonKey')}
+                    >
+                      <SafeIcon icon={showApiKeys.supabaseAnonKey ? FiEyeOff : FiEye} className="text-gray-400 hover:text-gray-600" />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="md:col-span-2 p-4 bg-blue-50 rounded-md">
+                  <p className="text-sm text-blue-900 mb-2">
+                    Leave the URL and key empty to store projects in the Supabase project you sign in with.
+                  </p>
+                  <h4 className="text-sm font-medium text-blue-900 mb-2">Required Supabase table (row level security policies for workspace members are in supabase/migrations):</h4>
+                  <pre className="text-xs text-blue-800 whitespace-pre-wrap">
+{`create table ebook_projects (
+  id text primary key,
+  user_id uuid default auth.uid() references auth.users on delete cascade,
+  workspace_id text,
+  data jsonb not null,
+  updated_at timestamptz default now()
+);
+alter table ebook_projects enable row level security;`}
+                  </pre>
+                </div>
+              </>
+            )}
+          </div>
+        </motion.div>
+
         {/* Save Button */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -1102,30 +2205,39 @@ const Settings = () => {
         >
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Current Configuration</h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-            <div>
-              <p className="font-medium text-gray-700">OpenAI Primary Key:</p>
-              <p className={settings.openaiPrimary ? 'text-green-600' : 'text-red-600'}>
-                {settings.openaiPrimary ? 'Configured' : 'Not configured'}
-              </p>
-            </div>
-            <div>
-              <p className="font-medium text-gray-700">OpenAI Fallback Key:</p>
-              <p className={settings.openaiFallback ? 'text-green-600' : 'text-gray-500'}>
-                {settings.openaiFallback ? 'Configured' : 'Not configured'}
-              </p>
-            </div>
-            <div>
-              <p className="font-medium text-gray-700">Perplexity Primary Key:</p>
-              <p className={settings.perplexityPrimary ? 'text-green-600' : 'text-gray-500'}>
-                {settings.perplexityPrimary ? 'Configured' : 'Not configured'}
-              </p>
-            </div>
-            <div>
-              <p className="font-medium text-gray-700">Perplexity Fallback Key:</p>
-              <p className={settings.perplexityFallback ? 'text-green-600' : 'text-gray-500'}>
-                {settings.perplexityFallback ? 'Configured' : 'Not configured'}
-              </p>
-            </div>
+            {isServerKeyMode(settings) ? (
+              <div>
+                <p className="font-medium text-gray-700">OpenAI and Perplexity Keys:</p>
+                <p className="text-green-600">Server-managed</p>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <p className="font-medium text-gray-700">OpenAI Primary Key:</p>
+                  <p className={settings.openaiPrimary ? 'text-green-600' : 'text-red-600'}>
+                    {settings.openaiPrimary ? 'Configured' : 'Not configured'}
+                  </p>
+                </div>
+                <div>
+                  <p className="font-medium text-gray-700">OpenAI Fallback Key:</p>
+                  <p className={settings.openaiFallback ? 'text-green-600' : 'text-gray-500'}>
+                    {settings.openaiFallback ? 'Configured' : 'Not configured'}
+                  </p>
+                </div>
+                <div>
+                  <p className="font-medium text-gray-700">Perplexity Primary Key:</p>
+                  <p className={settings.perplexityPrimary ? 'text-green-600' : 'text-gray-500'}>
+                    {settings.perplexityPrimary ? 'Configured' : 'Not configured'}
+                  </p>
+                </div>
+                <div>
+                  <p className="font-medium text-gray-700">Perplexity Fallback Key:</p>
+                  <p className={settings.perplexityFallback ? 'text-green-600' : 'text-gray-500'}>
+                    {settings.perplexityFallback ? 'Configured' : 'Not configured'}
+                  </p>
+                </div>
+              </>
+            )}
             <div>
               <p className="font-medium text-gray-700">WordPress URL:</p>
               <p className={settings.wordpressUrl ? 'text-green-600' : 'text-red-600'}>
@@ -1144,6 +2256,14 @@ const Settings = () => {
                 {settings.wordpressPassword ? 'Configured' : 'Not configured'}
               </p>
             </div>
+            <div>
+              <p className="font-medium text-gray-700">Additional WordPress Destinations:</p>
+              <p className={settings.wordpressDestinations?.length ? 'text-green-600' : 'text-gray-500'}>
+                {settings.wordpressDestinations?.length
+                  ? settings.wordpressDestinations.map(destination => destination.name || destination.url).join(', ')
+                  : 'None'}
+              </p>
+            </div>
             <div>
               <p className="font-medium text-gray-700">Webhooks:</p>
               <p className={settings.webhooks ? 'text-green-600' : 'text-red-600'}>
@@ -1153,6 +2273,16 @@ const Settings = () => {
           </div>
         </motion.div>
       </form>
+
+      <AnimatePresence>
+        {showPromptTemplates && (
+          <PromptTemplatesModal
+            library={settings.promptTemplates || {}}
+            onSaveLibrary={(promptTemplates) => updateSettings({ promptTemplates })}
+            onClose={() => setShowPromptTemplates(false)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 };
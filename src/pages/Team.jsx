@@ -0,0 +1,499 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { WORKSPACE_ROLES, INVITATION_LIFETIME_DAYS, isInvitationOpen, getInvitationLink } from '../services/workspaces';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiUsers, FiPlus, FiMail, FiTrash2, FiCopy, FiCheck, FiX, FiEdit, FiSave, FiLoader, FiAlertCircle } = FiIcons;
+
+const INVITABLE_ROLES = Object.keys(WORKSPACE_ROLES).filter(role => role !== 'owner');
+
+const Team = () => {
+  const { workspaceId: invitedWorkspaceId, token: invitationToken } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const {
+    workspaces,
+    currentWorkspace,
+    currentRole,
+    pendingInvitations,
+    loading,
+    workspaceError,
+    can,
+    switchWorkspace,
+    createTeamWorkspace,
+    renameWorkspace,
+    inviteMember,
+    revokeInvitation,
+    changeMemberRole,
+    removeMember,
+    respondToInvitation
+  } = useWorkspace();
+
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [lastInviteLink, setLastInviteLink] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+
+  const canManageMembers = can('manageMembers');
+  const openInvitations = (currentWorkspace?.invitations || []).filter(isInvitationOpen);
+
+  useEffect(() => {
+    setWorkspaceName(currentWorkspace?.name || '');
+    setIsRenaming(false);
+    setLastInviteLink(null);
+  }, [currentWorkspace?.id]);
+
+  // Runs an action with a busy flag and a toast on failure
+  const runAction = async (key, action, successMessage) => {
+    setBusyAction(key);
+    try {
+      const result = await action();
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Workspace action ${key} failed:`, error);
+      toast.error(error.message);
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+    const workspace = await runAction('create', () => createTeamWorkspace(newWorkspaceName), 'Workspace created');
+    if (workspace) {
+      setNewWorkspaceName('');
+    }
+  };
+
+  const handleRename = async () => {
+    if (!workspaceName.trim()) return;
+    const workspace = await runAction('rename', () => renameWorkspace(workspaceName), 'Workspace renamed');
+    if (workspace) {
+      setIsRenaming(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    const result = await runAction('invite', () => inviteMember(inviteEmail, inviteRole), `Invitation created for ${inviteEmail.trim()}`);
+    if (result) {
+      setInviteEmail('');
+      setLastInviteLink(result.link);
+    }
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      toast.success('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy the link - copy it manually');
+    }
+  };
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.name || member.email} from ${currentWorkspace.name}?`)) return;
+    runAction(`remove-${member.userId}`, () => removeMember(member.userId), 'Member removed');
+  };
+
+  const handleRespond = async (workspaceId, token, accept) => {
+    const responded = await runAction(
+      `respond-${token}`,
+      async () => {
+        await respondToInvitation(workspaceId, token, accept);
+        return true;
+      },
+      accept ? 'You joined the workspace' : 'Invitation declined'
+    );
+    if (responded && invitationToken) {
+      navigate(accept ? '/dashboard' : '/team', { replace: true });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading workspaces...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const linkedInvitation = invitationToken
+    ? pendingInvitations.find(item => item.workspace.id === invitedWorkspaceId && item.invitation.token === invitationToken)
+    : null;
+  const alreadyJoined = invitationToken && workspaces.some(workspace => workspace.id === invitedWorkspaceId);
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Team</h1>
+        <p className="text-gray-600 mt-1">Share projects, knowledge libraries and settings with your team</p>
+      </div>
+
+      {workspaceError && (
+        <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <SafeIcon icon={FiAlertCircle} className="text-red-600 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Workspace problem</p>
+            <p className="text-sm text-red-700">{workspaceError}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Invitation opened from a link */}
+      {invitationToken && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-lg shadow-sm border border-primary-200 p-6"
+        >
+          {linkedInvitation ? (
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Join {linkedInvitation.workspace.name}</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  You were invited as {WORKSPACE_ROLES[linkedInvitation.invitation.role]?.label.toLowerCase()}: {WORKSPACE_ROLES[linkedInvitation.invitation.role]?.description.toLowerCase()}.
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleRespond(invitedWorkspaceId, invitationToken, false)}
+                  disabled={!!busyAction}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => handleRespond(invitedWorkspaceId, invitationToken, true)}
+                  disabled={!!busyAction}
+                  className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <SafeIcon icon={busyAction === `respond-${invitationToken}` ? FiLoader : FiCheck} className={busyAction === `respond-${invitationToken}` ? 'animate-spin' : ''} />
+                  <span>Accept</span>
+                </button>
+              </div>
+            </div>
+          ) : alreadyJoined ? (
+            <p className="text-sm text-gray-700">You are already a member of this workspace.</p>
+          ) : (
+            <div className="flex items-start space-x-3">
+              <SafeIcon icon={FiAlertCircle} className="text-yellow-600 mt-0.5" />
+              <p className="text-sm text-gray-700">
+                This invitation is no longer valid, or it was sent to a different email address than {user?.email}.
+                Ask the workspace owner for a new invitation.
+              </p>
+            </div>
+          )}
+        </motion.div>
+      )}
+
+      {/* Invitations to the signed-in user */}
+      {pendingInvitations.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center space-x-2 mb-4">
+            <SafeIcon icon={FiMail} className="text-primary-600" />
+            <h2 className="text-xl font-semibold text-gray-900">Your invitations</h2>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {pendingInvitations.map(({ workspace, invitation }) => (
+              <li key={invitation.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">{workspace.name}</p>
+                  <p className="text-sm text-gray-500">
+                    As {WORKSPACE_ROLES[invitation.role]?.label.toLowerCase()} · expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleRespond(workspace.id, invitation.token, false)}
+                    disabled={!!busyAction}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Decline
+                  </button>
+                  <button
+                    onClick={() => handleRespond(workspace.id, invitation.token, true)}
+                    disabled={!!busyAction}
+                    className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Workspaces */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <SafeIcon icon={FiUsers} className="text-primary-600" />
+          <h2 className="text-xl font-semibold text-gray-900">Workspaces</h2>
+        </div>
+        <ul className="space-y-2 mb-4">
+          {workspaces.map(workspace => {
+            const role = workspace.members.find(member => member.userId === user?.id)?.role;
+            const isCurrent = workspace.id === currentWorkspace?.id;
+            return (
+              <li
+                key={workspace.id}
+                className={`flex items-center justify-between p-3 rounded-lg border ${isCurrent ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+              >
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {workspace.name}
+                    {workspace.personal && <span className="ml-2 text-xs text-gray-500">(personal)</span>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {WORKSPACE_ROLES[role]?.label} · {workspace.members.length} {workspace.members.length === 1 ? 'member' : 'members'}
+                  </p>
+                </div>
+                {isCurrent ? (
+                  <span className="text-sm font-medium text-primary-700">Current</span>
+                ) : (
+                  <button
+                    onClick={() => switchWorkspace(workspace.id)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Switch
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        <form onSubmit={handleCreateWorkspace} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="New team workspace name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!newWorkspaceName.trim() || !!busyAction}
+            className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <SafeIcon icon={FiPlus} />
+            <span>Create</span>
+          </button>
+        </form>
+      </div>
+
+      {currentWorkspace && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            {isRenaming ? (
+              <div className="flex items-center space-x-2 flex-1 mr-4">
+                <input
+                  type="text"
+                  value={workspaceName}
+                  onChange={(e) => setWorkspaceName(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleRename}
+                  disabled={!workspaceName.trim() || !!busyAction}
+                  className="p-2 text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                  title="Save name"
+                >
+                  <SafeIcon icon={FiSave} />
+                </button>
+                <button
+                  onClick={() => {
+                    setWorkspaceName(currentWorkspace.name);
+                    setIsRenaming(false);
+                  }}
+                  className="p-2 text-gray-400 hover:text-gray-600"
+                  title="Cancel"
+                >
+                  <SafeIcon icon={FiX} />
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-2">
+                <h2 className="text-xl font-semibold text-gray-900">{currentWorkspace.name}</h2>
+                {canManageMembers && (
+                  <button
+                    onClick={() => setIsRenaming(true)}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    title="Rename workspace"
+                  >
+                    <SafeIcon icon={FiEdit} />
+                  </button>
+                )}
+              </div>
+            )}
+            <span className="text-sm text-gray-500">Your role: {WORKSPACE_ROLES[currentRole]?.label}</span>
+          </div>
+
+          {/* Members */}
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Members</h3>
+          <ul className="divide-y divide-gray-100 mb-6">
+            {currentWorkspace.members.map(member => {
+              const isOwner = member.userId === currentWorkspace.ownerId;
+              return (
+                <li key={member.userId} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {member.name || member.email}
+                      {member.userId === user?.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </p>
+                    <p className="text-sm text-gray-500">{member.email}</p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {canManageMembers && !isOwner ? (
+                      <>
+                        <select
+                          value={member.role}
+                          onChange={(e) => runAction(`role-${member.userId}`, () => changeMemberRole(member.userId, e.target.value), 'Role updated')}
+                          disabled={!!busyAction}
+                          className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          {INVITABLE_ROLES.map(role => (
+                            <option key={role} value={role}>{WORKSPACE_ROLES[role].label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleRemoveMember(member)}
+                          disabled={!!busyAction}
+                          className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                          title="Remove member"
+                        >
+                          <SafeIcon icon={FiTrash2} />
+                        </button>
+                      </>
+                    ) : (
+                      <span className="text-sm text-gray-600">{WORKSPACE_ROLES[member.role]?.label}</span>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          {canManageMembers && !currentWorkspace.personal && (
+            <>
+              {/* Invitations */}
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Invite a member</h3>
+              <form onSubmit={handleInvite} className="flex items-center space-x-2 mb-2">
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="colleague@example.com"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {INVITABLE_ROLES.map(role => (
+                    <option key={role} value={role}>{WORKSPACE_ROLES[role].label}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={!inviteEmail.trim() || !!busyAction}
+                  className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiMail} />
+                  <span>Invite</span>
+                </button>
+              </form>
+              <p className="text-xs text-gray-500 mb-4">
+                {WORKSPACE_ROLES[inviteRole]?.description}. Invitations expire after {INVITATION_LIFETIME_DAYS} days and
+                can only be accepted by the invited email address.
+              </p>
+
+              {lastInviteLink && (
+                <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+                  <p className="text-sm text-green-800 mb-2">Send this link to the invitee:</p>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      readOnly
+                      value={lastInviteLink}
+                      onFocus={(e) => e.target.select()}
+                      className="flex-1 px-3 py-2 text-sm border border-green-200 rounded-lg bg-white font-mono"
+                    />
+                    <button
+                      onClick={() => copyLink(lastInviteLink)}
+                      className="p-2 text-green-700 hover:text-green-900"
+                      title="Copy link"
+                    >
+                      <SafeIcon icon={FiCopy} />
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {openInvitations.length > 0 && (
+                <>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Pending invitations</h3>
+                  <ul className="divide-y divide-gray-100">
+                    {openInvitations.map(invitation => (
+                      <li key={invitation.id} className="py-3 flex items-center justify-between">
+                        <div>
+                          <p className="font-medium text-gray-900">{invitation.email}</p>
+                          <p className="text-sm text-gray-500">
+                            {WORKSPACE_ROLES[invitation.role]?.label} · expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => copyLink(getInvitationLink(currentWorkspace, invitation))}
+                            className="p-2 text-gray-400 hover:text-gray-600"
+                            title="Copy invitation link"
+                          >
+                            <SafeIcon icon={FiCopy} />
+                          </button>
+                          <button
+                            onClick={() => runAction(`revoke-${invitation.id}`, () => revokeInvitation(invitation.id), 'Invitation revoked')}
+                            disabled={!!busyAction}
+                            className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                            title="Revoke invitation"
+                          >
+                            <SafeIcon icon={FiX} />
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+
+          {currentWorkspace.personal && canManageMembers && (
+            <p className="text-sm text-gray-500">
+              Your personal workspace isn't shared. Create a team workspace to invite others.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Team;
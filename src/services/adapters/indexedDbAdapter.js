@@ -0,0 +1,106 @@
+const DB_NAME = 'ebookgen';
+const DB_VERSION = 3;
+
+// Object stores created on upgrade. Add new stores here and bump DB_VERSION.
+const OBJECT_STORES = {
+  projects: { keyPath: 'id' },
+  // Local knowledge libraries (see localRagService)
+  ragLibraries: { keyPath: 'id' },
+  ragDocuments: { keyPath: 'id' },
+  // Team workspaces and their settings (see workspaceStore)
+  workspaces: { keyPath: 'id' },
+  workspaceSettings: { keyPath: 'id' }
+};
+
+let databasePromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(OBJECT_STORES).forEach(([storeName, options]) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          console.log(`🗄️ Creating IndexedDB object store: ${storeName}`);
+          db.createObjectStore(storeName, options);
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+  });
+
+  return databasePromise;
+};
+
+class IndexedDBAdapter {
+  constructor(storeName = 'projects') {
+    this.storeName = storeName;
+    this.name = 'indexeddb';
+  }
+
+  async withStore(mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(this.storeName, mode);
+    const store = transaction.objectStore(this.storeName);
+    return callback(store);
+  }
+
+  async list() {
+    try {
+      return await this.withStore('readonly', store => promisifyRequest(store.getAll()));
+    } catch (error) {
+      console.error(`IndexedDB list failed for ${this.storeName}:`, error);
+      throw new Error(`Failed to load ${this.storeName} from local storage: ${error.message}`);
+    }
+  }
+
+  async get(id) {
+    try {
+      const record = await this.withStore('readonly', store => promisifyRequest(store.get(id)));
+      return record || null;
+    } catch (error) {
+      console.error(`IndexedDB get failed for ${this.storeName}/${id}:`, error);
+      throw new Error(`Failed to load ${id} from local storage: ${error.message}`);
+    }
+  }
+
+  async save(record) {
+    try {
+      await this.withStore('readwrite', store => promisifyRequest(store.put(record)));
+      return record;
+    } catch (error) {
+      console.error(`IndexedDB save failed for ${this.storeName}/${record?.id}:`, error);
+      throw new Error(`Failed to save ${record?.id} to local storage: ${error.message}`);
+    }
+  }
+
+  async remove(id) {
+    try {
+      await this.withStore('readwrite', store => promisifyRequest(store.delete(id)));
+    } catch (error) {
+      console.error(`IndexedDB delete failed for ${this.storeName}/${id}:`, error);
+      throw new Error(`Failed to delete ${id} from local storage: ${error.message}`);
+    }
+  }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,121 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Expects a table with columns: id (text, primary key), data (jsonb), updated_at (timestamptz), plus any
+// columns written by options.columns (see supabase/migrations). options.scope narrows reads and deletes
+// (e.g. to a workspace); with the signed-in client passed as options.client, row level security applies too.
+class SupabaseAdapter {
+  constructor(url, anonKey, { tableName = 'ebook_projects', label = 'project', client = null, scope = null, columns = null } = {}) {
+    if (!client && (!url || !anonKey)) {
+      throw new Error('Supabase URL and anon key are required for remote project storage');
+    }
+
+    this.client = client || createClient(url, anonKey);
+    this.tableName = tableName;
+    this.label = label;
+    this.scope = scope;
+    this.columns = columns;
+    this.name = 'supabase';
+
+    console.log(`Initializing Supabase adapter for table: ${tableName}`);
+  }
+
+  parseError(error, operation) {
+    console.error(`Supabase ${operation} error details:`, {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+
+    if (error.code === '42P01') {
+      return `Table '${this.tableName}' does not exist. Please create it in your Supabase project.`;
+    }
+    if (error.code === '42501' || error.code === 'PGRST301') {
+      return `Permission denied on '${this.tableName}'. Check your row level security policies.`;
+    }
+    return error.message || `Supabase ${operation} failed`;
+  }
+
+  scoped(query) {
+    return this.scope ? this.scope(query) : query;
+  }
+
+  async list() {
+    const { data, error } = await this.scoped(this.client
+      .from(this.tableName)
+      .select('id, data'))
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load ${this.label}s: ${this.parseError(error, 'list')}`);
+    }
+    return (data || []).map(row => row.data);
+  }
+
+  async get(id) {
+    const { data, error } = await this.scoped(this.client
+      .from(this.tableName)
+      .select('id, data'))
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load ${this.label} ${id}: ${this.parseError(error, 'get')}`);
+    }
+    return data ? data.data : null;
+  }
+
+  // Updates the row and inserts only when there is none. Unlike an upsert this needs the insert policy just for
+  // new records, so row level security can let someone edit existing rows without letting them create any.
+  async save(record) {
+    const row = {
+      id: record.id,
+      ...(this.columns && this.columns(record)),
+      data: record,
+      updated_at: record.updatedAt || new Date().toISOString()
+    };
+
+    const { data, error } = await this.client
+      .from(this.tableName)
+      .update(row)
+      .eq('id', record.id)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to save ${this.label} ${record.id}: ${this.parseError(error, 'save')}`);
+    }
+
+    if (!data?.length) {
+      const { error: insertError } = await this.client
+        .from(this.tableName)
+        .insert(row);
+
+      if (insertError) {
+        throw new Error(`Failed to save ${this.label} ${record.id}: ${this.parseError(insertError, 'save')}`);
+      }
+    }
+    return record;
+  }
+
+  async remove(id) {
+    const { error } = await this.scoped(this.client
+      .from(this.tableName)
+      .delete())
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to delete ${this.label} ${id}: ${this.parseError(error, 'delete')}`);
+    }
+  }
+
+  // Call a database function (for changes row level security doesn't let the caller make directly)
+  async rpc(functionName, args) {
+    const { data, error } = await this.client.rpc(functionName, args);
+    if (error) {
+      throw new Error(this.parseError(error, functionName));
+    }
+    return data;
+  }
+}
+
+export default SupabaseAdapter;
@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import LocalAuthClient from './localAuthClient';
+
+// Authentication backend. It is configured at build time, because signing in happens before any user's
+// settings are loaded:
+//   VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY - the Supabase project that holds the accounts
+//   VITE_AUTH_MODE - 'supabase' (default) or 'local' for the in-browser stand-in (see localAuthClient)
+// Development builds without a Supabase URL use the stand-in; production builds without one can't sign in.
+// See .env.example and supabase/ for running a local Supabase stack instead.
+
+export const getAuthConfig = () => {
+  const env = import.meta.env;
+  const url = env.VITE_SUPABASE_URL || '';
+  const anonKey = env.VITE_SUPABASE_ANON_KEY || '';
+  const mode = env.VITE_AUTH_MODE === 'local' || (!env.VITE_AUTH_MODE && !url && env.DEV) ? 'local' : 'supabase';
+
+  return {
+    mode,
+    url,
+    anonKey,
+    configured: mode === 'local' || !!(url && anonKey)
+  };
+};
+
+let supabaseClient = null;
+let authClient = null;
+
+// The signed-in Supabase client (null with the local stand-in). Project storage reuses it so that row level
+// security sees the user's session.
+export const getSupabaseClient = () => {
+  const config = getAuthConfig();
+  if (config.mode !== 'supabase' || !config.configured) {
+    return null;
+  }
+
+  if (!supabaseClient) {
+    supabaseClient = createClient(config.url, config.anonKey, {
+      auth: {
+        persistSession: true,
+        autoRefreshToken: true,
+        detectSessionInUrl: true,
+        // PKCE puts the callback code in the query string, which doesn't clash with the hash router
+        flowType: 'pkce'
+      }
+    });
+  }
+  return supabaseClient;
+};
+
+export const getAuthClient = () => {
+  if (!authClient) {
+    const config = getAuthConfig();
+    if (config.mode === 'local') {
+      console.warn('⚠️ Using the local auth stand-in: accounts are stored in this browser only');
+      authClient = new LocalAuthClient();
+    } else {
+      authClient = getSupabaseClient()?.auth || null;
+    }
+  }
+  return authClient;
+};
+
+// The signed-in user's current access token, for server functions that act on their behalf (the AI proxy).
+// getSession refreshes an expired token first.
+export const getAccessToken = async () => {
+  const client = getSupabaseClient();
+  if (!client) {
+    throw new Error('Server-managed API keys need Supabase sign-in');
+  }
+  const { data, error } = await client.auth.getSession();
+  if (error || !data.session) {
+    throw new Error('Your session has expired. Please sign in again.');
+  }
+  return data.session.access_token;
+};
+
+// Where email links (confirmation, password recovery) send the user back to
+export const getAuthRedirectUrl = () => `${window.location.origin}${window.location.pathname}`;
+
+// The app's user shape, from a Supabase auth user
+export const toAppUser = (authUser) => authUser
+  ? {
+      id: authUser.id,
+      email: authUser.email,
+      name: authUser.user_metadata?.name || authUser.email?.split('@')[0] || '',
+      createdAt: authUser.created_at
+    }
+  : null;
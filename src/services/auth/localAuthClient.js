@@ -0,0 +1,244 @@
+// In-browser stand-in for the Supabase auth client (supabase.auth), used for development and tests when no
+// Supabase project is configured. It implements the subset of the GoTrue API the app uses, with the same
+// { data, error } results and auth events, so AuthContext doesn't know which one it talks to.
+// Accounts and the session live in this browser's localStorage. Passwords are salted and hashed, but this is
+// not a security boundary - never use it for real accounts.
+// Password reset has no mail server: the recovery link is logged to the console instead.
+
+const USERS_KEY = 'localAuth.users';
+const SESSION_KEY = 'localAuth.session';
+const RECOVERY_PARAM = 'local_recovery';
+const SESSION_LIFETIME_SECONDS = 3600;
+// Refresh this long before the access token expires, like supabase-js does
+const REFRESH_MARGIN_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+const authError = (message, status, code) => Object.assign(new Error(message), { name: 'AuthApiError', status, code });
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const randomToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const hashPassword = async (password, salt) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+const toAuthUser = (record) => ({
+  id: record.id,
+  email: record.email,
+  user_metadata: record.userMetadata || {},
+  app_metadata: { provider: 'email' },
+  created_at: record.createdAt
+});
+
+class LocalAuthClient {
+  constructor() {
+    this.listeners = new Set();
+    this.refreshTimer = null;
+    this.recoveryChecked = false;
+  }
+
+  readUsers() {
+    return readJson(USERS_KEY, []);
+  }
+
+  writeUsers(users) {
+    localStorage.setItem(USERS_KEY, JSON.stringify(users));
+  }
+
+  findUser(email) {
+    return this.readUsers().find(user => user.email === email.trim().toLowerCase()) || null;
+  }
+
+  saveUser(record) {
+    this.writeUsers([...this.readUsers().filter(user => user.id !== record.id), record]);
+  }
+
+  notify(event, session) {
+    this.listeners.forEach(callback => callback(event, session));
+  }
+
+  startSession(record, event) {
+    const expiresAt = nowSeconds() + SESSION_LIFETIME_SECONDS;
+    const session = {
+      access_token: randomToken(),
+      refresh_token: randomToken(),
+      token_type: 'bearer',
+      expires_in: SESSION_LIFETIME_SECONDS,
+      expires_at: expiresAt,
+      user: toAuthUser(record)
+    };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    this.scheduleRefresh(session);
+    this.notify(event, session);
+    return session;
+  }
+
+  endSession() {
+    clearTimeout(this.refreshTimer);
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  scheduleRefresh(session) {
+    clearTimeout(this.refreshTimer);
+    const delay = Math.max(0, session.expires_at - nowSeconds() - REFRESH_MARGIN_SECONDS) * 1000;
+    this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+  }
+
+  // A recovery link opened in this browser signs the user in and raises PASSWORD_RECOVERY, like Supabase does
+  checkRecoveryLink() {
+    if (this.recoveryChecked || typeof window === 'undefined') return;
+    this.recoveryChecked = true;
+
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(RECOVERY_PARAM);
+    if (!token) return;
+
+    url.searchParams.delete(RECOVERY_PARAM);
+    window.history.replaceState(null, '', url.toString());
+
+    const record = this.readUsers().find(user => user.recoveryToken === token);
+    if (!record) {
+      console.warn('⚠️ Password recovery link is invalid or was already used');
+      return;
+    }
+    this.saveUser({ ...record, recoveryToken: null });
+    // Let onAuthStateChange subscribers register first
+    setTimeout(() => this.startSession(record, 'PASSWORD_RECOVERY'), 0);
+  }
+
+  async signUp({ email, password, options = {} }) {
+    if (!email || !password) {
+      return { data: { user: null, session: null }, error: authError('Email and password are required', 400, 'validation_failed') };
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return { data: { user: null, session: null }, error: authError(`Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, 422, 'weak_password') };
+    }
+    if (this.findUser(email)) {
+      return { data: { user: null, session: null }, error: authError('User already registered', 422, 'user_already_exists') };
+    }
+
+    const salt = randomToken();
+    const record = {
+      id: crypto.randomUUID(),
+      email: email.trim().toLowerCase(),
+      salt,
+      passwordHash: await hashPassword(password, salt),
+      userMetadata: options.data || {},
+      createdAt: new Date().toISOString()
+    };
+    this.saveUser(record);
+    console.log(`🔐 Local auth: created account ${record.email}`);
+
+    // No email confirmation in the stand-in: the new account is signed in right away
+    const session = this.startSession(record, 'SIGNED_IN');
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  async signInWithPassword({ email, password }) {
+    const record = email ? this.findUser(email) : null;
+    if (!record || await hashPassword(password || '', record.salt) !== record.passwordHash) {
+      return { data: { user: null, session: null }, error: authError('Invalid login credentials', 400, 'invalid_credentials') };
+    }
+
+    const session = this.startSession(record, 'SIGNED_IN');
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  async signOut() {
+    this.endSession();
+    this.notify('SIGNED_OUT', null);
+    return { error: null };
+  }
+
+  // Always succeeds, so the form doesn't reveal which emails have accounts
+  async resetPasswordForEmail(email, { redirectTo } = {}) {
+    const record = email ? this.findUser(email) : null;
+    if (record) {
+      const recoveryToken = randomToken();
+      this.saveUser({ ...record, recoveryToken });
+      const link = new URL(redirectTo || window.location.href);
+      link.searchParams.set(RECOVERY_PARAM, recoveryToken);
+      console.log(`📧 Local auth: password recovery link for ${record.email}: ${link.toString()}`);
+    }
+    return { data: {}, error: null };
+  }
+
+  async updateUser({ password, data } = {}) {
+    const current = readJson(SESSION_KEY, null);
+    const record = current && this.readUsers().find(user => user.id === current.user.id);
+    if (!record) {
+      return { data: { user: null }, error: authError('Auth session missing!', 401, 'session_not_found') };
+    }
+    if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+      return { data: { user: null }, error: authError(`Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, 422, 'weak_password') };
+    }
+
+    const updated = {
+      ...record,
+      ...(password !== undefined && { passwordHash: await hashPassword(password, record.salt) }),
+      ...(data && { userMetadata: { ...record.userMetadata, ...data } })
+    };
+    this.saveUser(updated);
+
+    const session = { ...current, user: toAuthUser(updated) };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    this.notify('USER_UPDATED', session);
+    return { data: { user: session.user }, error: null };
+  }
+
+  // Expired sessions are refreshed on read, as supabase-js does
+  async getSession() {
+    this.checkRecoveryLink();
+    const session = readJson(SESSION_KEY, null);
+    if (!session) {
+      return { data: { session: null }, error: null };
+    }
+    if (session.expires_at - REFRESH_MARGIN_SECONDS <= nowSeconds()) {
+      const { data, error } = await this.refreshSession();
+      return { data: { session: data.session }, error };
+    }
+    this.scheduleRefresh(session);
+    return { data: { session }, error: null };
+  }
+
+  async refreshSession() {
+    const current = readJson(SESSION_KEY, null);
+    const record = current && this.readUsers().find(user => user.id === current.user.id);
+    if (!record) {
+      this.endSession();
+      return { data: { user: null, session: null }, error: authError('Auth session missing!', 401, 'session_not_found') };
+    }
+
+    const session = this.startSession(record, 'TOKEN_REFRESHED');
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  onAuthStateChange(callback) {
+    this.listeners.add(callback);
+    setTimeout(() => callback('INITIAL_SESSION', readJson(SESSION_KEY, null)), 0);
+    return {
+      data: {
+        subscription: {
+          unsubscribe: () => this.listeners.delete(callback)
+        }
+      }
+    };
+  }
+}
+
+export default LocalAuthClient;
@@ -0,0 +1,179 @@
+// Inline citations and bibliographies for generated sections.
+// Sources: { type: 'web', title, url, date, siteName } from Sonar search results, or
+//          { type: 'library', title, fileName, pageLabel } from a knowledge library (OpenAI file_search or local).
+// The section writer cites sources as [n]; markers are renumbered by first use and linked to a per-section
+// source list, and cited sources are collected into per-chapter and whole-book bibliographies.
+
+export const CITATION_STYLES = {
+  none: { label: 'No Citations (Default)' },
+  apa: { label: 'APA (7th edition)', bibliographyTitle: 'References' },
+  chicago: { label: 'Chicago (notes and bibliography)', bibliographyTitle: 'Bibliography' },
+  mla: { label: 'MLA (9th edition)', bibliographyTitle: 'Works Cited' }
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+const CITATION_MARKER = /\[(\d+(?:\s*[,;–-]\s*\d+)*)\]/g;
+
+export const isCitationStyleEnabled = (style) => !!style && style !== 'none' && !!CITATION_STYLES[style];
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const stripExtension = (fileName = '') => fileName.replace(/\.[a-z0-9]+$/i, '');
+
+// Stable identity used to de-duplicate sources across sections
+export const getSourceKey = (source) => (source.type === 'web' ? source.url : `library:${source.fileName}`);
+
+export const createWebSource = ({ title, url, date = null }) => ({
+  type: 'web',
+  title: title || getHostname(url) || url,
+  url,
+  date: date || null,
+  siteName: getHostname(url)
+});
+
+export const createLibrarySource = ({ fileName, pageLabel = null }) => ({
+  type: 'library',
+  title: stripExtension(fileName),
+  fileName,
+  pageLabel
+});
+
+// Numbered source list for the section prompt
+export const formatSourcesForPrompt = (sources) => sources
+  .map((source, index) => {
+    if (source.type === 'web') {
+      return `[${index + 1}] ${source.title} — ${source.url}${source.date ? ` (${source.date})` : ''}`;
+    }
+    return `[${index + 1}] Reference library: ${source.fileName}${source.pageLabel ? `, ${source.pageLabel}` : ''}`;
+  })
+  .join('\n');
+
+const expandMarker = (marker) => marker
+  .split(/\s*[,;]\s*/)
+  .flatMap(part => {
+    const range = part.match(/^(\d+)\s*[–-]\s*(\d+)$/);
+    if (!range) return [parseInt(part)];
+    const [start, end] = [parseInt(range[1]), parseInt(range[2])];
+    return end >= start && end - start < 10 ? Array.from({ length: end - start + 1 }, (_, i) => start + i) : [start, end];
+  });
+
+// Renumber [n] markers by first appearance, drop markers that don't match a source, and link each to the
+// section's source list. Returns the cited sources in their new order, each with its anchor id.
+export const applyInlineCitations = (html, sources, anchorPrefix = `src-${Math.random().toString(36).slice(2, 8)}`) => {
+  const order = [];
+  const numberFor = (original) => {
+    if (!sources[original - 1]) return null;
+    if (!order.includes(original)) order.push(original);
+    return order.indexOf(original) + 1;
+  };
+
+  const linked = html
+    // Models often wrap markers in <sup> themselves
+    .replace(/<sup>\s*(\[[\d\s,;–-]+\])\s*<\/sup>/g, '$1')
+    .replace(CITATION_MARKER, (match, marker) => {
+      const numbers = [...new Set(expandMarker(marker).map(numberFor).filter(Boolean))].sort((a, b) => a - b);
+      if (numbers.length === 0) return '';
+      return `<sup class="citation">${numbers
+        .map(number => `<a href="#${anchorPrefix}-${number}">[${number}]</a>`)
+        .join('')}</sup>`;
+    });
+
+  return {
+    html: linked,
+    sources: order.map((original, index) => ({ ...sources[original - 1], anchor: `${anchorPrefix}-${index + 1}` }))
+  };
+};
+
+const formatWebDate = (date, style) => {
+  if (style === 'apa') {
+    return date ? `${date.getFullYear()}, ${MONTHS[date.getMonth()]} ${date.getDate()}` : 'n.d.';
+  }
+  if (style === 'mla') {
+    return `${date.getDate()} ${MLA_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+  }
+  return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+};
+
+const link = (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+
+// One reference entry as HTML. withPages includes the cited page range for library documents.
+export const formatCitation = (source, style, { withPages = false } = {}) => {
+  const title = escapeHtml(source.title);
+  const pages = withPages && source.pageLabel ? escapeHtml(source.pageLabel) : '';
+
+  if (source.type === 'library') {
+    switch (style) {
+      case 'apa':
+        return `<em>${title}</em> [Unpublished reference document${pages ? `, ${pages}` : ''}].`;
+      case 'mla':
+        return `<em>${title}</em>. Reference library document${pages ? `, ${pages}` : ''}.`;
+      default:
+        return `<em>${title}</em>. Unpublished reference document${pages ? `, ${pages}` : ''}.`;
+    }
+  }
+
+  const date = parseDate(source.date);
+  const site = escapeHtml(source.siteName || '');
+  switch (style) {
+    case 'apa':
+      return `<em>${title}</em>. (${formatWebDate(date, 'apa')}).${site ? ` ${site}.` : ''} ${link(source.url)}`;
+    case 'mla':
+      return `"${title}." ${site ? `<em>${site}</em>, ` : ''}${date ? `${formatWebDate(date, 'mla')}, ` : ''}${link(source.url)}.`;
+    default:
+      return `"${title}."${site ? ` ${site}.` : ''}${date ? ` ${formatWebDate(date, 'chicago')}.` : ''} ${link(source.url)}.`;
+  }
+};
+
+// Numbered list at the end of a section; entries are the targets of the inline [n] links
+export const renderSectionSources = (sources, style) => {
+  if (!isCitationStyleEnabled(style) || !sources?.length) return '';
+  return `<div class="section-sources"><h4>Sources</h4><ol>${sources
+    .map(source => `<li${source.anchor ? ` id="${source.anchor}"` : ''}>${formatCitation(source, style, { withPages: true })}</li>`)
+    .join('')}</ol></div>`;
+};
+
+const sortKey = (html) => html.replace(/<[^>]*>/g, '').replace(/^["“]/, '').toLowerCase();
+
+// De-duplicated, alphabetised bibliography for a chapter or the whole book
+export const renderBibliography = (sources, style, { title = null, className = 'bibliography' } = {}) => {
+  if (!isCitationStyleEnabled(style)) return '';
+  const unique = new Map();
+  (sources || []).forEach(source => {
+    const key = getSourceKey(source);
+    if (key && !unique.has(key)) unique.set(key, source);
+  });
+  if (unique.size === 0) return '';
+
+  const entries = Array.from(unique.values())
+    .map(source => formatCitation(source, style))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+  return `<div class="${className}"><h3>${escapeHtml(title || CITATION_STYLES[style].bibliographyTitle)}</h3><ul>${entries
+    .map(entry => `<li>${entry}</li>`)
+    .join('')}</ul></div>`;
+};
+
+// Cited sources recorded in the publishing journal for one chapter, in outline order
+export const collectChapterSources = (journalItems = {}, chapter) => (chapter.topics || [])
+  .flatMap(topic => topic.lessons || [])
+  .flatMap(lesson => journalItems[lesson.id]?.sources || []);
@@ -0,0 +1,138 @@
+// Cost accounting for LLM calls. Every OpenAI / Perplexity / custom-provider response reports its usage,
+// which is priced against the editable price table in Settings and appended to the project's costLedger:
+// [{ id, at, stage, provider, model, endpoint, inputTokens, outputTokens, cost, estimated }]
+
+// USD per 1M tokens; requestFee is USD per 1000 requests (Perplexity search fees)
+export const DEFAULT_MODEL_PRICES = [
+  { model: 'gpt-4.1-mini-2025-04-14', input: 0.4, output: 1.6, requestFee: 0 },
+  { model: 'gpt-4.1-2025-04-14', input: 2, output: 8, requestFee: 0 },
+  { model: 'gpt-4o-mini', input: 0.15, output: 0.6, requestFee: 0 },
+  { model: 'gpt-4o', input: 2.5, output: 10, requestFee: 0 },
+  { model: 'gpt-3.5-turbo', input: 0.5, output: 1.5, requestFee: 0 },
+  { model: 'sonar', input: 1, output: 1, requestFee: 5 },
+  { model: 'sonar-pro', input: 3, output: 15, requestFee: 6 }
+];
+
+export const LEDGER_STAGES = {
+  research: 'Market Research',
+  outline: 'Outline',
+  topicIntro: 'Topic Introductions',
+  section: 'Section Content',
+  rag: 'Knowledge Library (RAG)',
+  webResearch: 'Web Context & References'
+};
+
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const getResponseText = (endpoint, result) => {
+  if (endpoint === '/responses') {
+    return result.output_text || JSON.stringify(result.output || '');
+  }
+  return result.choices?.[0]?.message?.content || '';
+};
+
+const getPromptText = (data) => {
+  if (data.messages) return data.messages.map(message => message.content || '').join('\n');
+  return typeof data.input === 'string' ? data.input : JSON.stringify(data.input || '');
+};
+
+// Chat completions report prompt/completion tokens, the Responses API input/output tokens.
+// Streams that were cut short carry no usage, so those fall back to a characters / 4 estimate.
+export const extractUsage = (endpoint, data, result = {}) => {
+  const usage = result.usage;
+  if (usage) {
+    return {
+      inputTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+      outputTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+      estimated: false
+    };
+  }
+  return {
+    inputTokens: estimateTokens(getPromptText(data)),
+    outputTokens: estimateTokens(getResponseText(endpoint, result)),
+    estimated: true
+  };
+};
+
+// Exact match first, otherwise the longest configured prefix (e.g. "gpt-4o-2024-08-06" prices as "gpt-4o")
+export const findModelPrice = (priceTable = DEFAULT_MODEL_PRICES, model = '') => {
+  const table = (priceTable || []).filter(price => price?.model);
+  const exact = table.find(price => price.model === model);
+  if (exact) return exact;
+  return table
+    .filter(price => model.startsWith(price.model))
+    .sort((a, b) => b.model.length - a.model.length)[0] || null;
+};
+
+// Returns null when the model has no price, so unpriced usage is visible rather than counted as free
+export const priceUsage = (priceTable, model, { inputTokens = 0, outputTokens = 0 } = {}) => {
+  const price = findModelPrice(priceTable, model);
+  if (!price) return null;
+  return (inputTokens * (Number(price.input) || 0) + outputTokens * (Number(price.output) || 0)) / 1000000 +
+    (Number(price.requestFee) || 0) / 1000;
+};
+
+export const createLedgerEntry = (priceTable, stage, { provider, model, endpoint, inputTokens, outputTokens, estimated }) => ({
+  id: `usage-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  at: new Date().toISOString(),
+  // Knowledge-library extraction and retrieval run inside the section stage but are billed separately
+  stage: endpoint === '/responses' || endpoint === '/embeddings' ? 'rag' : stage,
+  provider,
+  model,
+  endpoint,
+  inputTokens,
+  outputTokens,
+  cost: priceUsage(priceTable, model, { inputTokens, outputTokens }),
+  estimated
+});
+
+const emptyTotals = () => ({ cost: 0, inputTokens: 0, outputTokens: 0, requests: 0, unpriced: 0, estimated: 0 });
+
+const addEntry = (totals, entry) => {
+  totals.cost += entry.cost || 0;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.requests += 1;
+  if (entry.cost === null || entry.cost === undefined) totals.unpriced += 1;
+  if (entry.estimated) totals.estimated += 1;
+  return totals;
+};
+
+const groupBy = (entries, getKey) => {
+  const groups = {};
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    groups[key] = addEntry(groups[key] || emptyTotals(), entry);
+  });
+  return Object.entries(groups)
+    .map(([key, totals]) => ({ key, ...totals }))
+    .sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+};
+
+export const summarizeLedger = (ledger = []) => ({
+  ...ledger.reduce(addEntry, emptyTotals()),
+  byStage: groupBy(ledger, entry => entry.stage).map(group => ({ ...group, label: LEDGER_STAGES[group.key] || group.key })),
+  byModel: groupBy(ledger, entry => `${entry.provider}:${entry.model}`).map(group => {
+    const [provider, ...model] = group.key.split(':');
+    return { ...group, provider, model: model.join(':') };
+  })
+});
+
+// Spend across all projects for the calendar month containing `date`
+export const getMonthlyTotals = (projects = [], date = new Date()) => {
+  const inMonth = (entry) => {
+    const at = new Date(entry.at);
+    return at.getFullYear() === date.getFullYear() && at.getMonth() === date.getMonth();
+  };
+  return projects
+    .flatMap(project => project.costLedger || [])
+    .filter(inMonth)
+    .reduce(addEntry, emptyTotals());
+};
+
+export const formatCost = (cost) => {
+  if (!cost) return '$0.00';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens = 0) => tokens.toLocaleString();
@@ -0,0 +1,179 @@
+// Credential vault for workspace settings. API keys and passwords are encrypted with AES-GCM under a key
+// derived from a passphrase (PBKDF2-SHA-256) before settings are stored; the other settings stay readable so the
+// app can load them while the vault is locked. The derived key is non-extractable and only kept in memory.
+// Stored vault: { version, kdf: { name, hash, iterations, salt }, iv, ciphertext } (binary fields base64).
+// The Supabase anon key is public by design and stays out of the vault, so remote project storage works locked.
+
+export const VAULT_VERSION = 1;
+export const SETTINGS_BUNDLE_FORMAT = 'ebook-settings-bundle';
+export const MIN_PASSPHRASE_LENGTH = 10;
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+
+// Plus the passwords of webhooks, LLM providers and WordPress destinations, which live inside their lists
+const CREDENTIAL_FIELDS = ['openaiPrimary', 'openaiFallback', 'perplexityPrimary', 'perplexityFallback', 'wordpressPassword'];
+
+const mapWebhooks = (webhooks, fn) => Object.fromEntries(Object.entries(webhooks || {}).map(([key, webhook]) => [key, fn(webhook, key)]));
+
+const vaultError = (message, code) => Object.assign(new Error(message), { code });
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large bundles don't overflow the argument list
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const createKdf = () => ({
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: PBKDF2_ITERATIONS,
+  salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+});
+
+const deriveKey = async (passphrase, kdf) => {
+  if (kdf?.name !== 'PBKDF2') {
+    throw vaultError(`Unsupported key derivation: ${kdf?.name}`, 'unsupported_vault');
+  }
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptJson = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+};
+
+// AES-GCM authenticates the ciphertext, so a wrong passphrase fails here rather than yielding garbage
+const decryptJson = async (key, { iv, ciphertext }) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw vaultError('Wrong passphrase', 'wrong_passphrase');
+  }
+};
+
+export const validatePassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw vaultError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'weak_passphrase');
+  }
+};
+
+// Split settings into what may be stored readable and the credentials that go into the vault
+export const splitCredentials = (settings) => {
+  const credentials = {
+    ...Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, settings[field] || ''])),
+    webhookPasswords: mapWebhooks(settings.webhooks, webhook => webhook?.password || ''),
+    providerKeys: Object.fromEntries((settings.llmProviders || []).map(provider => [provider.id, provider.apiKey || ''])),
+    destinationPasswords: Object.fromEntries((settings.wordpressDestinations || []).map(destination => [destination.id, {
+      password: destination.password || '',
+      webhooks: mapWebhooks(destination.webhooks, webhook => webhook?.password || '')
+    }]))
+  };
+  const publicSettings = {
+    ...settings,
+    ...Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, ''])),
+    webhooks: mapWebhooks(settings.webhooks, webhook => ({ ...webhook, password: '' })),
+    llmProviders: (settings.llmProviders || []).map(provider => ({ ...provider, apiKey: '' })),
+    wordpressDestinations: (settings.wordpressDestinations || []).map(destination => ({
+      ...destination,
+      password: '',
+      webhooks: mapWebhooks(destination.webhooks, webhook => ({ ...webhook, password: '' }))
+    }))
+  };
+  return { publicSettings, credentials };
+};
+
+export const mergeCredentials = (publicSettings, credentials) => ({
+  ...publicSettings,
+  ...Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, credentials[field] || ''])),
+  webhooks: mapWebhooks(publicSettings.webhooks, (webhook, key) => ({ ...webhook, password: credentials.webhookPasswords?.[key] || '' })),
+  llmProviders: (publicSettings.llmProviders || []).map(provider => ({ ...provider, apiKey: credentials.providerKeys?.[provider.id] || '' })),
+  wordpressDestinations: (publicSettings.wordpressDestinations || []).map(destination => {
+    const stored = credentials.destinationPasswords?.[destination.id];
+    return {
+      ...destination,
+      password: stored?.password || '',
+      webhooks: mapWebhooks(destination.webhooks, (webhook, key) => ({ ...webhook, password: stored?.webhooks?.[key] || '' }))
+    };
+  })
+});
+
+export const hasCredentials = (credentials) => [
+  ...CREDENTIAL_FIELDS.map(field => credentials[field]),
+  ...Object.values(credentials.webhookPasswords || {}),
+  ...Object.values(credentials.providerKeys || {}),
+  ...Object.values(credentials.destinationPasswords || {}).flatMap(stored => [stored.password, ...Object.values(stored.webhooks || {})])
+].some(Boolean);
+
+// Encrypt credentials under an unlocked key; a fresh IV is used for every save
+export const sealVault = async (key, kdf, credentials) => ({
+  version: VAULT_VERSION,
+  kdf,
+  ...(await encryptJson(key, credentials))
+});
+
+// Returns { key, vault } for a new passphrase
+export const createVault = async (passphrase, credentials) => {
+  validatePassphrase(passphrase);
+  const kdf = createKdf();
+  const key = await deriveKey(passphrase, kdf);
+  return { key, vault: await sealVault(key, kdf, credentials) };
+};
+
+// Returns { key, credentials }; throws (code 'wrong_passphrase') when the passphrase doesn't match
+export const openVault = async (passphrase, vault) => {
+  if (vault?.version !== VAULT_VERSION) {
+    throw vaultError('This credential vault was created by a newer version of the app', 'unsupported_vault');
+  }
+  const key = await deriveKey(passphrase, vault.kdf);
+  return { key, credentials: await decryptJson(key, vault) };
+};
+
+// Encrypted export of all settings (credentials included) for moving them to another machine or workspace.
+// The bundle has its own passphrase, which may differ from the vault's.
+export const exportSettingsBundle = async (settings, passphrase, { workspaceName = '' } = {}) => {
+  validatePassphrase(passphrase);
+  const kdf = createKdf();
+  const key = await deriveKey(passphrase, kdf);
+  return JSON.stringify({
+    format: SETTINGS_BUNDLE_FORMAT,
+    version: VAULT_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspaceName,
+    kdf,
+    ...(await encryptJson(key, settings))
+  }, null, 2);
+};
+
+export const importSettingsBundle = async (json, passphrase) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+  if (bundle?.format !== SETTINGS_BUNDLE_FORMAT || !bundle.kdf || !bundle.ciphertext) {
+    throw new Error('This file is not a settings bundle');
+  }
+  if (bundle.version !== VAULT_VERSION) {
+    throw vaultError('This settings bundle was created by a newer version of the app', 'unsupported_vault');
+  }
+  const key = await deriveKey(passphrase, bundle.kdf);
+  return decryptJson(key, bundle);
+};
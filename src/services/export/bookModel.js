@@ -0,0 +1,103 @@
+import { getJournalKey } from '../publishingJournal';
+import { collectChapterSources, renderBibliography } from '../citations';
+
+// Exporters work on a plain book model so projects and WordPress books render the same way:
+// { title, subtitle, author, language, frontMatter: [{ title, html }], chapters: [{ title, html, topics: [{ title, html, sections: [{ title, html }] }] }],
+//   backMatter: [{ title, html }] }
+
+// WordPress returns rendered titles with HTML entities (e.g. &#8217;)
+export const decodeEntities = (text = '') => {
+  if (!text) return '';
+  const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+  return doc.body.textContent || '';
+};
+
+// Publishing appends the whole-book bibliography to the book post; split it back out as back matter
+const splitBookBibliography = (html = '') => {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const bibliography = doc.body.querySelector('div.book-bibliography');
+  if (!bibliography) {
+    return { content: html, backMatter: [] };
+  }
+  const heading = bibliography.querySelector('h3');
+  const title = heading?.textContent || 'Bibliography';
+  heading?.remove();
+  const bibliographyHtml = bibliography.innerHTML;
+  bibliography.remove();
+  return { content: doc.body.innerHTML, backMatter: [{ title, html: bibliographyHtml }] };
+};
+
+// Generated content is taken from the publishing journal; outline descriptions fill any gaps
+export const buildBookFromProject = (project) => {
+  const outline = project.outline;
+  if (!outline) {
+    throw new Error('This project has no outline to export');
+  }
+
+  const items = project.publishingJournal?.items || {};
+  const citationStyle = outline.citationStyle || project.citationStyle || 'none';
+  const chapters = outline.chapters || [];
+  const frontMatter = [
+    outline.preface && { title: 'Preface', html: outline.preface },
+    outline.introduction && { title: 'Introduction', html: outline.introduction }
+  ].filter(Boolean);
+  const bibliographyHtml = renderBibliography(
+    chapters.flatMap(chapter => collectChapterSources(items, chapter)),
+    citationStyle,
+    { className: 'book-bibliography' }
+  );
+
+  return {
+    title: outline.title || project.title || project.niche || 'Untitled Ebook',
+    subtitle: project.niche && project.niche !== outline.title ? project.niche : '',
+    author: project.author || '',
+    language: project.language || 'en',
+    frontMatter,
+    chapters: chapters.map(chapter => ({
+      title: `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`,
+      html: `<p>${chapter.courseDescription || ''}</p>${renderBibliography(collectChapterSources(items, chapter), citationStyle)}`,
+      topics: (chapter.topics || []).map(topic => ({
+        title: topic.topicTitle,
+        html: items[getJournalKey(topic)]?.content
+          || `<p>${topic.topicLearningObjectiveDescription || ''}</p>`,
+        sections: (topic.lessons || []).map(lesson => ({
+          title: lesson.lessonTitle,
+          html: items[getJournalKey(lesson)]?.content
+            || `<p>${lesson.lessonDescription || ''}</p>`
+        }))
+      }))
+    })),
+    backMatter: splitBookBibliography(bibliographyHtml).backMatter
+  };
+};
+
+// True once at least one lesson has generated content to export
+export const hasGeneratedContent = (project) => {
+  const items = project?.publishingJournal?.items || {};
+  return Object.values(items).some(item => item.type === 'section' && item.content);
+};
+
+// bookStructure: { title, content, chapters: [{ title, content, topics: [{ title, content, sections: [{ title, content }] }] }] }
+export const buildBookFromWordPress = (bookStructure) => {
+  const { content, backMatter } = splitBookBibliography(bookStructure.content || '');
+  return {
+    title: decodeEntities(bookStructure.title) || 'Untitled Ebook',
+    subtitle: '',
+    author: '',
+    language: 'en',
+    frontMatter: content.trim() ? [{ title: 'Introduction', html: content }] : [],
+    chapters: bookStructure.chapters.map(chapter => ({
+      title: decodeEntities(chapter.title),
+      html: chapter.content || '',
+      topics: chapter.topics.map(topic => ({
+        title: decodeEntities(topic.title),
+        html: topic.content || '',
+        sections: topic.sections.map(section => ({
+          title: decodeEntities(section.title),
+          html: section.content || ''
+        }))
+      }))
+    })),
+    backMatter
+  };
+};
@@ -0,0 +1,157 @@
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  Packer,
+  PageBreak,
+  PageNumber,
+  Paragraph,
+  TableOfContents,
+  TextRun
+} from 'docx';
+import { htmlToBlocks } from './htmlBlocks';
+
+const HEADING_LEVELS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+  5: HeadingLevel.HEADING_5,
+  6: HeadingLevel.HEADING_6
+};
+
+const toTextRuns = (runs) => runs.flatMap(run => run.text.split('\n').map((text, index) => new TextRun({
+  text,
+  bold: run.bold,
+  italics: run.italic,
+  font: run.code ? 'Courier New' : undefined,
+  break: index > 0 ? 1 : undefined
+})));
+
+// headingOffset pushes headings inside generated HTML below the structural heading they sit under
+const blocksToParagraphs = (html, headingOffset) => htmlToBlocks(html).map(block => {
+  if (block.type === 'heading') {
+    return new Paragraph({
+      heading: HEADING_LEVELS[Math.min(6, block.level + headingOffset)],
+      children: toTextRuns(block.runs)
+    });
+  }
+  if (block.type === 'listItem') {
+    if (block.ordered) {
+      return new Paragraph({
+        indent: { left: 360 * (block.depth + 1), hanging: 360 },
+        children: [new TextRun(`${block.index}.\t`), ...toTextRuns(block.runs)]
+      });
+    }
+    return new Paragraph({
+      bullet: { level: Math.min(block.depth, 8) },
+      children: toTextRuns(block.runs)
+    });
+  }
+  if (block.type === 'code') {
+    return new Paragraph({
+      indent: { left: 360 },
+      children: block.text.split('\n').map((line, index) => new TextRun({
+        text: line,
+        font: 'Courier New',
+        size: 18,
+        break: index > 0 ? 1 : undefined
+      }))
+    });
+  }
+  return new Paragraph({
+    indent: block.quote ? { left: 480 } : undefined,
+    spacing: { after: 120 },
+    children: toTextRuns(block.quote ? block.runs.map(run => ({ ...run, italic: true })) : block.runs)
+  });
+});
+
+const heading = (title, level, pageBreakBefore = false) => new Paragraph({
+  heading: HEADING_LEVELS[level],
+  pageBreakBefore,
+  children: [new TextRun(title)]
+});
+
+export const exportDocx = async (book) => {
+  console.log(`📝 Building DOCX for: ${book.title}`);
+
+  const coverChildren = [
+    new Paragraph({ spacing: { before: 3000 }, children: [] }),
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun(book.title)]
+    }),
+    book.subtitle && new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: book.subtitle, size: 28 })]
+    }),
+    book.author && new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 600 },
+      children: [new TextRun({ text: book.author, italics: true, size: 26 })]
+    })
+  ].filter(Boolean);
+
+  const bodyChildren = [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Contents')] }),
+    // Word fills the table in when the document is opened (updateFields)
+    new TableOfContents('Contents', { hyperlink: true, headingStyleRange: '1-2' }),
+    new Paragraph({ children: [new PageBreak()] })
+  ];
+
+  book.frontMatter.forEach((item, index) => {
+    bodyChildren.push(heading(item.title, 1, index > 0));
+    bodyChildren.push(...blocksToParagraphs(item.html, 1));
+  });
+
+  book.chapters.forEach((chapter, chapterIndex) => {
+    bodyChildren.push(heading(chapter.title, 1, chapterIndex > 0 || book.frontMatter.length > 0));
+    bodyChildren.push(...blocksToParagraphs(chapter.html, 2));
+    chapter.topics.forEach(topic => {
+      bodyChildren.push(heading(topic.title, 2));
+      bodyChildren.push(...blocksToParagraphs(topic.html, 2));
+      topic.sections.forEach(section => {
+        bodyChildren.push(heading(section.title, 3));
+        bodyChildren.push(...blocksToParagraphs(section.html, 3));
+      });
+    });
+  });
+
+  book.backMatter.forEach(item => {
+    bodyChildren.push(heading(item.title, 1, true));
+    bodyChildren.push(...blocksToParagraphs(item.html, 1));
+  });
+
+  const doc = new Document({
+    title: book.title,
+    creator: book.author || 'EbookGen',
+    features: { updateFields: true },
+    sections: [
+      { children: coverChildren },
+      {
+        headers: {
+          default: new Header({
+            children: [new Paragraph({
+              alignment: AlignmentType.RIGHT,
+              children: [new TextRun({ text: book.title, size: 16, color: '777777' })]
+            })]
+          })
+        },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({ children: [PageNumber.CURRENT], size: 18 })]
+            })]
+          })
+        },
+        children: bodyChildren
+      }
+    ]
+  });
+
+  return Packer.toBlob(doc);
+};
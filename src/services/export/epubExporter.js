@@ -0,0 +1,233 @@
+import JSZip from 'jszip';
+
+export const escapeXml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Re-serialise loose WordPress/LLM HTML as well-formed XHTML
+const toXhtml = (html) => {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  doc.body.querySelectorAll('script, style, iframe, form').forEach(node => node.remove());
+  const serializer = new XMLSerializer();
+  return Array.from(doc.body.childNodes)
+    .map(node => serializer.serializeToString(node))
+    .join('')
+    .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+};
+
+const xhtmlPage = (title, body, language) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const STYLES = `body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.8em; margin: 1.5em 0 0.8em; page-break-before: always; }
+h2 { font-size: 1.4em; margin: 1.4em 0 0.6em; }
+h3 { font-size: 1.15em; margin: 1.2em 0 0.5em; }
+p { margin: 0 0 0.8em; text-align: justify; }
+blockquote { margin: 1em 1.5em; font-style: italic; }
+pre, code { font-family: monospace; font-size: 0.9em; }
+.cover { text-align: center; margin-top: 30%; }
+nav ol { list-style: none; padding-left: 1em; }`;
+
+// Simple typographic cover so the package always has a cover image
+const coverSvg = (title, subtitle, author) => {
+  const words = title.split(/\s+/);
+  const lines = [];
+  words.forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last && (last + ' ' + word).length <= 18) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  const titleText = lines.slice(0, 6).map((line, index) =>
+    `<text x="300" y="${260 + index * 64}" font-size="52" font-weight="bold" text-anchor="middle" fill="#ffffff" font-family="Georgia, serif">${escapeXml(line)}</text>`
+  ).join('\n  ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="600" height="900" viewBox="0 0 600 900">
+  <rect width="600" height="900" fill="#1e40af"/>
+  <rect x="30" y="30" width="540" height="840" fill="none" stroke="#93c5fd" stroke-width="2"/>
+  ${titleText}
+  ${subtitle ? `<text x="300" y="720" font-size="24" text-anchor="middle" fill="#dbeafe" font-family="Georgia, serif">${escapeXml(subtitle.slice(0, 40))}</text>` : ''}
+  ${author ? `<text x="300" y="800" font-size="22" font-style="italic" text-anchor="middle" fill="#dbeafe" font-family="Georgia, serif">${escapeXml(author)}</text>` : ''}
+</svg>`;
+};
+
+const createIdentifier = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return `urn:uuid:${crypto.randomUUID()}`;
+  }
+  return `urn:uuid:${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+};
+
+export const exportEpub = async (book) => {
+  console.log(`📚 Building EPUB for: ${book.title}`);
+  const language = book.language || 'en';
+  const zip = new JSZip();
+
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`);
+
+  const oebps = zip.folder('OEBPS');
+  oebps.file('styles.css', STYLES);
+  oebps.file('cover.svg', coverSvg(book.title, book.subtitle, book.author));
+  oebps.file('cover.xhtml', xhtmlPage(book.title, `<section epub:type="cover" class="cover">
+  <img src="cover.svg" alt="${escapeXml(book.title)}" style="max-width: 100%;" />
+</section>`, language));
+
+  // One XHTML document per front-matter item, per chapter and per back-matter item
+  const documents = [];
+  book.frontMatter.forEach((item, index) => {
+    documents.push({
+      id: `front-${index + 1}`,
+      href: `front-${index + 1}.xhtml`,
+      title: item.title,
+      body: `<section epub:type="${item.title === 'Preface' ? 'preface' : 'introduction'}">
+<h1>${escapeXml(item.title)}</h1>
+${toXhtml(item.html)}
+</section>`,
+      topics: []
+    });
+  });
+
+  book.chapters.forEach((chapter, chapterIndex) => {
+    const topics = chapter.topics.map((topic, topicIndex) => ({
+      anchor: `topic-${chapterIndex + 1}-${topicIndex + 1}`,
+      title: topic.title
+    }));
+    const body = `<section epub:type="chapter">
+<h1>${escapeXml(chapter.title)}</h1>
+${toXhtml(chapter.html)}
+${chapter.topics.map((topic, topicIndex) => `<section id="${topics[topicIndex].anchor}">
+<h2>${escapeXml(topic.title)}</h2>
+${toXhtml(topic.html)}
+${topic.sections.map(section => `<section>
+<h3>${escapeXml(section.title)}</h3>
+${toXhtml(section.html)}
+</section>`).join('\n')}
+</section>`).join('\n')}
+</section>`;
+
+    documents.push({
+      id: `chapter-${chapterIndex + 1}`,
+      href: `chapter-${chapterIndex + 1}.xhtml`,
+      title: chapter.title,
+      body,
+      topics
+    });
+  });
+
+  book.backMatter.forEach((item, index) => {
+    documents.push({
+      id: `back-${index + 1}`,
+      href: `back-${index + 1}.xhtml`,
+      title: item.title,
+      body: `<section epub:type="bibliography">
+<h1>${escapeXml(item.title)}</h1>
+${toXhtml(item.html)}
+</section>`,
+      topics: []
+    });
+  });
+
+  documents.forEach(entry => {
+    oebps.file(entry.href, xhtmlPage(entry.title, entry.body, language));
+  });
+
+  const navList = documents.map(entry => `      <li><a href="${entry.href}">${escapeXml(entry.title)}</a>${entry.topics.length ? `
+        <ol>
+${entry.topics.map(topic => `          <li><a href="${entry.href}#${topic.anchor}">${escapeXml(topic.title)}</a></li>`).join('\n')}
+        </ol>` : ''}</li>`).join('\n');
+
+  oebps.file('nav.xhtml', xhtmlPage('Contents', `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${navList}
+  </ol>
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+  <ol>
+    <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>
+    <li><a epub:type="toc" href="nav.xhtml">Contents</a></li>
+    ${documents[0] ? `<li><a epub:type="bodymatter" href="${documents[0].href}">Start</a></li>` : ''}
+  </ol>
+</nav>`, language));
+
+  // NCX for EPUB 2 reading systems
+  let playOrder = 0;
+  const navPoints = documents.map(entry => {
+    playOrder++;
+    return `    <navPoint id="nav-${entry.id}" playOrder="${playOrder}">
+      <navLabel><text>${escapeXml(entry.title)}</text></navLabel>
+      <content src="${entry.href}"/>
+${entry.topics.map(topic => {
+    playOrder++;
+    return `      <navPoint id="nav-${topic.anchor}" playOrder="${playOrder}">
+        <navLabel><text>${escapeXml(topic.title)}</text></navLabel>
+        <content src="${entry.href}#${topic.anchor}"/>
+      </navPoint>`;
+  }).join('\n')}
+    </navPoint>`;
+  }).join('\n');
+
+  const identifier = createIdentifier();
+  oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+  </head>
+  <docTitle><text>${escapeXml(book.title)}</text></docTitle>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>`);
+
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+    <dc:language>${language}</dc:language>
+    ${book.author ? `<dc:creator>${escapeXml(book.author)}</dc:creator>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta name="cover" content="cover-image"/>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="styles" href="styles.css" media-type="text/css"/>
+    <item id="cover-image" href="cover.svg" media-type="image/svg+xml" properties="cover-image"/>
+    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+${documents.map(entry => `    <item id="${entry.id}" href="${entry.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="cover"/>
+    <itemref idref="nav"/>
+${documents.map(entry => `    <itemref idref="${entry.id}"/>`).join('\n')}
+  </spine>
+</package>`);
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip' });
+};
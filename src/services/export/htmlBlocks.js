@@ -0,0 +1,128 @@
+// Flatten generated HTML into simple blocks the PDF and DOCX writers can lay out.
+// Block types: heading { level, runs }, paragraph { runs, quote }, listItem { runs, ordered, index, depth }, code { text }
+// Runs: { text, bold, italic, code }
+
+const HEADING_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'svg', 'HR'];
+const BLOCK_TAGS = [
+  ...HEADING_TAGS, 'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'ASIDE', 'MAIN', 'FIGURE',
+  'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'THEAD', 'TBODY', 'TR', 'DL', 'DT', 'DD'
+];
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+const isBlockElement = (node) => node.nodeType === 1 && BLOCK_TAGS.includes(node.tagName);
+
+const collectRuns = (nodes, style = {}) => {
+  const runs = [];
+  nodes.forEach(node => {
+    if (node.nodeType === 3) {
+      const text = collapseWhitespace(node.textContent);
+      if (text) runs.push({ text, ...style });
+      return;
+    }
+    if (node.nodeType !== 1 || SKIPPED_TAGS.includes(node.tagName)) return;
+
+    if (node.tagName === 'BR') {
+      runs.push({ text: '\n', ...style });
+      return;
+    }
+
+    const nextStyle = { ...style };
+    if (['STRONG', 'B'].includes(node.tagName)) nextStyle.bold = true;
+    if (['EM', 'I'].includes(node.tagName)) nextStyle.italic = true;
+    if (node.tagName === 'CODE') nextStyle.code = true;
+    runs.push(...collectRuns(Array.from(node.childNodes), nextStyle));
+  });
+  return runs;
+};
+
+// Trim leading/trailing whitespace across the run list and drop empties
+const tidyRuns = (runs) => {
+  const result = runs.map(run => ({ ...run }));
+  while (result.length && !result[0].text.trim()) result.shift();
+  while (result.length && !result[result.length - 1].text.trim()) result.pop();
+  if (result.length) {
+    result[0].text = result[0].text.replace(/^\s+/, '');
+    result[result.length - 1].text = result[result.length - 1].text.replace(/\s+$/, '');
+  }
+  return result;
+};
+
+const walk = (parent, blocks, context = {}) => {
+  let inlineBuffer = [];
+
+  const flushInline = () => {
+    const runs = tidyRuns(collectRuns(inlineBuffer));
+    if (runs.length) {
+      blocks.push({ type: 'paragraph', runs, quote: !!context.quote });
+    }
+    inlineBuffer = [];
+  };
+
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 1 && SKIPPED_TAGS.includes(node.tagName)) return;
+    if (!isBlockElement(node)) {
+      inlineBuffer.push(node);
+      return;
+    }
+
+    flushInline();
+    const tag = node.tagName;
+
+    if (HEADING_TAGS.includes(tag)) {
+      const runs = tidyRuns(collectRuns(Array.from(node.childNodes)));
+      if (runs.length) blocks.push({ type: 'heading', level: parseInt(tag.slice(1)), runs });
+    } else if (tag === 'P' || tag === 'DT' || tag === 'DD') {
+      const runs = tidyRuns(collectRuns(Array.from(node.childNodes)));
+      if (runs.length) blocks.push({ type: 'paragraph', runs, quote: !!context.quote });
+    } else if (tag === 'UL' || tag === 'OL') {
+      let index = 0;
+      Array.from(node.children).forEach(child => {
+        if (child.tagName !== 'LI') return;
+        index++;
+        const inlineChildren = Array.from(child.childNodes).filter(item => !isBlockElement(item));
+        const runs = tidyRuns(collectRuns(inlineChildren));
+        if (runs.length) {
+          blocks.push({ type: 'listItem', runs, ordered: tag === 'OL', index, depth: context.depth || 0 });
+        }
+        // Nested lists and paragraphs inside the list item
+        const nested = Array.from(child.childNodes).filter(isBlockElement);
+        nested.forEach(item => {
+          const wrapper = document.createElement('div');
+          wrapper.appendChild(item.cloneNode(true));
+          walk(wrapper, blocks, { ...context, depth: (context.depth || 0) + 1 });
+        });
+      });
+    } else if (tag === 'PRE') {
+      const text = node.textContent.replace(/\s+$/, '');
+      if (text) blocks.push({ type: 'code', text });
+    } else if (tag === 'BLOCKQUOTE') {
+      walk(node, blocks, { ...context, quote: true });
+    } else if (tag === 'TABLE' || tag === 'THEAD' || tag === 'TBODY') {
+      node.querySelectorAll('tr').forEach(row => {
+        const cells = Array.from(row.children).map(cell => collapseWhitespace(cell.textContent).trim());
+        if (cells.some(Boolean)) {
+          blocks.push({ type: 'paragraph', runs: [{ text: cells.join('  |  ') }], quote: false });
+        }
+      });
+    } else if (tag === 'TR') {
+      const cells = Array.from(node.children).map(cell => collapseWhitespace(cell.textContent).trim());
+      if (cells.some(Boolean)) blocks.push({ type: 'paragraph', runs: [{ text: cells.join('  |  ') }], quote: false });
+    } else {
+      walk(node, blocks, context);
+    }
+  });
+
+  flushInline();
+};
+
+export const htmlToBlocks = (html) => {
+  if (!html) return [];
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const blocks = [];
+  walk(doc.body, blocks);
+  return blocks;
+};
+
+export const runsToText = (runs) => runs.map(run => run.text).join('');
@@ -0,0 +1,40 @@
+import { exportPdf } from './pdfExporter';
+import { exportEpub } from './epubExporter';
+import { exportDocx } from './docxExporter';
+
+export { buildBookFromProject, buildBookFromWordPress, hasGeneratedContent } from './bookModel';
+
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', exporter: exportPdf },
+  epub: { label: 'EPUB', extension: 'epub', exporter: exportEpub },
+  docx: { label: 'DOCX', extension: 'docx', exporter: exportDocx }
+};
+
+const toFilename = (title, extension) => {
+  const base = (title || 'ebook')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${base || 'ebook'}.${extension}`;
+};
+
+export const exportBook = async (book, format) => {
+  const config = EXPORT_FORMATS[format];
+  if (!config) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  const blob = await config.exporter(book);
+  return { blob, filename: toFilename(book.title, config.extension) };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
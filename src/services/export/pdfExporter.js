@@ -0,0 +1,287 @@
+import { jsPDF } from 'jspdf';
+import { htmlToBlocks } from './htmlBlocks';
+
+// A4 in points
+const PAGE = { width: 595.28, height: 841.89 };
+const MARGIN = { top: 72, bottom: 72, left: 66, right: 66 };
+const CONTENT_WIDTH = PAGE.width - MARGIN.left - MARGIN.right;
+const TOC_LINE_HEIGHT = 20;
+const TOC_LINES_PER_PAGE = Math.floor((PAGE.height - MARGIN.top - MARGIN.bottom - 60) / TOC_LINE_HEIGHT);
+
+const BODY_SIZE = 11;
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13, 4: 12, 5: 11, 6: 11 };
+
+const getFontStyle = (run) => {
+  if (run.bold && run.italic) return 'bolditalic';
+  if (run.bold) return 'bold';
+  if (run.italic) return 'italic';
+  return 'normal';
+};
+
+class PdfBookWriter {
+  constructor(book) {
+    this.book = book;
+    this.doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    this.y = MARGIN.top;
+    this.tocEntries = [];
+    this.pageHeaders = {}; // page number -> running header text
+    this.currentHeader = '';
+  }
+
+  get pageNumber() {
+    return this.doc.getNumberOfPages();
+  }
+
+  setFont(style = 'normal', size = BODY_SIZE, code = false) {
+    this.doc.setFont(code ? 'courier' : 'helvetica', style);
+    this.doc.setFontSize(size);
+  }
+
+  addPage() {
+    this.doc.addPage();
+    this.y = MARGIN.top;
+    this.pageHeaders[this.pageNumber] = this.currentHeader;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > PAGE.height - MARGIN.bottom) {
+      this.addPage();
+    }
+  }
+
+  // Word-wrap mixed-style runs into lines of { text, style, code, width } segments
+  layoutRuns(runs, size, maxWidth, forceBold = false) {
+    const lines = [[]];
+    let lineWidth = 0;
+
+    runs.forEach(run => {
+      const style = forceBold ? (run.italic ? 'bolditalic' : 'bold') : getFontStyle(run);
+      this.setFont(style, size, run.code);
+
+      run.text.split(/(\n|\s+)/).forEach(token => {
+        if (!token) return;
+        if (token === '\n') {
+          lines.push([]);
+          lineWidth = 0;
+          return;
+        }
+        const isSpace = /^\s+$/.test(token);
+        const text = isSpace ? ' ' : token;
+        const width = this.doc.getTextWidth(text);
+
+        if (!isSpace && lineWidth + width > maxWidth && lines[lines.length - 1].length > 0) {
+          lines.push([]);
+          lineWidth = 0;
+        }
+        if (isSpace && lineWidth === 0) return;
+
+        lines[lines.length - 1].push({ text, style, code: run.code, width });
+        lineWidth += width;
+      });
+    });
+
+    return lines.map(line => {
+      while (line.length && /^\s+$/.test(line[line.length - 1].text)) line.pop();
+      return line;
+    });
+  }
+
+  writeRuns(runs, { size = BODY_SIZE, indent = 0, bold = false, prefix = '', color = 20, spacingAfter = 6 } = {}) {
+    const lineHeight = size * 1.45;
+    const x = MARGIN.left + indent;
+    const lines = this.layoutRuns(runs, size, CONTENT_WIDTH - indent, bold);
+
+    this.doc.setTextColor(color);
+    lines.forEach((line, lineIndex) => {
+      this.ensureSpace(lineHeight);
+      if (prefix && lineIndex === 0) {
+        this.setFont('normal', size);
+        this.doc.text(prefix, x - this.doc.getTextWidth(prefix) - 4, this.y + size);
+      }
+      let cursor = x;
+      line.forEach(segment => {
+        this.setFont(segment.style, size, segment.code);
+        this.doc.text(segment.text, cursor, this.y + size);
+        cursor += segment.width;
+      });
+      this.y += lineHeight;
+    });
+    this.y += spacingAfter;
+    this.doc.setTextColor(0);
+  }
+
+  writeBlocks(html, headingOffset = 0) {
+    htmlToBlocks(html).forEach(block => {
+      if (block.type === 'heading') {
+        const level = Math.min(6, block.level + headingOffset);
+        this.ensureSpace(HEADING_SIZES[level] * 3);
+        this.y += 4;
+        this.writeRuns(block.runs, { size: HEADING_SIZES[level], bold: true, spacingAfter: 4 });
+      } else if (block.type === 'listItem') {
+        const indent = 16 + block.depth * 16;
+        this.writeRuns(block.runs, { indent, prefix: block.ordered ? `${block.index}.` : '•', spacingAfter: 3 });
+      } else if (block.type === 'code') {
+        block.text.split('\n').forEach(line => {
+          this.writeRuns([{ text: line || ' ', code: true }], { size: 9, indent: 12, spacingAfter: 0 });
+        });
+        this.y += 6;
+      } else {
+        this.writeRuns(block.runs, { indent: block.quote ? 18 : 0, color: block.quote ? 80 : 20 });
+      }
+    });
+  }
+
+  // Starts a new page for chapter-level entries and records the TOC position
+  writeHeading(title, level) {
+    const size = level === 1 ? 22 : level === 2 ? 16 : 13;
+    if (level === 1) {
+      this.currentHeader = title;
+      this.addPage();
+      this.y += 40;
+    } else {
+      this.ensureSpace(size * 4);
+      this.y += 10;
+    }
+
+    if (level <= 2) {
+      this.tocEntries.push({ title, level, page: this.pageNumber });
+    }
+    this.writeRuns([{ text: title }], { size, bold: true, spacingAfter: level === 1 ? 18 : 8 });
+  }
+
+  writeCover() {
+    const { title, subtitle, author } = this.book;
+    this.doc.setFillColor(30, 64, 175);
+    this.doc.rect(0, 0, PAGE.width, PAGE.height * 0.45, 'F');
+
+    this.doc.setTextColor(255);
+    this.setFont('bold', 30);
+    const titleLines = this.doc.splitTextToSize(title, CONTENT_WIDTH);
+    this.doc.text(titleLines, PAGE.width / 2, PAGE.height * 0.22, { align: 'center' });
+
+    this.doc.setTextColor(60);
+    if (subtitle) {
+      this.setFont('normal', 14);
+      this.doc.text(this.doc.splitTextToSize(subtitle, CONTENT_WIDTH), PAGE.width / 2, PAGE.height * 0.55, { align: 'center' });
+    }
+    if (author) {
+      this.setFont('italic', 13);
+      this.doc.text(author, PAGE.width / 2, PAGE.height * 0.62, { align: 'center' });
+    }
+    this.doc.setTextColor(0);
+  }
+
+  // TOC pages are reserved up front (entry count is known) and filled in once page numbers exist
+  reserveTocPages() {
+    const entryCount = this.book.frontMatter.length + this.book.backMatter.length + this.book.chapters.reduce(
+      (sum, chapter) => sum + 1 + chapter.topics.length, 0
+    );
+    const tocPageCount = Math.max(1, Math.ceil(entryCount / TOC_LINES_PER_PAGE));
+    const firstTocPage = this.pageNumber + 1;
+    for (let i = 0; i < tocPageCount; i++) {
+      this.currentHeader = 'Contents';
+      this.addPage();
+    }
+    return { firstTocPage, tocPageCount };
+  }
+
+  writeToc({ firstTocPage }) {
+    let page = firstTocPage;
+    this.doc.setPage(page);
+    let y = MARGIN.top;
+
+    this.setFont('bold', 22);
+    this.doc.text('Contents', MARGIN.left, y + 22);
+    y += 60;
+
+    this.tocEntries.forEach(entry => {
+      if (y + TOC_LINE_HEIGHT > PAGE.height - MARGIN.bottom) {
+        page++;
+        this.doc.setPage(page);
+        y = MARGIN.top;
+      }
+      const indent = entry.level === 1 ? 0 : 18;
+      const pageLabel = String(entry.page);
+      this.setFont(entry.level === 1 ? 'bold' : 'normal', entry.level === 1 ? 11 : 10);
+      const maxTitleWidth = CONTENT_WIDTH - indent - 40;
+      const [titleLine] = this.doc.splitTextToSize(entry.title, maxTitleWidth);
+      this.doc.text(titleLine, MARGIN.left + indent, y + 11);
+      this.doc.text(pageLabel, PAGE.width - MARGIN.right, y + 11, { align: 'right' });
+      this.doc.link(MARGIN.left + indent, y, CONTENT_WIDTH - indent, TOC_LINE_HEIGHT, { pageNumber: entry.page });
+      y += TOC_LINE_HEIGHT;
+    });
+  }
+
+  // Running header (book title / current chapter) and page numbers on every page after the cover
+  writePageFurniture() {
+    const total = this.pageNumber;
+    for (let page = 2; page <= total; page++) {
+      this.doc.setPage(page);
+      this.setFont('normal', 8);
+      this.doc.setTextColor(120);
+      this.doc.text(this.doc.splitTextToSize(this.book.title, CONTENT_WIDTH / 2 - 10)[0], MARGIN.left, 40);
+      const header = this.pageHeaders[page];
+      if (header) {
+        this.doc.text(this.doc.splitTextToSize(header, CONTENT_WIDTH / 2 - 10)[0], PAGE.width - MARGIN.right, 40, { align: 'right' });
+      }
+      this.doc.setDrawColor(200);
+      this.doc.line(MARGIN.left, 46, PAGE.width - MARGIN.right, 46);
+      this.setFont('normal', 9);
+      this.doc.text(String(page), PAGE.width / 2, PAGE.height - 36, { align: 'center' });
+      this.doc.setTextColor(0);
+    }
+  }
+
+  addOutline() {
+    let currentChapter = null;
+    this.tocEntries.forEach(entry => {
+      if (entry.level === 1) {
+        currentChapter = this.doc.outline.add(null, entry.title, { pageNumber: entry.page });
+      } else {
+        this.doc.outline.add(currentChapter, entry.title, { pageNumber: entry.page });
+      }
+    });
+  }
+
+  render() {
+    const { book } = this;
+    this.doc.setProperties({ title: book.title, author: book.author || '', creator: 'EbookGen' });
+
+    this.writeCover();
+    const toc = this.reserveTocPages();
+
+    book.frontMatter.forEach(item => {
+      this.writeHeading(item.title, 1);
+      this.writeBlocks(item.html, 1);
+    });
+
+    book.chapters.forEach(chapter => {
+      this.writeHeading(chapter.title, 1);
+      this.writeBlocks(chapter.html, 2);
+      chapter.topics.forEach(topic => {
+        this.writeHeading(topic.title, 2);
+        this.writeBlocks(topic.html, 2);
+        topic.sections.forEach(section => {
+          this.writeHeading(section.title, 3);
+          this.writeBlocks(section.html, 3);
+        });
+      });
+    });
+
+    book.backMatter.forEach(item => {
+      this.writeHeading(item.title, 1);
+      this.writeBlocks(item.html, 1);
+    });
+
+    this.writeToc(toc);
+    this.writePageFurniture();
+    this.addOutline();
+    return this.doc.output('blob');
+  }
+}
+
+export const exportPdf = async (book) => {
+  console.log(`📄 Building PDF for: ${book.title}`);
+  return new PdfBookWriter(book).render();
+};
+
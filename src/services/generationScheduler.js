@@ -0,0 +1,178 @@
+// Per-provider job scheduling for publishing runs.
+// Jobs run with bounded concurrency per provider; individual HTTP requests are throttled against
+// requests-per-minute / tokens-per-minute budgets and retried with backoff on 429 responses.
+
+export const DEFAULT_RATE_LIMITS = {
+  openai: { concurrency: 3, requestsPerMinute: 60, tokensPerMinute: 150000 },
+  perplexity: { concurrency: 2, requestsPerMinute: 40, tokensPerMinute: 0 },
+  wordpress: { concurrency: 1, requestsPerMinute: 120, tokensPerMinute: 0 }
+};
+
+const WINDOW_MS = 60000;
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isRateLimitError = (error) => {
+  if (!error) return false;
+  const status = error.status || error.response?.status;
+  if (status === 429) return true;
+  return /rate limit|too many requests/i.test(error.message || '');
+};
+
+// Retry-After may be delta-seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = error.retryAfter ?? parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter;
+  }
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+  return backoff + Math.round(Math.random() * 1000);
+};
+
+// Rough token count for budgeting: ~4 characters per token plus the requested completion size
+export const estimateRequestTokens = (data = {}) => {
+  const promptChars = JSON.stringify(data.messages || data.input || '').length;
+  const completionTokens = data.max_tokens || data.max_output_tokens || 1000;
+  return Math.ceil(promptChars / 4) + completionTokens;
+};
+
+export class ProviderLimiter {
+  constructor(name, { concurrency = 1, requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    this.name = name;
+    // Values may arrive as strings from the settings form; 0 disables a budget
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    this.requestsPerMinute = Number(requestsPerMinute) || 0;
+    this.tokensPerMinute = Number(tokensPerMinute) || 0;
+    this.active = 0;
+    this.queue = [];
+    this.history = []; // [{ time, tokens }] for the sliding one-minute window
+    this.pausedUntil = 0;
+    this.cancelled = false;
+  }
+
+  // Job-level concurrency: resolves with the task result once a slot is free
+  run(task) {
+    return new Promise((resolve, reject) => {
+      if (this.cancelled) {
+        reject(new Error('Publishing process aborted by user'));
+        return;
+      }
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  // Wait until the request fits into the RPM/TPM budget and any 429 pause has elapsed
+  async acquire(tokens) {
+    for (;;) {
+      if (this.cancelled) {
+        throw new Error('Publishing process aborted by user');
+      }
+
+      const now = Date.now();
+      this.history = this.history.filter(entry => now - entry.time < WINDOW_MS);
+
+      let waitMs = Math.max(0, this.pausedUntil - now);
+      if (!waitMs && this.requestsPerMinute && this.history.length >= this.requestsPerMinute) {
+        waitMs = WINDOW_MS - (now - this.history[0].time);
+      }
+      if (!waitMs && this.tokensPerMinute && this.history.length > 0) {
+        const usedTokens = this.history.reduce((sum, entry) => sum + entry.tokens, 0);
+        if (usedTokens + tokens > this.tokensPerMinute) {
+          waitMs = WINDOW_MS - (now - this.history[0].time);
+        }
+      }
+
+      if (!waitMs) {
+        this.history.push({ time: now, tokens });
+        return;
+      }
+
+      console.log(`⏳ ${this.name} rate limit: waiting ${Math.ceil(waitMs / 1000)}s before next request`);
+      await sleep(waitMs);
+    }
+  }
+
+  // Request-level budgeting with 429 retries
+  async execute(request, { estimatedTokens = 0 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(estimatedTokens);
+      try {
+        return await request();
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt >= MAX_RETRIES || this.cancelled) {
+          throw error;
+        }
+        const delay = getRetryDelay(error, attempt);
+        // Pause the whole provider so queued requests don't hit the same limit
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        console.warn(`⚠️ ${this.name} returned 429, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      }
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+    const pending = this.queue.splice(0);
+    pending.forEach(({ reject }) => reject(new Error('Publishing process aborted by user')));
+  }
+}
+
+class GenerationScheduler {
+  constructor(limits = {}) {
+    this.cancelled = false;
+    this.limiters = {};
+    Object.entries({ ...DEFAULT_RATE_LIMITS, ...limits }).forEach(([provider, config]) => {
+      this.limiters[provider] = new ProviderLimiter(provider, {
+        ...DEFAULT_RATE_LIMITS[provider],
+        ...config
+      });
+    });
+  }
+
+  getLimiter(provider) {
+    if (!this.limiters[provider]) {
+      this.limiters[provider] = new ProviderLimiter(provider);
+    }
+    return this.limiters[provider];
+  }
+
+  schedule(provider, task) {
+    return this.getLimiter(provider).run(task);
+  }
+
+  // Reject queued jobs and stop further requests; requests already in flight are left to finish
+  cancel() {
+    this.cancelled = true;
+    Object.values(this.limiters).forEach(limiter => limiter.cancel());
+  }
+}
+
+export default GenerationScheduler;
@@ -0,0 +1,43 @@
+import OpenAIService from './openaiService';
+import PerplexityService from './perplexityService';
+import LocalRagService from './localRagService';
+import { createProvider, getUpstreamAccess, resolveStageRoute } from './providers';
+
+// Build the OpenAIService a generation stage should use, following the project's provider routing.
+// Returns null for useFallbackKey unless the stage runs on the built-in OpenAI provider with a fallback key.
+// onUsage receives token usage for every response (see costLedger), including local-library query embeddings.
+// prompts: renderer from createPromptRenderer; the built-in prompt templates are used without one.
+// styleProfile: the project's style profile, applied to the preface, topic introduction and section prompts.
+export const createStageService = (settings, routing, stage, { useFallbackKey = false, onUsage = null, prompts = null, styleProfile = null } = {}) => {
+  const { config, model } = resolveStageRoute(settings, routing, stage);
+  const openaiAccess = getUpstreamAccess(settings, 'openai', { useFallbackKey });
+  if (useFallbackKey && !(config.builtIn && openaiAccess)) {
+    return null;
+  }
+
+  return new OpenAIService(openaiAccess?.apiKey || '', {
+    baseUrl: openaiAccess?.baseUrl,
+    provider: createProvider(config, { useFallbackKey, settings }),
+    model,
+    fallbackModel: config.builtIn ? undefined : config.fallbackModel || model
+  })
+    .setUsageRecorder(onUsage)
+    .setPromptTemplates(prompts)
+    .setStyleProfile(styleProfile)
+    .setKnowledgeRetriever(new LocalRagService(settings).setUsageRecorder(onUsage));
+};
+
+// PerplexityService for the primary (or fallback) key, or through the AI proxy with server-managed keys.
+// Returns null when that key isn't configured.
+export const createPerplexityService = (settings, { useFallbackKey = false } = {}) => {
+  const access = getUpstreamAccess(settings, 'perplexity', { useFallbackKey });
+  return access ? new PerplexityService(access.apiKey, { baseUrl: access.baseUrl }) : null;
+};
+
+// Rate limiter key for a stage: requests are budgeted per provider
+export const getStageProviderId = (settings, routing, stage) => resolveStageRoute(settings, routing, stage).config.id;
+
+export const describeStageRoute = (settings, routing, stage) => {
+  const { config, model } = resolveStageRoute(settings, routing, stage);
+  return `${config.name}${model ? ` (${model})` : ''}`;
+};
@@ -0,0 +1,42 @@
+// Okapi BM25 keyword ranking, the fallback when a local library has no embedding model
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+export const tokenize = (text = '') => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+// Term frequencies are stored with each chunk when it is indexed, so ranking only needs the query
+export const getTermFrequencies = (text) => {
+  const frequencies = {};
+  tokenize(text).forEach(term => {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  });
+  return frequencies;
+};
+
+// chunks: [{ terms: { term: count }, length }]; returns BM25 scores in the same order
+export const scoreBm25 = (query, chunks) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || chunks.length === 0) {
+    return chunks.map(() => 0);
+  }
+
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+  const idf = {};
+  queryTerms.forEach(term => {
+    const documentFrequency = chunks.filter(chunk => chunk.terms[term]).length;
+    idf[term] = Math.log(1 + (chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  });
+
+  return chunks.map(chunk => queryTerms.reduce((score, term) => {
+    const frequency = chunk.terms[term] || 0;
+    if (!frequency) return score;
+    return score + idf[term] * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * chunk.length / averageLength));
+  }, 0));
+};
@@ -0,0 +1,58 @@
+// Same chunking parameters as the OpenAI vector stores (see vectorStoreService)
+export const CHUNK_SIZE_TOKENS = 650;
+export const CHUNK_OVERLAP_TOKENS = 250;
+
+// Roughly 4 characters per token, matching the estimates used elsewhere (costLedger, generationScheduler)
+const estimateWordTokens = (word) => Math.max(1, Math.ceil((word.length + 1) / 4));
+
+const describePages = (pageStart, pageEnd) => {
+  if (pageStart === null) return null;
+  return pageStart === pageEnd ? `p. ${pageStart}` : `pp. ${pageStart}-${pageEnd}`;
+};
+
+// Split parsed pages into overlapping chunks of ~maxTokens tokens. Chunks may span pages;
+// each one records the first and last page it draws text from.
+export const chunkPages = (pages, { maxTokens = CHUNK_SIZE_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) => {
+  const words = [];
+  pages.forEach(({ page, text }) => {
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      words.push({ word, page, tokens: estimateWordTokens(word) });
+    });
+  });
+
+  const chunks = [];
+  let start = 0;
+  while (start < words.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < words.length && (tokens + words[end].tokens <= maxTokens || end === start)) {
+      tokens += words[end].tokens;
+      end++;
+    }
+
+    const slice = words.slice(start, end);
+    const pageStart = slice[0].page;
+    const pageEnd = slice[slice.length - 1].page;
+    chunks.push({
+      index: chunks.length,
+      text: slice.map(item => item.word).join(' '),
+      tokens,
+      pageStart,
+      pageEnd,
+      pageLabel: describePages(pageStart, pageEnd)
+    });
+
+    if (end >= words.length) break;
+
+    // Step back far enough to repeat ~overlapTokens tokens at the start of the next chunk
+    let overlap = 0;
+    let next = end;
+    while (next > start + 1 && overlap + words[next - 1].tokens <= overlapTokens) {
+      next--;
+      overlap += words[next].tokens;
+    }
+    start = next;
+  }
+
+  return chunks;
+};
@@ -0,0 +1,136 @@
+import JSZip from 'jszip';
+
+// Client-side text extraction for local knowledge libraries. Every parser returns
+// { type, pages: [{ page, text }] }; page is null where the format has no pages (TXT / Markdown).
+
+export const SUPPORTED_EXTENSIONS = ['pdf', 'docx', 'txt', 'md', 'markdown'];
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+export const getFileExtension = (fileName = '') => (fileName.split('.').pop() || '').toLowerCase();
+
+export const isSupportedDocument = (file) => SUPPORTED_EXTENSIONS.includes(getFileExtension(file.name));
+
+const normalizeText = (text = '') => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// pdf.js is large, so it is only loaded the first time a PDF is indexed
+const loadPdfJs = async () => {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjs;
+};
+
+const parsePdf = async (file) => {
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`)
+        .join('');
+      pages.push({ page: pageNumber, text: normalizeText(text) });
+      page.cleanup();
+    }
+    return { type: 'pdf', pages };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// DOCX has no fixed pages; Word's rendered page breaks (and explicit ones) give approximate page numbers
+const parseDocx = async (file) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) {
+    throw new Error('Not a valid DOCX file (word/document.xml is missing)');
+  }
+
+  const doc = new DOMParser().parseFromString(documentXml, 'application/xml');
+  const pages = [{ page: 1, text: '' }];
+  const currentPage = () => pages[pages.length - 1];
+  const startPage = () => pages.push({ page: pages.length + 1, text: '' });
+
+  Array.from(doc.getElementsByTagNameNS(WORD_NAMESPACE, 'p')).forEach(paragraph => {
+    let text = '';
+    Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')).forEach(node => {
+      switch (node.localName) {
+        case 't':
+          text += node.textContent;
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'br':
+          if (node.getAttributeNS(WORD_NAMESPACE, 'type') === 'page') {
+            currentPage().text += `${text}\n`;
+            text = '';
+            startPage();
+          } else {
+            text += '\n';
+          }
+          break;
+        case 'lastRenderedPageBreak':
+          if (text || currentPage().text) {
+            currentPage().text += `${text}\n`;
+            text = '';
+            startPage();
+          }
+          break;
+        default:
+          break;
+      }
+    });
+    currentPage().text += `${text}\n`;
+  });
+
+  return {
+    type: 'docx',
+    pages: pages.map(page => ({ ...page, text: normalizeText(page.text) }))
+  };
+};
+
+const parseText = async (file, type) => ({
+  type,
+  pages: [{ page: null, text: normalizeText(await file.text()) }]
+});
+
+export const parseDocument = async (file) => {
+  const extension = getFileExtension(file.name);
+  console.log(`📄 Parsing ${file.name} for the local knowledge library`);
+
+  let parsed;
+  switch (extension) {
+    case 'pdf':
+      parsed = await parsePdf(file);
+      break;
+    case 'docx':
+      parsed = await parseDocx(file);
+      break;
+    case 'txt':
+      parsed = await parseText(file, 'txt');
+      break;
+    case 'md':
+    case 'markdown':
+      parsed = await parseText(file, 'md');
+      break;
+    default:
+      throw new Error(`Unsupported file type ".${extension}". Local libraries accept PDF, DOCX, TXT and Markdown.`);
+  }
+
+  const pages = parsed.pages.filter(page => page.text);
+  if (pages.length === 0) {
+    throw new Error(`No text could be extracted from ${file.name}${extension === 'pdf' ? ' (scanned PDFs need OCR first)' : ''}`);
+  }
+  return { ...parsed, pages, pageCount: parsed.pages.length };
+};
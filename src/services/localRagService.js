@@ -0,0 +1,280 @@
+import IndexedDBAdapter from './adapters/indexedDbAdapter';
+import { extractUsage } from './costLedger';
+import { createProvider, getProviderConfig } from './providers';
+import { parseDocument, getFileExtension } from './localRag/documentParser';
+import { chunkPages } from './localRag/chunker';
+import { getTermFrequencies, scoreBm25, tokenize } from './localRag/bm25';
+
+// Local, offline alternative to OpenAI vector stores. Libraries live in IndexedDB:
+//   ragLibraries: { id, name, embedding: { providerId, model } | null, documents: [summary], chunkCount, createdAt, updatedAt }
+//   ragDocuments: { id, libraryId, fileName, chunks: [{ index, text, pageStart, pageEnd, pageLabel, terms, length, embedding }] }
+// Libraries with an embedding model are searched by cosine similarity; without one (or when the
+// embedding endpoint is unreachable) they fall back to BM25 keyword ranking.
+
+export const LOCAL_LIBRARY_PREFIX = 'local-';
+export const DEFAULT_TOP_K = 5;
+const EMBEDDING_BATCH_SIZE = 32;
+
+export const isLocalLibraryId = (libraryId) => typeof libraryId === 'string' && libraryId.startsWith(LOCAL_LIBRARY_PREFIX);
+
+const createId = (prefix) => `${prefix}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const normalizeVector = (values) => {
+  const vector = Float32Array.from(values);
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+// Vectors are stored normalized, so the dot product is the cosine similarity
+const dotProduct = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+const summarizeDocument = (record, file, parsed) => ({
+  id: record.id,
+  fileName: record.fileName,
+  type: parsed.type || getFileExtension(file.name),
+  bytes: file.size,
+  pageCount: parsed.pageCount,
+  chunkCount: record.chunks.length,
+  addedAt: new Date().toISOString()
+});
+
+// Retrieved chunks as the knowledge-library block of the section prompt, each labelled with its source.
+// startNumber continues the numbering after any web sources listed before them.
+export const formatRetrievedContext = (results, startNumber = 1) => results
+  .map((result, index) => `[${startNumber + index}] Source: ${result.fileName}${result.pageLabel ? `, ${result.pageLabel}` : ''}\n${result.text}`)
+  .join('\n\n');
+
+class LocalRagService {
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.libraries = new IndexedDBAdapter('ragLibraries');
+    this.documents = new IndexedDBAdapter('ragDocuments');
+    this.usageRecorder = null;
+    this.access = null;
+  }
+
+  // Libraries are shared within the workspace they were created in. Libraries from before workspaces
+  // (private to ownerId, or to nobody) are adopted into their owner's personal workspace, so adoptLegacy is
+  // only set there. Without a workspace (e.g. the retriever, which only opens libraries already assigned to
+  // the project) every library is reachable.
+  setWorkspace(workspaceId, { userId = null, adoptLegacy = false } = {}) {
+    this.access = workspaceId ? { workspaceId, userId, adoptLegacy } : null;
+    return this;
+  }
+
+  isVisible(library) {
+    if (!this.access) return true;
+    if (library.workspaceId) return library.workspaceId === this.access.workspaceId;
+    return this.access.adoptLegacy && (!library.ownerId || library.ownerId === this.access.userId);
+  }
+
+  // Same callback shape as OpenAIService.setUsageRecorder; receives usage for query embeddings
+  setUsageRecorder(usageRecorder) {
+    this.usageRecorder = usageRecorder;
+    return this;
+  }
+
+  async listLibraries() {
+    const libraries = (await this.libraries.list()).filter(library => this.isVisible(library));
+    for (const library of libraries) {
+      if (this.access && !library.workspaceId) {
+        library.workspaceId = this.access.workspaceId;
+        library.ownerId = library.ownerId || this.access.userId;
+        await this.libraries.save(library);
+      }
+    }
+    return libraries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getLibrary(libraryId) {
+    const library = await this.libraries.get(libraryId);
+    return library && this.isVisible(library) ? library : null;
+  }
+
+  async requireLibrary(libraryId) {
+    const library = await this.getLibrary(libraryId);
+    if (!library) {
+      throw new Error('Local knowledge library not found. It may have been deleted or created in another browser.');
+    }
+    return library;
+  }
+
+  // embedding: { providerId, model } from the configured LLM providers, or null for keyword search only
+  async createLibrary(name, files, { embedding = null, onProgress = null } = {}) {
+    console.log(`🗂️ Creating local knowledge library: ${name} with ${files.length} files`);
+    const now = new Date().toISOString();
+    const library = {
+      id: createId(LOCAL_LIBRARY_PREFIX),
+      name,
+      backend: 'local',
+      workspaceId: this.access?.workspaceId || null,
+      ownerId: this.access?.userId || null,
+      embedding: embedding?.providerId && embedding?.model ? embedding : null,
+      documents: [],
+      chunkCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Fail before parsing anything if the embedding endpoint is misconfigured
+    if (library.embedding) {
+      await this.embed(library.embedding, ['connection test']);
+    }
+
+    await this.libraries.save(library);
+    return this.addFiles(library.id, files, { onProgress });
+  }
+
+  // Parse, chunk and (optionally) embed files into an existing library. Files that fail are reported, not thrown.
+  async addFiles(libraryId, files, { onProgress = null } = {}) {
+    const library = await this.requireLibrary(libraryId);
+    const failed = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      onProgress?.({ current: i + 1, total: files.length, fileName: file.name });
+      try {
+        const parsed = await parseDocument(file);
+        const chunks = chunkPages(parsed.pages).map(chunk => {
+          const terms = getTermFrequencies(chunk.text);
+          return { ...chunk, terms, length: tokenize(chunk.text).length };
+        });
+
+        if (library.embedding) {
+          const vectors = await this.embed(library.embedding, chunks.map(chunk => chunk.text));
+          chunks.forEach((chunk, index) => {
+            chunk.embedding = vectors[index];
+          });
+        }
+
+        const record = { id: createId('doc-'), libraryId, fileName: file.name, chunks };
+        await this.documents.save(record);
+        library.documents.push(summarizeDocument(record, file, parsed));
+        library.chunkCount += chunks.length;
+        console.log(`✅ Indexed ${file.name}: ${chunks.length} chunks from ${parsed.pageCount} page(s)`);
+      } catch (error) {
+        console.error(`❌ Failed to index ${file.name}:`, error);
+        failed.push({ fileName: file.name, error: error.message });
+      }
+    }
+
+    library.updatedAt = new Date().toISOString();
+    await this.libraries.save(library);
+    return { library, failed };
+  }
+
+  async renameLibrary(libraryId, name) {
+    const library = await this.requireLibrary(libraryId);
+    const updated = { ...library, name, updatedAt: new Date().toISOString() };
+    await this.libraries.save(updated);
+    return updated;
+  }
+
+  async removeDocument(libraryId, documentId) {
+    const library = await this.requireLibrary(libraryId);
+    const document = library.documents.find(doc => doc.id === documentId);
+    await this.documents.remove(documentId);
+    const updated = {
+      ...library,
+      documents: library.documents.filter(doc => doc.id !== documentId),
+      chunkCount: Math.max(0, library.chunkCount - (document?.chunkCount || 0)),
+      updatedAt: new Date().toISOString()
+    };
+    await this.libraries.save(updated);
+    return updated;
+  }
+
+  async deleteLibrary(libraryId) {
+    const library = await this.requireLibrary(libraryId);
+    for (const document of library.documents) {
+      await this.documents.remove(document.id);
+    }
+    await this.libraries.remove(libraryId);
+    console.log(`🗑️ Deleted local knowledge library: ${library.name}`);
+  }
+
+  async embed(embedding, texts, signal = null) {
+    const config = getProviderConfig(this.settings, embedding.providerId);
+    if (config.id !== embedding.providerId) {
+      throw new Error(`Embedding provider "${embedding.providerId}" is no longer configured in Settings`);
+    }
+    const provider = createProvider(config, { settings: this.settings });
+
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+      const data = { model: embedding.model, input: texts.slice(start, start + EMBEDDING_BATCH_SIZE) };
+      const result = await provider.post('/embeddings', data, signal);
+      this.recordUsage(provider, data, result);
+      (result.data || [])
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(normalizeVector(item.embedding)));
+    }
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Embedding endpoint returned ${vectors.length} vectors for ${texts.length} inputs`);
+    }
+    return vectors;
+  }
+
+  recordUsage(provider, data, result) {
+    if (!this.usageRecorder) return;
+    try {
+      this.usageRecorder({
+        provider: provider.id,
+        model: result.model || data.model,
+        endpoint: '/embeddings',
+        ...extractUsage('/embeddings', data, result)
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to record embedding usage:', error.message);
+    }
+  }
+
+  // Top-k chunks for a query: [{ text, fileName, pageLabel, score, method }]
+  async search(libraryId, query, { topK = DEFAULT_TOP_K, signal = null } = {}) {
+    const library = await this.requireLibrary(libraryId);
+    const records = (await this.documents.list()).filter(record => record.libraryId === libraryId);
+    const chunks = records.flatMap(record => record.chunks.map(chunk => ({ ...chunk, fileName: record.fileName })));
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    let method = 'bm25';
+    let scores = null;
+    if (library.embedding && chunks.every(chunk => chunk.embedding)) {
+      try {
+        const [queryVector] = await this.embed(library.embedding, [query], signal);
+        scores = chunks.map(chunk => dotProduct(queryVector, chunk.embedding));
+        method = 'embedding';
+      } catch (error) {
+        console.warn(`⚠️ Query embedding failed, falling back to keyword search: ${error.message}`);
+      }
+    }
+    if (!scores) {
+      scores = scoreBm25(query, chunks);
+    }
+
+    const results = chunks
+      .map((chunk, index) => ({
+        text: chunk.text,
+        fileName: chunk.fileName,
+        pageLabel: chunk.pageLabel,
+        score: scores[index],
+        method
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    console.log(`🔍 Local library "${library.name}": ${results.length} chunks retrieved by ${method}`);
+    return results;
+  }
+}
+
+export default LocalRagService;
@@ -1,313 +1,477 @@
+import { estimateRequestTokens } from './generationScheduler';
+import { extractUsage } from './costLedger';
+import OpenAICompatibleProvider from './providers/openaiCompatibleProvider';
+import { OPENAI_BASE_URL } from './providers';
+import { isLocalLibraryId, formatRetrievedContext } from './localRagService';
+import {
+  isCitationStyleEnabled,
+  createWebSource,
+  createLibrarySource,
+  formatSourcesForPrompt,
+  applyInlineCitations
+} from './citations';
+import {
+  prefaceSchema,
+  chapterOutlineSchema,
+  chapterTopicsSchema,
+  additionalLessonsSchema,
+  topicSplitSchema,
+  chapterMergeSchema,
+  topicSuggestionsSchema,
+  MAX_TOPIC_SUGGESTIONS,
+  toResponseFormat,
+  validateAgainstSchema,
+  parseJsonReply,
+  repairOutlineResult
+} from './outlineSchemas';
+import { defaultPromptRenderer, describeOutline } from './promptTemplates';
+import { formatStyleGuide } from './styleProfiles';
+
+const DEFAULT_MODEL = 'gpt-4.1-mini-2025-04-14';
+const DEFAULT_FALLBACK_MODEL = 'gpt-3.5-turbo';
+const STRUCTURED_OUTPUT_ATTEMPTS = 3;
+
+// Drop a trailing unfinished tag (e.g. "<h3 cla") from text cut off mid-stream
+const trimPartialHtml = (html = '') => html.replace(/<[^>]*$/, '').trimEnd();
+
+// Models with json_schema structured outputs; older models only get JSON mode
+const supportsJsonSchema = (model) => /^(gpt-4o|gpt-4\.1|gpt-5|o[134])/.test(model);
+
 class OpenAIService {
-  constructor(apiKey) {
+  // provider: chat-completions backend for this service (defaults to OpenAI itself).
+  // model: forces a model for every call, used when a stage is routed to a specific provider/model.
+  // The OpenAI key is still used for knowledge-library (file_search) requests.
+  // baseUrl: where OpenAI requests go (the AI proxy with server-managed keys, see getUpstreamAccess)
+  constructor(apiKey, { baseUrl = OPENAI_BASE_URL, provider = null, model = null, fallbackModel = DEFAULT_FALLBACK_MODEL } = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.openai.com/v1';
+    this.baseURL = baseUrl;
     this.abortController = null;
+    this.rateLimiter = null;
+    this.usageRecorder = null;
+    this.knowledgeRetriever = null;
+    this.prompts = defaultPromptRenderer;
+    this.styleProfile = null;
+    this.openai = new OpenAICompatibleProvider({ baseUrl, apiKey });
+    this.openaiAssistants = new OpenAICompatibleProvider({
+      baseUrl,
+      apiKey,
+      headers: { 'OpenAI-Beta': 'assistants=v2' }
+    });
+    this.provider = provider || this.openai;
+    this.modelOverride = model;
+    this.fallbackModel = fallbackModel || model || DEFAULT_FALLBACK_MODEL;
   }
 
-  async makeRequest(endpoint, data, signal = null) {
-    console.log(`Making OpenAI request to ${endpoint} with model: ${data.model}`);
+  resolveModel(gptOptions = {}) {
+    return this.modelOverride || gptOptions.model || DEFAULT_MODEL;
+  }
 
-    try {
-      const response = await fetch(`${this.baseURL}${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-          // Add OpenAI-Beta header when using file_search or /responses
-          ...(data.tools && data.tools.some(tool => tool.type === 'file_search') ? { 'OpenAI-Beta': 'assistants=v2' } : {}),
-          // Add OpenAI-Beta header for /responses endpoint
-          ...(endpoint === '/responses' ? { 'OpenAI-Beta': 'assistants=v2' } : {})
-        },
-        body: JSON.stringify(data),
-        signal: signal
+  // Optional ProviderLimiter used during publishing to respect RPM/TPM budgets and 429 backoff
+  setRateLimiter(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+    return this;
+  }
+
+  // Optional callback receiving { provider, model, endpoint, inputTokens, outputTokens, estimated } per response
+  setUsageRecorder(usageRecorder) {
+    this.usageRecorder = usageRecorder;
+    return this;
+  }
+
+  // LocalRagService used when a lesson's knowledge library is a local (IndexedDB) library
+  setKnowledgeRetriever(knowledgeRetriever) {
+    this.knowledgeRetriever = knowledgeRetriever;
+    return this;
+  }
+
+  // Prompt renderer from createPromptRenderer (library versions and project overrides of the prompt templates)
+  setPromptTemplates(prompts) {
+    this.prompts = prompts || defaultPromptRenderer;
+    return this;
+  }
+
+  // Style profile (see styleProfiles.js) whose style guide goes into the preface, topic introduction and section prompts
+  setStyleProfile(styleProfile) {
+    this.styleProfile = styleProfile;
+    return this;
+  }
+
+  // Insert [n] after each file_search citation in /responses text, numbering cited files after the
+  // sources already listed (first citation first) and appending them to sources
+  numberFileCitations(text, annotations, sources) {
+    const fileCitations = (annotations || [])
+      .filter(annotation => annotation.type === 'file_citation' && typeof annotation.index === 'number')
+      .sort((a, b) => a.index - b.index)
+      .map(annotation => {
+        const fileName = annotation.filename || annotation.file_id;
+        let number = sources.findIndex(source => source.type === 'library' && source.fileName === fileName) + 1;
+        if (!number) {
+          sources.push(createLibrarySource({ fileName }));
+          number = sources.length;
+        }
+        return { index: annotation.index, number };
       });
 
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('OpenAI API error:', error);
-        throw new Error(error.error?.message || `OpenAI API error: ${response.status}`);
-      }
+    return fileCitations.reduceRight(
+      (marked, { index, number }) => `${marked.slice(0, index)} [${number}]${marked.slice(index)}`,
+      text
+    );
+  }
 
-      const result = await response.json();
-      console.log(`OpenAI request successful with model: ${data.model}`);
-      return result;
+  recordUsage(provider, endpoint, data, result) {
+    if (!this.usageRecorder) return;
+    try {
+      this.usageRecorder({
+        provider: provider.id,
+        model: result.model || data.model,
+        endpoint,
+        ...extractUsage(endpoint, data, result)
+      });
     } catch (error) {
-      if (error.name === 'AbortError') {
-        console.log('OpenAI request was aborted');
-        throw new Error('Request was aborted by user');
-      }
-      console.error(`OpenAI API request failed: ${error.message}`);
-      throw error;
+      console.warn('⚠️ Failed to record token usage:', error.message);
     }
   }
 
-  async generateMarketResearch(ebookNiche, mustHaveAspects, otherDesignConsiderations, gptOptions = {}, signal = null) {
-    console.log(`Generating market research for niche: ${ebookNiche} using FIXED defaults (model: gpt-4.1-mini-2025-04-14, tokens: 2000)`);
+  // stream: { onDelta, stopSignal } streams a chat completion over SSE (see OpenAICompatibleProvider.streamChatCompletion)
+  async makeRequest(endpoint, data, signal = null, stream = null) {
+    if (this.rateLimiter) {
+      return this.rateLimiter.execute(
+        () => this.sendRequest(endpoint, data, signal, stream),
+        { estimatedTokens: estimateRequestTokens(data) }
+      );
+    }
+    return this.sendRequest(endpoint, data, signal, stream);
+  }
 
-    const prompt = `Act as a Senior Content Strategist and bestselling non-fiction ghostwriter. I am commissioning an authoritative ebook in the professional niche of: ${ebookNiche}.
+  async sendRequest(endpoint, data, signal = null, stream = null) {
+    let provider;
+    let result;
+    if (endpoint === '/chat/completions') {
+      provider = this.provider;
+      result = stream
+        ? await provider.streamChatCompletion(data, { signal, ...stream })
+        : await provider.createChatCompletion(data, signal);
+    } else {
+      // Responses API / file_search calls always go to OpenAI
+      provider = this.openaiAssistants;
+      result = await provider.post(endpoint, data, signal);
+    }
+    this.recordUsage(provider, endpoint, data, result);
+    return result;
+  }
 
-Some of the initial considerations for the ebook as per the commissioning editor are:
+  // Request a JSON reply for an outline stage. Replies that fail the schema are repaired where possible,
+  // otherwise sent back to the model with the validation errors; throws with error.validationErrors when all attempts fail.
+  async requestStructuredOutput({ stage, label, prompt, schemaName, schema, model, maxTokens, temperature, onValidationIssue, signal }) {
+    let mode = this.provider.structuredOutput;
+    if (mode === 'json_schema' && !supportsJsonSchema(model)) {
+      mode = 'json_object';
+    }
+    const responseFormat = mode === 'json_schema'
+      ? toResponseFormat(schemaName, schema)
+      : mode === 'json_object' ? { type: 'json_object' } : null;
+    const messages = [{
+      role: 'user',
+      content: mode === 'prompt'
+        ? `${prompt}\n\nThe JSON object MUST validate against this JSON schema:\n${JSON.stringify(schema)}`
+        : prompt
+    }];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= STRUCTURED_OUTPUT_ATTEMPTS; attempt++) {
+      const response = await this.makeRequest('/chat/completions', {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      }, signal);
 
-Must-have content and themes: ${mustHaveAspects}
+      const message = response.choices[0].message;
+      const content = message.content || '';
 
-Additional content and structural considerations: ${otherDesignConsiderations || 'None specified'}
+      if (message.refusal) {
+        errors = [`Model refused the request: ${message.refusal}`];
+      } else if (response.choices[0].finish_reason === 'length') {
+        errors = ['Response was cut off at the token limit before the JSON was complete'];
+      } else {
+        try {
+          const result = repairOutlineResult(stage, parseJsonReply(content));
+          errors = validateAgainstSchema(result, schema);
+          if (errors.length === 0) {
+            if (attempt > 1) {
+              console.log(`✅ ${label} passed validation on attempt ${attempt}`);
+            }
+            return result;
+          }
+        } catch (parseError) {
+          errors = [`Response is not valid JSON: ${parseError.message}`];
+        }
+      }
 
-Your mission is to conduct a deep market and audience analysis to uncover the most potent professional drivers, emotional triggers, and desired outcomes of the target readership for this ebook. This deep insight will inform the ebook's structure, tone, and content to ensure it is highly practical, resonant, and achieves maximum impact for the reader.
+      console.warn(`⚠️ ${label} failed validation (attempt ${attempt}/${STRUCTURED_OUTPUT_ATTEMPTS}):`, errors);
+      if (onValidationIssue) {
+        onValidationIssue({ stage, label, attempt, maxAttempts: STRUCTURED_OUTPUT_ATTEMPTS, errors });
+      }
 
-The final output MUST be a single text paragraph string titled "ebook_research_brief". The ebook_research_brief will include: "ebookTitle", "readerTransformationPillars", "idealReaderProfile", "marketRelevance", "hardHittingPainPoints", "keyEmotionalTriggers", "tangibleReaderResults", "assumedReaderKnowledge", and "recommendedContentStructure".
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your previous response did not match the required JSON schema:\n- ${errors.join('\n- ')}\n\nReturn the complete corrected JSON object only.`
+        }
+      );
+    }
 
-Generate the "ebook_research_brief" paragraph now. The output should be a single, continuous text string that can be passed to the next node.`;
+    const validationError = new Error(`${label} did not pass validation after ${STRUCTURED_OUTPUT_ATTEMPTS} attempts`);
+    validationError.stage = stage;
+    validationError.validationErrors = errors;
+    throw validationError;
+  }
 
-    try {
-      const response = await this.makeRequest('/chat/completions', {
-        model: 'gpt-4.1-mini-2025-04-14',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 2000,
-        temperature: 0.7
-      }, signal);
+  // Primary model first; request failures (not validation failures) fall back to the fallback model
+  async generateStructured(request, gptOptions = {}, defaultMaxTokens = 2000) {
+    const options = {
+      ...request,
+      maxTokens: gptOptions.max_tokens_gpt || defaultMaxTokens,
+      temperature: gptOptions.temperature || 0.7
+    };
 
-      return response.choices[0].message.content;
+    try {
+      return await this.requestStructuredOutput({ ...options, model: this.resolveModel(gptOptions) });
     } catch (error) {
-      console.log('Error with primary model, falling back to gpt-3.5-turbo:', error.message);
+      if (error.validationErrors || error.message === 'Request was aborted by user') {
+        throw error;
+      }
+      console.log(`Error with primary model, falling back to ${this.fallbackModel}:`, error.message);
       try {
-        const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: 2000,
-          temperature: 0.7
-        }, signal);
-
-        return fallbackResponse.choices[0].message.content;
+        return await this.requestStructuredOutput({ ...options, model: this.fallbackModel });
       } catch (fallbackError) {
-        throw new Error(`Failed to generate market research: ${fallbackError.message}`);
+        if (fallbackError.validationErrors) {
+          throw fallbackError;
+        }
+        throw new Error(`Failed to generate ${request.label.toLowerCase()}: ${fallbackError.message}`);
       }
     }
   }
 
-  async generatePrefaceAndIntroduction(researchBrief, mustHaveAspects, otherDesignConsiderations, gptOptions = {}, signal = null) {
-    console.log('Generating preface and introduction using model:', gptOptions.model || 'gpt-4.1-mini-2025-04-14');
-
-    const prompt = `Act as an expert developmental editor and bestselling non-fiction author. Your task is to write the ebook's preface and Introduction.
-
-CONTEXT:
-Use the research brief below:
-${researchBrief}
-
-Must-Have Themes: ${mustHaveAspects}
-Other Ebook Structural Considerations: ${otherDesignConsiderations || 'None specified'}
-
-TASK:
-Given the above research brief and additional context, generate both a Preface and Introduction for the book. Generate both in HTML format. Around 800-1000 words each for Preface and Introduction.
+  async generateMarketResearch(ebookNiche, mustHaveAspects, otherDesignConsiderations, gptOptions = {}, signal = null) {
+    const researchModel = this.modelOverride || DEFAULT_MODEL;
+    console.log(`Generating market research for niche: ${ebookNiche} using FIXED defaults (model: ${researchModel}, tokens: 2000)`);
 
-Format your response as a JSON object with two keys:
-{"preface": "<html content for preface>", "introduction": "<html content for introduction>"}`;
+    const { text: prompt } = this.prompts.render('research.openai', {
+      niche: ebookNiche,
+      mustHaveAspects,
+      otherConsiderations: otherDesignConsiderations || 'None specified'
+    });
 
     try {
       const response = await this.makeRequest('/chat/completions', {
-        model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
+        model: researchModel,
         messages: [
           { role: 'user', content: prompt }
         ],
-        max_tokens: gptOptions.max_tokens_gpt || 3000,
-        temperature: gptOptions.temperature || 0.7
+        max_tokens: 2000,
+        temperature: 0.7
       }, signal);
 
-      try {
-        return JSON.parse(response.choices[0].message.content);
-      } catch (parseError) {
-        console.log('Error parsing JSON response, using content directly:', parseError.message);
-        const content = response.choices[0].message.content;
-        return {
-          preface: content.includes('Preface') ? content.split('Introduction')[0] : content,
-          introduction: content.includes('Introduction') ? content.split('Introduction')[1] || content : content
-        };
-      }
+      return response.choices[0].message.content;
     } catch (error) {
-      console.log('Error with primary model, falling back to gpt-3.5-turbo:', error.message);
+      console.log(`Error with primary model, falling back to ${this.fallbackModel}:`, error.message);
       try {
         const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
+          model: this.fallbackModel,
           messages: [
             { role: 'user', content: prompt }
           ],
-          max_tokens: gptOptions.max_tokens_gpt || 3000,
-          temperature: gptOptions.temperature || 0.7
+          max_tokens: 2000,
+          temperature: 0.7
         }, signal);
 
-        try {
-          return JSON.parse(fallbackResponse.choices[0].message.content);
-        } catch (fallbackParseError) {
-          const content = fallbackResponse.choices[0].message.content;
-          return {
-            preface: content.includes('Preface') ? content.split('Introduction')[0] : content,
-            introduction: content.includes('Introduction') ? content.split('Introduction')[1] || content : content
-          };
-        }
+        return fallbackResponse.choices[0].message.content;
       } catch (fallbackError) {
-        throw new Error(`Failed to generate preface and introduction: ${fallbackError.message}`);
+        throw new Error(`Failed to generate market research: ${fallbackError.message}`);
       }
     }
   }
 
-  async generateChapterOutline(researchBrief, mustHaveAspects, maxChapters, otherDesignConsiderations, gptOptions = {}, signal = null) {
-    console.log(`Generating chapter outline with max chapters: ${maxChapters} using model: ${gptOptions.model || 'gpt-4.1-mini-2025-04-14'}`);
+  async generatePrefaceAndIntroduction(researchBrief, mustHaveAspects, otherDesignConsiderations, gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log('Generating preface and introduction using model:', this.resolveModel(gptOptions));
 
-    const prompt = `Act as an expert developmental editor and curriculum design specialist. Your task is to apply curriculum design principles to outline a practical, high-impact ebook by structuring the ebook's main chapters as a sequence of "courses".
+    const { text: prompt } = this.prompts.render('outline.preface', {
+      researchBrief,
+      mustHaveAspects,
+      otherConsiderations: otherDesignConsiderations || 'None specified',
+      styleGuide: formatStyleGuide(this.styleProfile)
+    });
 
-CONTEXT:
-${researchBrief}
+    return this.generateStructured({
+      stage: 'preface',
+      label: 'Preface and introduction',
+      prompt,
+      schemaName: 'preface_and_introduction',
+      schema: prefaceSchema(),
+      onValidationIssue,
+      signal
+    }, gptOptions, 3000);
+  }
 
-Must-Have Themes: ${mustHaveAspects}
-Other Ebook Structural Considerations: ${otherDesignConsiderations || 'None specified'}
+  async generateChapterOutline(researchBrief, mustHaveAspects, maxChapters, otherDesignConsiderations, gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log(`Generating chapter outline with max chapters: ${maxChapters} using model: ${this.resolveModel(gptOptions)}`);
 
-Total number of courses (chapters) should not exceed ${maxChapters}.
+    const { text: prompt } = this.prompts.render('outline.chapters', {
+      researchBrief,
+      mustHaveAspects,
+      otherConsiderations: otherDesignConsiderations || 'None specified',
+      maxChapters
+    });
 
-TASK:
-Generate a logical, scaffolded sequence of "courses" to structure the ebook. Each course should build upon previous knowledge and guide the reader toward mastery.
+    const result = await this.generateStructured({
+      stage: 'chapters',
+      label: 'Chapter outline',
+      prompt,
+      schemaName: 'chapter_outline',
+      schema: chapterOutlineSchema(maxChapters),
+      onValidationIssue,
+      signal
+    }, gptOptions);
+    return result.chapters;
+  }
 
-Your output MUST be an array of JSON objects. Each object represents a chapter and MUST have the following keys:
-- "courseNumber": Integer starting from 1
-- "courseTitle": String - compelling chapter title
-- "courseDescription": String - brief description of what this chapter covers
+  // instruction: optional editor guidance when a single chapter's topics are regenerated from the outline editor
+  async generateChapterTopics(researchBrief, chapterTitle, chapterDescription, mustHaveAspects, gptOptions = {}, signal = null, onValidationIssue = null, instruction = '') {
+    console.log(`Generating topics for chapter: ${chapterTitle} using model: ${this.resolveModel(gptOptions)}`);
 
-Return ONLY the JSON array, no other text.`;
+    const { text: prompt } = this.prompts.render('outline.topics', {
+      researchBrief,
+      chapterTitle,
+      chapterDescription,
+      mustHaveAspects,
+      instruction: instruction?.trim()
+    });
 
-    try {
-      const response = await this.makeRequest('/chat/completions', {
-        model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: gptOptions.max_tokens_gpt || 2000,
-        temperature: gptOptions.temperature || 0.7
-      }, signal);
+    const result = await this.generateStructured({
+      stage: 'topics',
+      label: `Topics for "${chapterTitle}"`,
+      prompt,
+      schemaName: 'chapter_topics',
+      schema: chapterTopicsSchema(),
+      onValidationIssue,
+      signal
+    }, gptOptions);
+    return result.topics;
+  }
 
-      try {
-        const content = response.choices[0].message.content;
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        return jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(content);
-      } catch (parseError) {
-        console.error('Error parsing chapter outline JSON response:', parseError);
-        throw new Error('Failed to parse chapter outline JSON response');
-      }
-    } catch (error) {
-      console.log('Error with primary model, falling back to gpt-3.5-turbo:', error.message);
-      try {
-        const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: gptOptions.max_tokens_gpt || 2000,
-          temperature: gptOptions.temperature || 0.7
-        }, signal);
+  async generateAdditionalLessons(researchBrief, chapterTitle, topic, count, instruction = '', gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log(`Generating ${count} more lessons for topic: ${topic.topicTitle} using model: ${this.resolveModel(gptOptions)}`);
+
+    const { text: prompt } = this.prompts.render('outline.addLessons', {
+      researchBrief,
+      chapterTitle,
+      topicTitle: topic.topicTitle,
+      topicObjective: topic.topicLearningObjectiveDescription,
+      existingLessons: JSON.stringify((topic.lessons || []).map(lesson => lesson.lessonTitle)),
+      count,
+      instruction: instruction?.trim()
+    });
 
-        try {
-          const content = fallbackResponse.choices[0].message.content;
-          const jsonMatch = content.match(/\[[\s\S]*\]/);
-          return jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(content);
-        } catch (fallbackParseError) {
-          throw new Error('Failed to parse chapter outline JSON response from fallback model');
-        }
-      } catch (fallbackError) {
-        throw new Error(`Failed to generate chapter outline: ${fallbackError.message}`);
-      }
-    }
+    const result = await this.generateStructured({
+      stage: 'lessons',
+      label: `New lessons for "${topic.topicTitle}"`,
+      prompt,
+      schemaName: 'additional_lessons',
+      schema: additionalLessonsSchema(count),
+      onValidationIssue,
+      signal
+    }, gptOptions);
+    return result.lessons;
   }
 
-  async generateChapterTopics(researchBrief, chapterTitle, chapterDescription, mustHaveAspects, gptOptions = {}, signal = null) {
-    console.log(`Generating topics for chapter: ${chapterTitle} using model: ${gptOptions.model || 'gpt-4.1-mini-2025-04-14'}`);
+  async splitTopic(researchBrief, chapterTitle, topic, instruction = '', gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log(`Splitting topic: ${topic.topicTitle} using model: ${this.resolveModel(gptOptions)}`);
 
-    const prompt = `As an expert ebook architect, you are designing a single chapter of an authoritative professional ebook. Your task is to create the complete, detailed content outline for this single chapter.
+    const { text: prompt } = this.prompts.render('outline.split', {
+      researchBrief,
+      chapterTitle,
+      topic: JSON.stringify(topic),
+      instruction: instruction?.trim()
+    });
 
-CONTEXT:
-${researchBrief}
+    const result = await this.generateStructured({
+      stage: 'split',
+      label: `Split of "${topic.topicTitle}"`,
+      prompt,
+      schemaName: 'topic_split',
+      schema: topicSplitSchema(),
+      onValidationIssue,
+      signal
+    }, gptOptions);
+    return result.topics;
+  }
 
-Current Chapter: ${chapterTitle}
-Chapter Description: ${chapterDescription}
-Must-Have aspects: ${mustHaveAspects}
+  // Returns { courseTitle, courseDescription, topics } for one chapter covering both chapters
+  async mergeChapters(researchBrief, firstChapter, secondChapter, instruction = '', gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log(`Merging chapters "${firstChapter.courseTitle}" and "${secondChapter.courseTitle}" using model: ${this.resolveModel(gptOptions)}`);
 
-TASK:
-Generate the complete content outline for ONLY the chapter specified above. Break down the chapter into logical topics and sections that deliver maximum value to the reader.
+    const describeChapter = ({ courseTitle, courseDescription, topics }) => JSON.stringify({ courseTitle, courseDescription, topics });
+    const { text: prompt } = this.prompts.render('outline.merge', {
+      researchBrief,
+      firstChapter: describeChapter(firstChapter),
+      secondChapter: describeChapter(secondChapter),
+      instruction: instruction?.trim()
+    });
 
-Your output MUST be a single raw array of JSON objects. Each object in the array represents a chapter topic and MUST have the following keys:
-- "topicTitle": String - the main topic title
-- "topicLearningObjectiveDescription": String - what the reader will learn/achieve
-- "lessons": Array of lesson objects, each with:
-  - "lessonTitle": String - specific lesson title
-  - "lessonDescription": String - what this lesson covers
+    return this.generateStructured({
+      stage: 'merge',
+      label: 'Merged chapter',
+      prompt,
+      schemaName: 'chapter_merge',
+      schema: chapterMergeSchema(),
+      onValidationIssue,
+      signal
+    }, gptOptions, 3000);
+  }
 
-Return ONLY the JSON array, no other text.`;
+  // Returns [{ chapterNumber, reason, topic }] for must-have aspects the outline does not cover yet
+  async suggestMissingTopics(researchBrief, mustHaveAspects, outline, instruction = '', gptOptions = {}, signal = null, onValidationIssue = null) {
+    console.log(`Suggesting missing topics using model: ${this.resolveModel(gptOptions)}`);
 
-    try {
-      const response = await this.makeRequest('/chat/completions', {
-        model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: gptOptions.max_tokens_gpt || 2000,
-        temperature: gptOptions.temperature || 0.7
-      }, signal);
-
-      try {
-        const content = response.choices[0].message.content;
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        return jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(content);
-      } catch (parseError) {
-        console.error('Error parsing chapter topics JSON response:', parseError);
-        throw new Error('Failed to parse chapter topics JSON response');
-      }
-    } catch (error) {
-      console.log('Error with primary model, falling back to gpt-3.5-turbo:', error.message);
-      try {
-        const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: gptOptions.max_tokens_gpt || 2000,
-          temperature: gptOptions.temperature || 0.7
-        }, signal);
+    const { text: prompt } = this.prompts.render('outline.suggest', {
+      researchBrief,
+      mustHaveAspects,
+      outline: describeOutline(outline),
+      maxSuggestions: MAX_TOPIC_SUGGESTIONS,
+      instruction: instruction?.trim()
+    });
 
-        try {
-          const content = fallbackResponse.choices[0].message.content;
-          const jsonMatch = content.match(/\[[\s\S]*\]/);
-          return jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(content);
-        } catch (fallbackParseError) {
-          throw new Error('Failed to parse chapter topics JSON response from fallback model');
-        }
-      } catch (fallbackError) {
-        throw new Error(`Failed to generate chapter topics: ${fallbackError.message}`);
-      }
-    }
+    const result = await this.generateStructured({
+      stage: 'suggestions',
+      label: 'Topic suggestions',
+      prompt,
+      schemaName: 'topic_suggestions',
+      schema: topicSuggestionsSchema(),
+      onValidationIssue,
+      signal
+    }, gptOptions, 3000);
+    return result.suggestions;
   }
 
   async generateTopicIntroduction(researchBrief, chapterTitle, chapterDescription, topicTitle, topicObjective, lessons, gptOptions = {}, signal = null) {
-    console.log(`Generating topic introduction for: ${topicTitle} using model: ${gptOptions.model || 'gpt-4.1-mini-2025-04-14'}`);
-
-    const lessonsJson = JSON.stringify(lessons);
-    const prompt = `Write the introductory and activity-focused content for a single topic.
-
-CONTEXT:
-Overall context: ${researchBrief}
-Course title: ${chapterTitle}
-Course description: ${chapterDescription}
-Current Topic: ${topicTitle}
-Learning objective: ${topicObjective}
-Lessons in this Topic: ${lessonsJson}
-
-TASK:
-Generate the topic introduction in plain text format:
-"topicIntroduction": A compelling introductory paragraph (150-200 words) for the topic.`;
+    console.log(`Generating topic introduction for: ${topicTitle} using model: ${this.resolveModel(gptOptions)}`);
+
+    const { text: prompt } = this.prompts.render('topic.introduction', {
+      researchBrief,
+      chapterTitle,
+      chapterDescription,
+      topicTitle,
+      topicObjective,
+      lessons: JSON.stringify(lessons),
+      styleGuide: formatStyleGuide(this.styleProfile)
+    });
 
     try {
       const response = await this.makeRequest('/chat/completions', {
-        model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
+        model: this.resolveModel(gptOptions),
         messages: [
           { role: 'user', content: prompt }
         ],
@@ -328,10 +492,10 @@ Generate the topic introduction in plain text format:
         return response.choices[0].message.content;
       }
     } catch (error) {
-      console.log('Error with primary model, falling back to gpt-3.5-turbo:', error.message);
+      console.log(`Error with primary model, falling back to ${this.fallbackModel}:`, error.message);
       try {
         const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
+          model: this.fallbackModel,
           messages: [
             { role: 'user', content: prompt }
           ],
@@ -353,6 +517,9 @@ Generate the topic introduction in plain text format:
   }
 
   // 🔧 FIXED: Enhanced RAG Content Generation with Proper Response Parsing
+  // citationOptions: { style, webSources } — with a citation style the writer cites web / knowledge-library
+  // sources as [n]. Returns { content, sources, promptVersions } where sources are the cited ones, in citation order
+  // and promptVersions names the prompt template versions used.
   async generateSectionContent(
     fullContext,
     lessonTitle,
@@ -363,9 +530,16 @@ Generate the topic introduction in plain text format:
     vectorStoreId = null,
     webSearchContext = null,
     gptOptions = {},
-    signal = null
+    signal = null,
+    stream = null,
+    citationOptions = {}
   ) {
     console.log(`🤖 Starting Two-Stage RAG Content Generation for: ${lessonTitle}`);
+    const citationsEnabled = isCitationStyleEnabled(citationOptions.style);
+    // Numbered sources shared by the web context and the knowledge-library context
+    const sources = (citationOptions.webSources || []).map(createWebSource);
+    // Template versions that produced this section, e.g. { 'section.user': 'library@2' }
+    const promptVersions = {};
     console.log(`📊 Context Sources:`, {
       hasFullContext: Boolean(fullContext),
       hasUserContext: Boolean(userAddedContext),
@@ -374,38 +548,38 @@ Generate the topic introduction in plain text format:
       usingTwoStageApproach: Boolean(vectorStoreId)
     });
 
-    // 🔢 TOKEN TRACKING: Initialize token counters
-    let tokenTracking = {
-      stage1_rag: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
-      stage2_final: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
-      web_search_context: { estimated_tokens: 0 },
-      overall_total: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
-      content_info: {
-        lesson_title: lessonTitle,
-        has_rag: Boolean(vectorStoreId),
-        has_web_context: Boolean(webSearchContext),
-        has_user_context: Boolean(userAddedContext),
-        generation_timestamp: new Date().toISOString()
-      }
-    };
-
-    // 🔢 Estimate web search context tokens
-    if (webSearchContext) {
-      tokenTracking.web_search_context.estimated_tokens = Math.ceil(webSearchContext.length / 4);
-      console.log(`📊 WEB SEARCH CONTEXT TOKEN ESTIMATE: ${tokenTracking.web_search_context.estimated_tokens} tokens (${webSearchContext.length} characters)`);
-    }
-
     let ragContent = null;
 
-    // ✅ STAGE 1: RAG Content Extraction using /responses API
-    if (vectorStoreId) {
+    // ✅ STAGE 1 (local library): retrieve the top-k chunks from IndexedDB, no OpenAI call needed
+    if (vectorStoreId && isLocalLibraryId(vectorStoreId)) {
+      console.log(`🔍 STAGE 1: Retrieving from local knowledge library ${vectorStoreId}`);
+      try {
+        if (!this.knowledgeRetriever) {
+          throw new Error('No local knowledge retriever configured');
+        }
+        const results = await this.knowledgeRetriever.search(vectorStoreId, `${lessonTitle}\n${lessonDescription}`, { signal });
+        if (results.length > 0) {
+          ragContent = `Excerpts from the reference library (numbered as in SOURCES):\n\n${formatRetrievedContext(results, sources.length + 1)}`;
+          results.forEach(result => sources.push(createLibrarySource(result)));
+          console.log(`✅ STAGE 1 Complete: ${results.length} local chunks retrieved (${results[0].method})`);
+        } else {
+          console.warn('⚠️ STAGE 1: No matching chunks in the local library, proceeding without RAG');
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('❌ STAGE 1 Error:', error.message);
+        console.log('🔄 Continuing to STAGE 2 without RAG content');
+        ragContent = null;
+      }
+    } else if (vectorStoreId) {
+      // ✅ STAGE 1: RAG Content Extraction using /responses API (OpenAI vector store)
       console.log(`🔍 STAGE 1: Extracting RAG content using /responses API`);
       console.log(`📚 Vector Store ID: ${vectorStoreId}`);
 
       try {
         // Check vector store status first
         const VectorStoreService = (await import('./vectorStoreService.js')).default;
-        const vectorStoreService = new VectorStoreService(this.apiKey);
+        const vectorStoreService = new VectorStoreService(this.apiKey, { baseUrl: this.baseURL });
         
         const storeStatus = await vectorStoreService.checkVectorStoreStatus(vectorStoreId);
         console.log('📊 Vector store status:', storeStatus);
@@ -417,24 +591,14 @@ Generate the topic introduction in plain text format:
           console.log(`✅ Vector store ready with ${storeStatus.fileCount} files`);
 
           // System prompt for RAG extraction
-          const ragSystemPrompt = `Act as a senior instructional designer. Output strictly as HTML, concise and practical. Focus on extracting relevant knowledge from the attached reference materials.`;
+          const ragSystemTemplate = this.prompts.render('section.librarySystem', {});
+          const ragSystemPrompt = ragSystemTemplate.text;
+          promptVersions['section.librarySystem'] = ragSystemTemplate.version;
 
           // User prompt for RAG extraction
-          const ragUserPrompt = `Generate the readingContent (1000-1200 words in HTML) for the topic section titled "${lessonTitle}" with description "${lessonDescription}" using the relevant reference from the attached documents from the reference library using file_search tool.
-
-Focus on:
-- Practical, actionable content
-- Step-by-step guidance where applicable
-- Real-world examples and case studies
-- Current best practices from the reference materials
-
-Output should be comprehensive HTML content that can stand alone as educational material.`;
-
-          // Calculate input tokens for STAGE 1
-          const stage1InputLength = ragSystemPrompt.length + ragUserPrompt.length;
-          tokenTracking.stage1_rag.input_tokens = Math.ceil(stage1InputLength / 4);
-
-          console.log(`🔢 STAGE 1 INPUT TOKEN ESTIMATE: ${tokenTracking.stage1_rag.input_tokens} tokens`);
+          const ragUserTemplate = this.prompts.render('section.library', { lessonTitle, lessonDescription });
+          const ragUserPrompt = ragUserTemplate.text;
+          promptVersions['section.library'] = ragUserTemplate.version;
 
           // 🔧 CRITICAL FIX: Updated /responses API call format
           const ragResponse = await this.makeRequest('/responses', {
@@ -469,22 +633,6 @@ Output should be comprehensive HTML content that can stand alone as educational
             fullResponse: ragResponse
           });
 
-          // 🔢 Extract token usage from /responses API
-          if (ragResponse.usage) {
-            tokenTracking.stage1_rag.input_tokens = ragResponse.usage.prompt_tokens || tokenTracking.stage1_rag.input_tokens;
-            tokenTracking.stage1_rag.output_tokens = ragResponse.usage.completion_tokens || 0;
-            tokenTracking.stage1_rag.total_tokens = ragResponse.usage.total_tokens || (tokenTracking.stage1_rag.input_tokens + tokenTracking.stage1_rag.output_tokens);
-            
-            console.log(`🔢 STAGE 1 RAG TOKEN USAGE (ACTUAL):`, {
-              input_tokens: tokenTracking.stage1_rag.input_tokens,
-              output_tokens: tokenTracking.stage1_rag.output_tokens,
-              total_tokens: tokenTracking.stage1_rag.total_tokens,
-              model: 'gpt-4.1-mini-2025-04-14',
-              endpoint: '/responses',
-              vector_store_id: vectorStoreId
-            });
-          }
-
           // 🔧 ENHANCED RESPONSE PARSING: Handle multiple possible response formats
           ragContent = null;
 
@@ -500,8 +648,8 @@ Output should be comprehensive HTML content that can stand alone as educational
                 if (Array.isArray(outputItem.content)) {
                   // Content is an array
                   for (const contentItem of outputItem.content) {
-                    if (contentItem.type === 'text' && contentItem.text) {
-                      ragContent = contentItem.text;
+                    if ((contentItem.type === 'text' || contentItem.type === 'output_text') && contentItem.text) {
+                      ragContent = this.numberFileCitations(contentItem.text, contentItem.annotations, sources);
                       console.log('✅ RAG Content found in output[].content[].text');
                       break;
                     }
@@ -555,131 +703,58 @@ Output should be comprehensive HTML content that can stand alone as educational
     });
 
     // Build comprehensive system prompt with all context sources
-    const comprehensiveSystemPrompt = `Act as an expert ebook writer and instructional designer. You are creating comprehensive, practical content for professionals.
-
-${fullContext ? `RESEARCH CONTEXT (Priority 3 - Overall Ebook Research):
-${fullContext}
-
-` : ''}${userAddedContext ? `USER ADDED CONTEXT (Priority 4 - Specific Instructions):
-${userAddedContext}
-
-` : ''}CONTENT REQUIREMENTS:
-- Focus on actionable strategies that readers can implement immediately
-- Address emotional triggers and emphasize benefits
-- Include common mistakes and how to avoid them
-- Use case studies or examples from real businesses to make content relatable
-- Provide templates and actionable checklists if applicable
-- Keep the text as action focused as possible
-- Quote recent research on this topic if any
-- Keep the tone motivating and supportive
-- Sound like Malcolm Gladwell or Daniel Pink for this ebook
-- Generate 1500-2000 words in HTML format
-
-Instruction Method: ${instructionMethod}
-Generation Approach: ${topicGenerationApproach}`;
+    const systemTemplate = this.prompts.render('section.system', {
+      researchContext: fullContext,
+      userAddedContext,
+      styleGuide: formatStyleGuide(this.styleProfile),
+      instructionMethod,
+      generationApproach: topicGenerationApproach
+    });
+    const comprehensiveSystemPrompt = systemTemplate.text;
 
     // Build comprehensive user prompt with prioritized context
-    const comprehensiveUserPrompt = `TASK: Develop a comprehensive, practical section on "${lessonTitle}" with description: "${lessonDescription}"
-
-${webSearchContext ? `WEB SEARCH CONTEXT (Priority 1 - Current Trends & Data):
-${webSearchContext}
-
-` : ''}${ragContent ? `KNOWLEDGE LIBRARY CONTEXT (Priority 2 - Domain Expertise):
-${ragContent}
-
-` : ''}PRIORITY INSTRUCTIONS:
-1. ${webSearchContext ? 'Use the WEB SEARCH CONTEXT for current trends and recent insights' : 'Focus on established best practices and proven methods'}
-2. ${ragContent ? 'Enhance with KNOWLEDGE LIBRARY CONTEXT for domain-specific expertise and detailed guidance' : 'Ensure content is comprehensive and authoritative'}
-3. Ensure alignment with the overall research context and user requirements
-4. Generate practical, actionable content that readers can implement immediately
-
-Generate comprehensive HTML content (1500-2000 words) that combines all available context sources into a cohesive, valuable learning experience.`;
-
-    // Calculate input tokens for STAGE 2
-    const stage2InputLength = comprehensiveSystemPrompt.length + comprehensiveUserPrompt.length;
-    tokenTracking.stage2_final.input_tokens = Math.ceil(stage2InputLength / 4);
-
-    console.log(`🔢 STAGE 2 INPUT TOKEN ESTIMATE: ${tokenTracking.stage2_final.input_tokens} tokens`);
+    const userTemplate = this.prompts.render('section.user', {
+      lessonTitle,
+      lessonDescription,
+      webSearchContext,
+      knowledgeContext: ragContent,
+      sources: sources.length > 0 ? formatSourcesForPrompt(sources) : '',
+      citeSources: citationsEnabled && sources.length > 0
+    });
+    const comprehensiveUserPrompt = userTemplate.text;
+    promptVersions['section.system'] = systemTemplate.version;
+    promptVersions['section.user'] = userTemplate.version;
+
+    // Link [n] markers to the cited sources; without a citation style the text is returned as-is
+    const finishContent = (content) => {
+      if (!citationsEnabled || sources.length === 0) {
+        return { content, sources: [], promptVersions };
+      }
+      const cited = applyInlineCitations(content, sources);
+      console.log(`📚 ${cited.sources.length} of ${sources.length} sources cited in "${lessonTitle}"`);
+      return { content: cited.html, sources: cited.sources, promptVersions };
+    };
 
     try {
       // ✅ STAGE 2: Comprehensive Content Generation
       const finalResponse = await this.makeRequest('/chat/completions', {
-        model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
+        model: this.resolveModel(gptOptions),
         messages: [
           { role: 'system', content: comprehensiveSystemPrompt },
           { role: 'user', content: comprehensiveUserPrompt }
         ],
         max_tokens: gptOptions.max_tokens_gpt || 3000,
         temperature: gptOptions.temperature || 0.5
-      }, signal);
+      }, signal, stream);
 
-      const finalContent = finalResponse.choices[0].message.content;
+      let finalContent = finalResponse.choices[0].message.content;
 
-      // Extract actual token usage from STAGE 2
-      if (finalResponse.usage) {
-        tokenTracking.stage2_final.input_tokens = finalResponse.usage.prompt_tokens || tokenTracking.stage2_final.input_tokens;
-        tokenTracking.stage2_final.output_tokens = finalResponse.usage.completion_tokens || 0;
-        tokenTracking.stage2_final.total_tokens = finalResponse.usage.total_tokens || (tokenTracking.stage2_final.input_tokens + tokenTracking.stage2_final.output_tokens);
-        
-        console.log(`🔢 STAGE 2 FINAL GENERATION TOKEN USAGE (ACTUAL):`, {
-          input_tokens: tokenTracking.stage2_final.input_tokens,
-          output_tokens: tokenTracking.stage2_final.output_tokens,
-          total_tokens: tokenTracking.stage2_final.total_tokens,
-          model: gptOptions.model || 'gpt-4.1-mini-2025-04-14',
-          endpoint: '/chat/completions'
-        });
+      // Stopped early from the live preview: keep what was written, minus any half-written tag
+      if (finalResponse.choices[0].finish_reason === 'stopped') {
+        finalContent = trimPartialHtml(finalContent);
+        console.log(`⏹️ STAGE 2 stopped early, keeping ${finalContent.length} characters of partial content`);
       }
 
-      // Calculate overall totals
-      tokenTracking.overall_total.input_tokens = tokenTracking.stage1_rag.input_tokens + tokenTracking.stage2_final.input_tokens + tokenTracking.web_search_context.estimated_tokens;
-      tokenTracking.overall_total.output_tokens = tokenTracking.stage1_rag.output_tokens + tokenTracking.stage2_final.output_tokens;
-      tokenTracking.overall_total.total_tokens = tokenTracking.overall_total.input_tokens + tokenTracking.overall_total.output_tokens;
-
-      // 🔢 COMPREHENSIVE TOKEN USAGE SUMMARY
-      console.log(`
-🔢 ===== COMPREHENSIVE TOKEN USAGE SUMMARY =====
-📝 LESSON: "${lessonTitle}"
-📅 TIMESTAMP: ${tokenTracking.content_info.generation_timestamp}
-
-📊 STAGE BREAKDOWN:
-${ragContent ? `🔍 STAGE 1 (RAG /responses):
-   • Input Tokens: ${tokenTracking.stage1_rag.input_tokens}
-   • Output Tokens: ${tokenTracking.stage1_rag.output_tokens}
-   • Total Tokens: ${tokenTracking.stage1_rag.total_tokens}
-   • Model: gpt-4.1-mini-2025-04-14
-   • Vector Store: ${vectorStoreId}
-   • RAG Content Generated: ✅ YES (${ragContent.length} characters)
-` : '🔍 STAGE 1 (RAG): SKIPPED - No vector store'}
-${webSearchContext ? `🌐 WEB SEARCH CONTEXT:
-   • Estimated Tokens: ${tokenTracking.web_search_context.estimated_tokens}
-   • Content Length: ${webSearchContext.length} characters
-   • Source: Perplexity Sonar
-` : '🌐 WEB SEARCH CONTEXT: NOT USED'}
-🚀 STAGE 2 (Final Generation /chat/completions):
-   • Input Tokens: ${tokenTracking.stage2_final.input_tokens}
-   • Output Tokens: ${tokenTracking.stage2_final.output_tokens}
-   • Total Tokens: ${tokenTracking.stage2_final.total_tokens}
-   • Model: ${gptOptions.model || 'gpt-4.1-mini-2025-04-14'}
-
-🎯 OVERALL TOTALS:
-   • Total Input Tokens: ${tokenTracking.overall_total.input_tokens}
-   • Total Output Tokens: ${tokenTracking.overall_total.output_tokens}
-   • Grand Total Tokens: ${tokenTracking.overall_total.total_tokens}
-
-📈 CONTEXT SOURCES USED:
-   • RAG Library: ${ragContent ? '✅ YES' : '❌ NO'}
-   • Web Search Context: ${webSearchContext ? '✅ YES' : '❌ NO'}
-   • User Added Context: ${userAddedContext ? '✅ YES' : '❌ NO'}
-   • Research Brief: ${fullContext ? '✅ YES' : '❌ NO'}
-
-📋 GENERATION SUMMARY:
-   • Processing Stages: ${ragContent ? '2 (RAG + Final)' : '1 (Final Only)'}
-   • Final Content Length: ${finalContent.length} characters
-   • Estimated Final Content Tokens: ${Math.ceil(finalContent.length / 4)}
-   • RAG Enhancement Status: ${ragContent ? '✅ SUCCESSFUL' : '❌ FAILED'}
-===============================================
-      `);
-
       console.log('✅ STAGE 2 Complete: Final content generated successfully');
       console.log('🎯 Two-Stage Generation Summary:', {
         stage1RAGUsed: Boolean(ragContent),
@@ -691,49 +766,39 @@ ${webSearchContext ? `🌐 WEB SEARCH CONTEXT:
           researchBrief: Boolean(fullContext),
           userContext: Boolean(userAddedContext)
         },
-        totalProcessingStages: ragContent ? 2 : 1,
-        tokenTracking: tokenTracking
+        totalProcessingStages: ragContent ? 2 : 1
       });
 
-      return finalContent;
+      return finishContent(finalContent);
 
     } catch (error) {
       console.error('❌ STAGE 2 Error:', error.message);
       
-      // Fallback to gpt-3.5-turbo if primary model fails
+      // Fallback model if primary model fails
       try {
-        console.log('🔄 STAGE 2 Fallback: Using gpt-3.5-turbo');
+        console.log(`🔄 STAGE 2 Fallback: Using ${this.fallbackModel}`);
         const fallbackResponse = await this.makeRequest('/chat/completions', {
-          model: 'gpt-3.5-turbo',
+          model: this.fallbackModel,
           messages: [
             { role: 'system', content: comprehensiveSystemPrompt },
             { role: 'user', content: comprehensiveUserPrompt }
           ],
           max_tokens: gptOptions.max_tokens_gpt || 3000,
           temperature: gptOptions.temperature || 0.5
-        }, signal);
-
-        // Track fallback tokens
-        if (fallbackResponse.usage) {
-          tokenTracking.stage2_final.input_tokens = fallbackResponse.usage.prompt_tokens || tokenTracking.stage2_final.input_tokens;
-          tokenTracking.stage2_final.output_tokens = fallbackResponse.usage.completion_tokens || 0;
-          tokenTracking.stage2_final.total_tokens = fallbackResponse.usage.total_tokens || (tokenTracking.stage2_final.input_tokens + tokenTracking.stage2_final.output_tokens);
-          
-          // Recalculate overall totals
-          tokenTracking.overall_total.input_tokens = tokenTracking.stage1_rag.input_tokens + tokenTracking.stage2_final.input_tokens + tokenTracking.web_search_context.estimated_tokens;
-          tokenTracking.overall_total.output_tokens = tokenTracking.stage1_rag.output_tokens + tokenTracking.stage2_final.output_tokens;
-          tokenTracking.overall_total.total_tokens = tokenTracking.overall_total.input_tokens + tokenTracking.overall_total.output_tokens;
-
-          console.log(`🔢 FALLBACK TOKEN USAGE: Input: ${tokenTracking.stage2_final.input_tokens}, Output: ${tokenTracking.stage2_final.output_tokens}, Total: ${tokenTracking.stage2_final.total_tokens}, Model: gpt-3.5-turbo`);
-          console.log(`🔢 OVERALL TOTALS (WITH FALLBACK): Input: ${tokenTracking.overall_total.input_tokens}, Output: ${tokenTracking.overall_total.output_tokens}, Grand Total: ${tokenTracking.overall_total.total_tokens}`);
-        }
+        }, signal, stream);
 
         console.log('✅ STAGE 2 Fallback Complete');
-        return fallbackResponse.choices[0].message.content;
+        return finishContent(fallbackResponse.choices[0].finish_reason === 'stopped'
+          ? trimPartialHtml(fallbackResponse.choices[0].message.content)
+          : fallbackResponse.choices[0].message.content);
 
       } catch (fallbackError) {
         console.error('❌ STAGE 2 Fallback also failed:', fallbackError);
-        return `<h2>${lessonTitle}</h2><p>${lessonDescription}</p><p>Content generation failed. Please try again later.</p>`;
+        return {
+          content: `<h2>${lessonTitle}</h2><p>${lessonDescription}</p><p>Content generation failed. Please try again later.</p>`,
+          sources: [],
+          promptVersions
+        };
       }
     }
   }
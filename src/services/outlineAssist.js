@@ -0,0 +1,145 @@
+import { cloneOutline } from './outlineHistory';
+import { createNodeId, findOutlineNode } from './outlineIds';
+
+// AI-assisted edits to an existing outline. Each action turns a model reply into a proposal
+// { outline, label, notes? } that the editor shows as a diff against the current outline before it is accepted.
+// Topics and lessons the model kept under the same title keep their node IDs (and so their libraries,
+// context and publishing journal entries); everything new gets a fresh ID.
+
+export const OUTLINE_ASSIST_ACTIONS = {
+  regenerateTopics: {
+    level: 'chapter',
+    label: 'Regenerate topics',
+    description: 'Replace this chapter\'s topics and lessons with a freshly generated set.'
+  },
+  mergeChapters: {
+    level: 'chapter',
+    label: 'Merge with another chapter',
+    description: 'Combine this chapter and another one into a single chapter.'
+  },
+  addLessons: {
+    level: 'topic',
+    label: 'Add lessons',
+    description: 'Append new lessons that follow on from the existing ones.'
+  },
+  splitTopic: {
+    level: 'topic',
+    label: 'Split topic',
+    description: 'Divide an oversized topic into two focused topics.'
+  },
+  suggestTopics: {
+    level: 'book',
+    label: 'Suggest missing topics',
+    description: 'Find must-have aspects from the research brief that no topic covers yet.'
+  }
+};
+
+export const getAssistActionsForLevel = (level) => Object.entries(OUTLINE_ASSIST_ACTIONS)
+  .filter(([, action]) => action.level === level)
+  .map(([id, action]) => ({ id, ...action }));
+
+const normalizeTitle = (title = '') => title.trim().toLowerCase();
+
+const TITLE_FIELDS = { topic: 'topicTitle', lesson: 'lessonTitle' };
+
+// Give generated nodes the ID (and custom context) of a previous node with the same title, or a new ID
+const carryOverIds = (previousNodes, nextNodes, level) => {
+  const field = TITLE_FIELDS[level];
+  const available = [...previousNodes];
+  return nextNodes.map(node => {
+    const matchIndex = available.findIndex(candidate => normalizeTitle(candidate[field]) === normalizeTitle(node[field]));
+    const previous = matchIndex === -1 ? null : available.splice(matchIndex, 1)[0];
+    const carried = {
+      ...node,
+      id: previous?.id || createNodeId(level),
+      ...(previous?.userAddedContext && { userAddedContext: previous.userAddedContext })
+    };
+    if (level === 'topic') {
+      carried.lessons = carryOverIds(previousNodes.flatMap(topic => topic.lessons || []), node.lessons || [], 'lesson');
+    }
+    return carried;
+  });
+};
+
+const requireNode = (outline, nodeId, level) => {
+  const location = findOutlineNode(outline, nodeId);
+  if (location?.level !== level) {
+    throw new Error(`The selected ${level} no longer exists in the outline`);
+  }
+  return location;
+};
+
+const renumberChapters = (outline) => {
+  outline.chapters = outline.chapters.map((chapter, index) => ({ ...chapter, courseNumber: index + 1 }));
+  return outline;
+};
+
+export const proposeRegeneratedTopics = (outline, chapterId, topics) => {
+  const updatedOutline = cloneOutline(outline);
+  const { node: chapter } = requireNode(updatedOutline, chapterId, 'chapter');
+  chapter.topics = carryOverIds(chapter.topics || [], topics, 'topic');
+  return { outline: updatedOutline, label: `Regenerated topics of chapter "${chapter.courseTitle}"` };
+};
+
+export const proposeAdditionalLessons = (outline, topicId, lessons) => {
+  const updatedOutline = cloneOutline(outline);
+  const { node: topic } = requireNode(updatedOutline, topicId, 'topic');
+  topic.lessons = [...(topic.lessons || []), ...lessons.map(lesson => ({ ...lesson, id: createNodeId('lesson') }))];
+  return {
+    outline: updatedOutline,
+    label: `Added ${lessons.length} lesson${lessons.length === 1 ? '' : 's'} to topic "${topic.topicTitle}"`
+  };
+};
+
+// The new topic that kept the original title (otherwise the first one) keeps the original topic's ID
+export const proposeTopicSplit = (outline, topicId, topics) => {
+  const updatedOutline = cloneOutline(outline);
+  const { node: topic, chapter } = requireNode(updatedOutline, topicId, 'topic');
+  const split = carryOverIds([topic], topics, 'topic');
+  if (!split.some(item => item.id === topic.id)) {
+    split[0] = { ...split[0], id: topic.id };
+  }
+  chapter.topics.splice(chapter.topics.indexOf(topic), 1, ...split);
+  return { outline: updatedOutline, label: `Split topic "${topic.topicTitle}"` };
+};
+
+// The merged chapter takes the place (and ID) of whichever chapter comes first
+export const proposeChapterMerge = (outline, chapterId, otherChapterId, merged) => {
+  const updatedOutline = cloneOutline(outline);
+  const first = requireNode(updatedOutline, chapterId, 'chapter').node;
+  const second = requireNode(updatedOutline, otherChapterId, 'chapter').node;
+  const [kept, removed] = updatedOutline.chapters.indexOf(first) < updatedOutline.chapters.indexOf(second)
+    ? [first, second]
+    : [second, first];
+  const label = `Merged chapters "${first.courseTitle}" and "${second.courseTitle}"`;
+
+  const previousTopics = [...(kept.topics || []), ...(removed.topics || [])];
+  Object.assign(kept, {
+    courseTitle: merged.courseTitle,
+    courseDescription: merged.courseDescription,
+    topics: carryOverIds(previousTopics, merged.topics, 'topic')
+  });
+  updatedOutline.chapters = updatedOutline.chapters.filter(chapter => chapter !== removed);
+
+  return { outline: renumberChapters(updatedOutline), label };
+};
+
+// Suggestions naming a chapter number that doesn't exist go to the last chapter
+export const proposeTopicSuggestions = (outline, suggestions) => {
+  const updatedOutline = cloneOutline(outline);
+  const chapters = updatedOutline.chapters;
+  if (chapters.length === 0) {
+    throw new Error('Add a chapter before asking for topic suggestions');
+  }
+
+  suggestions.forEach(({ chapterNumber, topic }) => {
+    const chapter = chapters[Math.min(Math.max(chapterNumber, 1), chapters.length) - 1];
+    chapter.topics = [...(chapter.topics || []), ...carryOverIds([], [topic], 'topic')];
+  });
+
+  return {
+    outline: updatedOutline,
+    label: `Added ${suggestions.length} suggested topic${suggestions.length === 1 ? '' : 's'}`,
+    notes: suggestions.map(({ chapterNumber, topic, reason }) => ({ title: topic.topicTitle, chapterNumber, reason }))
+  };
+};
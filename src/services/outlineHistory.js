@@ -0,0 +1,235 @@
+// Outline revision history for the outline editor.
+// Stored on the project as outlineHistory: { revisions: [{ id, label, author, createdAt, outline, knowledgeLibraries }], position }
+// where position is the revision currently shown. knowledgeLibraries is kept with each outline so undoing a delete
+// also brings back the deleted items' library assignments. Undo / redo move position; a new edit after an undo
+// drops the undone revisions, and restoring a revision appends it as a new one so restores can be undone too.
+// A revision's outline holds only the book title and the chapter / topic / lesson tree; the research brief,
+// preface, introduction and options are saved with the project once and kept as they are on undo and restore.
+
+export const MAX_REVISIONS = 50;
+
+const ORIGINAL_REVISION_LABEL = 'Original outline';
+
+export const cloneOutline = (outline) => JSON.parse(JSON.stringify(outline));
+
+// The part of an outline revisions record
+export const getOutlineStructure = (outline) => ({
+  title: outline?.title || '',
+  chapters: cloneOutline(outline?.chapters || [])
+});
+
+// The current outline with the revision's title and tree
+const applyRevisionOutline = (currentOutline, revision) => ({
+  ...currentOutline,
+  ...getOutlineStructure(revision.outline)
+});
+
+export const getOutlineHistory = (project) => project?.outlineHistory || { revisions: [], position: -1 };
+
+// snapshot: { outline, knowledgeLibraries }
+const createRevision = (snapshot, label, author = null) => ({
+  id: `rev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  label,
+  author,
+  createdAt: new Date().toISOString(),
+  outline: getOutlineStructure(snapshot.outline),
+  knowledgeLibraries: snapshot.knowledgeLibraries ? { ...snapshot.knowledgeLibraries } : undefined
+});
+
+const appendRevision = (revisions, previousSnapshot, revision) => {
+  const next = revisions.length === 0 && previousSnapshot
+    ? [createRevision(previousSnapshot, ORIGINAL_REVISION_LABEL)]
+    : [...revisions];
+  next.push(revision);
+  const capped = next.slice(-MAX_REVISIONS);
+  return { revisions: capped, position: capped.length - 1 };
+};
+
+// Record an edit. The first edit also records the state it started from, so it can be undone.
+export const recordRevision = (history, previousSnapshot, nextSnapshot, { label, author = null }) => appendRevision(
+  history.revisions.slice(0, history.position + 1),
+  previousSnapshot,
+  createRevision(nextSnapshot, label, author)
+);
+
+export const canUndo = (history) => history.position > 0;
+
+export const canRedo = (history) => history.position < history.revisions.length - 1;
+
+// Move through the history by offset (-1 undo, +1 redo). Returns { history, outline, revision } or null at either end.
+// Revisions recorded before knowledge libraries were tracked have no knowledgeLibraries; callers keep the current ones.
+export const stepHistory = (history, offset, currentOutline) => {
+  const position = history.position + offset;
+  const revision = history.revisions[position];
+  if (!revision || position < 0) {
+    return null;
+  }
+  return { history: { ...history, position }, outline: applyRevisionOutline(currentOutline, revision), revision };
+};
+
+export const restoreRevision = (history, revisionId, currentOutline, { author = null } = {}) => {
+  const revision = history.revisions.find(item => item.id === revisionId);
+  if (!revision) {
+    throw new Error('Revision not found in the outline history');
+  }
+  return {
+    history: appendRevision(history.revisions, null, createRevision(revision, `Restored "${revision.label}"`, author)),
+    outline: applyRevisionOutline(currentOutline, revision),
+    revision
+  };
+};
+
+export const renameRevision = (history, revisionId, label) => ({
+  ...history,
+  revisions: history.revisions.map(revision => (revision.id === revisionId ? { ...revision, label } : revision))
+});
+
+const LEVELS = [
+  { level: 'chapter', getTitle: chapter => chapter.courseTitle, getChildren: chapter => chapter.topics || [] },
+  { level: 'topic', getTitle: topic => topic.topicTitle, getChildren: topic => topic.lessons || [] },
+  { level: 'lesson', getTitle: lesson => lesson.lessonTitle, getChildren: () => [] }
+];
+
+// Indices (into values) of a longest increasing subsequence; matched items outside it count as moved
+const longestIncreasingRun = (values) => {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const run = new Set();
+  let index = tails[tails.length - 1] ?? -1;
+  while (index !== -1) {
+    run.add(index);
+    index = previous[index];
+  }
+  return run;
+};
+
+// Pair items by node ID first, then by title, then treat same-position leftovers as renames.
+// Title and position matching cover revisions recorded before outline nodes had IDs.
+const matchItems = (beforeItems, afterItems, getTitle) => {
+  const beforeMatch = new Array(beforeItems.length).fill(-1);
+  const afterMatch = new Array(afterItems.length).fill(-1);
+
+  afterItems.forEach((item, afterIndex) => {
+    if (!item.id) return;
+    const beforeIndex = beforeItems.findIndex(candidate => candidate.id === item.id);
+    if (beforeIndex !== -1) {
+      beforeMatch[beforeIndex] = afterIndex;
+      afterMatch[afterIndex] = beforeIndex;
+    }
+  });
+
+  afterItems.forEach((item, afterIndex) => {
+    if (afterMatch[afterIndex] !== -1) return;
+    const title = (getTitle(item) || '').trim();
+    const beforeIndex = beforeItems.findIndex((candidate, index) =>
+      beforeMatch[index] === -1 && !(item.id && candidate.id) && (getTitle(candidate) || '').trim() === title
+    );
+    if (beforeIndex !== -1) {
+      beforeMatch[beforeIndex] = afterIndex;
+      afterMatch[afterIndex] = beforeIndex;
+    }
+  });
+
+  afterItems.forEach((item, afterIndex) => {
+    if (
+      afterMatch[afterIndex] === -1 && afterIndex < beforeItems.length && beforeMatch[afterIndex] === -1 &&
+      !(item.id && beforeItems[afterIndex].id)
+    ) {
+      beforeMatch[afterIndex] = afterIndex;
+      afterMatch[afterIndex] = afterIndex;
+    }
+  });
+
+  return { beforeMatch, afterMatch };
+};
+
+// A whole added or removed branch, every node carrying the same status
+const annotateBranch = (item, depth, status) => {
+  const { level, getTitle, getChildren } = LEVELS[depth];
+  return {
+    level,
+    title: getTitle(item),
+    status,
+    moved: false,
+    children: depth < LEVELS.length - 1 ? getChildren(item).map(child => annotateBranch(child, depth + 1, status)) : []
+  };
+};
+
+const diffLevel = (beforeItems, afterItems, depth, parentTitle, changes) => {
+  const { level, getTitle, getChildren } = LEVELS[depth];
+  const { beforeMatch, afterMatch } = matchItems(beforeItems, afterItems, getTitle);
+
+  const matchedAfterIndices = afterMatch.map((beforeIndex, afterIndex) => ({ beforeIndex, afterIndex })).filter(pair => pair.beforeIndex !== -1);
+  const inOrder = longestIncreasingRun(matchedAfterIndices.map(pair => pair.beforeIndex));
+  const movedAfterIndices = new Set(matchedAfterIndices.filter((pair, index) => !inOrder.has(index)).map(pair => pair.afterIndex));
+
+  const left = new Array(beforeItems.length);
+  const right = new Array(afterItems.length);
+
+  beforeItems.forEach((item, beforeIndex) => {
+    if (beforeMatch[beforeIndex] !== -1) return;
+    changes.push({ type: 'removed', level, title: getTitle(item), parentTitle });
+    left[beforeIndex] = annotateBranch(item, depth, 'removed');
+  });
+
+  afterItems.forEach((item, afterIndex) => {
+    const beforeIndex = afterMatch[afterIndex];
+    const title = getTitle(item);
+
+    if (beforeIndex === -1) {
+      changes.push({ type: 'added', level, title, parentTitle });
+      right[afterIndex] = annotateBranch(item, depth, 'added');
+      return;
+    }
+
+    const beforeItem = beforeItems[beforeIndex];
+    const previousTitle = getTitle(beforeItem);
+    const renamed = (previousTitle || '').trim() !== (title || '').trim();
+    const moved = movedAfterIndices.has(afterIndex);
+    if (renamed) {
+      changes.push({ type: 'renamed', level, title, previousTitle, parentTitle });
+    }
+    if (moved) {
+      changes.push({ type: 'moved', level, title, parentTitle, from: beforeIndex + 1, to: afterIndex + 1 });
+    }
+
+    const children = depth < LEVELS.length - 1
+      ? diffLevel(getChildren(beforeItem), getChildren(item), depth + 1, title, changes)
+      : { left: [], right: [] };
+    const status = renamed ? 'renamed' : 'unchanged';
+    left[beforeIndex] = { level, title: previousTitle, status, moved, children: children.left };
+    right[afterIndex] = { level, title, previousTitle: renamed ? previousTitle : null, status, moved, children: children.right };
+  });
+
+  return { left, right };
+};
+
+// Structural diff of two outlines: chapters, topics and lessons added, removed, renamed or reordered.
+// Returns { changes: [{ type, level, title, previousTitle?, parentTitle, from?, to? }], left, right, summary }
+// where left / right are annotated trees for a side-by-side view.
+export const diffOutlines = (beforeOutline, afterOutline) => {
+  const changes = [];
+  if ((beforeOutline?.title || '') !== (afterOutline?.title || '')) {
+    changes.push({ type: 'renamed', level: 'book', title: afterOutline?.title || '', previousTitle: beforeOutline?.title || '', parentTitle: null });
+  }
+
+  const { left, right } = diffLevel(beforeOutline?.chapters || [], afterOutline?.chapters || [], 0, null, changes);
+  const summary = ['added', 'removed', 'renamed', 'moved'].reduce((counts, type) => ({
+    ...counts,
+    [type]: changes.filter(change => change.type === type).length
+  }), {});
+
+  return { changes, left, right, summary };
+};
@@ -0,0 +1,129 @@
+// Persistent IDs for outline nodes. Knowledge library assignments, custom context, the publishing journal
+// and the published structure refer to chapters, topics and lessons by these IDs, so deleting or
+// reordering items never re-attaches data to a different item.
+
+const ID_PREFIXES = { chapter: 'ch', topic: 'tp', lesson: 'ls' };
+
+export const createNodeId = (level) => `${ID_PREFIXES[level]}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const withId = (node, level) => (node.id ? node : { ...node, id: createNodeId(level) });
+
+// Returns the outline with an ID on every chapter, topic and lesson (existing IDs are kept)
+export const ensureOutlineIds = (outline) => {
+  if (!outline) return outline;
+  return {
+    ...outline,
+    chapters: (outline.chapters || []).map(chapter => {
+      const chapterWithId = withId(chapter, 'chapter');
+      return {
+        ...chapterWithId,
+        topics: (chapterWithId.topics || []).map(topic => {
+          const topicWithId = withId(topic, 'topic');
+          return {
+            ...topicWithId,
+            lessons: (topicWithId.lessons || []).map(lesson => withId(lesson, 'lesson'))
+          };
+        })
+      };
+    })
+  };
+};
+
+const TITLE_FIELDS = { chapter: 'courseTitle', topic: 'topicTitle', lesson: 'lessonTitle' };
+const CHILD_FIELDS = { chapter: ['topics', 'topic'], topic: ['lessons', 'lesson'] };
+
+// Give nodes the ID of their counterpart in reference (same title under the matched parent, else same
+// position), and fresh IDs only to nodes without one. Each reference ID is used at most once.
+const inheritIds = (nodes = [], referenceNodes = [], level) => {
+  const titleField = TITLE_FIELDS[level];
+  const used = new Set();
+  const claim = (index) => {
+    if (index === -1 || used.has(index)) return null;
+    used.add(index);
+    return referenceNodes[index];
+  };
+
+  // Nodes that already have an ID keep it; the rest match by title first, then by position
+  const references = nodes.map(node => claim(node.id
+    ? referenceNodes.findIndex(reference => reference.id === node.id)
+    : referenceNodes.findIndex((reference, index) => !used.has(index) && reference[titleField] === node[titleField])));
+  nodes.forEach((node, position) => {
+    if (!references[position] && !node.id && position < referenceNodes.length) {
+      references[position] = claim(position);
+    }
+  });
+
+  return nodes.map((node, position) => {
+    const reference = references[position];
+    const nodeWithId = !node.id && reference?.id ? { ...node, id: reference.id } : withId(node, level);
+
+    const children = CHILD_FIELDS[level];
+    if (!children) return nodeWithId;
+    const [childField, childLevel] = children;
+    return {
+      ...nodeWithId,
+      [childField]: inheritIds(nodeWithId[childField] || [], reference?.[childField] || [], childLevel)
+    };
+  });
+};
+
+// Like ensureOutlineIds, but reuses the IDs of the matching nodes in reference (e.g. the current outline when
+// giving IDs to older revisions of it), so the same item keeps one ID across outlines
+export const inheritOutlineIds = (outline, reference) => {
+  if (!outline) return outline;
+  return { ...outline, chapters: inheritIds(outline.chapters || [], reference?.chapters || [], 'chapter') };
+};
+
+// visit(node, { level, chapter, topic, path }) for every chapter, topic and lesson in outline order
+export const forEachOutlineNode = (outline, visit) => {
+  (outline?.chapters || []).forEach((chapter, chapterIndex) => {
+    visit(chapter, { level: 'chapter', chapter, topic: null, path: [chapterIndex] });
+    (chapter.topics || []).forEach((topic, topicIndex) => {
+      visit(topic, { level: 'topic', chapter, topic, path: [chapterIndex, topicIndex] });
+      (topic.lessons || []).forEach((lesson, lessonIndex) => {
+        visit(lesson, { level: 'lesson', chapter, topic, path: [chapterIndex, topicIndex, lessonIndex] });
+      });
+    });
+  });
+};
+
+// { node, level, chapter, topic, path } for the node with this ID, or null
+export const findOutlineNode = (outline, nodeId) => {
+  let found = null;
+  forEachOutlineNode(outline, (node, location) => {
+    if (!found && node.id === nodeId) {
+      found = { node, ...location };
+    }
+  });
+  return found;
+};
+
+// IDs of a node and everything below it, e.g. to drop library assignments of a deleted chapter
+export const collectNodeIds = (node) => [
+  node.id,
+  ...(node.topics || []).flatMap(collectNodeIds),
+  ...(node.lessons || []).flatMap(collectNodeIds)
+].filter(Boolean);
+
+// Drop entries keyed by the given node IDs from a record such as knowledgeLibraries or contextValues
+export const omitNodeIds = (record = {}, nodeIds) => Object.fromEntries(
+  Object.entries(record).filter(([key]) => !nodeIds.includes(key))
+);
+
+// Positional keys used before nodes had IDs, mapped to the IDs now at those positions:
+// 'chapter-0' / 'topic-0-1' / 'lesson-0-1-2' (libraries, context) and '0' / '0-1' / '0-1-2' (journal)
+export const getPositionalKeyMap = (outline) => {
+  const keyMap = {};
+  forEachOutlineNode(outline, (node, { level, path }) => {
+    keyMap[`${level}-${path.join('-')}`] = node.id;
+    keyMap[path.join('-')] = node.id;
+  });
+  return keyMap;
+};
+
+// Re-key a positional record by node ID; entries for positions that no longer exist are dropped
+export const rekeyByNodeId = (record = {}, keyMap) => Object.fromEntries(
+  Object.entries(record)
+    .map(([key, value]) => [keyMap[key], value])
+    .filter(([key]) => key)
+);
@@ -0,0 +1,60 @@
+import { cloneOutline } from './outlineHistory';
+import { findOutlineNode } from './outlineIds';
+
+// Drag-and-drop moves in the outline. Items are addressed by their node IDs (see outlineIds), so knowledge
+// libraries, custom context and the publishing journal, which are keyed by those IDs, follow a moved item as is.
+
+const CHILD_LISTS = { chapter: 'topics', topic: 'lessons' };
+
+const PARENT_LEVELS = { topic: 'chapter', lesson: 'topic' };
+
+const getChildList = (node, listName) => {
+  if (!node[listName]) {
+    node[listName] = [];
+  }
+  return node[listName];
+};
+
+// The list a node of this level lives in: the chapters, or the topics / lessons of parentId
+const getListFor = (outline, level, parentId) => {
+  if (level === 'chapter') {
+    return getChildList(outline, 'chapters');
+  }
+  const parent = findOutlineNode(outline, parentId);
+  if (!parent || parent.level !== PARENT_LEVELS[level]) {
+    throw new Error('Drop target no longer exists in the outline');
+  }
+  return getChildList(parent.node, CHILD_LISTS[parent.level]);
+};
+
+// Move the item sourceId into the list under target.parentId (omit it for chapters).
+// target: { parentId, anchorId, placement: 'before' | 'after' } or { parentId } to append.
+// Chapters are renumbered afterwards. Returns the updated outline.
+export const moveOutlineItem = (outline, sourceId, target) => {
+  const updatedOutline = cloneOutline(outline);
+  const source = findOutlineNode(updatedOutline, sourceId);
+  if (!source) {
+    throw new Error('Dragged item no longer exists in the outline');
+  }
+
+  const sourceParentId = source.level === 'lesson' ? source.topic.id : source.chapter.id;
+  const sourceList = getListFor(updatedOutline, source.level, sourceParentId);
+  const [item] = sourceList.splice(sourceList.indexOf(source.node), 1);
+
+  const targetList = getListFor(updatedOutline, source.level, target.parentId);
+  let insertIndex = targetList.length;
+  if (target.anchorId) {
+    const anchorIndex = targetList.findIndex(node => node.id === target.anchorId);
+    if (anchorIndex !== -1) {
+      insertIndex = anchorIndex + (target.placement === 'after' ? 1 : 0);
+    }
+  }
+  targetList.splice(insertIndex, 0, item);
+
+  updatedOutline.chapters = updatedOutline.chapters.map((chapter, index) => ({
+    ...chapter,
+    courseNumber: index + 1
+  }));
+
+  return updatedOutline;
+};
@@ -0,0 +1,274 @@
+// JSON schemas for the outline-stage calls (preface/introduction, chapter list, chapter topics) and the
+// outline assist actions (extra lessons, topic split, chapter merge, topic suggestions).
+// The same schema is sent as an OpenAI structured-output response_format and used to validate the reply,
+// so keywords the API does not enforce (minItems, maxItems, minLength) are still checked here.
+
+export const MAX_TOPICS_PER_CHAPTER = 12;
+export const MAX_LESSONS_PER_TOPIC = 12;
+
+const text = { type: 'string', minLength: 1 };
+
+export const prefaceSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['preface', 'introduction'],
+  properties: {
+    preface: { ...text, minLength: 200 },
+    introduction: { ...text, minLength: 200 }
+  }
+});
+
+export const chapterOutlineSchema = (maxChapters) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['chapters'],
+  properties: {
+    chapters: {
+      type: 'array',
+      minItems: 1,
+      maxItems: Math.max(1, parseInt(maxChapters) || 1),
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['courseNumber', 'courseTitle', 'courseDescription'],
+        properties: {
+          courseNumber: { type: 'integer', minimum: 1 },
+          courseTitle: text,
+          courseDescription: text
+        }
+      }
+    }
+  }
+});
+
+const lessonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['lessonTitle', 'lessonDescription'],
+  properties: {
+    lessonTitle: text,
+    lessonDescription: text
+  }
+};
+
+const topicSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['topicTitle', 'topicLearningObjectiveDescription', 'lessons'],
+  properties: {
+    topicTitle: text,
+    topicLearningObjectiveDescription: text,
+    lessons: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_LESSONS_PER_TOPIC,
+      items: lessonSchema
+    }
+  }
+};
+
+const topicListSchema = (minItems = 1, maxItems = MAX_TOPICS_PER_CHAPTER) => ({
+  type: 'array',
+  minItems,
+  maxItems,
+  items: topicSchema
+});
+
+export const chapterTopicsSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['topics'],
+  properties: {
+    topics: topicListSchema()
+  }
+});
+
+// Outline assist actions (see outlineAssist.js)
+
+export const MAX_TOPIC_SUGGESTIONS = 8;
+
+export const additionalLessonsSchema = (count) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['lessons'],
+  properties: {
+    lessons: {
+      type: 'array',
+      minItems: 1,
+      maxItems: Math.min(MAX_LESSONS_PER_TOPIC, Math.max(1, parseInt(count) || 1)),
+      items: lessonSchema
+    }
+  }
+});
+
+export const topicSplitSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['topics'],
+  properties: {
+    topics: topicListSchema(2, 2)
+  }
+});
+
+export const chapterMergeSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['courseTitle', 'courseDescription', 'topics'],
+  properties: {
+    courseTitle: text,
+    courseDescription: text,
+    topics: topicListSchema()
+  }
+});
+
+export const topicSuggestionsSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      maxItems: MAX_TOPIC_SUGGESTIONS,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['chapterNumber', 'reason', 'topic'],
+        properties: {
+          chapterNumber: { type: 'integer', minimum: 1 },
+          reason: text,
+          topic: topicSchema
+        }
+      }
+    }
+  }
+});
+
+const UNSUPPORTED_KEYWORDS = ['minItems', 'maxItems', 'minLength', 'minimum'];
+
+// Strict structured outputs reject some validation keywords; strip them for the request only
+export const toResponseFormat = (name, schema) => {
+  const strip = (node) => {
+    if (Array.isArray(node)) return node.map(strip);
+    if (!node || typeof node !== 'object') return node;
+    return Object.fromEntries(
+      Object.entries(node)
+        .filter(([key]) => !UNSUPPORTED_KEYWORDS.includes(key))
+        .map(([key, value]) => [key, strip(value)])
+    );
+  };
+
+  return {
+    type: 'json_schema',
+    json_schema: { name, strict: true, schema: strip(schema) }
+  };
+};
+
+const describeType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Minimal validator for the schema subset above; returns a list of "path: problem" strings
+export const validateAgainstSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const actual = describeType(value);
+
+  if (schema.type === 'integer' && actual !== 'integer') {
+    return [`${path}: expected an integer but got ${actual}`];
+  }
+  if (schema.type !== 'integer' && schema.type !== actual) {
+    return [`${path}: expected ${schema.type} but got ${actual}`];
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(value.trim().length === 0
+      ? `${path}: must not be empty`
+      : `${path}: must be at least ${schema.minLength} characters (got ${value.trim().length})`);
+  }
+
+  if (schema.type === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be ${schema.minimum} or greater`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'} (got ${value.length})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must contain at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'} (got ${value.length})`);
+    }
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}: missing required key "${key}"`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Pull JSON out of a reply that may be wrapped in a markdown fence or surrounded by prose
+export const parseJsonReply = (content = '') => {
+  const trimmed = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      return JSON.parse(trimmed.slice(start, end + 1));
+    }
+    throw error;
+  }
+};
+
+const trimStrings = (value) => {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(trimStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimStrings(item)]));
+  }
+  return value;
+};
+
+// Deterministic fixes applied before asking the model again:
+// a bare array is wrapped in its root key, strings are trimmed and chapters are renumbered 1..n
+export const repairOutlineResult = (stage, value) => {
+  let result = trimStrings(value);
+
+  if (stage === 'chapters') {
+    if (Array.isArray(result)) result = { chapters: result };
+    if (Array.isArray(result?.chapters)) {
+      result.chapters = result.chapters.map((chapter, index) => (
+        chapter && typeof chapter === 'object' ? { ...chapter, courseNumber: index + 1 } : chapter
+      ));
+    }
+  }
+
+  if ((stage === 'topics' || stage === 'split') && Array.isArray(result)) {
+    result = { topics: result };
+  }
+
+  if (stage === 'lessons' && Array.isArray(result)) {
+    result = { lessons: result };
+  }
+
+  if (stage === 'suggestions' && Array.isArray(result)) {
+    result = { suggestions: result };
+  }
+
+  return result;
+};
@@ -1,48 +1,68 @@
+import { estimateRequestTokens } from './generationScheduler';
+import { extractUsage } from './costLedger';
+import OpenAICompatibleProvider from './providers/openaiCompatibleProvider';
+import { PERPLEXITY_BASE_URL } from './providers';
+import { defaultPromptRenderer, describeSections } from './promptTemplates';
+
 class PerplexityService {
-  constructor(apiKey) {
+  constructor(apiKey, { baseUrl = PERPLEXITY_BASE_URL } = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.perplexity.ai';
+    this.baseURL = baseUrl;
+    this.rateLimiter = null;
+    this.usageRecorder = null;
+    this.prompts = defaultPromptRenderer;
+    // Perplexity speaks the OpenAI chat-completions protocol
+    this.provider = new OpenAICompatibleProvider({
+      id: 'perplexity',
+      name: 'Perplexity',
+      baseUrl: this.baseURL,
+      apiKey
+    });
   }
 
-  async makeRequest(endpoint, data, signal = null) {
-    // VibeCoding: Log now shows the dynamically selected model from the request data
-    console.log(`Making Perplexity request to ${endpoint} with model: ${data.model}`);
-    
-    try {
-      const response = await fetch(`${this.baseURL}${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(data),
-        signal: signal
-      });
+  // Optional ProviderLimiter used during publishing to respect RPM/TPM budgets and 429 backoff
+  setRateLimiter(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+    return this;
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { error: { message: errorText } };
-        }
-        console.error('Perplexity API error:', errorData);
-        throw new Error(errorData.error?.message || `Perplexity API error: ${response.status} - ${errorText}`);
-      }
+  // Optional callback receiving { provider, model, endpoint, inputTokens, outputTokens, estimated } per response
+  setUsageRecorder(usageRecorder) {
+    this.usageRecorder = usageRecorder;
+    return this;
+  }
 
-      const result = await response.json();
-      // VibeCoding: Success log now shows the actual model used in the request
-      console.log(`Perplexity request successful with model: ${data.model}`);
-      return result;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.log('Perplexity request was aborted');
-        throw new Error('Request was aborted by user');
+  // Prompt renderer from createPromptRenderer (library versions and project overrides of the prompt templates)
+  setPromptTemplates(prompts) {
+    this.prompts = prompts || defaultPromptRenderer;
+    return this;
+  }
+
+  async makeRequest(endpoint, data, signal = null) {
+    if (this.rateLimiter) {
+      return this.rateLimiter.execute(
+        () => this.sendRequest(endpoint, data, signal),
+        { estimatedTokens: estimateRequestTokens(data) }
+      );
+    }
+    return this.sendRequest(endpoint, data, signal);
+  }
+
+  async sendRequest(endpoint, data, signal = null) {
+    const result = await this.provider.post(endpoint, data, signal);
+    if (this.usageRecorder) {
+      try {
+        this.usageRecorder({
+          provider: this.provider.id,
+          model: result.model || data.model,
+          endpoint,
+          ...extractUsage(endpoint, data, result)
+        });
+      } catch (error) {
+        console.warn('⚠️ Failed to record token usage:', error.message);
       }
-      console.error(`Perplexity API request failed: ${error.message}`);
-      throw error;
     }
+    return result;
   }
 
   // VibeCoding: FIXED - generateDeepResearch now uses FIXED defaults, ignoring sonarOptions for research
@@ -50,21 +70,11 @@ class PerplexityService {
     // VibeCoding: Log shows fixed defaults for research
     console.log(`Generating research for topic: ${ebookTopic} using FIXED defaults (model: sonar, recency: month, mode: web, tokens: 2000)`);
     
-    const prompt = `Conduct comprehensive market research for an ebook on: "${ebookTopic}"
-
-Key Requirements:
-- Must-have content: ${mustHaveAspects}
-- Additional considerations: ${otherDesignConsiderations || 'None specified'}
-
-Please provide a detailed research brief that includes:
-1. Target audience analysis and ideal reader profile
-2. Current market trends and developments (focus on recent data)
-3. Key pain points and emotional triggers for the target audience
-4. Recommended content structure and chapter topics
-5. Market positioning and competitive landscape
-6. Reader transformation goals and desired outcomes
-
-Format the response as a comprehensive research brief that can guide ebook creation.`;
+    const { text: prompt } = this.prompts.render('research.perplexity', {
+      niche: ebookTopic,
+      mustHaveAspects,
+      otherConsiderations: otherDesignConsiderations || 'None specified'
+    });
 
     try {
       // VibeCoding: FIXED - requestData now uses FIXED defaults for research consistency
@@ -140,23 +150,12 @@ Generated: ${new Date().toISOString()}
     console.log(`🔍 Generating chapter topic context for: "${chapterTopicTitle}" with ${topicSections.length} sections using model: ${sonarOptions.model || 'sonar'}`);
     console.log(`📋 Topic sections: ${topicSections.map(section => section.lessonTitle).join(', ')}`);
 
-    // VibeCoding: Build section names array for the prompt
     const sectionNames = topicSections.map(section => section.lessonTitle);
-    const sectionDescriptions = topicSections.map(section => 
-      `"${section.lessonTitle}": ${section.lessonDescription}`
-    ).join(', ');
-
-    const prompt = `For the chapter topic "${chapterTopicTitle}" in the ebook "${ebookTitle}", provide structured research context for the following sections:
-
-Section Details: ${sectionDescriptions}
-
-Return a JSON array where each object corresponds to one section and contains:
-- sectionName: The exact section name from the list
-- summary: A comprehensive 300-400 word summary with current insights and trends
-- keyPoints: 3-5 key actionable insights or important points
-- sources: Up to 5 relevant URLs or references (if available)
-
-Focus on recent developments, practical applications, and current industry trends for each section.`;
+    const { text: prompt } = this.prompts.render('perplexity.topicContext', {
+      ebookTitle,
+      topicTitle: chapterTopicTitle,
+      sections: describeSections(topicSections)
+    });
 
     // VibeCoding: Build requestData dynamically from sonarOptions with structured output
     const requestData = {
@@ -284,6 +283,11 @@ Focus on recent developments, practical applications, and current industry trend
         return null;
       }
 
+      // Concrete pages Sonar searched, kept so sections can cite them by URL and date
+      const searchResults = (response.search_results || [])
+        .filter(result => result.url)
+        .map(result => ({ title: result.title || '', url: result.url, date: result.date || null }));
+
       // VibeCoding: Parse structured JSON response
       let structuredContext;
       try {
@@ -319,6 +323,7 @@ Focus on recent developments, practical applications, and current industry trend
           chapterTopic: chapterTopicTitle,
           ebookTitle: ebookTitle,
           sectionContexts: structuredContext,
+          searchResults,
           generatedAt: new Date().toISOString(),
           sonarOptionsUsed: sonarOptions,
           sectionsCount: topicSections.length
@@ -334,6 +339,7 @@ Focus on recent developments, practical applications, and current industry trend
           chapterTopic: chapterTopicTitle,
           ebookTitle: ebookTitle,
           fallbackContent: contextContent,
+          searchResults,
           generatedAt: new Date().toISOString(),
           sonarOptionsUsed: sonarOptions,
           sectionsCount: topicSections.length,
@@ -355,15 +361,7 @@ Focus on recent developments, practical applications, and current industry trend
     // VibeCoding: Log now reflects the dynamically selected model from options
     console.log(`Generating section context for: ${sectionTitle} using model: ${sonarOptions.model || 'sonar'}`);
 
-    const prompt = `Provide current web research context for the section "${sectionTitle}" in the ebook "${ebookTitle}".
-
-Include:
-- 3-5 key current trends and insights
-- 2-4 actionable takeaways  
-- Recent statistics or examples (last 1-3 months if available)
-- Relevant industry developments
-
-Keep the response focused and practical for content creation.`;
+    const { text: prompt } = this.prompts.render('perplexity.sectionContext', { ebookTitle, sectionTitle });
 
     // VibeCoding: requestData is now built dynamically from sonarOptions with fallbacks
     const requestData = {
@@ -476,15 +474,7 @@ Generated: ${new Date().toISOString()}
     // VibeCoding: Log now reflects the dynamically selected model from options
     console.log(`🔍 Generating web references for topic: ${topicTitle} using model: ${sonarOptions.model || 'sonar'}`);
 
-    const prompt = `Find current web sources and references for the topic "${topicTitle}" in the context of "${ebookTitle}".
-
-Please provide:
-- 2-3 most relevant and recent web sources
-- Brief description (first 20 words) for each source
-- Focus on authoritative, recent content (last 3-6 months preferred)
-- Include practical resources, case studies, or expert insights
-
-Format for easy integration into content.`;
+    const { text: prompt } = this.prompts.render('perplexity.references', { ebookTitle, topicTitle });
 
     // VibeCoding: requestData is now built dynamically from sonarOptions with fallbacks
     const requestData = {
@@ -625,7 +615,8 @@ Format for easy integration into content.`;
       return null;
     }
 
-    // VibeCoding: Format section context for content generation
+    // VibeCoding: Format section context for content generation.
+    // Sources are passed separately (extractSectionSources) so the writer can cite them by number.
     const formattedContext = `
 Web Research Context for "${sectionTitle}":
 
@@ -634,11 +625,6 @@ Summary: ${sectionContext.summary}
 Key Points:
 ${sectionContext.keyPoints.map((point, index) => `${index + 1}. ${point}`).join('\n')}
 
-${sectionContext.sources && sectionContext.sources.length > 0 ? `
-Sources:
-${sectionContext.sources.map((source, index) => `${index + 1}. ${source}`).join('\n')}
-` : ''}
-
 Note: This context is based on recent web research at the chapter topic level and should be used to enhance the content with current trends and data.
 Generated: ${chapterTopicContext.generatedAt}
     `.trim();
@@ -647,6 +633,30 @@ Generated: ${chapterTopicContext.generatedAt}
     return formattedContext;
   }
 
+  // Web sources for one section: the topic's Sonar search results first, then any extra URLs the
+  // structured reply listed for this section. Returns [{ title, url, date }].
+  extractSectionSources(chapterTopicContext, sectionTitle, maxSources = 8) {
+    if (!chapterTopicContext) {
+      return [];
+    }
+
+    const sources = [...(chapterTopicContext.searchResults || [])];
+    const sectionContext = (chapterTopicContext.sectionContexts || []).find(context =>
+      context.sectionName.toLowerCase().includes(sectionTitle.toLowerCase()) ||
+      sectionTitle.toLowerCase().includes(context.sectionName.toLowerCase())
+    );
+
+    (sectionContext?.sources || []).forEach(source => {
+      const url = (String(source).match(/https?:\/\/[^\s)\]]+/) || [])[0];
+      if (url && !sources.some(existing => existing.url === url)) {
+        const title = String(source).replace(url, '').replace(/^[\s\-:–]+|[\s\-:–(]+$/g, '');
+        sources.push({ title, url, date: null });
+      }
+    });
+
+    return sources.slice(0, maxSources);
+  }
+
   // Format web references for content integration (unchanged - no parameters needed)
   formatWebReferencesForContent(webReferences) {
     if (!webReferences || !webReferences.webSources || webReferences.webSources.length === 0) {
@@ -0,0 +1,242 @@
+import IndexedDBAdapter from './adapters/indexedDbAdapter';
+import SupabaseAdapter from './adapters/supabaseAdapter';
+import { getAuthConfig, getSupabaseClient } from './auth';
+import { ensureOutlineIds, inheritOutlineIds, getPositionalKeyMap, rekeyByNodeId } from './outlineIds';
+import { getOutlineStructure } from './outlineHistory';
+
+export const PROJECT_SCHEMA_VERSION = 3;
+
+// Set the IDs of the outline nodes at each position on a published structure's copies of them
+const addStructureIds = (structure, outline) => structure.map((chapterItem, chapterPosition) => {
+  const chapterIndex = chapterItem.chapter.index ?? chapterPosition;
+  const chapter = outline?.chapters?.[chapterIndex];
+  return {
+    ...chapterItem,
+    chapter: { ...chapterItem.chapter, original: { ...chapterItem.chapter.original, id: chapter?.id } },
+    topics: chapterItem.topics.map((topicItem, topicPosition) => {
+      const topicIndex = topicItem.topic.index ?? topicPosition;
+      const topic = chapter?.topics?.[topicIndex];
+      return {
+        ...topicItem,
+        topic: { ...topicItem.topic, original: { ...topicItem.topic.original, id: topic?.id } },
+        sections: topicItem.sections.map((section, sectionPosition) => ({
+          ...section,
+          original: { ...section.original, id: topic?.lessons?.[section.index ?? sectionPosition]?.id }
+        }))
+      };
+    })
+  };
+});
+
+// Each migration upgrades a project from version N-1 to N.
+// Add a new entry and bump PROJECT_SCHEMA_VERSION whenever the project shape changes.
+const MIGRATIONS = {
+  // v1: projects created before persistence existed (in-memory shape)
+  1: (project) => {
+    const outline = project.outline
+      ? {
+          ...project.outline,
+          chapters: (project.outline.chapters || []).map((chapter, index) => ({
+            ...chapter,
+            courseNumber: chapter.courseNumber || index + 1,
+            topics: (chapter.topics || []).map(topic => ({
+              ...topic,
+              lessons: topic.lessons || []
+            }))
+          }))
+        }
+      : project.outline;
+
+    return {
+      ...project,
+      id: String(project.id),
+      status: project.status || (outline ? 'review' : 'draft'),
+      createdAt: project.createdAt || new Date().toISOString(),
+      updatedAt: project.updatedAt || project.createdAt || new Date().toISOString(),
+      knowledgeLibraries: project.knowledgeLibraries || {},
+      contextValues: project.contextValues || {},
+      outline
+    };
+  },
+
+  // v2: stable IDs on outline nodes. Library assignments, custom context, the publishing journal, the
+  // published structure and outline history move from positional keys to those IDs.
+  2: (project) => {
+    const outline = ensureOutlineIds(project.outline);
+    const keyMap = getPositionalKeyMap(outline);
+    const journal = project.publishingJournal;
+    const history = project.outlineHistory;
+
+    return {
+      ...project,
+      outline,
+      knowledgeLibraries: rekeyByNodeId(project.knowledgeLibraries, keyMap),
+      contextValues: rekeyByNodeId(project.contextValues, keyMap),
+      ...(journal && {
+        publishingJournal: { ...journal, items: rekeyByNodeId(journal.items, keyMap) }
+      }),
+      ...(project.publishedData?.structure && {
+        publishedData: { ...project.publishedData, structure: addStructureIds(project.publishedData.structure, outline) }
+      }),
+      ...(history && {
+        outlineHistory: {
+          ...history,
+          // Revisions take the current outline's IDs, so diffs and restores still line up with it
+          revisions: history.revisions.map(revision => {
+            const revisionOutline = inheritOutlineIds(revision.outline, outline);
+            return {
+              ...revision,
+              outline: revisionOutline,
+              ...(revision.knowledgeLibraries && {
+                knowledgeLibraries: rekeyByNodeId(revision.knowledgeLibraries, getPositionalKeyMap(revisionOutline))
+              })
+            };
+          })
+        }
+      })
+    };
+  },
+
+  // v3: outline history revisions keep only the book title and chapter tree, not the long-form fields
+  3: (project) => {
+    const history = project.outlineHistory;
+    if (!history) return project;
+    return {
+      ...project,
+      outlineHistory: {
+        ...history,
+        revisions: history.revisions.map(revision => ({ ...revision, outline: getOutlineStructure(revision.outline) }))
+      }
+    };
+  }
+};
+
+export const migrateProject = (project) => {
+  let migrated = { ...project };
+  let version = project.schemaVersion || 0;
+
+  while (version < PROJECT_SCHEMA_VERSION) {
+    const nextVersion = version + 1;
+    const migrate = MIGRATIONS[nextVersion];
+    if (migrate) {
+      console.log(`🔄 Migrating project ${project.id} from schema v${version} to v${nextVersion}`);
+      migrated = migrate(migrated);
+    }
+    version = nextVersion;
+  }
+
+  return { ...migrated, schemaVersion: PROJECT_SCHEMA_VERSION };
+};
+
+// Projects belong to a workspace (workspaceId) and record who created them (ownerId).
+// access: { userId, workspaceId, adoptLegacy }. Projects saved before workspaces existed (no workspaceId) are
+// adopted into their owner's personal workspace (adoptLegacy). Those saved before sign-in existed (no owner
+// either) may belong to anyone who used this browser, so they stay hidden until a user claims them.
+const isVisible = (record, access) => {
+  if (!access.workspaceId) return true;
+  if (record.workspaceId) return record.workspaceId === access.workspaceId;
+  return !!access.adoptLegacy && !!record.ownerId && record.ownerId === access.userId;
+};
+
+const isUnclaimed = (record) => !record.workspaceId && !record.ownerId;
+
+class ProjectStore {
+  constructor(adapter, access = {}) {
+    this.adapter = adapter;
+    this.access = access;
+    console.log(`Initializing project store with ${adapter.name} adapter`);
+  }
+
+  async listProjects() {
+    const records = (await this.adapter.list()).filter(record => isVisible(record, this.access));
+    const projects = [];
+
+    for (const record of records) {
+      const project = migrateProject(record);
+      const adopted = !!this.access.workspaceId && !record.workspaceId;
+      if ((record.schemaVersion || 0) !== project.schemaVersion || adopted) {
+        // Write migrated shape (and new workspace) back so this only runs once
+        if (adopted) {
+          console.log(`👥 Moving project ${project.id} into the personal workspace`);
+        }
+        await this.saveProject(project);
+      }
+      projects.push(project);
+    }
+
+    return projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Projects saved before sign-in existed, offered to the user in their personal workspace
+  async listUnclaimedProjects() {
+    if (!this.access.adoptLegacy) return [];
+    return (await this.adapter.list()).filter(isUnclaimed).map(migrateProject);
+  }
+
+  async claimProjects(projectIds) {
+    if (!this.access.adoptLegacy) {
+      throw new Error('Projects can only be claimed into your personal workspace');
+    }
+    const claimed = (await this.adapter.list())
+      .filter(record => isUnclaimed(record) && projectIds.includes(record.id))
+      .map(migrateProject);
+    for (const project of claimed) {
+      console.log(`👥 Claiming project ${project.id} into the personal workspace`);
+      await this.saveProject(project);
+    }
+    return claimed.map(project => ({ ...project, ownerId: this.access.userId, workspaceId: this.access.workspaceId }));
+  }
+
+  async getProject(projectId) {
+    const record = await this.adapter.get(projectId);
+    return record && isVisible(record, this.access) ? migrateProject(record) : null;
+  }
+
+  async saveProject(project) {
+    return this.adapter.save({
+      ...project,
+      ownerId: project.ownerId || this.access.userId || null,
+      workspaceId: project.workspaceId || this.access.workspaceId || null,
+      schemaVersion: PROJECT_SCHEMA_VERSION
+    });
+  }
+
+  async deleteProject(projectId) {
+    const record = await this.adapter.get(projectId);
+    if (record && !isVisible(record, this.access)) {
+      throw new Error(`Project ${projectId} belongs to another workspace`);
+    }
+    return this.adapter.remove(projectId);
+  }
+}
+
+// Build the store for the active workspace on the configured backend, falling back to IndexedDB.
+// Supabase storage in the project used for sign-in (or with no URL of its own) shares the signed-in client,
+// so row level security applies; a separate Supabase project is only filtered by workspace.
+export const createProjectStore = (settings = {}, access = {}) => {
+  if (settings.projectStorage === 'supabase') {
+    try {
+      const authClient = getSupabaseClient();
+      const sharesAuthProject = !!authClient && (!settings.supabaseUrl || settings.supabaseUrl === getAuthConfig().url);
+      const { userId, workspaceId, adoptLegacy } = access;
+      return new ProjectStore(new SupabaseAdapter(settings.supabaseUrl, settings.supabaseAnonKey, {
+        client: sharesAuthProject ? authClient : null,
+        scope: (query) => {
+          if (!workspaceId) return query;
+          return adoptLegacy
+            ? query.or(`workspace_id.eq.${workspaceId},and(workspace_id.is.null,user_id.eq.${userId})`)
+            : query.eq('workspace_id', workspaceId);
+        },
+        columns: (record) => ({
+          ...(record.ownerId && { user_id: record.ownerId }),
+          workspace_id: record.workspaceId || null
+        })
+      }), access);
+    } catch (error) {
+      console.warn('⚠️ Supabase storage not configured, using local IndexedDB instead:', error.message);
+    }
+  }
+  return new ProjectStore(new IndexedDBAdapter('projects'), access);
+};
+
+export default ProjectStore;
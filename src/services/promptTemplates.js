@@ -0,0 +1,645 @@
+import { findOutlineNode } from './outlineIds';
+import { isCitationStyleEnabled } from './citations';
+import { getStyleProfile, getStyleVariables } from './styleProfiles';
+import { MAX_TOPIC_SUGGESTIONS } from './outlineSchemas';
+
+// Prompt template library. The built-in prompts live here as templates with {{variables}}; the user's library
+// (settings.promptTemplates) keeps edited versions of them and a project can override a template
+// (project.promptOverrides). Every rendered prompt reports a version label so generated sections can record
+// which template produced them.
+//
+// Template syntax: {{name}} inserts a variable, {{#name}}...{{/name}} keeps the block only when the variable
+// is set (non-empty), {{^name}}...{{/name}} only when it is not.
+//
+// Library shape:   { [templateId]: { activeVersion, versions: [{ version, text, note, createdAt }] } }
+// Override shape:  { [templateId]: { text, revision, updatedAt } }
+// Version labels:  'default@N' (built-in), 'library@N', 'project@N'. Built-ins carry their own version: bump it
+// whenever a built-in template's text changes. Sections generated before built-ins were versioned record 'default'.
+
+export const PROMPT_EXPORT_FORMAT = 'ebook-prompt-templates';
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+  'research.openai': {
+    name: 'Market research (LLM)',
+    version: 1,
+    stage: 'research',
+    variables: ['niche', 'mustHaveAspects', 'otherConsiderations'],
+    text: `Act as a Senior Content Strategist and bestselling non-fiction ghostwriter. I am commissioning an authoritative ebook in the professional niche of: {{niche}}.
+
+Some of the initial considerations for the ebook as per the commissioning editor are:
+
+Must-have content and themes: {{mustHaveAspects}}
+
+Additional content and structural considerations: {{otherConsiderations}}
+
+Your mission is to conduct a deep market and audience analysis to uncover the most potent professional drivers, emotional triggers, and desired outcomes of the target readership for this ebook. This deep insight will inform the ebook's structure, tone, and content to ensure it is highly practical, resonant, and achieves maximum impact for the reader.
+
+The final output MUST be a single text paragraph string titled "ebook_research_brief". The ebook_research_brief will include: "ebookTitle", "readerTransformationPillars", "idealReaderProfile", "marketRelevance", "hardHittingPainPoints", "keyEmotionalTriggers", "tangibleReaderResults", "assumedReaderKnowledge", and "recommendedContentStructure".
+
+Generate the "ebook_research_brief" paragraph now. The output should be a single, continuous text string that can be passed to the next node.`
+  },
+
+  'research.perplexity': {
+    name: 'Market research (Perplexity)',
+    version: 1,
+    stage: 'research',
+    variables: ['niche', 'mustHaveAspects', 'otherConsiderations'],
+    text: `Conduct comprehensive market research for an ebook on: "{{niche}}"
+
+Key Requirements:
+- Must-have content: {{mustHaveAspects}}
+- Additional considerations: {{otherConsiderations}}
+
+Please provide a detailed research brief that includes:
+1. Target audience analysis and ideal reader profile
+2. Current market trends and developments (focus on recent data)
+3. Key pain points and emotional triggers for the target audience
+4. Recommended content structure and chapter topics
+5. Market positioning and competitive landscape
+6. Reader transformation goals and desired outcomes
+
+Format the response as a comprehensive research brief that can guide ebook creation.`
+  },
+
+  'outline.preface': {
+    name: 'Preface and introduction',
+    version: 2,
+    stage: 'outline',
+    variables: ['researchBrief', 'mustHaveAspects', 'otherConsiderations', 'styleGuide'],
+    text: `Act as an expert developmental editor and bestselling non-fiction author. Your task is to write the ebook's preface and Introduction.
+
+CONTEXT:
+Use the research brief below:
+{{researchBrief}}
+
+Must-Have Themes: {{mustHaveAspects}}
+Other Ebook Structural Considerations: {{otherConsiderations}}
+{{#styleGuide}}
+STYLE GUIDE:
+{{styleGuide}}
+{{/styleGuide}}
+TASK:
+Given the above research brief and additional context, generate both a Preface and Introduction for the book. Generate both in HTML format. Around 800-1000 words each for Preface and Introduction.
+
+Format your response as a JSON object with two keys:
+{"preface": "<html content for preface>", "introduction": "<html content for introduction>"}
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.chapters': {
+    name: 'Chapter outline',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'mustHaveAspects', 'otherConsiderations', 'maxChapters'],
+    text: `Act as an expert developmental editor and curriculum design specialist. Your task is to apply curriculum design principles to outline a practical, high-impact ebook by structuring the ebook's main chapters as a sequence of "courses".
+
+CONTEXT:
+{{researchBrief}}
+
+Must-Have Themes: {{mustHaveAspects}}
+Other Ebook Structural Considerations: {{otherConsiderations}}
+
+Total number of courses (chapters) should not exceed {{maxChapters}}.
+
+TASK:
+Generate a logical, scaffolded sequence of "courses" to structure the ebook. Each course should build upon previous knowledge and guide the reader toward mastery.
+
+Your output MUST be a JSON object with a single key "chapters" holding an array of objects. Each object represents a chapter and MUST have the following keys:
+- "courseNumber": Integer starting from 1
+- "courseTitle": String - compelling chapter title
+- "courseDescription": String - brief description of what this chapter covers
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.topics': {
+    name: 'Chapter topics',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'chapterTitle', 'chapterDescription', 'mustHaveAspects', 'instruction'],
+    text: `As an expert ebook architect, you are designing a single chapter of an authoritative professional ebook. Your task is to create the complete, detailed content outline for this single chapter.
+
+CONTEXT:
+{{researchBrief}}
+
+Current Chapter: {{chapterTitle}}
+Chapter Description: {{chapterDescription}}
+Must-Have aspects: {{mustHaveAspects}}
+{{#instruction}}
+Additional instruction from the editor: {{instruction}}
+{{/instruction}}
+TASK:
+Generate the complete content outline for ONLY the chapter specified above. Break down the chapter into logical topics and sections that deliver maximum value to the reader.
+
+Your output MUST be a JSON object with a single key "topics" holding an array of objects. Each object in the array represents a chapter topic and MUST have the following keys:
+- "topicTitle": String - the main topic title
+- "topicLearningObjectiveDescription": String - what the reader will learn/achieve
+- "lessons": Array of lesson objects, each with:
+  - "lessonTitle": String - specific lesson title
+  - "lessonDescription": String - what this lesson covers
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.addLessons': {
+    name: 'Add lessons to a topic',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'chapterTitle', 'topicTitle', 'topicObjective', 'existingLessons', 'count', 'instruction'],
+    text: `As an expert ebook architect, you are extending one topic of an authoritative professional ebook with new lessons.
+
+CONTEXT:
+{{researchBrief}}
+
+Current Chapter: {{chapterTitle}}
+Current Topic: {{topicTitle}}
+Learning objective: {{topicObjective}}
+Existing lessons: {{existingLessons}}
+{{#instruction}}
+Additional instruction from the editor: {{instruction}}
+{{/instruction}}
+TASK:
+Write exactly {{count}} NEW lessons for this topic. They must not repeat the existing lessons and should follow on from them.
+
+Your output MUST be a JSON object with a single key "lessons" holding an array of objects, each with:
+- "lessonTitle": String - specific lesson title
+- "lessonDescription": String - what this lesson covers
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.split': {
+    name: 'Split a topic',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'chapterTitle', 'topic', 'instruction'],
+    text: `As an expert ebook architect, you are restructuring an oversized topic of an authoritative professional ebook.
+
+CONTEXT:
+{{researchBrief}}
+
+Current Chapter: {{chapterTitle}}
+Topic to split: {{topic}}
+{{#instruction}}
+Additional instruction from the editor: {{instruction}}
+{{/instruction}}
+TASK:
+Split this topic into exactly two focused topics that together cover everything it covers now. Keep existing lesson titles unchanged where a lesson fits one of the new topics, and add or reword lessons only where needed.
+
+Your output MUST be a JSON object with a single key "topics" holding an array of exactly two objects, each with:
+- "topicTitle": String - the topic title
+- "topicLearningObjectiveDescription": String - what the reader will learn/achieve
+- "lessons": Array of lesson objects, each with "lessonTitle" and "lessonDescription"
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.merge': {
+    name: 'Merge two chapters',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'firstChapter', 'secondChapter', 'instruction'],
+    text: `As an expert ebook architect, you are merging two chapters of an authoritative professional ebook into one.
+
+CONTEXT:
+{{researchBrief}}
+
+First chapter: {{firstChapter}}
+Second chapter: {{secondChapter}}
+{{#instruction}}
+Additional instruction from the editor: {{instruction}}
+{{/instruction}}
+TASK:
+Combine both chapters into a single chapter with a new title and description. Keep existing topic and lesson titles unchanged where they still fit, remove overlap and order the topics so they build on each other.
+
+Your output MUST be a JSON object with the following keys:
+- "courseTitle": String - compelling chapter title
+- "courseDescription": String - brief description of what this chapter covers
+- "topics": Array of topic objects, each with "topicTitle", "topicLearningObjectiveDescription" and "lessons" (objects with "lessonTitle" and "lessonDescription")
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'outline.suggest': {
+    name: 'Suggest missing topics',
+    version: 1,
+    stage: 'outline',
+    variables: ['researchBrief', 'mustHaveAspects', 'outline', 'maxSuggestions', 'instruction'],
+    text: `Act as an expert developmental editor reviewing the outline of an authoritative professional ebook for gaps.
+
+CONTEXT:
+{{researchBrief}}
+
+Must-Have aspects: {{mustHaveAspects}}
+
+Current outline:
+{{outline}}
+{{#instruction}}
+Additional instruction from the editor: {{instruction}}
+{{/instruction}}
+TASK:
+Compare the outline against the must-have aspects and the research brief. For each must-have aspect or key reader need that no existing topic covers, propose one new topic and the existing chapter it belongs in. Propose at most {{maxSuggestions}} topics; return an empty list if nothing important is missing.
+
+Your output MUST be a JSON object with a single key "suggestions" holding an array of objects, each with:
+- "chapterNumber": Integer - the number of the existing chapter the topic belongs in
+- "reason": String - which gap the topic fills
+- "topic": Object with "topicTitle", "topicLearningObjectiveDescription" and "lessons" (objects with "lessonTitle" and "lessonDescription")
+
+Return ONLY the JSON object, no other text.`
+  },
+
+  'topic.introduction': {
+    name: 'Topic introduction',
+    version: 2,
+    stage: 'topicIntro',
+    variables: ['researchBrief', 'chapterTitle', 'chapterDescription', 'topicTitle', 'topicObjective', 'lessons', 'styleGuide'],
+    text: `Write the introductory and activity-focused content for a single topic.
+
+CONTEXT:
+Overall context: {{researchBrief}}
+Course title: {{chapterTitle}}
+Course description: {{chapterDescription}}
+Current Topic: {{topicTitle}}
+Learning objective: {{topicObjective}}
+Lessons in this Topic: {{lessons}}
+{{#styleGuide}}
+STYLE GUIDE:
+{{styleGuide}}
+{{/styleGuide}}
+TASK:
+Generate the topic introduction in plain text format:
+"topicIntroduction": A compelling introductory paragraph (150-200 words) for the topic.`
+  },
+
+  'section.librarySystem': {
+    name: 'Section knowledge library extraction (system)',
+    version: 1,
+    stage: 'section',
+    variables: [],
+    text: `Act as a senior instructional designer. Output strictly as HTML, concise and practical. Focus on extracting relevant knowledge from the attached reference materials.`
+  },
+
+  'section.library': {
+    name: 'Section knowledge library extraction',
+    version: 1,
+    stage: 'section',
+    variables: ['lessonTitle', 'lessonDescription'],
+    text: `Generate the readingContent (1000-1200 words in HTML) for the topic section titled "{{lessonTitle}}" with description "{{lessonDescription}}" using the relevant reference from the attached documents from the reference library using file_search tool.
+
+Focus on:
+- Practical, actionable content
+- Step-by-step guidance where applicable
+- Real-world examples and case studies
+- Current best practices from the reference materials
+
+Output should be comprehensive HTML content that can stand alone as educational material.`
+  },
+
+  'section.system': {
+    name: 'Section writer (system)',
+    version: 2,
+    stage: 'section',
+    variables: ['researchContext', 'userAddedContext', 'styleGuide', 'instructionMethod', 'generationApproach'],
+    text: `Act as an expert ebook writer and instructional designer. You are creating comprehensive, practical content for professionals.
+
+{{#researchContext}}RESEARCH CONTEXT (Priority 3 - Overall Ebook Research):
+{{researchContext}}
+
+{{/researchContext}}{{#userAddedContext}}USER ADDED CONTEXT (Priority 4 - Specific Instructions):
+{{userAddedContext}}
+
+{{/userAddedContext}}CONTENT REQUIREMENTS:
+- Focus on actionable strategies that readers can implement immediately
+- Address emotional triggers and emphasize benefits
+- Include common mistakes and how to avoid them
+- Use case studies or examples from real businesses to make content relatable
+- Provide templates and actionable checklists if applicable
+- Keep the text as action focused as possible
+- Quote recent research on this topic if any
+- Generate 1500-2000 words in HTML format
+
+{{#styleGuide}}STYLE GUIDE (follow it throughout):
+{{styleGuide}}
+
+{{/styleGuide}}Instruction Method: {{instructionMethod}}
+Generation Approach: {{generationApproach}}`
+  },
+
+  'section.user': {
+    name: 'Section writer (task)',
+    version: 1,
+    stage: 'section',
+    variables: ['lessonTitle', 'lessonDescription', 'webSearchContext', 'knowledgeContext', 'sources', 'citeSources'],
+    text: `TASK: Develop a comprehensive, practical section on "{{lessonTitle}}" with description: "{{lessonDescription}}"
+
+{{#webSearchContext}}WEB SEARCH CONTEXT (Priority 1 - Current Trends & Data):
+{{webSearchContext}}
+
+{{/webSearchContext}}{{#knowledgeContext}}KNOWLEDGE LIBRARY CONTEXT (Priority 2 - Domain Expertise):
+{{knowledgeContext}}
+
+{{/knowledgeContext}}{{#sources}}SOURCES:
+{{sources}}
+
+{{/sources}}PRIORITY INSTRUCTIONS:
+1. {{#webSearchContext}}Use the WEB SEARCH CONTEXT for current trends and recent insights{{/webSearchContext}}{{^webSearchContext}}Focus on established best practices and proven methods{{/webSearchContext}}
+2. {{#knowledgeContext}}Enhance with KNOWLEDGE LIBRARY CONTEXT for domain-specific expertise and detailed guidance{{/knowledgeContext}}{{^knowledgeContext}}Ensure content is comprehensive and authoritative{{/knowledgeContext}}
+3. Ensure alignment with the overall research context and user requirements
+4. Generate practical, actionable content that readers can implement immediately
+{{#citeSources}}5. Cite the SOURCES inline with their bracketed number, e.g. [2], directly after the sentence that relies on them. Only use numbers from SOURCES and do not add a reference list at the end.
+{{/citeSources}}
+Generate comprehensive HTML content (1500-2000 words) that combines all available context sources into a cohesive, valuable learning experience.`
+  },
+
+  'perplexity.topicContext': {
+    name: 'Web research for a topic\'s sections (Perplexity)',
+    version: 1,
+    stage: 'section',
+    variables: ['ebookTitle', 'topicTitle', 'sections'],
+    text: `For the chapter topic "{{topicTitle}}" in the ebook "{{ebookTitle}}", provide structured research context for the following sections:
+
+Section Details: {{sections}}
+
+Return a JSON array where each object corresponds to one section and contains:
+- sectionName: The exact section name from the list
+- summary: A comprehensive 300-400 word summary with current insights and trends
+- keyPoints: 3-5 key actionable insights or important points
+- sources: Up to 5 relevant URLs or references (if available)
+
+Focus on recent developments, practical applications, and current industry trends for each section.`
+  },
+
+  'perplexity.sectionContext': {
+    name: 'Web research for one section (Perplexity, legacy)',
+    version: 1,
+    stage: 'section',
+    variables: ['ebookTitle', 'sectionTitle'],
+    text: `Provide current web research context for the section "{{sectionTitle}}" in the ebook "{{ebookTitle}}".
+
+Include:
+- 3-5 key current trends and insights
+- 2-4 actionable takeaways  
+- Recent statistics or examples (last 1-3 months if available)
+- Relevant industry developments
+
+Keep the response focused and practical for content creation.`
+  },
+
+  'perplexity.references': {
+    name: 'Topic web references (Perplexity)',
+    version: 1,
+    stage: 'topicIntro',
+    variables: ['ebookTitle', 'topicTitle'],
+    text: `Find current web sources and references for the topic "{{topicTitle}}" in the context of "{{ebookTitle}}".
+
+Please provide:
+- 2-3 most relevant and recent web sources
+- Brief description (first 20 words) for each source
+- Focus on authoritative, recent content (last 3-6 months preferred)
+- Include practical resources, case studies, or expert insights
+
+Format for easy integration into content.`
+  }
+};
+
+export const PROMPT_VARIABLE_DESCRIPTIONS = {
+  niche: 'Ebook niche entered when the project was created',
+  mustHaveAspects: 'Must-have aspects of the project',
+  otherConsiderations: 'Other design considerations (or "None specified")',
+  maxChapters: 'Maximum number of chapters',
+  researchBrief: 'Research brief from the research stage',
+  researchContext: 'Research brief plus the chapter and topic the section belongs to',
+  chapterTitle: 'Chapter title',
+  chapterDescription: 'Chapter description',
+  topicTitle: 'Topic title',
+  topicObjective: 'Topic learning objective',
+  lessons: 'Lessons of the topic as JSON',
+  lessonTitle: 'Lesson (section) title',
+  lessonDescription: 'Lesson (section) description',
+  userAddedContext: 'Custom context added to the lesson in the outline editor',
+  styleGuide: 'Style guide from the project\'s style profile (voice, reading level, banned words...)',
+  instructionMethod: 'Instruction method from the style profile',
+  generationApproach: 'Generation approach from the style profile',
+  webSearchContext: 'Web research for the section (Perplexity), when available',
+  knowledgeContext: 'Excerpts from the lesson\'s knowledge library, when one is assigned',
+  sources: 'Numbered source list, when a citation style is set',
+  citeSources: 'Set when sources should be cited inline',
+  instruction: 'Extra instruction given in the outline editor',
+  existingLessons: 'Titles of the topic\'s current lessons as JSON',
+  count: 'Number of lessons to add',
+  topic: 'The topic being split, with its lessons, as JSON',
+  firstChapter: 'First chapter of a merge, with its topics, as JSON',
+  secondChapter: 'Second chapter of a merge, with its topics, as JSON',
+  outline: 'Compact listing of the current chapters, topics and lessons',
+  maxSuggestions: 'Maximum number of topics to suggest',
+  ebookTitle: 'Title of the ebook',
+  sections: 'Titles and descriptions of the topic\'s sections',
+  sectionTitle: 'Lesson (section) title'
+};
+
+const isSet = (value) => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== false && value !== '');
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+export const renderTemplate = (text, variables = {}) => {
+  let rendered = text;
+  let previous;
+  // Sections may be nested, so keep expanding until none are left
+  do {
+    previous = rendered;
+    rendered = rendered.replace(SECTION_PATTERN, (match, type, name, body) => (
+      (type === '#') === isSet(variables[name]) ? body : ''
+    ));
+  } while (rendered !== previous);
+
+  return rendered.replace(/\{\{(\w+)\}\}/g, (match, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+};
+
+// Variable names used in a template, in order of first use
+export const findTemplateVariables = (text = '') => [
+  ...new Set([...text.matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map(match => match[1]))
+];
+
+// Variables a template uses that the template doesn't provide, e.g. typos like {{lessonTitel}}
+export const findUnknownVariables = (templateId, text) => {
+  const known = DEFAULT_PROMPT_TEMPLATES[templateId]?.variables || [];
+  return findTemplateVariables(text).filter(name => !known.includes(name));
+};
+
+export const getActiveLibraryVersion = (library = {}, templateId) => {
+  const entry = library[templateId];
+  return entry?.versions?.find(item => item.version === entry.activeVersion) || null;
+};
+
+// { id, text, version } for the template a call should use: project override, then library, then built-in
+export const resolvePromptTemplate = (templateId, { library = {}, overrides = {} } = {}) => {
+  const override = overrides[templateId];
+  if (override?.text) {
+    return { id: templateId, text: override.text, version: `project@${override.revision || 1}` };
+  }
+  const libraryVersion = getActiveLibraryVersion(library, templateId);
+  if (libraryVersion) {
+    return { id: templateId, text: libraryVersion.text, version: `library@${libraryVersion.version}` };
+  }
+  const builtIn = DEFAULT_PROMPT_TEMPLATES[templateId];
+  if (!builtIn) {
+    throw new Error(`Unknown prompt template: ${templateId}`);
+  }
+  return { id: templateId, text: builtIn.text, version: `default@${builtIn.version}` };
+};
+
+// Renders prompts for the services; render(id, variables) returns { text, id, version }
+export const createPromptRenderer = ({ library = {}, overrides = {} } = {}) => ({
+  render: (templateId, variables) => {
+    const template = resolvePromptTemplate(templateId, { library, overrides });
+    return { ...template, text: renderTemplate(template.text, variables) };
+  }
+});
+
+export const defaultPromptRenderer = createPromptRenderer();
+
+// "Section writer (task): library@2" lines for the templates that produced a section
+export const describePromptVersions = (promptVersions = {}) => Object.entries(promptVersions)
+  .map(([templateId, version]) => `${DEFAULT_PROMPT_TEMPLATES[templateId]?.name || templateId}: ${version}`)
+  .join('\n');
+
+export const isBuiltInVersion = (version = '') => version === 'default' || version.startsWith('default@');
+
+export const usesEditedPrompts = (promptVersions = {}) => Object.values(promptVersions).some(version => !isBuiltInVersion(version));
+
+// Save text as a new library version of a template and make it the active one
+export const addLibraryVersion = (library = {}, templateId, text, note = '') => {
+  const entry = library[templateId] || { activeVersion: null, versions: [] };
+  const version = entry.versions.reduce((max, item) => Math.max(max, item.version), 0) + 1;
+  return {
+    ...library,
+    [templateId]: {
+      activeVersion: version,
+      versions: [...entry.versions, { version, text, note, createdAt: new Date().toISOString() }]
+    }
+  };
+};
+
+// activeVersion null goes back to the built-in template while keeping the saved versions
+export const setActiveLibraryVersion = (library = {}, templateId, version) => ({
+  ...library,
+  [templateId]: { versions: [], ...library[templateId], activeVersion: version }
+});
+
+export const setProjectOverride = (overrides = {}, templateId, text) => {
+  if (!text) {
+    const { [templateId]: removed, ...rest } = overrides;
+    return rest;
+  }
+  return {
+    ...overrides,
+    [templateId]: { text, revision: (overrides[templateId]?.revision || 0) + 1, updatedAt: new Date().toISOString() }
+  };
+};
+
+export const exportPromptLibrary = (library = {}) => JSON.stringify({
+  format: PROMPT_EXPORT_FORMAT,
+  exportedAt: new Date().toISOString(),
+  templates: library
+}, null, 2);
+
+// Merge an exported library into the current one. Imported versions are appended as new versions (so nothing
+// existing is overwritten) and the imported active version becomes active. Returns { library, imported }.
+export const importPromptLibrary = (library = {}, json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+  if (data?.format !== PROMPT_EXPORT_FORMAT || !data.templates || typeof data.templates !== 'object') {
+    throw new Error('This file is not a prompt template export');
+  }
+
+  let merged = library;
+  let imported = 0;
+  Object.entries(data.templates).forEach(([templateId, entry]) => {
+    if (!DEFAULT_PROMPT_TEMPLATES[templateId] || !Array.isArray(entry?.versions)) return;
+    const versions = [...entry.versions].filter(item => typeof item?.text === 'string').sort((a, b) => a.version - b.version);
+    const active = versions.find(item => item.version === entry.activeVersion);
+    versions.filter(item => item !== active).forEach(item => {
+      merged = addLibraryVersion(merged, templateId, item.text, item.note || `Imported v${item.version}`);
+    });
+    if (active) {
+      merged = addLibraryVersion(merged, templateId, active.text, active.note || `Imported v${active.version}`);
+    } else {
+      merged = setActiveLibraryVersion(merged, templateId, library[templateId]?.activeVersion ?? null);
+    }
+    imported++;
+  });
+
+  return { library: merged, imported };
+};
+
+// Compact "Chapter N: title / - topic (lessons)" listing of an outline for prompts
+export const describeOutline = (outline) => (outline?.chapters || []).map(chapter => [
+  `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`,
+  ...(chapter.topics || []).map(topic => `  - ${topic.topicTitle} (${(topic.lessons || []).map(lesson => lesson.lessonTitle).join('; ')})`)
+].join('\n')).join('\n');
+
+// Titles and descriptions of a topic's sections for the Perplexity topic research prompt
+export const describeSections = (lessons = []) => lessons
+  .map(lesson => `"${lesson.lessonTitle}": ${lesson.lessonDescription}`)
+  .join(', ');
+
+// Research context handed to the section writer: the research brief plus where the section sits in the book
+export const buildSectionResearchContext = (researchBrief, chapter, topic) => `
+      ${researchBrief}
+
+      Chapter: ${chapter.courseTitle}
+      Chapter Description: ${chapter.courseDescription}
+
+      Topic: ${topic.topicTitle}
+      Topic Objective: ${topic.topicLearningObjectiveDescription}
+    `;
+
+// Variables for previewing templates against a project and one of its lessons. Context that only exists
+// while publishing (web research, library excerpts, numbered sources) is shown as a placeholder.
+export const getPreviewVariables = (project, lessonId, styleProfiles = []) => {
+  const outline = project?.outline || {};
+  const location = lessonId ? findOutlineNode(outline, lessonId) : null;
+  const { node: lesson, chapter, topic } = location?.level === 'lesson' ? location : {};
+  const libraries = project?.knowledgeLibraries || {};
+  const hasLibrary = lesson && Boolean(libraries[lesson.id] || libraries[topic.id] || libraries[chapter.id]);
+  const citeSources = isCitationStyleEnabled(outline.citationStyle || project?.citationStyle);
+  const usesWebContext = (outline.contentGenerationMethod || 'openai') === 'perplexity';
+
+  return {
+    niche: project?.niche || project?.title || '',
+    mustHaveAspects: project?.mustHaveAspects || '',
+    otherConsiderations: project?.otherConsiderations || 'None specified',
+    maxChapters: project?.maxChapters || (outline.chapters || []).length,
+    researchBrief: outline.researchBrief || '',
+    ebookTitle: outline.title || '',
+    outline: describeOutline(outline),
+    maxSuggestions: MAX_TOPIC_SUGGESTIONS,
+    instruction: '',
+    ...getStyleVariables(getStyleProfile(styleProfiles, outline.styleProfileId || project?.styleProfileId)),
+    ...(lesson && {
+      researchContext: buildSectionResearchContext(outline.researchBrief, chapter, topic),
+      chapterTitle: chapter.courseTitle,
+      chapterDescription: chapter.courseDescription,
+      topicTitle: topic.topicTitle,
+      topicObjective: topic.topicLearningObjectiveDescription,
+      lessons: JSON.stringify(topic.lessons),
+      existingLessons: JSON.stringify(topic.lessons.map(item => item.lessonTitle)),
+      count: 3,
+      topic: JSON.stringify(topic),
+      sections: describeSections(topic.lessons),
+      sectionTitle: lesson.lessonTitle,
+      lessonTitle: lesson.lessonTitle,
+      lessonDescription: lesson.lessonDescription,
+      userAddedContext: lesson.userAddedContext || '',
+      webSearchContext: usesWebContext ? '[Web research for this section, fetched while publishing]' : '',
+      knowledgeContext: hasLibrary ? '[Excerpts from the knowledge library, retrieved while publishing]' : '',
+      sources: citeSources && (usesWebContext || hasLibrary) ? '[Numbered sources, listed while publishing]' : '',
+      citeSources: citeSources && (usesWebContext || hasLibrary)
+    })
+  };
+};
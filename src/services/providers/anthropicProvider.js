@@ -0,0 +1,115 @@
+import OpenAICompatibleProvider from './openaiCompatibleProvider';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+// Anthropic Messages API behind the chat-completions interface: system messages move to the top-level
+// system prompt, consecutive same-role turns are merged and the reply is mapped back to OpenAI's shape.
+class AnthropicProvider extends OpenAICompatibleProvider {
+  constructor(config = {}) {
+    // The settings form passes an empty base URL when the field is left blank
+    super({ name: 'Anthropic', structuredOutput: 'prompt', ...config, baseUrl: config.baseUrl || 'https://api.anthropic.com' });
+  }
+
+  buildUrl(endpoint) {
+    return `${this.baseUrl}/v1/messages`;
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      // Required for calls made straight from the browser
+      'anthropic-dangerous-direct-browser-access': 'true',
+      ...this.headers
+    };
+  }
+
+  buildBody(endpoint, data) {
+    const system = data.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const messages = [];
+    data.messages
+      .filter(message => message.role !== 'system')
+      .forEach(message => {
+        const last = messages[messages.length - 1];
+        if (last && last.role === message.role) {
+          last.content = `${last.content}\n\n${message.content}`;
+        } else {
+          messages.push({ role: message.role, content: message.content });
+        }
+      });
+
+    return {
+      model: data.model,
+      max_tokens: data.max_tokens || DEFAULT_MAX_TOKENS,
+      ...(data.temperature !== undefined ? { temperature: Math.min(1, data.temperature) } : {}),
+      ...(system ? { system } : {}),
+      messages
+    };
+  }
+
+  buildStreamBody(endpoint, data) {
+    return { ...this.buildBody(endpoint, data), stream: true };
+  }
+
+  // message_start carries input usage, content_block_delta the text, message_delta the stop reason and output usage
+  parseStreamChunk(chunk) {
+    switch (chunk.type) {
+      case 'message_start':
+        return {
+          delta: '',
+          finishReason: null,
+          usage: { prompt_tokens: chunk.message?.usage?.input_tokens || 0 },
+          model: chunk.message?.model || null
+        };
+      case 'content_block_delta':
+        return { delta: chunk.delta?.type === 'text_delta' ? chunk.delta.text : '', finishReason: null, usage: null, model: null };
+      case 'message_delta':
+        return {
+          delta: '',
+          finishReason: STOP_REASONS[chunk.delta?.stop_reason] || chunk.delta?.stop_reason || null,
+          usage: chunk.usage ? { completion_tokens: chunk.usage.output_tokens || 0 } : null,
+          model: null
+        };
+      default:
+        return { delta: '', finishReason: null, usage: null, model: null };
+    }
+  }
+
+  parseResponse(endpoint, result) {
+    const content = (result.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const inputTokens = result.usage?.input_tokens || 0;
+    const outputTokens = result.usage?.output_tokens || 0;
+
+    return {
+      id: result.id,
+      model: result.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: STOP_REASONS[result.stop_reason] || result.stop_reason || 'stop'
+      }],
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens
+      }
+    };
+  }
+}
+
+export default AnthropicProvider;
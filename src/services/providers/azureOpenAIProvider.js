@@ -0,0 +1,31 @@
+import OpenAICompatibleProvider from './openaiCompatibleProvider';
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// Azure OpenAI routes by deployment name in the URL and authenticates with an api-key header.
+// The "model" chosen for a stage is the deployment name.
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  constructor({ apiVersion, ...config } = {}) {
+    super({ structuredOutput: 'json_object', ...config });
+    this.apiVersion = apiVersion || DEFAULT_AZURE_API_VERSION;
+  }
+
+  buildUrl(endpoint, data) {
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(data.model)}${endpoint}?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': this.apiKey,
+      ...this.headers
+    };
+  }
+
+  buildBody(endpoint, data) {
+    const { model, ...body } = data;
+    return body;
+  }
+}
+
+export default AzureOpenAIProvider;
@@ -0,0 +1,159 @@
+import OpenAICompatibleProvider from './openaiCompatibleProvider';
+import AzureOpenAIProvider, { DEFAULT_AZURE_API_VERSION } from './azureOpenAIProvider';
+import AnthropicProvider from './anthropicProvider';
+import { getAccessToken } from '../auth';
+
+// Provider registry. The built-in OpenAI provider uses the keys from the OpenAI settings card;
+// additional providers are stored in settings.llmProviders:
+// { id, name, type, baseUrl, apiKey, apiVersion, models: 'comma,separated', fallbackModel }
+
+export const BUILT_IN_PROVIDER_ID = 'openai';
+export const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const PERPLEXITY_BASE_URL = 'https://api.perplexity.ai';
+// Route of functions/ai-proxy.mjs when the app is deployed together with its functions
+export const DEFAULT_AI_PROXY_URL = '/api/ai';
+
+// Built-in upstreams: where they live and which settings hold their primary and fallback keys
+const UPSTREAMS = {
+  openai: { baseUrl: OPENAI_BASE_URL, keys: ['openaiPrimary', 'openaiFallback'] },
+  perplexity: { baseUrl: PERPLEXITY_BASE_URL, keys: ['perplexityPrimary', 'perplexityFallback'] }
+};
+
+export const OPENAI_MODELS = [
+  { value: 'gpt-4.1-mini-2025-04-14', label: 'GPT-4.1 Mini (Recommended)' },
+  { value: 'gpt-4.1-2025-04-14', label: 'GPT-4.1 (High Quality)' },
+  { value: 'gpt-4o', label: 'GPT-4o (Optimized)' },
+  { value: 'gpt-4o-mini', label: 'GPT-4o Mini (Fast)' }
+];
+
+export const PROVIDER_TYPES = {
+  azure: {
+    label: 'Azure OpenAI',
+    baseUrlLabel: 'Resource Endpoint',
+    baseUrlPlaceholder: 'https://my-resource.openai.azure.com',
+    modelsLabel: 'Deployment Names',
+    modelsPlaceholder: 'gpt-4o-prod, gpt-4o-mini-prod',
+    requiresApiKey: true,
+    create: (config) => new AzureOpenAIProvider(config)
+  },
+  anthropic: {
+    label: 'Anthropic',
+    baseUrlLabel: 'API Base URL',
+    baseUrlPlaceholder: 'https://api.anthropic.com',
+    modelsLabel: 'Models',
+    modelsPlaceholder: 'claude-sonnet-4-5, claude-haiku-4-5',
+    requiresApiKey: true,
+    create: (config) => new AnthropicProvider(config)
+  },
+  openaiCompatible: {
+    label: 'OpenAI-compatible (local / self-hosted)',
+    baseUrlLabel: 'Base URL',
+    baseUrlPlaceholder: 'http://localhost:11434/v1',
+    modelsLabel: 'Models',
+    modelsPlaceholder: 'llama3.1:8b, qwen2.5:14b',
+    requiresApiKey: false,
+    create: (config) => new OpenAICompatibleProvider({ structuredOutput: 'json_object', ...config })
+  }
+};
+
+export const LLM_STAGES = [
+  { key: 'research', label: 'Market Research', description: 'Research brief when research uses an LLM instead of Perplexity' },
+  { key: 'outline', label: 'Outline', description: 'Preface, introduction, chapters, topics and lessons' },
+  { key: 'topicIntro', label: 'Topic Introductions', description: 'Introductory paragraph for each chapter topic' },
+  { key: 'section', label: 'Section Content', description: 'Full HTML content for each lesson' }
+];
+
+// settings.keyMode: 'browser' (keys from Settings are sent from the browser) or 'server' (requests go through
+// the AI proxy, which holds the keys and enforces per-user quotas)
+export const isServerKeyMode = (settings) => settings?.keyMode === 'server';
+
+// { baseUrl, apiKey } for a built-in upstream ('openai' or 'perplexity'), or null when it isn't configured.
+// With server-managed keys the requests go to the AI proxy, under the workspace the settings belong to, signed
+// with the user's access token: apiKey is then a function resolving the current token, and there is no fallback key.
+export const getUpstreamAccess = (settings, upstream, { useFallbackKey = false } = {}) => {
+  if (isServerKeyMode(settings)) {
+    if (useFallbackKey || !settings.workspaceId) return null;
+    const proxyUrl = (settings.aiProxyUrl || DEFAULT_AI_PROXY_URL).replace(/\/+$/, '');
+    return { baseUrl: `${proxyUrl}/${encodeURIComponent(settings.workspaceId)}/${upstream}`, apiKey: getAccessToken };
+  }
+
+  const [primaryKey, fallbackKey] = UPSTREAMS[upstream].keys;
+  const apiKey = settings[useFallbackKey ? fallbackKey : primaryKey];
+  return apiKey ? { baseUrl: UPSTREAMS[upstream].baseUrl, apiKey } : null;
+};
+
+export const isUpstreamConfigured = (settings, upstream) => !!getUpstreamAccess(settings, upstream);
+
+export const parseModelList = (models) => {
+  if (Array.isArray(models)) return models.filter(Boolean);
+  return (models || '').split(',').map(model => model.trim()).filter(Boolean);
+};
+
+// All providers a stage can be routed to, built-in OpenAI first
+export const getConfiguredProviders = (settings) => {
+  const openaiAccess = getUpstreamAccess(settings, 'openai');
+  return [
+    {
+      id: BUILT_IN_PROVIDER_ID,
+      name: 'OpenAI',
+      type: 'openai',
+      baseUrl: openaiAccess?.baseUrl || OPENAI_BASE_URL,
+      apiKey: openaiAccess?.apiKey || '',
+      models: OPENAI_MODELS.map(model => model.value),
+      fallbackModel: 'gpt-3.5-turbo',
+      builtIn: true
+    },
+    ...(settings.llmProviders || [])
+      .filter(provider => provider?.id && PROVIDER_TYPES[provider.type])
+      .map(provider => ({
+        ...provider,
+        name: provider.name || PROVIDER_TYPES[provider.type].label,
+        models: parseModelList(provider.models)
+      }))
+  ];
+};
+
+export const getProviderConfig = (settings, providerId) => {
+  const providers = getConfiguredProviders(settings);
+  return providers.find(provider => provider.id === providerId) || providers[0];
+};
+
+export const isProviderConfigured = (settings, providerId = BUILT_IN_PROVIDER_ID) => {
+  const config = getProviderConfig(settings, providerId);
+  if (config.builtIn) return !!config.apiKey;
+  return !!config.baseUrl && (!PROVIDER_TYPES[config.type].requiresApiKey || !!config.apiKey) && config.models.length > 0;
+};
+
+// useFallbackKey only applies to the built-in provider (settings.openaiFallback)
+export const createProvider = (config, { useFallbackKey = false, settings = {} } = {}) => {
+  if (config.builtIn) {
+    const access = useFallbackKey ? getUpstreamAccess(settings, 'openai', { useFallbackKey }) : config;
+    return new OpenAICompatibleProvider({
+      id: config.id,
+      name: config.name,
+      baseUrl: access?.baseUrl || config.baseUrl,
+      apiKey: access?.apiKey || ''
+    });
+  }
+
+  return PROVIDER_TYPES[config.type].create({
+    id: config.id,
+    name: config.name,
+    baseUrl: config.baseUrl || undefined,
+    apiKey: config.apiKey,
+    apiVersion: config.apiVersion || DEFAULT_AZURE_API_VERSION
+  });
+};
+
+// routing: { [stage]: { providerId, model } } from the project's advanced options
+export const resolveStageRoute = (settings, routing = {}, stage) => {
+  const selection = routing?.[stage] || {};
+  const config = getProviderConfig(settings, selection.providerId);
+  const model = selection.model && config.models.includes(selection.model) ? selection.model : null;
+
+  return {
+    config,
+    // The built-in provider falls back to the project's GPT model choice; others to their first model
+    model: model || (config.builtIn ? null : config.models[0] || null)
+  };
+};
@@ -0,0 +1,210 @@
+import { parseRetryAfter } from '../generationScheduler';
+
+// Chat completions over any OpenAI-style HTTP API (OpenAI, Perplexity, llama.cpp, Ollama, vLLM, LM Studio...).
+// Every provider returns OpenAI-shaped responses so the services above don't care where a request went.
+class OpenAICompatibleProvider {
+  constructor({ id = 'openai', name = 'OpenAI', baseUrl, apiKey = '', headers = {}, structuredOutput = 'json_schema' } = {}) {
+    this.id = id;
+    this.name = name;
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.headers = headers;
+    // How outline stages ask for JSON: 'json_schema', 'json_object' or 'prompt' (schema described in the prompt)
+    this.structuredOutput = structuredOutput;
+  }
+
+  buildUrl(endpoint) {
+    return `${this.baseUrl}${endpoint}`;
+  }
+
+  // apiKey may also be a function resolving a short-lived token per request (the AI proxy's access token)
+  async buildHeaders(endpoint, data) {
+    const apiKey = typeof this.apiKey === 'function' ? await this.apiKey() : this.apiKey;
+    return {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      ...this.headers
+    };
+  }
+
+  // Hook for providers whose request body differs from OpenAI's
+  buildBody(endpoint, data) {
+    return data;
+  }
+
+  // Hook for providers whose response differs from OpenAI's
+  parseResponse(endpoint, result) {
+    return result;
+  }
+
+  buildStreamBody(endpoint, data) {
+    return { ...this.buildBody(endpoint, data), stream: true, stream_options: { include_usage: true } };
+  }
+
+  // Hook for providers whose stream events differ from OpenAI's; returns the text delta plus any
+  // finish reason / usage / model the event carries
+  parseStreamChunk(chunk) {
+    const choice = chunk.choices?.[0];
+    return {
+      delta: choice?.delta?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: chunk.usage || null,
+      model: chunk.model || null
+    };
+  }
+
+  async createApiError(response) {
+    const errorText = await response.text();
+    let errorData;
+    try {
+      errorData = JSON.parse(errorText);
+    } catch {
+      errorData = { error: { message: errorText } };
+    }
+    console.error(`${this.name} API error:`, errorData);
+    const apiError = new Error(errorData.error?.message || errorData.message || `${this.name} API error: ${response.status}`);
+    apiError.status = response.status;
+    apiError.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    return apiError;
+  }
+
+  async post(endpoint, data, signal = null) {
+    console.log(`Making ${this.name} request to ${endpoint} with model: ${data.model}`);
+
+    try {
+      const response = await fetch(this.buildUrl(endpoint, data), {
+        method: 'POST',
+        headers: await this.buildHeaders(endpoint, data),
+        body: JSON.stringify(this.buildBody(endpoint, data)),
+        signal
+      });
+
+      if (!response.ok) {
+        throw await this.createApiError(response);
+      }
+
+      const result = this.parseResponse(endpoint, await response.json());
+      console.log(`${this.name} request successful with model: ${data.model}`);
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log(`${this.name} request was aborted`);
+        throw new Error('Request was aborted by user');
+      }
+      console.error(`${this.name} API request failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createChatCompletion(data, signal = null) {
+    return this.post('/chat/completions', data, signal);
+  }
+
+  // Chat completion over server-sent events. onDelta receives the accumulated text after every chunk.
+  // Aborting stopSignal ends the stream early and resolves with the partial text (finish_reason 'stopped');
+  // aborting signal rejects, as with post().
+  async streamChatCompletion(data, { signal = null, stopSignal = null, onDelta = null } = {}) {
+    const endpoint = '/chat/completions';
+    console.log(`Streaming ${this.name} request to ${endpoint} with model: ${data.model}`);
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    [signal, stopSignal].forEach(source => {
+      if (!source) return;
+      if (source.aborted) controller.abort();
+      source.addEventListener('abort', forwardAbort);
+    });
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let model = data.model;
+    let stopped = false;
+
+    const handleEvent = (event) => {
+      const payload = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (!payload || payload === '[DONE]') return;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch {
+        console.warn(`${this.name} stream: skipping malformed event`);
+        return;
+      }
+      if (chunk.error) {
+        throw new Error(chunk.error.message || `${this.name} stream error`);
+      }
+
+      const parsed = this.parseStreamChunk(chunk);
+      if (parsed.model) model = parsed.model;
+      if (parsed.finishReason) finishReason = parsed.finishReason;
+      if (parsed.usage) usage = { ...usage, ...parsed.usage };
+      if (parsed.delta) {
+        content += parsed.delta;
+        if (onDelta) onDelta(content);
+      }
+    };
+
+    try {
+      const response = await fetch(this.buildUrl(endpoint, data), {
+        method: 'POST',
+        headers: await this.buildHeaders(endpoint, data),
+        body: JSON.stringify(this.buildStreamBody(endpoint, data)),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await this.createApiError(response);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(handleEvent);
+      }
+      if (buffer.trim()) handleEvent(buffer);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`${this.name} streaming request failed: ${error.message}`);
+        throw error;
+      }
+      if (signal?.aborted || !stopSignal?.aborted) {
+        console.log(`${this.name} request was aborted`);
+        throw new Error('Request was aborted by user');
+      }
+      stopped = true;
+      console.log(`${this.name} stream stopped early with ${content.length} characters`);
+    } finally {
+      [signal, stopSignal].forEach(source => source?.removeEventListener('abort', forwardAbort));
+    }
+
+    if (usage && usage.total_tokens === undefined) {
+      usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+
+    console.log(`${this.name} stream ${stopped ? 'stopped' : 'completed'} with model: ${model}`);
+    return {
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: stopped ? 'stopped' : finishReason || 'stop'
+      }],
+      ...(usage ? { usage } : {})
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,83 @@
+// Checkpoint journal for WordPress publishing runs.
+// Items are keyed by the ID of the outline chapter, topic or lesson they were published from.
+// An item is complete once its post exists and the parent webhook link succeeded.
+
+export const JOURNAL_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  FAILED: 'failed',
+  ABORTED: 'aborted',
+  COMPLETE: 'complete'
+};
+
+export const getJournalKey = (node) => node.id;
+
+// destinationId: the WordPress destination the run publishes to; journals without one used the built-in destination
+export const createJournal = ({ destinationId = null } = {}) => ({
+  destinationId,
+  bookId: null,
+  bookUrl: '',
+  status: JOURNAL_STATUS.IN_PROGRESS,
+  startedAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  lastError: null,
+  items: {}
+});
+
+// Outline IDs survive renames and reordering (which renumbers chapter titles), so the key alone identifies the item
+export const getJournalEntry = (journal, key) => journal?.items?.[key] || null;
+
+export const isJournalItemComplete = (entry) => {
+  return !!(entry && entry.postId && entry.linked);
+};
+
+export const updateJournalItem = (journal, key, changes) => ({
+  ...journal,
+  updatedAt: new Date().toISOString(),
+  items: {
+    ...journal.items,
+    [key]: {
+      ...journal.items[key],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    }
+  }
+});
+
+export const canResumeJournal = (journal) => {
+  return !!(journal && journal.bookId && journal.status !== JOURNAL_STATUS.COMPLETE);
+};
+
+// Count completed items against the current outline so the UI can show how far a run got
+export const getJournalSummary = (journal, outline) => {
+  let total = 0;
+  let completed = 0;
+  let firstIncomplete = null;
+
+  const check = (key, title) => {
+    total++;
+    if (isJournalItemComplete(getJournalEntry(journal, key))) {
+      completed++;
+    } else if (!firstIncomplete) {
+      firstIncomplete = title;
+    }
+  };
+
+  (outline?.chapters || []).forEach(chapter => {
+    check(getJournalKey(chapter), `Chapter ${chapter.courseNumber}: ${chapter.courseTitle}`);
+    (chapter.topics || []).forEach(topic => {
+      check(getJournalKey(topic), topic.topicTitle);
+      (topic.lessons || []).forEach(lesson => {
+        check(getJournalKey(lesson), lesson.lessonTitle);
+      });
+    });
+  });
+
+  return { total, completed, firstIncomplete };
+};
+
+// Keep only what later runs need from a WordPress post response
+export const summarizePost = (post) => ({
+  id: post.id,
+  link: post.link,
+  status: post.status
+});
@@ -0,0 +1,166 @@
+import { parseWordList } from './styleProfiles';
+
+// Rule-based linter for generated section HTML, run before a section is posted to WordPress.
+// Each rule has a severity: 'hard' failures can trigger an automatic regeneration of the section,
+// 'soft' ones are only reported, 'off' disables the rule. The rule set is stored per project
+// (project.lintRules) on top of DEFAULT_LINT_RULES; the project's style profile banned words are always
+// checked alongside the rule set's own banned phrases.
+// Reports: { passed, hardFailures, issues: [{ rule, severity, message }], stats, partial }
+
+export const LINT_SEVERITIES = {
+  hard: 'Hard (fails the section)',
+  soft: 'Soft (warning only)',
+  off: 'Off'
+};
+
+export const LINT_RULES = {
+  bannedPhrases: { label: 'Banned phrases', description: 'Phrases that must not appear (plus the style profile\'s banned words)' },
+  forbiddenTerms: { label: 'Forbidden terminology', description: 'Terms to replace with the preferred wording' },
+  headings: { label: 'Headings', description: 'Minimum number of subheadings (h2-h4)' },
+  paragraphLength: { label: 'Paragraph length', description: 'Maximum words per paragraph' },
+  readingGrade: { label: 'Reading grade', description: 'Flesch-Kincaid grade range' },
+  passiveVoice: { label: 'Passive voice', description: 'Maximum share of sentences in the passive voice' },
+  wordCount: { label: 'Word count', description: 'Allowed section length' }
+};
+
+export const DEFAULT_LINT_RULES = {
+  autoRegenerate: false,
+  maxRegenerations: 1,
+  bannedPhrases: { severity: 'hard', phrases: '' },
+  // One "term => preferred" per line
+  forbiddenTerms: { severity: 'soft', terms: '' },
+  headings: { severity: 'soft', min: 2 },
+  paragraphLength: { severity: 'soft', maxWords: 150 },
+  readingGrade: { severity: 'soft', min: 6, max: 14 },
+  passiveVoice: { severity: 'soft', maxPercent: 20 },
+  // Target is 1500-2000 words; only sections far outside it are flagged
+  wordCount: { severity: 'hard', min: 1100, max: 2600 }
+};
+
+// Project rules merged over the defaults, so rules added later get their default settings
+export const resolveLintRules = (projectRules = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_LINT_RULES).map(([key, value]) => [
+    key,
+    value && typeof value === 'object' ? { ...value, ...projectRules[key] } : projectRules[key] ?? value
+  ])
+);
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&rsquo;|&lsquo;/g, '\'')
+  .replace(/&[a-z]+;|&#\d+;/g, ' ');
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const countWords = (text) => (text.match(/[A-Za-z0-9'’-]+/g) || []).length;
+
+const splitSentences = (text) => text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(sentence => countWords(sentence) > 0);
+
+// Vowel-group heuristic; good enough for a grade estimate
+const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+const PASSIVE_PATTERN = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?\w+(?:ed|en)\b/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findPhrase = (text, phrase) => {
+  const matches = text.match(new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'gi'));
+  return matches ? matches.length : 0;
+};
+
+const parseTermLines = (value = '') => value.split('\n')
+  .map(line => line.split('=>').map(part => part.trim()))
+  .filter(([term]) => term)
+  .map(([term, preferred]) => ({ term, preferred: preferred || '' }));
+
+export const getSectionStats = (html = '') => {
+  const text = stripTags(html);
+  const words = text ? text.split(' ') : [];
+  const sentences = splitSentences(text);
+  const paragraphs = (html.match(/<p[^>]*>[\s\S]*?<\/p>/gi) || []).map(paragraph => countWords(stripTags(paragraph)));
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordCount = countWords(text);
+
+  return {
+    text,
+    words: wordCount,
+    sentences: sentences.length,
+    headings: (html.match(/<h[2-4][\s>]/gi) || []).length,
+    longestParagraph: paragraphs.length > 0 ? Math.max(...paragraphs) : wordCount,
+    paragraphWords: paragraphs,
+    // Flesch-Kincaid grade level
+    readingGrade: sentences.length > 0 && wordCount > 0
+      ? Math.round((0.39 * (wordCount / sentences.length) + 11.8 * (syllables / wordCount) - 15.59) * 10) / 10
+      : 0,
+    passivePercent: sentences.length > 0
+      ? Math.round((sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)).length / sentences.length) * 100)
+      : 0
+  };
+};
+
+// rules: resolved rule set; styleProfile: the project's style profile (its banned words are checked too).
+// partial: the section is a placeholder or was stopped early, so its length isn't judged (regenerating for
+// length wouldn't change a placeholder, and a stopped section was cut short on purpose).
+export const lintSection = (html, rules = DEFAULT_LINT_RULES, styleProfile = null, { partial = false } = {}) => {
+  const stats = getSectionStats(html);
+  const issues = [];
+  const report = (rule, message) => {
+    const severity = rules[rule]?.severity || 'off';
+    if (severity !== 'off') issues.push({ rule, severity, message });
+  };
+
+  const bannedPhrases = [...new Set([
+    ...parseWordList(rules.bannedPhrases.phrases),
+    ...parseWordList(styleProfile?.bannedWords)
+  ])];
+  bannedPhrases.forEach(phrase => {
+    const count = findPhrase(stats.text, phrase);
+    if (count > 0) report('bannedPhrases', `Uses banned phrase "${phrase}" ${count}×`);
+  });
+
+  parseTermLines(rules.forbiddenTerms.terms).forEach(({ term, preferred }) => {
+    const count = findPhrase(stats.text, term);
+    if (count > 0) report('forbiddenTerms', `Uses "${term}" ${count}×${preferred ? `, prefer "${preferred}"` : ''}`);
+  });
+
+  if (stats.headings < rules.headings.min) {
+    report('headings', `Has ${stats.headings} subheading${stats.headings === 1 ? '' : 's'}, expected at least ${rules.headings.min}`);
+  }
+
+  const longParagraphs = stats.paragraphWords.filter(words => words > rules.paragraphLength.maxWords);
+  if (longParagraphs.length > 0) {
+    report('paragraphLength', `${longParagraphs.length} paragraph${longParagraphs.length === 1 ? ' is' : 's are'} longer than ${rules.paragraphLength.maxWords} words (longest ${stats.longestParagraph})`);
+  }
+
+  if (stats.words > 0 && (stats.readingGrade < rules.readingGrade.min || stats.readingGrade > rules.readingGrade.max)) {
+    report('readingGrade', `Reading grade ${stats.readingGrade} is outside ${rules.readingGrade.min}-${rules.readingGrade.max}`);
+  }
+
+  if (stats.passivePercent > rules.passiveVoice.maxPercent) {
+    report('passiveVoice', `${stats.passivePercent}% of sentences are passive (max ${rules.passiveVoice.maxPercent}%)`);
+  }
+
+  if (!partial && (stats.words < rules.wordCount.min || stats.words > rules.wordCount.max)) {
+    report('wordCount', `${stats.words} words, outside ${rules.wordCount.min}-${rules.wordCount.max}`);
+  }
+
+  const { text, paragraphWords, ...summary } = stats;
+  const hardFailures = issues.filter(issue => issue.severity === 'hard').length;
+  return {
+    passed: hardFailures === 0,
+    hardFailures,
+    issues,
+    stats: summary,
+    partial,
+    checkedAt: new Date().toISOString()
+  };
+};
@@ -0,0 +1,80 @@
+// Brand voice / style guide profiles. Profiles live in settings.styleProfiles and a project picks one by ID
+// (outline.styleProfileId). The chosen profile is formatted into a STYLE GUIDE block for the preface, topic
+// introduction and section prompts ({{styleGuide}} in promptTemplates.js) and supplies the section writer's
+// instruction method and generation approach.
+// Banned words are stored comma-separated, like provider model lists; terminology, formatting rules and
+// sample passages are free text.
+
+export const DEFAULT_STYLE_PROFILE_ID = 'style-default';
+
+export const READING_LEVELS = {
+  beginner: 'Beginner (plain language, terms explained)',
+  general: 'General audience',
+  professional: 'Professional (assumes working knowledge)',
+  expert: 'Expert (technical, no hand-holding)'
+};
+
+export const NARRATIVE_PERSONS = {
+  first: 'First person (I / we)',
+  second: 'Second person (you)',
+  third: 'Third person'
+};
+
+const PERSON_INSTRUCTIONS = {
+  first: 'Write in the first person (I / we)',
+  second: 'Address the reader directly in the second person (you)',
+  third: 'Write in the third person'
+};
+
+// Matches the tone the section writer used before profiles existed
+export const DEFAULT_STYLE_PROFILE = {
+  id: DEFAULT_STYLE_PROFILE_ID,
+  name: 'Practical & motivating',
+  voice: 'Motivating and supportive. Sound like Malcolm Gladwell or Daniel Pink.',
+  readingLevel: 'professional',
+  person: 'second',
+  bannedWords: '',
+  terminology: '',
+  formattingRules: '',
+  samplePassages: '',
+  instructionMethod: 'Step-by-step guide with examples',
+  generationApproach: 'Practical and actionable'
+};
+
+export const createStyleProfile = () => ({
+  ...DEFAULT_STYLE_PROFILE,
+  id: `style-${Date.now()}`,
+  name: '',
+  voice: ''
+});
+
+export const parseWordList = (value = '') => value.split(',').map(word => word.trim()).filter(Boolean);
+
+// The project's profile, falling back to the first profile (then the built-in one) when it was deleted
+export const getStyleProfile = (styleProfiles, profileId) => {
+  const profiles = styleProfiles?.length ? styleProfiles : [DEFAULT_STYLE_PROFILE];
+  return profiles.find(profile => profile.id === profileId) || profiles[0];
+};
+
+// STYLE GUIDE lines for the prompts; empty fields are left out
+export const formatStyleGuide = (profile) => {
+  if (!profile) return '';
+  const bannedWords = parseWordList(profile.bannedWords);
+  const lines = [
+    profile.voice?.trim() && `- Voice and tone: ${profile.voice.trim()}`,
+    READING_LEVELS[profile.readingLevel] && `- Reading level: ${READING_LEVELS[profile.readingLevel]}`,
+    PERSON_INSTRUCTIONS[profile.person] && `- ${PERSON_INSTRUCTIONS[profile.person]}`,
+    bannedWords.length > 0 && `- Never use these words or phrases: ${bannedWords.join(', ')}`,
+    profile.terminology?.trim() && `- Preferred terminology:\n${profile.terminology.trim()}`,
+    profile.formattingRules?.trim() && `- Formatting rules:\n${profile.formattingRules.trim()}`,
+    profile.samplePassages?.trim() && `- Match the voice of these sample passages:\n"""\n${profile.samplePassages.trim()}\n"""`
+  ];
+  return lines.filter(Boolean).join('\n');
+};
+
+// Style variables for the prompt templates
+export const getStyleVariables = (profile) => ({
+  styleGuide: formatStyleGuide(profile),
+  instructionMethod: profile?.instructionMethod || DEFAULT_STYLE_PROFILE.instructionMethod,
+  generationApproach: profile?.generationApproach || DEFAULT_STYLE_PROFILE.generationApproach
+});
@@ -1,14 +1,30 @@
+import { OPENAI_BASE_URL } from './providers';
+
+// Chunking used for every file added to a library (650-token chunks, 250-token overlap)
+const CHUNKING_STRATEGY = {
+  type: "static",
+  static: {
+    max_chunk_size_tokens: 650,
+    chunk_overlap_tokens: 250
+  }
+};
+
+const PAGE_LIMIT = 100;
+const DAY_SECONDS = 86400;
+
 class VectorStoreService {
-  constructor(apiKey) {
+  // apiKey may be a function resolving an access token per request when baseUrl is the AI proxy
+  constructor(apiKey, { baseUrl = OPENAI_BASE_URL } = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.openai.com/v1';
+    this.baseURL = baseUrl;
   }
 
   async makeRequest(endpoint, options = {}) {
     const { method = 'GET', data, headers = {} } = options;
+    const apiKey = typeof this.apiKey === 'function' ? await this.apiKey() : this.apiKey;
     
     const defaultHeaders = {
-      'Authorization': `Bearer ${this.apiKey}`,
+      'Authorization': `Bearer ${apiKey}`,
       'OpenAI-Beta': 'assistants=v2',
       ...headers
     };
@@ -33,8 +49,10 @@ class VectorStoreService {
       const response = await fetch(`${this.baseURL}${endpoint}`, config);
       
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || `API error: ${response.status}`);
+        const error = await response.json().catch(() => ({}));
+        const apiError = new Error(error.error?.message || `API error: ${response.status}`);
+        apiError.status = response.status;
+        throw apiError;
       }
       
       return await response.json();
@@ -44,26 +62,43 @@ class VectorStoreService {
     }
   }
 
+  // Follow cursor pagination (has_more / last_id) for list endpoints
+  async listAll(endpoint) {
+    const items = [];
+    let after = null;
+    do {
+      const separator = endpoint.includes('?') ? '&' : '?';
+      const response = await this.makeRequest(`${endpoint}${separator}limit=${PAGE_LIMIT}${after ? `&after=${after}` : ''}`);
+      items.push(...(response.data || []));
+      after = response.has_more ? response.last_id : null;
+    } while (after);
+    return items;
+  }
+
   // List all existing vector stores
   async listVectorStores() {
     console.log('Fetching existing vector stores...');
     try {
-      const response = await this.makeRequest('/vector_stores');
-      console.log('Vector stores fetched successfully:', response.data?.length || 0, 'stores');
-      return response.data || [];
+      const stores = await this.listAll('/vector_stores');
+      console.log('Vector stores fetched successfully:', stores.length, 'stores');
+      return stores;
     } catch (error) {
       console.error('Error fetching vector stores:', error);
       throw new Error(`Failed to fetch vector stores: ${error.message}`);
     }
   }
 
-  // Upload a single file
-  async uploadFile(file) {
-    console.log(`Uploading file: ${file.name}`);
+  // Upload a single file; expiresAfterDays deletes the file from OpenAI that many days after upload
+  async uploadFile(file, { expiresAfterDays = null } = {}) {
+    console.log(`Uploading file: ${file.name}${expiresAfterDays ? ` (expires after ${expiresAfterDays} days)` : ''}`);
     try {
       const formData = new FormData();
       formData.append('file', file);
       formData.append('purpose', 'assistants');
+      if (expiresAfterDays) {
+        formData.append('expires_after[anchor]', 'created_at');
+        formData.append('expires_after[seconds]', String(Math.round(expiresAfterDays * DAY_SECONDS)));
+      }
 
       const response = await this.makeRequest('/files', {
         method: 'POST',
@@ -79,9 +114,9 @@ class VectorStoreService {
   }
 
   // Upload multiple files
-  async uploadFiles(files) {
+  async uploadFiles(files, options = {}) {
     console.log(`Uploading ${files.length} files...`);
-    const uploadPromises = files.map(file => this.uploadFile(file));
+    const uploadPromises = files.map(file => this.uploadFile(file, options));
     
     try {
       const results = await Promise.all(uploadPromises);
@@ -93,20 +128,15 @@ class VectorStoreService {
     }
   }
 
-  // Create a new vector store with files
-  async createVectorStore(name, fileIds) {
+  // Create a new vector store with files; expiresAfterDays expires the library after that many days unused
+  async createVectorStore(name, fileIds, { expiresAfterDays = null } = {}) {
     console.log(`Creating vector store: ${name} with ${fileIds.length} files`);
     try {
       const data = {
         name: name,
-        chunking_strategy: {
-          type: "static",
-          static: {
-            max_chunk_size_tokens: 650,
-            chunk_overlap_tokens: 250
-          }
-        },
-        file_ids: fileIds
+        chunking_strategy: CHUNKING_STRATEGY,
+        file_ids: fileIds,
+        ...(expiresAfterDays ? { expires_after: { anchor: 'last_active_at', days: expiresAfterDays } } : {})
       };
 
       const response = await this.makeRequest('/vector_stores', {
@@ -135,6 +165,88 @@ class VectorStoreService {
     }
   }
 
+  // Rename a library and/or change its inactivity expiry (expiresAfterDays: null leaves expiry unchanged)
+  async updateVectorStore(vectorStoreId, { name, expiresAfterDays = null } = {}) {
+    console.log(`Updating vector store: ${vectorStoreId}`);
+    try {
+      const data = {
+        ...(name !== undefined ? { name } : {}),
+        ...(expiresAfterDays ? { expires_after: { anchor: 'last_active_at', days: expiresAfterDays } } : {})
+      };
+      const response = await this.makeRequest(`/vector_stores/${vectorStoreId}`, {
+        method: 'POST',
+        data
+      });
+      console.log(`Vector store updated: ${response.name}`);
+      return response;
+    } catch (error) {
+      console.error(`Error updating vector store ${vectorStoreId}:`, error);
+      throw new Error(`Failed to update library: ${error.message}`);
+    }
+  }
+
+  // Delete a library; deleteFiles also removes its uploaded files from OpenAI storage
+  async deleteVectorStore(vectorStoreId, { deleteFiles = false } = {}) {
+    console.log(`Deleting vector store: ${vectorStoreId}${deleteFiles ? ' and its files' : ''}`);
+    try {
+      const files = deleteFiles ? await this.listAll(`/vector_stores/${vectorStoreId}/files`) : [];
+      await this.makeRequest(`/vector_stores/${vectorStoreId}`, { method: 'DELETE' });
+      for (const file of files) {
+        await this.deleteFile(file.id);
+      }
+      console.log(`Vector store deleted: ${vectorStoreId}`);
+      return { id: vectorStoreId, deleted: true, deletedFiles: files.length };
+    } catch (error) {
+      console.error(`Error deleting vector store ${vectorStoreId}:`, error);
+      throw new Error(`Failed to delete library: ${error.message}`);
+    }
+  }
+
+  // Attach already-uploaded files to an existing library as one batch
+  async addFilesToVectorStore(vectorStoreId, fileIds) {
+    console.log(`Adding ${fileIds.length} files to vector store: ${vectorStoreId}`);
+    try {
+      const batch = await this.makeRequest(`/vector_stores/${vectorStoreId}/file_batches`, {
+        method: 'POST',
+        data: {
+          file_ids: fileIds,
+          chunking_strategy: CHUNKING_STRATEGY
+        }
+      });
+      console.log(`File batch created: ${batch.id} (${batch.status})`);
+      return batch;
+    } catch (error) {
+      console.error(`Error adding files to vector store ${vectorStoreId}:`, error);
+      throw new Error(`Failed to add files to library: ${error.message}`);
+    }
+  }
+
+  // Remove a file from a library; the uploaded file itself is kept
+  async detachFile(vectorStoreId, fileId) {
+    console.log(`Detaching file ${fileId} from vector store: ${vectorStoreId}`);
+    try {
+      return await this.makeRequest(`/vector_stores/${vectorStoreId}/files/${fileId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error(`Error detaching file ${fileId}:`, error);
+      throw new Error(`Failed to remove file from library: ${error.message}`);
+    }
+  }
+
+  // Delete an uploaded file from OpenAI storage (also removes it from every library using it)
+  async deleteFile(fileId) {
+    console.log(`Deleting file: ${fileId}`);
+    try {
+      return await this.makeRequest(`/files/${fileId}`, { method: 'DELETE' });
+    } catch (error) {
+      // Already expired or deleted
+      if (error.status === 404) {
+        return { id: fileId, deleted: true };
+      }
+      console.error(`Error deleting file ${fileId}:`, error);
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
   // ✅ UPDATED: Generate content using RAG with RESPONSES API - Complete context integration
   async generateContentWithRAG(
     vectorStoreId, 
@@ -284,19 +396,26 @@ class VectorStoreService {
     }
   }
 
-  // ✅ UNCHANGED: List files in vector store
+  // List files in vector store, with names, sizes and expiry from the Files API
   async listVectorStoreFiles(vectorStoreId) {
     console.log(`📁 Listing files in vector store: ${vectorStoreId}`);
     try {
-      const response = await this.makeRequest(`/vector_stores/${vectorStoreId}/files`);
-      const files = response.data || [];
+      const [files, uploads] = await Promise.all([
+        this.listAll(`/vector_stores/${vectorStoreId}/files`),
+        this.listAll('/files?purpose=assistants').catch(() => [])
+      ]);
+      const uploadsById = Object.fromEntries(uploads.map(upload => [upload.id, upload]));
       
       console.log(`📁 Found ${files.length} files in vector store`);
       
       return files.map(file => ({
         id: file.id,
+        filename: uploadsById[file.id]?.filename || file.id,
+        bytes: uploadsById[file.id]?.bytes ?? null,
+        // in_progress | completed | cancelled | failed
         status: file.status,
         createdAt: new Date(file.created_at * 1000).toISOString(),
+        expiresAt: uploadsById[file.id]?.expires_at ? new Date(uploadsById[file.id].expires_at * 1000).toISOString() : null,
         lastError: file.last_error
       }));
     } catch (error) {
@@ -1,27 +1,34 @@
 class WebhookService {
-  constructor() {
+  // webhooks: optional { bookToChapter, chapterToTopic, topicToSection } of { url, username, password } from a
+  // WordPress destination. Types without a URL use the endpoints configured in the proxy.
+  constructor(webhooks = null) {
     // Use your Netlify function as the proxy
     this.proxyUrl = 'https://stalwart-strudel-558d81.netlify.app/.netlify/functions/flowmattic-proxy';
+    this.webhooks = webhooks || {};
   }
 
   async callWebhook(webhookType, parentId, childId) {
     console.log(`🔗 Calling webhook: ${webhookType} with parent: ${parentId}, child: ${childId}`);
     
     try {
+      const custom = this.webhooks[webhookType];
       const payload = {
         parent_id: parseInt(parentId),
         child_id: parseInt(childId),
         timestamp: new Date().toISOString(),
-        webhook_type: webhookType
+        webhook_type: webhookType,
+        // The proxy forwards requests for unknown webhook names to webhookUrl
+        ...(custom?.url && { webhookUrl: custom.url })
       };
 
       console.log(`📤 Sending webhook payload:`, payload);
 
-      const response = await fetch(`${this.proxyUrl}?webhook=${webhookType}`, {
+      const response = await fetch(`${this.proxyUrl}?webhook=${custom?.url ? 'custom' : webhookType}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Accept': 'application/json'
+          'Accept': 'application/json',
+          ...(custom?.url && custom.username && { 'Authorization': `Basic ${btoa(`${custom.username}:${custom.password || ''}`)}` })
         },
         body: JSON.stringify(payload)
       });
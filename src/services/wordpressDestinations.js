@@ -0,0 +1,116 @@
+import WordPressService, { DEFAULT_POST_TYPES } from './wordpressService';
+import WebhookService from './webhookService';
+
+// Named WordPress destinations, e.g. a staging and a production site. The built-in destination uses the
+// WordPress Integration settings (wordpressUrl, wordpressUsername, wordpressPassword, wordpressPostTypes,
+// wordpressPostStatus) and the webhook endpoints configured in the proxy; additional destinations are stored in
+// settings.wordpressDestinations:
+// { id, name, url, username, password, postTypes: { book, chapter, topic, section }, defaultStatus, webhooks }
+// webhooks has the shape of settings.webhooks; link types without a URL fall back to the proxy's endpoints.
+
+export const BUILT_IN_DESTINATION_ID = 'default';
+
+export const POST_TYPE_LEVELS = [
+  { key: 'book', label: 'Book' },
+  { key: 'chapter', label: 'Chapter' },
+  { key: 'topic', label: 'Chapter Topic' },
+  { key: 'section', label: 'Topic Section' }
+];
+
+export const POST_STATUSES = [
+  { value: 'publish', label: 'Published' },
+  { value: 'draft', label: 'Draft' },
+  { value: 'pending', label: 'Pending Review' },
+  { value: 'private', label: 'Private' }
+];
+
+export const WEBHOOK_TYPES = [
+  { key: 'bookToChapter', label: 'Book to Chapter (L1)' },
+  { key: 'chapterToTopic', label: 'Chapter to Topic (L2)' },
+  { key: 'topicToSection', label: 'Topic to Section (L3)' }
+];
+
+export const createWordPressDestination = () => ({
+  id: `wordpress-${Date.now()}`,
+  name: '',
+  url: '',
+  username: '',
+  password: '',
+  postTypes: { ...DEFAULT_POST_TYPES },
+  defaultStatus: 'publish',
+  webhooks: Object.fromEntries(WEBHOOK_TYPES.map(({ key }) => [key, { url: '', username: '', password: '' }]))
+});
+
+// All destinations publishing can target, built-in first
+export const getWordPressDestinations = (settings) => [
+  {
+    id: BUILT_IN_DESTINATION_ID,
+    name: 'Default',
+    url: settings.wordpressUrl || '',
+    username: settings.wordpressUsername || '',
+    password: settings.wordpressPassword || '',
+    postTypes: { ...DEFAULT_POST_TYPES, ...settings.wordpressPostTypes },
+    defaultStatus: settings.wordpressPostStatus || 'publish',
+    webhooks: null,
+    builtIn: true
+  },
+  ...(settings.wordpressDestinations || [])
+    .filter(destination => destination?.id)
+    .map(destination => ({
+      ...destination,
+      name: destination.name || destination.url || 'Unnamed destination',
+      postTypes: { ...DEFAULT_POST_TYPES, ...destination.postTypes }
+    }))
+];
+
+// The destination with this ID, falling back to the built-in one when it was deleted
+export const getWordPressDestination = (settings, destinationId) => {
+  const destinations = getWordPressDestinations(settings);
+  return destinations.find(destination => destination.id === destinationId) || destinations[0];
+};
+
+// The destination an existing book lives on. Unlike getWordPressDestination this doesn't fall back, since the
+// book's post IDs only exist on that site; books from before destinations were published to the built-in one.
+export const getBookDestination = (settings, destinationId) => {
+  const destination = getWordPressDestinations(settings).find(item => item.id === (destinationId || BUILT_IN_DESTINATION_ID));
+  if (!destination) {
+    throw new Error('The WordPress destination this book was published to has been removed from Settings');
+  }
+  return destination;
+};
+
+export const isDestinationConfigured = (destination) => !!(destination?.url && destination.username && destination.password);
+
+export const getConfiguredDestinations = (settings) => getWordPressDestinations(settings).filter(isDestinationConfigured);
+
+export const createWordPressService = (destination) => new WordPressService(destination.url, destination.username, destination.password)
+  .setPostTypes(destination.postTypes)
+  .setDefaultStatus(destination.defaultStatus);
+
+export const createWebhookService = (destination) => new WebhookService(destination.webhooks);
+
+// Connection and custom post type checks for a destination before publishing to it.
+// Returns { success, error?, connection, postTypes, missingPostTypes }.
+export const validateDestination = async (destination) => {
+  const wpService = createWordPressService(destination);
+
+  const connection = await wpService.validateConnection();
+  if (!connection.success) {
+    return { success: false, error: `WordPress connection failed: ${connection.error}`, connection };
+  }
+
+  const postTypes = await wpService.validatePostTypes();
+  const missingPostTypes = Object.entries(postTypes)
+    .filter(([, result]) => !result.available)
+    .map(([slug]) => slug);
+
+  return {
+    success: missingPostTypes.length === 0,
+    ...(missingPostTypes.length > 0 && {
+      error: `${destination.name} is missing the custom post type${missingPostTypes.length === 1 ? '' : 's'} ${missingPostTypes.join(', ')}`
+    }),
+    connection,
+    postTypes,
+    missingPostTypes
+  };
+};
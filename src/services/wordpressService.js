@@ -1,5 +1,27 @@
 import axios from 'axios';
 
+const PAGE_SIZE = 100; // WordPress REST API maximum per_page
+const TREE_FIELDS = 'id,title,content,status,link,acf';
+
+// Custom post type slugs for each level of the book; a destination can rename them (see wordpressDestinations)
+export const DEFAULT_POST_TYPES = {
+  book: 'book',
+  chapter: 'chapter',
+  topic: 'chaptertopic',
+  section: 'topicsection'
+};
+
+// ACF relationship/post object fields come back as an ID, an array of IDs or post objects depending on field settings
+export const getAcfParentId = (value) => {
+  if (Array.isArray(value)) {
+    return getAcfParentId(value[0]);
+  }
+  if (value && typeof value === 'object') {
+    return parseInt(value.ID ?? value.id) || null;
+  }
+  return parseInt(value) || null;
+};
+
 class WordPressService {
   constructor(url, username, password) {
     this.url = url;
@@ -7,6 +29,10 @@ class WordPressService {
       username,
       password
     };
+    this.rateLimiter = null;
+    this.postTypes = { ...DEFAULT_POST_TYPES };
+    // Status new posts are created with
+    this.defaultStatus = 'publish';
 
     // Log initialization
     console.log(`Initializing WordPress service for URL: ${url}`);
@@ -69,6 +95,32 @@ class WordPressService {
     return wpError || `WordPress API error (${status}): ${error.response.statusText}`;
   }
 
+  // Optional ProviderLimiter used during publishing to respect request budgets and 429 backoff
+  setRateLimiter(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+    return this;
+  }
+
+  // Custom post type slugs used on this site; empty slugs keep the defaults
+  setPostTypes(postTypes = {}) {
+    Object.entries(postTypes).forEach(([level, slug]) => {
+      if (slug?.trim()) this.postTypes[level] = slug.trim();
+    });
+    return this;
+  }
+
+  setDefaultStatus(status) {
+    this.defaultStatus = status || 'publish';
+    return this;
+  }
+
+  async request(config) {
+    if (this.rateLimiter) {
+      return this.rateLimiter.execute(() => axios(config));
+    }
+    return axios(config);
+  }
+
   // Create axios instance with better configuration
   createAxiosConfig(endpoint, data = null, method = 'GET') {
     const config = {
@@ -93,12 +145,16 @@ class WordPressService {
     return config;
   }
 
+  get hasCredentials() {
+    return !!(this.auth.username && this.auth.password);
+  }
+
   // Validate WordPress API URL
   async validateConnection() {
     try {
       console.log('Validating WordPress connection...');
       const config = this.createAxiosConfig(`${this.url}/wp-json`);
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 200) {
         console.log('WordPress connection validated successfully');
@@ -137,7 +193,7 @@ class WordPressService {
       // Remove auth for this check as it should be publicly accessible
       delete config.auth;
 
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 200) {
         console.log('WordPress REST API is available');
@@ -171,7 +227,7 @@ class WordPressService {
     try {
       console.log('Verifying WordPress user credentials...');
       const config = this.createAxiosConfig(`${this.url}/wp-json/wp/v2/users/me`);
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 200) {
         console.log('WordPress credentials verified successfully');
@@ -209,7 +265,7 @@ class WordPressService {
   // Validate that required CUSTOM POST TYPES exist
   async validatePostTypes() {
     console.log('Validating WordPress CUSTOM POST TYPES...');
-    const customPostTypes = ['book', 'chapter', 'chaptertopic', 'topicsection'];
+    const customPostTypes = Object.values(this.postTypes);
     const results = {};
 
     // Check for each CUSTOM post type ONLY
@@ -217,7 +273,7 @@ class WordPressService {
       try {
         console.log(`Checking if CUSTOM POST TYPE '${type}' exists...`);
         const config = this.createAxiosConfig(`${this.url}/wp-json/wp/v2/types/${type}`);
-        const response = await axios(config);
+        const response = await this.request(config);
 
         if (response.status === 200) {
           console.log(`✅ Custom post type '${type}' found and available`);
@@ -245,14 +301,14 @@ class WordPressService {
     return results;
   }
 
-  // Create book using CUSTOM POST TYPE 'book' with Secure Custom Posts
+  // Create book using the book CUSTOM POST TYPE ('book' by default) with Secure Custom Posts
   async createBook(title, content) {
-    console.log(`📚 Creating BOOK using custom post type 'book': ${title}`);
+    console.log(`📚 Creating BOOK using custom post type '${this.postTypes.book}': ${title}`);
     console.log(`🔗 WordPress URL: ${this.url}`);
 
     try {
-      // Use ONLY the custom post type endpoint for 'book'
-      const endpoint = `${this.url}/wp-json/wp/v2/book`;
+      // Use ONLY the custom post type endpoint for books
+      const endpoint = `${this.url}/wp-json/wp/v2/${this.postTypes.book}`;
       console.log(`📍 Using CUSTOM POST TYPE endpoint: ${endpoint}`);
 
       // 🔧 NEW APPROACH: Books are root-level posts and don't need relationship fields
@@ -260,7 +316,7 @@ class WordPressService {
       const postData = {
         title,
         content,
-        status: 'publish'
+        status: this.defaultStatus
       };
 
       console.log('📤 Sending book creation request:', JSON.stringify({
@@ -279,7 +335,7 @@ class WordPressService {
       }
 
       const config = this.createAxiosConfig(endpoint, postData, 'POST');
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 201 || response.status === 200) {
         const bookId = response.data.id;
@@ -302,7 +358,7 @@ class WordPressService {
       console.error('❌ Error creating book:', error);
       const errorMessage = this.parseError(error, 'book creation');
       console.error('Book creation failed with details:', {
-        endpoint: `${this.url}/wp-json/wp/v2/book`,
+        endpoint: `${this.url}/wp-json/wp/v2/${this.postTypes.book}`,
         auth: {
           username: this.auth.username,
           hasPassword: !!this.auth.password
@@ -317,17 +373,17 @@ class WordPressService {
     }
   }
 
-  // Create chapter using CUSTOM POST TYPE 'chapter' with ACF relationship field
+  // Create chapter using the chapter CUSTOM POST TYPE ('chapter' by default) with ACF relationship field
   async createChapter(title, content, parentBookId) {
-    console.log(`📖 Creating CHAPTER using custom post type 'chapter': ${title} under book ID: ${parentBookId}`);
+    console.log(`📖 Creating CHAPTER using custom post type '${this.postTypes.chapter}': ${title} under book ID: ${parentBookId}`);
 
     if (!parentBookId || isNaN(parseInt(parentBookId))) {
       throw new Error(`Invalid parent book ID: ${parentBookId}`);
     }
 
     try {
-      // Use ONLY the custom post type endpoint for 'chapter'
-      const endpoint = `${this.url}/wp-json/wp/v2/chapter`;
+      // Use ONLY the custom post type endpoint for chapters
+      const endpoint = `${this.url}/wp-json/wp/v2/${this.postTypes.chapter}`;
       console.log(`📍 Using CUSTOM POST TYPE endpoint: ${endpoint}`);
 
       // 🔧 CORRECTED APPROACH: Use 'acf' key for ACF fields in Secure Custom Posts
@@ -335,7 +391,7 @@ class WordPressService {
       const postData = {
         title,
         content,
-        status: 'publish',
+        status: this.defaultStatus,
         // ACF fields using the correct 'acf' key
         acf: {
           chapter_parent_book: parseInt(parentBookId) // ACF relationship field linking to book
@@ -353,7 +409,7 @@ class WordPressService {
       }));
 
       const config = this.createAxiosConfig(endpoint, postData, 'POST');
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 201 || response.status === 200) {
         const chapterId = response.data.id;
@@ -376,7 +432,7 @@ class WordPressService {
     } catch (error) {
       const errorMessage = this.parseError(error, 'chapter creation');
       console.error('Chapter creation error details:', {
-        endpoint: `${this.url}/wp-json/wp/v2/chapter`,
+        endpoint: `${this.url}/wp-json/wp/v2/${this.postTypes.chapter}`,
         parentBookId,
         acfFieldUsed: 'chapter_parent_book',
         acfKeyStructure: 'acf',
@@ -387,17 +443,17 @@ class WordPressService {
     }
   }
 
-  // Create chapter topic using CUSTOM POST TYPE 'chaptertopic' with ACF relationship field
+  // Create chapter topic using the topic CUSTOM POST TYPE ('chaptertopic' by default) with ACF relationship field
   async createChapterTopic(title, content, parentChapterId) {
-    console.log(`📝 Creating CHAPTER TOPIC using custom post type 'chaptertopic': ${title} under chapter ID: ${parentChapterId}`);
+    console.log(`📝 Creating CHAPTER TOPIC using custom post type '${this.postTypes.topic}': ${title} under chapter ID: ${parentChapterId}`);
 
     if (!parentChapterId || isNaN(parseInt(parentChapterId))) {
       throw new Error(`Invalid parent chapter ID: ${parentChapterId}`);
     }
 
     try {
-      // Use ONLY the custom post type endpoint for 'chaptertopic'
-      const endpoint = `${this.url}/wp-json/wp/v2/chaptertopic`;
+      // Use ONLY the custom post type endpoint for chapter topics
+      const endpoint = `${this.url}/wp-json/wp/v2/${this.postTypes.topic}`;
       console.log(`📍 Using CUSTOM POST TYPE endpoint: ${endpoint}`);
 
       // 🔧 CORRECTED APPROACH: Use 'acf' key for ACF fields in Secure Custom Posts
@@ -405,7 +461,7 @@ class WordPressService {
       const postData = {
         title,
         content,
-        status: 'publish',
+        status: this.defaultStatus,
         // ACF fields using the correct 'acf' key
         acf: {
           topic_parent_chapter: parseInt(parentChapterId) // ACF relationship field linking to chapter
@@ -423,7 +479,7 @@ class WordPressService {
       }));
 
       const config = this.createAxiosConfig(endpoint, postData, 'POST');
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 201 || response.status === 200) {
         const topicId = response.data.id;
@@ -446,7 +502,7 @@ class WordPressService {
     } catch (error) {
       const errorMessage = this.parseError(error, 'chapter topic creation');
       console.error('Chapter topic creation error details:', {
-        endpoint: `${this.url}/wp-json/wp/v2/chaptertopic`,
+        endpoint: `${this.url}/wp-json/wp/v2/${this.postTypes.topic}`,
         parentChapterId,
         acfFieldUsed: 'topic_parent_chapter',
         acfKeyStructure: 'acf',
@@ -457,17 +513,18 @@ class WordPressService {
     }
   }
 
-  // Create topic section using CUSTOM POST TYPE 'topicsection' with ACF relationship field
-  async createTopicSection(title, content, parentTopicId) {
-    console.log(`📄 Creating TOPIC SECTION using custom post type 'topicsection': ${title} under topic ID: ${parentTopicId}`);
+  // Create topic section using the section CUSTOM POST TYPE ('topicsection' by default) with ACF relationship field.
+  // status overrides the destination's default status (e.g. 'draft' for sections held back for review).
+  async createTopicSection(title, content, parentTopicId, { status } = {}) {
+    console.log(`📄 Creating TOPIC SECTION using custom post type '${this.postTypes.section}': ${title} under topic ID: ${parentTopicId}`);
 
     if (!parentTopicId || isNaN(parseInt(parentTopicId))) {
       throw new Error(`Invalid parent topic ID: ${parentTopicId}`);
     }
 
     try {
-      // Use ONLY the custom post type endpoint for 'topicsection'
-      const endpoint = `${this.url}/wp-json/wp/v2/topicsection`;
+      // Use ONLY the custom post type endpoint for topic sections
+      const endpoint = `${this.url}/wp-json/wp/v2/${this.postTypes.section}`;
       console.log(`📍 Using CUSTOM POST TYPE endpoint: ${endpoint}`);
 
       // 🔧 CORRECTED APPROACH: Use 'acf' key for ACF fields in Secure Custom Posts
@@ -475,7 +532,7 @@ class WordPressService {
       const postData = {
         title,
         content,
-        status: 'publish',
+        status: status || this.defaultStatus,
         // ACF fields using the correct 'acf' key
         acf: {
           section_parent_topic: parseInt(parentTopicId) // ACF relationship field linking to chaptertopic
@@ -493,14 +550,14 @@ class WordPressService {
       }));
 
       const config = this.createAxiosConfig(endpoint, postData, 'POST');
-      const response = await axios(config);
+      const response = await this.request(config);
 
       if (response.status === 201 || response.status === 200) {
         const sectionId = response.data.id;
         console.log('✅ TOPIC SECTION created successfully with ID:', sectionId);
         console.log('🔗 Topic section URL:', response.data.link);
         console.log('🔗 Section linked to chaptertopic via ACF relationship field: section_parent_topic');
-        console.log(`🔧 Parent relationship: topicsection(${sectionId}) -> chaptertopic(${parentTopicId})`);
+        console.log(`🔧 Parent relationship: ${this.postTypes.section}(${sectionId}) -> ${this.postTypes.topic}(${parentTopicId})`);
 
         if (!sectionId) {
           throw new Error('Section created but no valid ID returned from WordPress');
@@ -517,9 +574,9 @@ class WordPressService {
     } catch (error) {
       const errorMessage = this.parseError(error, 'topic section creation');
       console.error('Topic section creation error details:', {
-        endpoint: `${this.url}/wp-json/wp/v2/topicsection`,
+        endpoint: `${this.url}/wp-json/wp/v2/${this.postTypes.section}`,
         parentTopicId,
-        expectedParentType: 'chaptertopic',
+        expectedParentType: this.postTypes.topic,
         acfFieldUsed: 'section_parent_topic',
         acfKeyStructure: 'acf',
         hasResponse: !!error.response,
@@ -528,6 +585,236 @@ class WordPressService {
       throw new Error(`Failed to create topic section: ${errorMessage}`);
     }
   }
+
+  // Update an existing post of any of the ebook CUSTOM POST TYPES (book, chapter, chaptertopic, topicsection)
+  async updatePost(postType, postId, updates) {
+    console.log(`✏️ Updating ${postType.toUpperCase()} post ID: ${postId}`);
+
+    if (!postId || isNaN(parseInt(postId))) {
+      throw new Error(`Invalid ${postType} post ID: ${postId}`);
+    }
+
+    const endpoint = `${this.url}/wp-json/wp/v2/${postType}/${parseInt(postId)}`;
+
+    try {
+      console.log('📤 Sending update request:', JSON.stringify({
+        endpoint,
+        fields: Object.keys(updates),
+        contentLength: updates.content ? updates.content.length : 0
+      }));
+
+      const config = this.createAxiosConfig(endpoint, updates, 'PUT');
+      const response = await this.request(config);
+
+      console.log(`✅ ${postType.toUpperCase()} ${postId} updated successfully`);
+      return {
+        ...response.data,
+        id: response.data.id || parseInt(postId)
+      };
+    } catch (error) {
+      const errorMessage = this.parseError(error, `${postType} update`);
+      console.error(`${postType} update error details:`, {
+        endpoint,
+        postId,
+        hasResponse: !!error.response,
+        responseData: error.response?.data
+      });
+      throw new Error(`Failed to update ${postType}: ${errorMessage}`);
+    }
+  }
+
+  // Delete a post; without force WordPress moves it to the trash
+  async deletePost(postType, postId, force = false) {
+    console.log(`🗑️ Deleting ${postType.toUpperCase()} post ID: ${postId}${force ? ' (permanently)' : ' (to trash)'}`);
+
+    if (!postId || isNaN(parseInt(postId))) {
+      throw new Error(`Invalid ${postType} post ID: ${postId}`);
+    }
+
+    const endpoint = `${this.url}/wp-json/wp/v2/${postType}/${parseInt(postId)}${force ? '?force=true' : ''}`;
+
+    try {
+      const config = this.createAxiosConfig(endpoint, null, 'DELETE');
+      const response = await this.request(config);
+
+      console.log(`✅ ${postType.toUpperCase()} ${postId} deleted successfully`);
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      const errorMessage = this.parseError(error, `${postType} deletion`);
+      throw new Error(`Failed to delete ${postType}: ${errorMessage}`);
+    }
+  }
+
+  async updateBook(bookId, updates) {
+    return this.updatePost(this.postTypes.book, bookId, updates);
+  }
+
+  async updateChapter(chapterId, updates) {
+    return this.updatePost(this.postTypes.chapter, chapterId, updates);
+  }
+
+  async updateChapterTopic(topicId, updates) {
+    return this.updatePost(this.postTypes.topic, topicId, updates);
+  }
+
+  async updateTopicSection(sectionId, updates) {
+    return this.updatePost(this.postTypes.section, sectionId, updates);
+  }
+
+  async deleteBook(bookId, force = false) {
+    return this.deletePost(this.postTypes.book, bookId, force);
+  }
+
+  async deleteChapter(chapterId, force = false) {
+    return this.deletePost(this.postTypes.chapter, chapterId, force);
+  }
+
+  async deleteChapterTopic(topicId, force = false) {
+    return this.deletePost(this.postTypes.topic, topicId, force);
+  }
+
+  async deleteTopicSection(sectionId, force = false) {
+    return this.deletePost(this.postTypes.section, sectionId, force);
+  }
+
+  // Fetch every post of a CUSTOM POST TYPE, following X-WP-TotalPages.
+  // With credentials, drafts/private posts are included (status=any needs edit rights).
+  async listPosts(postType, params = {}, onPage = null) {
+    const endpoint = `${this.url}/wp-json/wp/v2/${postType}`;
+    const baseParams = {
+      per_page: PAGE_SIZE,
+      orderby: 'id',
+      order: 'asc',
+      ...(this.hasCredentials ? { status: 'any', context: 'edit' } : {}),
+      ...params
+    };
+
+    const posts = [];
+    let totalPages = 1;
+
+    try {
+      for (let page = 1; page <= totalPages; page++) {
+        const config = this.createAxiosConfig(endpoint);
+        if (!this.hasCredentials) {
+          delete config.auth;
+        }
+        config.params = { ...baseParams, page };
+
+        const response = await this.request(config);
+        if (!Array.isArray(response.data)) {
+          throw new Error(`Invalid response format for '${postType}' - expected an array of posts`);
+        }
+
+        posts.push(...response.data);
+        totalPages = parseInt(response.headers?.['x-wp-totalpages']) || 1;
+        if (onPage) {
+          onPage({ postType, page, totalPages, count: posts.length });
+        }
+      }
+    } catch (error) {
+      if (!error.response && !error.config) {
+        throw error;
+      }
+      const errorMessage = this.parseError(error, postType);
+      throw new Error(`Failed to fetch ${postType} posts: ${errorMessage}`);
+    }
+
+    console.log(`📚 Fetched ${posts.length} '${postType}' posts (${totalPages} page${totalPages === 1 ? '' : 's'})`);
+    return posts;
+  }
+
+  async listBooks() {
+    const books = await this.listPosts(this.postTypes.book, { _fields: 'id,title,status,date,link' });
+    return books
+      .filter(book => book.id)
+      .sort((a, b) => (a.title?.rendered || '').localeCompare(b.title?.rendered || ''));
+  }
+
+  async getPost(postType, postId) {
+    const config = this.createAxiosConfig(`${this.url}/wp-json/wp/v2/${postType}/${parseInt(postId)}`);
+    if (this.hasCredentials) {
+      config.params = { context: 'edit' };
+    } else {
+      delete config.auth;
+    }
+
+    try {
+      const response = await this.request(config);
+      return response.data;
+    } catch (error) {
+      const errorMessage = this.parseError(error, postType);
+      throw new Error(`Failed to fetch ${postType} ${postId}: ${errorMessage}`);
+    }
+  }
+
+  // Build book -> chapter -> chaptertopic -> topicsection from the ACF parent relationship fields.
+  // Each post type is paged through once and grouped client-side, since ACF fields can't be queried over REST.
+  async getBookTree(bookId, onProgress = null) {
+    const id = parseInt(bookId);
+    if (!id) {
+      throw new Error(`Invalid book ID: ${bookId}`);
+    }
+
+    const report = (step, message) => onProgress && onProgress({ step, message });
+    const pageProgress = (label) => ({ page, totalPages }) => {
+      if (totalPages > 1) report(label, `Fetching ${label} (page ${page}/${totalPages})...`);
+    };
+
+    report('book', 'Fetching book...');
+    const book = await this.getPost(this.postTypes.book, id);
+
+    report('chapters', 'Fetching chapters...');
+    const chapters = await this.listPosts(this.postTypes.chapter, { _fields: TREE_FIELDS }, pageProgress('chapters'));
+    report('topics', 'Fetching topics...');
+    const topics = await this.listPosts(this.postTypes.topic, { _fields: TREE_FIELDS }, pageProgress('topics'));
+    report('sections', 'Fetching sections...');
+    const sections = await this.listPosts(this.postTypes.section, { _fields: TREE_FIELDS }, pageProgress('sections'));
+
+    const groupByParent = (posts, field) => posts.reduce((groups, post) => {
+      const parentId = getAcfParentId(post.acf?.[field]);
+      if (parentId) {
+        (groups[parentId] = groups[parentId] || []).push(post);
+      }
+      return groups;
+    }, {});
+
+    const topicsByChapter = groupByParent(topics, 'topic_parent_chapter');
+    const sectionsByTopic = groupByParent(sections, 'section_parent_topic');
+    const byId = (a, b) => a.id - b.id;
+    const renderedField = (field) => field?.rendered ?? field?.raw ?? '';
+
+    const toNode = (post, fallbackTitle) => ({
+      id: post.id,
+      title: renderedField(post.title) || fallbackTitle,
+      content: renderedField(post.content),
+      status: post.status,
+      link: post.link
+    });
+
+    const tree = {
+      ...toNode(book, `Book ${id}`),
+      bookId: id,
+      chapters: chapters
+        .filter(chapter => getAcfParentId(chapter.acf?.chapter_parent_book) === id)
+        .sort(byId)
+        .map(chapter => ({
+          ...toNode(chapter, `Chapter ${chapter.id}`),
+          topics: (topicsByChapter[chapter.id] || []).sort(byId).map(topic => ({
+            ...toNode(topic, `Topic ${topic.id}`),
+            sections: (sectionsByTopic[topic.id] || []).sort(byId).map(section => toNode(section, `Section ${section.id}`))
+          }))
+        }))
+    };
+
+    const topicCount = tree.chapters.reduce((sum, chapter) => sum + chapter.topics.length, 0);
+    const sectionCount = tree.chapters.reduce((sum, chapter) => sum + chapter.topics.reduce((topicSum, topic) => topicSum + topic.sections.length, 0), 0);
+    console.log(`✅ Book ${id} tree: ${tree.chapters.length} chapters, ${topicCount} topics, ${sectionCount} sections`);
+
+    return tree;
+  }
 }
 
-export default WordPressService;
\ No newline at end of file
+export default WordPressService;
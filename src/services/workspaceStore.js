@@ -0,0 +1,112 @@
+import IndexedDBAdapter from './adapters/indexedDbAdapter';
+import SupabaseAdapter from './adapters/supabaseAdapter';
+import { getSupabaseClient } from './auth';
+import { createWorkspace, getMemberRole, getOpenInvitations, isInvitationOpen, respondToInvitation } from './workspaces';
+
+// Persistence for workspaces (see workspaces.js). Workspaces follow the auth backend rather than the project
+// storage setting, since settings themselves live in a workspace: with Supabase sign-in they are stored in the
+// ebook_workspaces / ebook_workspace_settings tables (row level security in supabase/migrations), with the
+// local auth stand-in in this browser's IndexedDB.
+// Workspace settings are kept as separate { id: workspaceId, settings, vault } records so invitees, who can
+// read the workspace record, never see them; credentials are only stored encrypted in vault (credentialVault.js).
+
+class WorkspaceStore {
+  constructor(workspaces, workspaceSettings, user) {
+    this.workspaces = workspaces;
+    this.workspaceSettings = workspaceSettings;
+    this.user = user;
+  }
+
+  async listWorkspaces() {
+    const workspaces = await this.workspaces.list();
+    return workspaces
+      .filter(workspace => getMemberRole(workspace, this.user.id))
+      .sort((a, b) => (b.personal && b.ownerId === this.user.id) - (a.personal && a.ownerId === this.user.id) || a.name.localeCompare(b.name));
+  }
+
+  // Open invitations to the user's email in workspaces they haven't joined: [{ workspace, invitation }]
+  async listInvitations() {
+    const workspaces = await this.workspaces.list();
+    return workspaces
+      .filter(workspace => !getMemberRole(workspace, this.user.id))
+      .flatMap(workspace => getOpenInvitations(workspace, this.user.email).map(invitation => ({ workspace, invitation })));
+  }
+
+  // The user's personal workspace, created the first time they sign in
+  async ensurePersonalWorkspace() {
+    const workspaces = await this.workspaces.list();
+    const personal = workspaces.find(workspace => workspace.personal && workspace.ownerId === this.user.id);
+    if (personal) {
+      return personal;
+    }
+
+    const workspace = createWorkspace(`${this.user.name || this.user.email}'s workspace`, this.user, { personal: true });
+    console.log(`👥 Creating personal workspace for ${this.user.email}`);
+    await this.workspaces.save(workspace);
+    await this.saveSettings(workspace.id, {});
+    return workspace;
+  }
+
+  async getWorkspace(workspaceId) {
+    return this.workspaces.get(workspaceId);
+  }
+
+  async saveWorkspace(workspace) {
+    return this.workspaces.save(workspace);
+  }
+
+  // Resolves to { settings, vault }; vault is null until the owner sets a passphrase
+  async getSettings(workspaceId) {
+    const record = await this.workspaceSettings.get(workspaceId);
+    return { settings: record?.settings || {}, vault: record?.vault || null };
+  }
+
+  async saveSettings(workspaceId, settings, vault = null) {
+    await this.workspaceSettings.save({ id: workspaceId, settings, vault, updatedAt: new Date().toISOString() });
+    return settings;
+  }
+
+  // Accept or decline an invitation. Invitees may not write the workspace themselves, so with Supabase a
+  // database function makes the change; locally the same checks run here.
+  async respondToInvitation(workspaceId, token, accept) {
+    if (typeof this.workspaces.rpc === 'function') {
+      return this.workspaces.rpc('respond_to_workspace_invitation', {
+        p_workspace_id: workspaceId,
+        p_token: token,
+        p_accept: accept
+      });
+    }
+
+    const workspace = await this.workspaces.get(workspaceId);
+    if (!workspace) {
+      throw new Error('This workspace no longer exists');
+    }
+    const updated = respondToInvitation(workspace, token, this.user, accept);
+    await this.workspaces.save(updated);
+    return updated;
+  }
+}
+
+export const createWorkspaceStore = (user) => {
+  const client = getSupabaseClient();
+  if (client) {
+    return new WorkspaceStore(
+      new SupabaseAdapter(null, null, {
+        tableName: 'ebook_workspaces',
+        label: 'workspace',
+        client,
+        // Copied out of the record for the row level security policies
+        columns: (workspace) => ({
+          owner_id: workspace.ownerId,
+          member_ids: workspace.members.map(member => member.userId),
+          invited_emails: (workspace.invitations || []).filter(isInvitationOpen).map(invitation => invitation.email)
+        })
+      }),
+      new SupabaseAdapter(null, null, { tableName: 'ebook_workspace_settings', label: 'workspace settings', client }),
+      user
+    );
+  }
+  return new WorkspaceStore(new IndexedDBAdapter('workspaces'), new IndexedDBAdapter('workspaceSettings'), user);
+};
+
+export default WorkspaceStore;
@@ -0,0 +1,188 @@
+// Team workspaces. Every user has a personal workspace (created on first sign-in) and can be invited to others.
+// Projects, local knowledge libraries and the generation settings (API keys, WordPress, prompts, style
+// profiles...) belong to a workspace; the member's role in it decides what they may do. Settings are stored
+// apart from the workspace record (see workspaceStore), which invitees can read before they join.
+// Workspace shape:
+// { id, name, ownerId, personal, members: [{ userId, email, name, role, joinedAt }],
+//   invitations: [{ id, email, role, token, status, invitedBy, createdAt, expiresAt, respondedAt }],
+//   createdAt, updatedAt }
+// Invitations are bound to an email address; the invite link carries a token that must match as well.
+
+export const WORKSPACE_ROLES = {
+  owner: { label: 'Owner', description: 'Manages members, settings and API keys; can do everything' },
+  editor: { label: 'Editor', description: 'Creates, generates, publishes and edits projects and knowledge libraries' },
+  reviewer: { label: 'Reviewer', description: 'Reviews and edits outlines, but cannot generate or publish' },
+  viewer: { label: 'Viewer', description: 'Read-only access to projects and exports' }
+};
+
+export const INVITATION_LIFETIME_DAYS = 7;
+
+// Actions checked in the UI and again in the contexts before they run
+export const WORKSPACE_PERMISSIONS = {
+  viewProjects: ['owner', 'editor', 'reviewer', 'viewer'],
+  exportProjects: ['owner', 'editor', 'reviewer', 'viewer'],
+  editOutline: ['owner', 'editor', 'reviewer'],
+  editProject: ['owner', 'editor'],
+  createProject: ['owner', 'editor'],
+  generateContent: ['owner', 'editor'],
+  manageLibraries: ['owner', 'editor'],
+  publishToWordPress: ['owner', 'editor'],
+  deleteProject: ['owner'],
+  manageSettings: ['owner'],
+  manageMembers: ['owner']
+};
+
+// What a role with editOutline but not editProject (a reviewer) may change in a project: the outline and what is
+// keyed by its nodes. Same fields as limit_reviewer_project_updates in supabase/migrations.
+export const OUTLINE_REVIEW_FIELDS = ['outline', 'outlineHistory', 'knowledgeLibraries', 'contextValues'];
+
+const PERMISSION_LABELS = {
+  viewProjects: 'view projects',
+  exportProjects: 'export projects',
+  editOutline: 'edit outlines',
+  editProject: 'change project settings',
+  createProject: 'create projects',
+  generateContent: 'generate content',
+  manageLibraries: 'manage knowledge libraries',
+  publishToWordPress: 'publish to WordPress',
+  deleteProject: 'delete projects',
+  manageSettings: 'change settings',
+  manageMembers: 'manage members'
+};
+
+export const canRole = (role, action) => !!role && (WORKSPACE_PERMISSIONS[action] || []).includes(role);
+
+export const getMemberRole = (workspace, userId) => workspace?.members?.find(member => member.userId === userId)?.role || null;
+
+// Throws an error with code 'forbidden' when the role may not perform the action
+export const assertRoleCan = (role, action) => {
+  if (!canRole(role, action)) {
+    throw Object.assign(
+      new Error(`Your role (${WORKSPACE_ROLES[role]?.label || 'no access'}) cannot ${PERMISSION_LABELS[action] || action} in this workspace`),
+      { code: 'forbidden', action, role }
+    );
+  }
+};
+
+const createToken = () => Array.from(crypto.getRandomValues(new Uint8Array(20)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const normalizeEmail = (email = '') => email.trim().toLowerCase();
+
+const touch = (workspace) => ({ ...workspace, updatedAt: new Date().toISOString() });
+
+const toMember = (user, role) => ({
+  userId: user.id,
+  email: normalizeEmail(user.email),
+  name: user.name || '',
+  role,
+  joinedAt: new Date().toISOString()
+});
+
+export const createWorkspace = (name, user, { personal = false } = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: `ws-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    ownerId: user.id,
+    personal,
+    members: [toMember(user, 'owner')],
+    invitations: [],
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+export const isInvitationOpen = (invitation) => invitation.status === 'pending' && new Date(invitation.expiresAt) > new Date();
+
+// Pending invitations addressed to this email
+export const getOpenInvitations = (workspace, email) => (workspace.invitations || [])
+  .filter(invitation => isInvitationOpen(invitation) && invitation.email === normalizeEmail(email));
+
+export const inviteMember = (workspace, { email, role }, invitedBy) => {
+  const address = normalizeEmail(email);
+  if (!WORKSPACE_ROLES[role] || role === 'owner') {
+    throw new Error('Invite members as editor, reviewer or viewer');
+  }
+  if (workspace.members.some(member => member.email === address)) {
+    throw new Error(`${address} is already a member of ${workspace.name}`);
+  }
+
+  const now = new Date();
+  const invitation = {
+    id: `inv-${now.getTime()}`,
+    email: address,
+    role,
+    token: createToken(),
+    status: 'pending',
+    invitedBy: invitedBy.id,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + INVITATION_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+
+  return {
+    workspace: touch({
+      ...workspace,
+      // A new invitation replaces any open one for the same address
+      invitations: [
+        ...(workspace.invitations || []).filter(item => !(item.email === address && item.status === 'pending')),
+        invitation
+      ]
+    }),
+    invitation
+  };
+};
+
+export const revokeInvitation = (workspace, invitationId) => touch({
+  ...workspace,
+  invitations: (workspace.invitations || []).map(invitation => (
+    invitation.id === invitationId && invitation.status === 'pending'
+      ? { ...invitation, status: 'revoked', respondedAt: new Date().toISOString() }
+      : invitation
+  ))
+});
+
+// Same checks as the respond_to_workspace_invitation function in supabase/migrations
+export const respondToInvitation = (workspace, token, user, accept) => {
+  const invitation = (workspace.invitations || []).find(item => item.token === token);
+  if (!invitation || !isInvitationOpen(invitation)) {
+    throw new Error('This invitation is no longer valid');
+  }
+  if (invitation.email !== normalizeEmail(user.email)) {
+    throw new Error(`This invitation was sent to ${invitation.email}`);
+  }
+
+  const respondedAt = new Date().toISOString();
+  const alreadyMember = workspace.members.some(member => member.userId === user.id);
+  return touch({
+    ...workspace,
+    members: accept && !alreadyMember ? [...workspace.members, toMember(user, invitation.role)] : workspace.members,
+    invitations: workspace.invitations.map(item => (
+      item.id === invitation.id ? { ...item, status: accept ? 'accepted' : 'declined', respondedAt } : item
+    ))
+  });
+};
+
+export const updateMemberRole = (workspace, userId, role) => {
+  if (!WORKSPACE_ROLES[role]) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (userId === workspace.ownerId) {
+    throw new Error('The workspace owner\'s role cannot be changed');
+  }
+  return touch({
+    ...workspace,
+    members: workspace.members.map(member => (member.userId === userId ? { ...member, role } : member))
+  });
+};
+
+export const removeMember = (workspace, userId) => {
+  if (userId === workspace.ownerId) {
+    throw new Error('The workspace owner cannot be removed');
+  }
+  return touch({ ...workspace, members: workspace.members.filter(member => member.userId !== userId) });
+};
+
+// Hash-router link that opens the invitation for the invitee
+export const getInvitationLink = (workspace, invitation) => (
+  `${window.location.origin}${window.location.pathname}#/invite/${encodeURIComponent(workspace.id)}/${invitation.token}`
+);
@@ -0,0 +1,21 @@
+-- Projects are private to the account that owns them.
+-- user_id defaults to the signed-in user, and row level security limits every query to that user's rows.
+
+create table if not exists public.ebook_projects (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz default now()
+);
+
+alter table public.ebook_projects
+  add column if not exists user_id uuid default auth.uid() references auth.users on delete cascade;
+
+create index if not exists ebook_projects_user_id_idx on public.ebook_projects (user_id);
+
+alter table public.ebook_projects enable row level security;
+
+drop policy if exists "Users manage their own projects" on public.ebook_projects;
+create policy "Users manage their own projects" on public.ebook_projects
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,238 @@
+-- Team workspaces (see src/services/workspaces.js).
+-- A workspace row keeps the whole record in data; owner_id, member_ids and invited_emails are copied out of it
+-- by the app for the policies below. Members' roles are read from data->'members' by workspace_role().
+-- Workspace settings (API keys, WordPress credentials...) live in their own table, readable only by the members
+-- who generate or publish with them, because invitees can read the workspace row before they join.
+
+create table if not exists public.ebook_workspaces (
+  id text primary key,
+  data jsonb not null,
+  owner_id uuid not null default auth.uid() references auth.users on delete cascade,
+  member_ids uuid[] not null default '{}',
+  invited_emails text[] not null default '{}',
+  updated_at timestamptz default now()
+);
+
+create index if not exists ebook_workspaces_member_ids_idx on public.ebook_workspaces using gin (member_ids);
+create index if not exists ebook_workspaces_invited_emails_idx on public.ebook_workspaces using gin (invited_emails);
+
+create table if not exists public.ebook_workspace_settings (
+  id text primary key references public.ebook_workspaces on delete cascade,
+  data jsonb not null,
+  updated_at timestamptz default now()
+);
+
+alter table public.ebook_projects
+  add column if not exists workspace_id text references public.ebook_workspaces on delete cascade;
+
+create index if not exists ebook_projects_workspace_id_idx on public.ebook_projects (workspace_id);
+
+-- The signed-in user's role in a workspace, or null when they aren't a member.
+-- Security definer so policies on other tables can use it without the caller reading the workspace row.
+create or replace function public.workspace_role(p_workspace_id text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select member->>'role'
+  from public.ebook_workspaces workspace,
+    jsonb_array_elements(workspace.data->'members') member
+  where workspace.id = p_workspace_id
+    and member->>'userId' = auth.uid()::text
+  limit 1;
+$$;
+
+revoke all on function public.workspace_role(text) from public;
+grant execute on function public.workspace_role(text) to authenticated;
+
+-- Workspaces: members and invitees read them, only the owner changes them
+
+alter table public.ebook_workspaces enable row level security;
+
+drop policy if exists "Members and invitees read workspaces" on public.ebook_workspaces;
+create policy "Members and invitees read workspaces" on public.ebook_workspaces
+  for select
+  using (auth.uid() = any (member_ids) or lower(auth.jwt()->>'email') = any (invited_emails));
+
+drop policy if exists "Users create workspaces they own" on public.ebook_workspaces;
+create policy "Users create workspaces they own" on public.ebook_workspaces
+  for insert
+  with check (auth.uid() = owner_id and auth.uid() = any (member_ids));
+
+drop policy if exists "Owners update their workspaces" on public.ebook_workspaces;
+create policy "Owners update their workspaces" on public.ebook_workspaces
+  for update
+  using (public.workspace_role(id) = 'owner')
+  with check (auth.uid() = owner_id);
+
+drop policy if exists "Owners delete their workspaces" on public.ebook_workspaces;
+create policy "Owners delete their workspaces" on public.ebook_workspaces
+  for delete
+  using (public.workspace_role(id) = 'owner');
+
+-- Workspace settings: owners and editors read them (generating and publishing need the API keys, WordPress
+-- destinations and webhooks), only the owner writes them. Reviewers and viewers never get the encrypted vault,
+-- so they can't try passphrases against it offline.
+
+alter table public.ebook_workspace_settings enable row level security;
+
+drop policy if exists "Members read workspace settings" on public.ebook_workspace_settings;
+drop policy if exists "Contributors read workspace settings" on public.ebook_workspace_settings;
+create policy "Contributors read workspace settings" on public.ebook_workspace_settings
+  for select
+  using (public.workspace_role(id) in ('owner', 'editor'));
+
+drop policy if exists "Owners manage workspace settings" on public.ebook_workspace_settings;
+create policy "Owners manage workspace settings" on public.ebook_workspace_settings
+  for all
+  using (public.workspace_role(id) = 'owner')
+  with check (public.workspace_role(id) = 'owner');
+
+-- Projects: shared with the workspace they belong to. Rows from before workspaces (workspace_id null) stay
+-- private to their user until the app moves them into that user's personal workspace.
+-- Saves update existing rows and only insert new ones, so reviewers can edit outlines without being able to
+-- create projects. What reviewers may change in a row is limited by limit_reviewer_project_updates below.
+
+drop policy if exists "Users manage their own projects" on public.ebook_projects;
+
+drop policy if exists "Members read workspace projects" on public.ebook_projects;
+create policy "Members read workspace projects" on public.ebook_projects
+  for select
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or public.workspace_role(workspace_id) is not null
+  );
+
+drop policy if exists "Contributors save workspace projects" on public.ebook_projects;
+create policy "Contributors save workspace projects" on public.ebook_projects
+  for insert
+  with check (
+    (workspace_id is null and auth.uid() = user_id)
+    or public.workspace_role(workspace_id) in ('owner', 'editor')
+  );
+
+drop policy if exists "Contributors update workspace projects" on public.ebook_projects;
+create policy "Contributors update workspace projects" on public.ebook_projects
+  for update
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or public.workspace_role(workspace_id) in ('owner', 'editor', 'reviewer')
+  )
+  with check (
+    (workspace_id is null and auth.uid() = user_id)
+    or public.workspace_role(workspace_id) in ('owner', 'editor', 'reviewer')
+  );
+
+-- Reviewers review outlines: their updates may change the outline and what is keyed by its nodes (revisions,
+-- library assignments, context), nothing else. Same fields as OUTLINE_REVIEW_FIELDS in src/services/workspaces.js.
+create or replace function public.limit_reviewer_project_updates()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_review_fields text[] := array['outline', 'outlineHistory', 'knowledgeLibraries', 'contextValues', 'updatedAt', 'schemaVersion'];
+begin
+  if old.workspace_id is not null and public.workspace_role(old.workspace_id) = 'reviewer' then
+    if new.workspace_id is distinct from old.workspace_id
+      or new.user_id is distinct from old.user_id
+      or (new.data - v_review_fields) is distinct from (old.data - v_review_fields) then
+      raise exception 'Reviewers can only change the outline of a project' using errcode = '42501';
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists limit_reviewer_project_updates on public.ebook_projects;
+create trigger limit_reviewer_project_updates
+  before update on public.ebook_projects
+  for each row execute function public.limit_reviewer_project_updates();
+
+drop policy if exists "Owners delete workspace projects" on public.ebook_projects;
+create policy "Owners delete workspace projects" on public.ebook_projects
+  for delete
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or public.workspace_role(workspace_id) = 'owner'
+  );
+
+-- Accept or decline an invitation. Invitees may not update the workspace row, so this runs as the definer
+-- after the same checks as respondToInvitation in src/services/workspaces.js.
+create or replace function public.respond_to_workspace_invitation(p_workspace_id text, p_token text, p_accept boolean)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt()->>'email');
+  v_now text := to_char(now() at time zone 'utc', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"');
+  v_workspace jsonb;
+  v_invitation jsonb;
+  v_invitations jsonb;
+  v_members jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to respond to invitations' using errcode = '42501';
+  end if;
+
+  select data into v_workspace from public.ebook_workspaces where id = p_workspace_id for update;
+  if v_workspace is null then
+    raise exception 'This workspace no longer exists';
+  end if;
+
+  select value into v_invitation
+  from jsonb_array_elements(v_workspace->'invitations')
+  where value->>'token' = p_token;
+
+  if v_invitation is null
+    or v_invitation->>'status' <> 'pending'
+    or (v_invitation->>'expiresAt')::timestamptz <= now() then
+    raise exception 'This invitation is no longer valid';
+  end if;
+  if v_invitation->>'email' <> v_email then
+    raise exception 'This invitation was sent to %', v_invitation->>'email';
+  end if;
+
+  select jsonb_agg(
+    case when value->>'id' = v_invitation->>'id'
+      then value || jsonb_build_object('status', case when p_accept then 'accepted' else 'declined' end, 'respondedAt', v_now)
+      else value
+    end
+  ) into v_invitations
+  from jsonb_array_elements(v_workspace->'invitations');
+
+  v_members := v_workspace->'members';
+  if p_accept and not exists (
+    select 1 from jsonb_array_elements(v_members) where value->>'userId' = auth.uid()::text
+  ) then
+    v_members := v_members || jsonb_build_array(jsonb_build_object(
+      'userId', auth.uid()::text,
+      'email', v_email,
+      'name', coalesce(auth.jwt()->'user_metadata'->>'name', ''),
+      'role', v_invitation->>'role',
+      'joinedAt', v_now
+    ));
+  end if;
+
+  v_workspace := v_workspace || jsonb_build_object('members', v_members, 'invitations', v_invitations, 'updatedAt', v_now);
+
+  update public.ebook_workspaces
+  set data = v_workspace,
+    member_ids = array(select (value->>'userId')::uuid from jsonb_array_elements(v_members)),
+    invited_emails = array(
+      select value->>'email' from jsonb_array_elements(v_invitations)
+      where value->>'status' = 'pending' and (value->>'expiresAt')::timestamptz > now()
+    ),
+    updated_at = now()
+  where id = p_workspace_id;
+
+  return v_workspace;
+end;
+$$;
+
+revoke all on function public.respond_to_workspace_invitation(text, text, boolean) from public;
+grant execute on function public.respond_to_workspace_invitation(text, text, boolean) to authenticated;
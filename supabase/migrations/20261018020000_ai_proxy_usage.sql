@@ -0,0 +1,99 @@
+-- Per-user usage of the server-side AI proxy (functions/ai-proxy.mjs), one row per user and calendar month.
+-- The proxy reads and writes it with the service role key; users may read their own rows.
+
+create table if not exists public.ai_proxy_usage (
+  user_id uuid not null references auth.users on delete cascade,
+  period text not null,
+  requests integer not null default 0,
+  input_tokens bigint not null default 0,
+  output_tokens bigint not null default 0,
+  -- Estimated tokens of requests still in flight, released when they settle
+  reserved_tokens bigint not null default 0,
+  updated_at timestamptz default now(),
+  primary key (user_id, period)
+);
+
+alter table public.ai_proxy_usage enable row level security;
+
+drop policy if exists "Users read their own AI usage" on public.ai_proxy_usage;
+create policy "Users read their own AI usage" on public.ai_proxy_usage
+  for select
+  using (auth.uid() = user_id);
+
+-- Counts a request and holds its estimated tokens before it is forwarded. The check and the increment are one
+-- update, so concurrent requests queue on the row lock instead of all passing against the same usage.
+-- Returns the updated row, or no row when the quota is used up (limits of 0 mean none).
+create or replace function public.reserve_ai_proxy_usage(
+  p_user_id uuid,
+  p_period text,
+  p_tokens bigint,
+  p_max_requests integer,
+  p_max_tokens bigint
+)
+returns setof public.ai_proxy_usage
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.ai_proxy_usage (user_id, period)
+  values (p_user_id, p_period)
+  on conflict (user_id, period) do nothing;
+
+  return query
+  update public.ai_proxy_usage
+  set requests = requests + 1,
+    reserved_tokens = reserved_tokens + greatest(coalesce(p_tokens, 0), 0),
+    updated_at = now()
+  where user_id = p_user_id
+    and period = p_period
+    and (coalesce(p_max_requests, 0) = 0 or requests < p_max_requests)
+    and (coalesce(p_max_tokens, 0) = 0 or input_tokens + output_tokens + reserved_tokens < p_max_tokens)
+  returning *;
+end;
+$$;
+
+-- Replaces a reservation with the tokens the provider reported; a refund also gives back the request
+-- (the provider rejected it, so nothing was spent)
+create or replace function public.settle_ai_proxy_usage(
+  p_user_id uuid,
+  p_period text,
+  p_reserved_tokens bigint,
+  p_input_tokens bigint,
+  p_output_tokens bigint,
+  p_refund boolean
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.ai_proxy_usage
+  set requests = greatest(requests - case when p_refund then 1 else 0 end, 0),
+    reserved_tokens = greatest(reserved_tokens - coalesce(p_reserved_tokens, 0), 0),
+    input_tokens = input_tokens + coalesce(p_input_tokens, 0),
+    output_tokens = output_tokens + coalesce(p_output_tokens, 0),
+    updated_at = now()
+  where user_id = p_user_id
+    and period = p_period;
+$$;
+
+revoke all on function public.reserve_ai_proxy_usage(uuid, text, bigint, integer, bigint) from public;
+grant execute on function public.reserve_ai_proxy_usage(uuid, text, bigint, integer, bigint) to service_role;
+revoke all on function public.settle_ai_proxy_usage(uuid, text, bigint, bigint, bigint, boolean) from public;
+grant execute on function public.settle_ai_proxy_usage(uuid, text, bigint, bigint, bigint, boolean) to service_role;
+
+-- Files and vector stores the proxy created in the server's shared OpenAI account, and the workspace they
+-- belong to. The proxy only lists, reads, changes and deletes objects recorded for the caller's workspace.
+-- No policies: only the service role reads and writes it.
+create table if not exists public.ai_proxy_objects (
+  object_id text primary key,
+  kind text not null check (kind in ('file', 'vector_store')),
+  workspace_id text not null references public.ebook_workspaces on delete cascade,
+  user_id uuid references auth.users on delete set null,
+  created_at timestamptz default now()
+);
+
+create index if not exists ai_proxy_objects_workspace_idx on public.ai_proxy_objects (workspace_id, kind);
+
+alter table public.ai_proxy_objects enable row level security;